@@ -0,0 +1,58 @@
+import sequelize, { testConnection } from '../config/database.js';
+import { RetentionArchive } from '../models/index.js';
+import { RetentionService } from '../services/retentionService.js';
+
+// Uso: npm run db:retention -- run | preview | archives | restore <archiveId> <motivo>
+async function retention() {
+  try {
+    await testConnection();
+
+    const [command = 'preview', ...args] = process.argv.slice(2);
+
+    if (command === 'run') {
+      console.log('🗄️ Applying retention policies...');
+      const result = await RetentionService.run();
+      result.results.forEach(r => {
+        console.log(`   ${r.dataType}: ${r.purgedRows} rows purged, ${r.archives.length} archive(s)`);
+      });
+      result.errors.forEach(e => console.log(`   ❌ ${e.dataType}: ${e.error}`));
+    } else if (command === 'preview') {
+      const preview = await RetentionService.preview();
+      preview.forEach(p => {
+        const status = p.isEnabled ? '✅' : '⏸️';
+        console.log(`${status} ${p.dataType}: ${p.retentionDays} days, ${p.expiredRows} expired rows (before ${p.cutoff.toISOString()})`);
+      });
+    } else if (command === 'archives') {
+      const archives = await RetentionArchive.findAll({ order: [['created_at', 'DESC']] });
+      archives.forEach(a => {
+        console.log(`${a.id} ${a.dataType} ${a.rowCount} rows ${a.status} ${a.fileName}`);
+      });
+    } else if (command === 'restore') {
+      const [archiveId, ...reason] = args;
+      if (!archiveId || reason.length === 0) {
+        console.error('Usage: npm run db:retention -- restore <archiveId> <reason>');
+        process.exit(1);
+      }
+
+      const result = await RetentionService.restore(archiveId, { reason: reason.join(' ') });
+      console.log(result.status === 'restored'
+        ? `🎉 ${result.rowCount} rows restored from ${result.archive.fileName}`
+        : `❌ Archive not restored: ${result.status}`);
+    } else {
+      console.error(`Unknown command: ${command}`);
+      process.exit(1);
+    }
+
+    await sequelize.close();
+  } catch (error) {
+    console.error('❌ Retention error:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  retention();
+}
+
+export { retention };
@@ -0,0 +1,40 @@
+import sequelize, { testConnection } from '../config/database.js';
+import { RecordChainService } from '../services/recordChainService.js';
+
+// Uso: npm run db:verify-chain [-- <employeeId>]
+async function verifyChain() {
+  try {
+    console.log('🔗 Verifying record hash chains...');
+
+    await testConnection();
+
+    const employeeId = process.argv[2];
+    const result = await RecordChainService.verifyAllChains(employeeId ? [employeeId] : null);
+
+    for (const chain of result.results) {
+      const status = chain.valid ? '✅' : '❌';
+      console.log(`${status} ${chain.employee.employeeCode} - ${chain.checkedRecords} records (last #${chain.lastSequence}), ${chain.unsealedRecords} unsealed`);
+
+      chain.breaks.forEach(chainBreak => {
+        console.log(`   ⚠️ #${chainBreak.sequence} ${chainBreak.recordId} [${chainBreak.type}] ${chainBreak.message}`);
+      });
+    }
+
+    console.log(result.valid
+      ? '🎉 All chains are intact'
+      : `🚨 ${result.brokenChains} broken chain(s) found`);
+
+    await sequelize.close();
+    return result.valid;
+  } catch (error) {
+    console.error('❌ Chain verification error:', error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  verifyChain().then((valid) => process.exit(valid ? 0 : 1));
+}
+
+export { verifyChain };
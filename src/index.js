@@ -19,7 +19,26 @@ import scheduleBreakRoutes from './routes/scheduleBreaks.js';
 import advancedBreakRoutes from './routes/advancedBreaks.js';
 import vacationRoutes from './routes/vacations.js';
 import aiRoutes from './routes/ai.js';
+import timesheetRoutes from './routes/timesheets.js';
+import adherenceRoutes from './routes/adherence.js';
+import correctionRequestRoutes from './routes/correctionRequests.js';
+import workSiteRoutes from './routes/workSites.js';
+import notificationRoutes from './routes/notifications.js';
+import hourBankRoutes from './routes/hourBank.js';
+import timesheetAcknowledgementRoutes from './routes/timesheetAcknowledgements.js';
+import payrollExportRoutes from './routes/payrollExports.js';
+import projectRoutes from './routes/projects.js';
+import costCenterRoutes from './routes/costCenters.js';
+import retentionRoutes from './routes/retention.js';
+import presenceRoutes from './routes/presence.js';
+import kioskDeviceRoutes from './routes/kioskDevices.js';
+import badgeRoutes from './routes/badges.js';
+import loginLockoutRoutes from './routes/loginLockouts.js';
+import workModeRoutes from './routes/workModes.js';
 import embeddingService from './services/embeddingService.js';
+import { AutoCheckoutService } from './services/autoCheckoutService.js';
+import { RetentionService } from './services/retentionService.js';
+import { PresenceService } from './services/presenceService.js';
 
 dotenv.config();
 
@@ -79,6 +98,22 @@ app.use('/api/schedule-breaks', scheduleBreakRoutes);
 app.use('/api/advanced-breaks', advancedBreakRoutes);
 app.use('/api/vacations', vacationRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/timesheets', timesheetRoutes);
+app.use('/api/adherence', adherenceRoutes);
+app.use('/api/correction-requests', correctionRequestRoutes);
+app.use('/api/work-sites', workSiteRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/hour-bank', hourBankRoutes);
+app.use('/api/timesheet-acknowledgements', timesheetAcknowledgementRoutes);
+app.use('/api/payroll-exports', payrollExportRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/cost-centers', costCenterRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/presence', presenceRoutes);
+app.use('/api/kiosk-devices', kioskDeviceRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/login-lockouts', loginLockoutRoutes);
+app.use('/api/work-modes', workModeRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -109,6 +144,23 @@ async function startServer() {
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
       console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
     });
+
+    // Cierre automático de salidas olvidadas
+    if (process.env.AUTO_CHECKOUT_ENABLED !== 'false' && process.env.NODE_ENV !== 'test') {
+      AutoCheckoutService.startScheduler();
+      console.log(`🕒 Auto checkout enabled (policy: ${AutoCheckoutService.policy}, tolerance: ${AutoCheckoutService.toleranceMinutes} min)`);
+    }
+
+    // Archivado y purga de los datos que superan su plazo de conservación
+    if (process.env.RETENTION_ENABLED !== 'false' && process.env.NODE_ENV !== 'test') {
+      RetentionService.startScheduler();
+      console.log(`🗄️ Retention job enabled (archives in ${RetentionService.archiveDir})`);
+    }
+
+    // Cambios de presencia por el paso del tiempo (vacaciones y horarios) para /api/presence/stream
+    if (process.env.NODE_ENV !== 'test') {
+      PresenceService.startScheduler();
+    }
   } catch (error) {
     console.error('❌ Unable to start server:', error);
     process.exit(1);
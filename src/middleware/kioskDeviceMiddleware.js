@@ -0,0 +1,28 @@
+import { SecurityEvent } from '../models/index.js';
+import { KioskDeviceService } from '../services/kioskDeviceService.js';
+
+// Exige la credencial de un kiosco registrado (cabecera X-Kiosk-Device-Token)
+export const kioskDeviceMiddleware = async (req, res, next) => {
+  try {
+    const credential = req.get('X-Kiosk-Device-Token');
+
+    if (!credential) {
+      return res.status(401).json({ error: 'Dispositivo no registrado' });
+    }
+
+    const device = await KioskDeviceService.authenticate(credential);
+    if (!device) {
+      console.warn(`🚨 Rejected kiosk device credential from IP: ${req.ip}`);
+      await SecurityEvent.log('kiosk_device_rejected', req, {
+        details: { deviceId: KioskDeviceService.parseCredential(credential)?.deviceId || null, path: req.path }
+      });
+      return res.status(401).json({ error: 'Credencial de dispositivo no válida o revocada' });
+    }
+
+    req.kioskDevice = device;
+    next();
+  } catch (error) {
+    console.error('Kiosk device auth error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+};
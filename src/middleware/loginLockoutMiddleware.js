@@ -0,0 +1,25 @@
+import { LoginLockoutService } from '../services/loginLockoutService.js';
+
+// Responde 429 con Retry-After para un código bloqueado o que aún debe esperar tras un fallo
+export const sendLoginLockout = (res, lockout, messages) => {
+  res.set('Retry-After', String(lockout.retryAfterSeconds));
+  return res.status(429).json({
+    error: lockout.status === 'locked' ? messages.locked : messages.throttled,
+    retryAfterSeconds: lockout.retryAfterSeconds,
+    ...(lockout.lockedUntil && { lockedUntil: lockout.lockedUntil })
+  });
+};
+
+// Rechaza el intento antes de comprobar credenciales si el código de empleado está bloqueado
+export const loginLockoutGuard = (messages) => async (req, res, next) => {
+  try {
+    const lockout = await LoginLockoutService.check(req.body?.employeeCode);
+    if (lockout.status !== 'ok') {
+      return sendLoginLockout(res, lockout, messages);
+    }
+    next();
+  } catch (error) {
+    console.error('Login lockout check error:', error);
+    res.status(500).json({ error: messages.serverError });
+  }
+};
@@ -0,0 +1,40 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Conversaciones con el asistente de IA (pregunta y respuesta)
+export const AiChatLog = sequelize.define('AiChatLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Identificador enviado por el cliente; no se valida contra employees
+  userId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'user_id'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  response: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  responseType: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    field: 'response_type'
+  }
+}, {
+  tableName: 'ai_chat_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['created_at']
+    }
+  ]
+});
@@ -53,6 +53,13 @@ export const DailyScheduleException = sequelize.define('DailyScheduleException',
     defaultValue: true,
     field: 'is_working_day'
   },
+  // Modalidad de trabajo prevista para el día (presencial, teletrabajo o desplazamiento)
+  workMode: {
+    type: DataTypes.ENUM('on_site', 'remote', 'travelling'),
+    allowNull: false,
+    defaultValue: 'on_site',
+    field: 'work_mode'
+  },
   reason: {
     type: DataTypes.STRING,
     allowNull: true,
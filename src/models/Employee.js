@@ -54,6 +54,17 @@ export const Employee = sequelize.define('Employee', {
     type: DataTypes.TEXT,
     allowNull: true,
     field: 'qr_code_url'
+  },
+  // Jornada semanal contratada; por encima de ella las horas son extraordinarias
+  weeklyContractedHours: {
+    type: DataTypes.DECIMAL(4, 2),
+    allowNull: false,
+    defaultValue: 40,
+    field: 'weekly_contracted_hours',
+    validate: {
+      min: 0,
+      max: 80
+    }
   }
 }, {
   tableName: 'employees',
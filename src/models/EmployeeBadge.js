@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Tarjetas NFC/RFID de los empleados para fichar en el kiosco
+export const EmployeeBadge = sequelize.define('EmployeeBadge', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  // UID de la tarjeta normalizado (hexadecimal en mayúsculas, sin separadores)
+  uid: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[0-9A-F]{4,64}$/
+    }
+  },
+  label: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'revoked'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  enrolledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'enrolled_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'revoked_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  revokeReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'revoke_reason'
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_used_at'
+  }
+}, {
+  tableName: 'employee_badges',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id']
+    }
+  ]
+});
+
+// Static methods
+// Los lectores envían el UID con o sin separadores y en cualquier caja: "04:a2:1b:..." o "04A21B..."
+EmployeeBadge.normalizeUid = function(uid) {
+  if (uid === undefined || uid === null) return null;
+  const normalized = String(uid).replace(/[\s:-]/g, '').toUpperCase();
+  return /^[0-9A-F]{4,64}$/.test(normalized) ? normalized : null;
+};
@@ -0,0 +1,48 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Asignación de empleados a centros de trabajo
+export const EmployeeWorkSite = sequelize.define('EmployeeWorkSite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  workSiteId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'work_site_id',
+    references: {
+      model: 'work_sites',
+      key: 'id'
+    }
+  },
+  isPrimary: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'is_primary'
+  }
+}, {
+  tableName: 'employee_work_sites',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'work_site_id'],
+      unique: true
+    },
+    {
+      fields: ['work_site_id']
+    }
+  ]
+});
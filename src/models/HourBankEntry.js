@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Movimientos de la bolsa de horas: el saldo de un empleado es la suma de sus minutos
+export const HourBankEntry = sequelize.define('HourBankEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  // accrual: exceso o defecto de un día trabajado; time_off y payout: compensación; adjustment: ajuste manual
+  type: {
+    type: DataTypes.ENUM('accrual', 'time_off', 'payout', 'adjustment'),
+    allowNull: false
+  },
+  // Día que generó el movimiento (o día libre disfrutado)
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // Positivo suma al saldo, negativo lo reduce
+  minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Desglose del cálculo (horas trabajadas, previstas, extra...)
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'hour_bank_entries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'date']
+    },
+    {
+      // Un único devengo por empleado y día
+      unique: true,
+      fields: ['employee_id', 'date'],
+      where: { type: 'accrual' },
+      name: 'hour_bank_entries_accrual_unique'
+    }
+  ]
+});
+
+HourBankEntry.getTypeLabel = function(type) {
+  const types = {
+    accrual: 'Devengo',
+    time_off: 'Compensación con descanso',
+    payout: 'Pago de horas',
+    adjustment: 'Ajuste manual'
+  };
+  return types[type] || 'Desconocido';
+};
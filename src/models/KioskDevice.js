@@ -0,0 +1,114 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Kioscos dados de alta: solo ellos pueden registrar fichajes desde /api/kiosk
+export const KioskDevice = sequelize.define('KioskDevice', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  workSiteId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'work_site_id',
+    references: {
+      model: 'work_sites',
+      key: 'id'
+    }
+  },
+  // Solo se guarda el hash de la credencial; el secreto se muestra una vez al darlo de alta
+  credentialHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'credential_hash'
+  },
+  credentialIssuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    field: 'credential_issued_at'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'revoked'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  enrolledBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'enrolled_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'revoked_at'
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'revoked_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  revokeReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'revoke_reason'
+  },
+  // Último latido enviado por el kiosco
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_seen_at'
+  },
+  lastSeenIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    field: 'last_seen_ip'
+  },
+  appVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'app_version'
+  },
+  pendingPunches: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'pending_punches'
+  }
+}, {
+  tableName: 'kiosk_devices',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Las respuestas nunca incluyen el hash de la credencial
+KioskDevice.prototype.toJSON = function() {
+  const values = { ...this.get() };
+  delete values.credentialHash;
+  return values;
+};
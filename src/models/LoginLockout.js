@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Intentos fallidos de login por código de empleado, con el bloqueo temporal que provocan.
+// También se registran códigos que no existen para que la respuesta no delate qué cuentas son válidas.
+export const LoginLockout = sequelize.define('LoginLockout', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeCode: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    field: 'employee_code'
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  // Fallos seguidos desde el último acceso correcto o desde que terminó el último bloqueo
+  failedAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'failed_attempts'
+  },
+  lastFailedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_failed_at'
+  },
+  lastFailedIp: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'last_failed_ip'
+  },
+  lastChannel: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    field: 'last_channel'
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until'
+  },
+  // Bloqueos seguidos; cada uno dura el doble que el anterior
+  lockoutCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'lockout_count'
+  }
+}, {
+  tableName: 'login_lockouts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['locked_until']
+    }
+  ]
+});
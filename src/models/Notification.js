@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Avisos internos para empleados y administradores
+export const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  // Datos de contexto (ids de fichajes, fechas...)
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'read_at'
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'read_at']
+    },
+    {
+      fields: ['type']
+    }
+  ]
+});
@@ -0,0 +1,80 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Perfiles guardados de exportación a nómina: columnas, formato y códigos del proveedor
+export const PayrollExportProfile = sequelize.define('PayrollExportProfile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Columnas en orden: [{ header, field, absenceCode?, value? }]
+  columns: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  delimiter: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: ';'
+  },
+  decimalSeparator: {
+    type: DataTypes.STRING(1),
+    allowNull: false,
+    defaultValue: ',',
+    field: 'decimal_separator'
+  },
+  // Formato de las fechas con los tokens DD, MM y YYYY
+  dateFormat: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'DD/MM/YYYY',
+    field: 'date_format'
+  },
+  includeHeader: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'include_header'
+  },
+  // Vacation.type -> código de ausencia del proveedor de nómina
+  absenceCodes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    field: 'absence_codes'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'created_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payroll_export_profiles',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
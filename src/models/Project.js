@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Proyectos con los que se etiquetan las entradas y los cambios de proyecto
+export const Project = sequelize.define('Project', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true,
+    validate: {
+      notEmpty: true
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  costCenterId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'cost_center_id',
+    references: {
+      model: 'cost_centers',
+      key: 'id'
+    }
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'projects',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['cost_center_id']
+    }
+  ]
+});
@@ -0,0 +1,113 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Solicitudes de corrección de fichajes hechas por los empleados
+export const PunchCorrectionRequest = sequelize.define('PunchCorrectionRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  // missing_punch: falta un fichaje; correction: un fichaje existente tiene la hora mal
+  requestType: {
+    type: DataTypes.ENUM('missing_punch', 'correction'),
+    allowNull: false,
+    field: 'request_type'
+  },
+  recordId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'record_id',
+    references: {
+      model: 'records',
+      key: 'id'
+    }
+  },
+  punchType: {
+    type: DataTypes.ENUM('checkin', 'checkout', 'break_start', 'break_end'),
+    allowNull: false,
+    field: 'punch_type'
+  },
+  proposedTimestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'proposed_timestamp'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [3, 1000]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reviewed_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  },
+  reviewNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'review_notes'
+  },
+  // Fichaje creado o ajustado al aprobar la solicitud
+  resultingRecordId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'resulting_record_id',
+    references: {
+      model: 'records',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'punch_correction_requests',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'status']
+    },
+    {
+      fields: ['status', 'created_at']
+    },
+    {
+      fields: ['record_id']
+    }
+  ]
+});
+
+// Static methods
+PunchCorrectionRequest.getStatusLabel = function(status) {
+  const statuses = {
+    pending: 'Pendiente',
+    approved: 'Aprobada',
+    rejected: 'Rechazada'
+  };
+  return statuses[status] || 'Desconocido';
+};
@@ -0,0 +1,68 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Tokens QR de corta duración emitidos al móvil del empleado; cada uno sirve para un solo fichaje
+export const QrPunchToken = sequelize.define('QrPunchToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  nonce: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  // Al emitir un token nuevo los anteriores sin usar dejan de valer
+  supersededAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'superseded_at'
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'used_at'
+  },
+  kioskDeviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'kiosk_device_id',
+    references: {
+      model: 'kiosk_devices',
+      key: 'id'
+    }
+  },
+  recordId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'record_id'
+  }
+}, {
+  tableName: 'qr_punch_tokens',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'created_at']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
@@ -1,4 +1,5 @@
 import { DataTypes } from 'sequelize';
+import crypto from 'crypto';
 import sequelize from '../config/database.js';
 
 export const Record = sequelize.define('Record', {
@@ -17,7 +18,7 @@ export const Record = sequelize.define('Record', {
     }
   },
   type: {
-    type: DataTypes.ENUM('checkin', 'checkout'),
+    type: DataTypes.ENUM('checkin', 'checkout', 'break_start', 'break_end', 'project_switch'),
     allowNull: false
   },
   timestamp: {
@@ -37,12 +38,127 @@ export const Record = sequelize.define('Record', {
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // Solicitud de corrección que creó o ajustó este fichaje
+  correctionRequestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'correction_request_id'
+  },
+  // Proyecto al que se imputa el tiempo desde este fichaje (entrada o cambio de proyecto)
+  projectId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'project_id',
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  // Centro de trabajo y resultado de la validación de la geovalla
+  workSiteId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'work_site_id',
+    references: {
+      model: 'work_sites',
+      key: 'id'
+    }
+  },
+  geofenceStatus: {
+    type: DataTypes.ENUM('inside', 'outside', 'no_location', 'no_site'),
+    allowNull: true,
+    field: 'geofence_status'
+  },
+  geofenceDistanceMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'geofence_distance_meters'
+  },
+  // Fichajes que un administrador debe revisar
+  isFlagged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_flagged'
+  },
+  flagReason: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'flag_reason'
+  },
+  // Fichajes capturados sin conexión y sincronizados después
+  idempotencyKey: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    unique: true,
+    field: 'idempotency_key'
+  },
+  clientTimestamp: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'client_timestamp'
+  },
+  deviceId: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'device_id'
+  },
+  // Kiosco registrado desde el que se fichó
+  kioskDeviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'kiosk_device_id',
+    references: {
+      model: 'kiosk_devices',
+      key: 'id'
+    }
+  },
+  // Modalidad de trabajo de la jornada; las salidas y pausas heredan la de su entrada
+  workMode: {
+    type: DataTypes.ENUM('on_site', 'remote', 'travelling'),
+    allowNull: false,
+    defaultValue: 'on_site',
+    field: 'work_mode'
+  },
+  // Tarjeta NFC/RFID con la que se fichó
+  badgeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'badge_id',
+    references: {
+      model: 'employee_badges',
+      key: 'id'
+    }
+  },
+  // Cadena de hashes por empleado (evidencia de manipulación)
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  previousHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'previous_hash'
+  },
+  hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  // Versión de Record.CHAIN_FIELDS con la que se calculó el hash (null en los fichajes de la versión 1)
+  hashVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'hash_version'
   }
 }, {
   tableName: 'records',
   timestamps: true,
   createdAt: 'created_at',
   updatedAt: 'updated_at',
+  // Los fichajes eliminados se conservan como lápidas (registro de jornada)
+  paranoid: true,
+  deletedAt: 'deleted_at',
   indexes: [
     {
       fields: ['employee_id', 'timestamp']
@@ -52,6 +168,161 @@ export const Record = sequelize.define('Record', {
     },
     {
       fields: ['timestamp']
+    },
+    {
+      fields: ['employee_id', 'sequence'],
+      unique: true
+    },
+    {
+      fields: ['work_site_id', 'timestamp']
+    },
+    {
+      fields: ['project_id', 'timestamp']
+    },
+    {
+      fields: ['kiosk_device_id', 'timestamp']
     }
-  ]
+  ],
+  hooks: {
+    beforeCreate: async (record, options) => {
+      await Record.sealRecord(record, options.transaction);
+    },
+    beforeBulkCreate: async (records, options) => {
+      const lastLinks = {};
+      for (const record of records) {
+        lastLinks[record.employeeId] = await Record.sealRecord(
+          record,
+          options.transaction,
+          lastLinks[record.employeeId]
+        );
+      }
+    }
+  }
 });
+
+// Estado del empleado según su último fichaje
+Record.PUNCH_STATES = {
+  out: ['checkin'],
+  working: ['break_start', 'checkout', 'project_switch'],
+  on_break: ['break_end']
+};
+
+Record.getPunchState = function(lastRecord) {
+  if (!lastRecord) return 'out';
+
+  switch (lastRecord.type) {
+    case 'checkin':
+    case 'break_end':
+    case 'project_switch':
+      return 'working';
+    case 'break_start':
+      return 'on_break';
+    default:
+      return 'out';
+  }
+};
+
+Record.canTransition = function(lastRecord, type) {
+  return Record.PUNCH_STATES[Record.getPunchState(lastRecord)].includes(type);
+};
+
+// Modalidades de trabajo: presencial, teletrabajo y desplazamiento
+Record.WORK_MODES = ['on_site', 'remote', 'travelling'];
+
+Record.getWorkModeLabel = function(workMode) {
+  const modes = {
+    on_site: 'Presencial',
+    remote: 'Teletrabajo',
+    travelling: 'Desplazamiento'
+  };
+  return modes[workMode] || workMode;
+};
+
+Record.getTypeLabel = function(type) {
+  const types = {
+    checkin: 'Entrada',
+    checkout: 'Salida',
+    break_start: 'Inicio de pausa',
+    break_end: 'Fin de pausa',
+    project_switch: 'Cambio de proyecto'
+  };
+  return types[type] || type;
+};
+
+// Campos que protege el hash de cada fichaje, por versión. Los fichajes nuevos se sellan con
+// la última versión y cada fichaje se verifica con la suya, así los antiguos siguen siendo válidos.
+const CHAIN_FIELDS_V1 = ['id', 'employeeId', 'type', 'timestamp', 'device', 'location', 'notes', 'sequence', 'previousHash'];
+
+Record.CHAIN_FIELDS = {
+  1: CHAIN_FIELDS_V1,
+  2: [
+    ...CHAIN_FIELDS_V1,
+    'hashVersion',
+    'workMode',
+    'projectId',
+    'workSiteId',
+    'geofenceStatus',
+    'geofenceDistanceMeters',
+    'isFlagged',
+    'flagReason',
+    'kioskDeviceId',
+    'badgeId',
+    'correctionRequestId',
+    'clientTimestamp',
+    'deviceId'
+  ]
+};
+
+Record.CHAIN_VERSION = 2;
+
+const CHAIN_DATE_FIELDS = ['timestamp', 'clientTimestamp'];
+
+// JSON con claves ordenadas, para que JSONB no altere el hash al reordenarlas
+const canonicalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value ?? null;
+};
+
+Record.computeChainHash = function(fields) {
+  const version = fields.hashVersion || 1;
+  const payload = Record.CHAIN_FIELDS[version].map(field => {
+    const value = CHAIN_DATE_FIELDS.includes(field) && fields[field] ? new Date(fields[field]) : fields[field];
+    return canonicalize(value);
+  });
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+};
+
+/**
+ * Enlaza un fichaje nuevo con el último fichaje del empleado (incluidos los eliminados)
+ */
+Record.sealRecord = async function(record, transaction = null, lastLink = null) {
+  if (!record.timestamp) record.timestamp = new Date();
+
+  let link = lastLink;
+  if (!link) {
+    const lastRecord = await Record.findOne({
+      where: { employeeId: record.employeeId },
+      order: [['sequence', 'DESC NULLS LAST']],
+      attributes: ['sequence', 'hash'],
+      paranoid: false,
+      transaction
+    });
+    link = lastRecord && lastRecord.sequence
+      ? { sequence: lastRecord.sequence, hash: lastRecord.hash }
+      : { sequence: 0, hash: null };
+  }
+
+  record.sequence = link.sequence + 1;
+  record.previousHash = link.hash;
+  record.hashVersion = Record.CHAIN_VERSION;
+  record.hash = Record.computeChainHash(record.get());
+
+  return { sequence: record.sequence, hash: record.hash };
+};
@@ -0,0 +1,72 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Foto tomada por el kiosco al fichar; la imagen está en el almacén de fotos, aquí solo su referencia
+export const RecordPhoto = sequelize.define('RecordPhoto', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  recordId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'record_id',
+    references: {
+      model: 'records',
+      key: 'id'
+    }
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  kioskDeviceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'kiosk_device_id',
+    references: {
+      model: 'kiosk_devices',
+      key: 'id'
+    }
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'storage_key'
+  },
+  mimeType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'mime_type'
+  },
+  sizeBytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'size_bytes'
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  }
+}, {
+  tableName: 'record_photos',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['employee_id', 'created_at']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
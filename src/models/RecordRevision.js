@@ -0,0 +1,116 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Historial inmutable de cambios sobre los fichajes (registro de jornada)
+export const RecordRevision = sequelize.define('RecordRevision', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  recordId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'record_id',
+    references: {
+      model: 'records',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM('update', 'delete'),
+    allowNull: false
+  },
+  // Valores del fichaje antes y después del cambio
+  before: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  after: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  changedFields: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+    field: 'changed_fields'
+  },
+  // null en los cambios automáticos del sistema (p. ej. marcar una salida olvidada)
+  changedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'changed_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [3, 1000]
+    }
+  }
+}, {
+  tableName: 'record_revisions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['record_id', 'created_at']
+    },
+    {
+      fields: ['changed_by']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Record revisions are immutable');
+    },
+    beforeDestroy: () => {
+      throw new Error('Record revisions are immutable');
+    },
+    beforeBulkUpdate: () => {
+      throw new Error('Record revisions are immutable');
+    },
+    beforeBulkDestroy: () => {
+      throw new Error('Record revisions are immutable');
+    }
+  }
+});
+
+// Campos del fichaje que se guardan en cada revisión: todos los que protege el hash,
+// para poder verificar la cadena con los valores originales
+RecordRevision.TRACKED_FIELDS = [
+  'employeeId',
+  'type',
+  'timestamp',
+  'device',
+  'location',
+  'notes',
+  'projectId',
+  'workMode',
+  'workSiteId',
+  'geofenceStatus',
+  'geofenceDistanceMeters',
+  'isFlagged',
+  'flagReason',
+  'kioskDeviceId',
+  'badgeId',
+  'correctionRequestId',
+  'clientTimestamp',
+  'deviceId'
+];
+
+RecordRevision.snapshot = function(record) {
+  const snapshot = {};
+  RecordRevision.TRACKED_FIELDS.forEach(field => {
+    const value = record.get(field);
+    snapshot[field] = value instanceof Date ? value.toISOString() : value ?? null;
+  });
+  return snapshot;
+};
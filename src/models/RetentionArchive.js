@@ -0,0 +1,104 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Índice de los ficheros de archivo generados por la política de conservación
+export const RetentionArchive = sequelize.define('RetentionArchive', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  dataType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'data_type'
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true,
+    field: 'file_name'
+  },
+  rowCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'row_count'
+  },
+  sizeBytes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'size_bytes'
+  },
+  // SHA-256 del fichero comprimido
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  cutoffDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'cutoff_date'
+  },
+  oldestAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'oldest_at'
+  },
+  newestAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'newest_at'
+  },
+  employeeIds: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    field: 'employee_ids'
+  },
+  // Último eslabón archivado de la cadena de hashes de cada empleado: { employeeId: { sequence, hash } }
+  chainAnchors: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'chain_anchors'
+  },
+  status: {
+    type: DataTypes.ENUM('archived', 'restored'),
+    allowNull: false,
+    defaultValue: 'archived'
+  },
+  restoredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'restored_at'
+  },
+  restoredBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'restored_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  // Las filas restauradas no se vuelven a archivar hasta esta fecha
+  holdUntil: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'hold_until'
+  },
+  restoreReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'restore_reason'
+  }
+}, {
+  tableName: 'retention_archives',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['data_type', 'created_at']
+    }
+  ]
+});
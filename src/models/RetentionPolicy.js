@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Plazo de conservación configurado para cada tipo de dato
+export const RetentionPolicy = sequelize.define('RetentionPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  dataType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    field: 'data_type'
+  },
+  retentionDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'retention_days',
+    validate: {
+      min: 1
+    }
+  },
+  // Si es false las filas caducadas se eliminan sin archivarlas
+  archiveBeforePurge: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'archive_before_purge'
+  },
+  isEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'is_enabled'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at'
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'retention_policies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
@@ -50,6 +50,13 @@ export const ScheduleTemplateDay = sequelize.define('ScheduleTemplateDay', {
     defaultValue: true,
     field: 'is_working_day'
   },
+  // Modalidad de trabajo prevista para el día (presencial, teletrabajo o desplazamiento)
+  workMode: {
+    type: DataTypes.ENUM('on_site', 'remote', 'travelling'),
+    allowNull: false,
+    defaultValue: 'on_site',
+    field: 'work_mode'
+  },
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -0,0 +1,69 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Registro de eventos de seguridad (intentos de acceso fallidos, bloqueos...)
+export const SecurityEvent = sequelize.define('SecurityEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  employeeCode: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'employee_code'
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'employee_id'
+  },
+  ip: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'user_agent'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'security_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['employee_code', 'created_at']
+    },
+    {
+      fields: ['type', 'created_at']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Guarda un evento con la IP y el navegador de la petición. Un fallo al guardar no interrumpe la petición.
+SecurityEvent.log = async function(type, req, fields = {}) {
+  try {
+    return await SecurityEvent.create({
+      type,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.substring(0, 255) || null,
+      ...fields
+    });
+  } catch (error) {
+    console.error('Security event log error:', error);
+    return null;
+  }
+};
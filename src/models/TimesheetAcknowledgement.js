@@ -0,0 +1,76 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Respuesta de un empleado al resumen mensual de su jornada
+export const TimesheetAcknowledgement = sequelize.define('TimesheetAcknowledgement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  month: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 12
+    }
+  },
+  // disputed: hay días reclamados sin resolver; resolved: resueltos, pendiente de aceptar de nuevo
+  status: {
+    type: DataTypes.ENUM('accepted', 'disputed', 'resolved'),
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.ENUM('portal', 'kiosk'),
+    allowNull: true
+  },
+  // SHA-256 del contenido exacto aceptado (fichajes y totales)
+  contentHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'content_hash'
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'accepted_at'
+  }
+}, {
+  tableName: 'timesheet_acknowledgements',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['employee_id', 'year', 'month']
+    },
+    {
+      fields: ['year', 'month', 'status']
+    }
+  ]
+});
+
+TimesheetAcknowledgement.getStatusLabel = function(status) {
+  const statuses = {
+    accepted: 'Aceptado',
+    disputed: 'Reclamado',
+    resolved: 'Reclamación resuelta',
+    pending: 'Sin respuesta'
+  };
+  return statuses[status] || 'Desconocido';
+};
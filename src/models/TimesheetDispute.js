@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Día del resumen mensual reclamado por un empleado
+export const TimesheetDispute = sequelize.define('TimesheetDispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  acknowledgementId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'acknowledgement_id',
+    references: {
+      model: 'timesheet_acknowledgements',
+      key: 'id'
+    }
+  },
+  employeeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'employee_id',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [3, 1000]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'resolved'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'resolved_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'resolution_notes'
+  }
+}, {
+  tableName: 'timesheet_disputes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['acknowledgement_id']
+    },
+    {
+      fields: ['employee_id', 'date']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
@@ -0,0 +1,52 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Política de fichaje configurada para cada modalidad de trabajo
+export const WorkModePolicy = sequelize.define('WorkModePolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  workMode: {
+    type: DataTypes.ENUM('on_site', 'remote', 'travelling'),
+    allowNull: false,
+    unique: true,
+    field: 'work_mode'
+  },
+  // Rechaza la entrada o salida si no se envía una ubicación válida
+  requireLocation: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'require_location'
+  },
+  // Comprueba la ubicación contra los centros de trabajo asignados
+  applyGeofence: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true,
+    field: 'apply_geofence'
+  },
+  // Marca para revisión las entradas en esta modalidad en días con otra modalidad prevista
+  flagIfNotScheduled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'flag_if_not_scheduled'
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'employees',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'work_mode_policies',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+});
@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Centros de trabajo con su geovalla (centro y radio)
+export const WorkSite = sequelize.define('WorkSite', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: false,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
+  radiusMeters: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 100,
+    field: 'radius_meters',
+    validate: {
+      min: 10,
+      max: 50000
+    }
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'Europe/Madrid'
+  },
+  // Qué hacer con un fichaje fuera de la geovalla
+  geofencePolicy: {
+    type: DataTypes.ENUM('reject', 'flag', 'warn'),
+    allowNull: false,
+    defaultValue: 'flag',
+    field: 'geofence_policy'
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    field: 'is_active'
+  }
+}, {
+  tableName: 'work_sites',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['is_active']
+    }
+  ]
+});
+
+// Static methods
+WorkSite.getPolicyLabel = function(policy) {
+  const policies = {
+    reject: 'Rechazar fichaje',
+    flag: 'Marcar para revisión',
+    warn: 'Aceptar con aviso'
+  };
+  return policies[policy] || 'Desconocida';
+};
@@ -7,6 +7,27 @@ import { WeeklySchedule } from './WeeklySchedule.js';
 import { DailyScheduleException } from './DailyScheduleException.js';
 import { ScheduleBreak } from './ScheduleBreak.js';
 import { Vacation } from './Vacation.js';
+import { RecordRevision } from './RecordRevision.js';
+import { PunchCorrectionRequest } from './PunchCorrectionRequest.js';
+import { WorkSite } from './WorkSite.js';
+import { EmployeeWorkSite } from './EmployeeWorkSite.js';
+import { Notification } from './Notification.js';
+import { HourBankEntry } from './HourBankEntry.js';
+import { TimesheetAcknowledgement } from './TimesheetAcknowledgement.js';
+import { TimesheetDispute } from './TimesheetDispute.js';
+import { PayrollExportProfile } from './PayrollExportProfile.js';
+import { CostCenter } from './CostCenter.js';
+import { Project } from './Project.js';
+import { SecurityEvent } from './SecurityEvent.js';
+import { AiChatLog } from './AiChatLog.js';
+import { RetentionPolicy } from './RetentionPolicy.js';
+import { RetentionArchive } from './RetentionArchive.js';
+import { KioskDevice } from './KioskDevice.js';
+import { QrPunchToken } from './QrPunchToken.js';
+import { EmployeeBadge } from './EmployeeBadge.js';
+import { RecordPhoto } from './RecordPhoto.js';
+import { LoginLockout } from './LoginLockout.js';
+import { WorkModePolicy } from './WorkModePolicy.js';
 
 // Define associations
 Employee.hasMany(Record, {
@@ -19,6 +40,281 @@ Record.belongsTo(Employee, {
   as: 'employee'
 });
 
+// Record revision (audit trail) associations
+Record.hasMany(RecordRevision, {
+  foreignKey: 'recordId',
+  as: 'revisions'
+});
+
+RecordRevision.belongsTo(Record, {
+  foreignKey: 'recordId',
+  as: 'record'
+});
+
+RecordRevision.belongsTo(Employee, {
+  foreignKey: 'changedBy',
+  as: 'author'
+});
+
+// Work site associations
+Employee.belongsToMany(WorkSite, {
+  through: EmployeeWorkSite,
+  foreignKey: 'employeeId',
+  otherKey: 'workSiteId',
+  as: 'workSites'
+});
+
+WorkSite.belongsToMany(Employee, {
+  through: EmployeeWorkSite,
+  foreignKey: 'workSiteId',
+  otherKey: 'employeeId',
+  as: 'employees'
+});
+
+WorkSite.hasMany(Record, {
+  foreignKey: 'workSiteId',
+  as: 'records'
+});
+
+Record.belongsTo(WorkSite, {
+  foreignKey: 'workSiteId',
+  as: 'workSite'
+});
+
+// Project and cost center associations
+CostCenter.hasMany(Project, {
+  foreignKey: 'costCenterId',
+  as: 'projects'
+});
+
+Project.belongsTo(CostCenter, {
+  foreignKey: 'costCenterId',
+  as: 'costCenter'
+});
+
+Project.hasMany(Record, {
+  foreignKey: 'projectId',
+  as: 'records'
+});
+
+Record.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+// Kiosk device associations
+KioskDevice.hasMany(Record, {
+  foreignKey: 'kioskDeviceId',
+  as: 'records'
+});
+
+Record.belongsTo(KioskDevice, {
+  foreignKey: 'kioskDeviceId',
+  as: 'kioskDevice'
+});
+
+KioskDevice.belongsTo(WorkSite, {
+  foreignKey: 'workSiteId',
+  as: 'workSite'
+});
+
+KioskDevice.belongsTo(Employee, {
+  foreignKey: 'enrolledBy',
+  as: 'enroller'
+});
+
+KioskDevice.belongsTo(Employee, {
+  foreignKey: 'revokedBy',
+  as: 'revoker'
+});
+
+// QR punch token associations
+Employee.hasMany(QrPunchToken, {
+  foreignKey: 'employeeId',
+  as: 'qrPunchTokens'
+});
+
+QrPunchToken.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+QrPunchToken.belongsTo(KioskDevice, {
+  foreignKey: 'kioskDeviceId',
+  as: 'kioskDevice'
+});
+
+// Employee badge associations
+Employee.hasMany(EmployeeBadge, {
+  foreignKey: 'employeeId',
+  as: 'badges'
+});
+
+EmployeeBadge.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+EmployeeBadge.belongsTo(Employee, {
+  foreignKey: 'enrolledBy',
+  as: 'enroller'
+});
+
+EmployeeBadge.belongsTo(Employee, {
+  foreignKey: 'revokedBy',
+  as: 'revoker'
+});
+
+EmployeeBadge.hasMany(Record, {
+  foreignKey: 'badgeId',
+  as: 'records'
+});
+
+Record.belongsTo(EmployeeBadge, {
+  foreignKey: 'badgeId',
+  as: 'badge'
+});
+
+// Record photo associations
+Record.hasOne(RecordPhoto, {
+  foreignKey: 'recordId',
+  as: 'photo'
+});
+
+RecordPhoto.belongsTo(Record, {
+  foreignKey: 'recordId',
+  as: 'record'
+});
+
+RecordPhoto.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+RecordPhoto.belongsTo(KioskDevice, {
+  foreignKey: 'kioskDeviceId',
+  as: 'kioskDevice'
+});
+
+// Work mode policy associations
+WorkModePolicy.belongsTo(Employee, {
+  foreignKey: 'updatedBy',
+  as: 'updater'
+});
+
+// Login lockout associations
+LoginLockout.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+// Notification associations
+Employee.hasMany(Notification, {
+  foreignKey: 'employeeId',
+  as: 'notifications'
+});
+
+Notification.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+// Hour bank associations
+Employee.hasMany(HourBankEntry, {
+  foreignKey: 'employeeId',
+  as: 'hourBankEntries'
+});
+
+HourBankEntry.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+HourBankEntry.belongsTo(Employee, {
+  foreignKey: 'createdBy',
+  as: 'author'
+});
+
+// Timesheet acknowledgement associations
+Employee.hasMany(TimesheetAcknowledgement, {
+  foreignKey: 'employeeId',
+  as: 'timesheetAcknowledgements'
+});
+
+TimesheetAcknowledgement.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+TimesheetAcknowledgement.hasMany(TimesheetDispute, {
+  foreignKey: 'acknowledgementId',
+  as: 'disputes'
+});
+
+TimesheetDispute.belongsTo(TimesheetAcknowledgement, {
+  foreignKey: 'acknowledgementId',
+  as: 'acknowledgement'
+});
+
+TimesheetDispute.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+TimesheetDispute.belongsTo(Employee, {
+  foreignKey: 'resolvedBy',
+  as: 'resolver'
+});
+
+// Payroll export profile associations
+PayrollExportProfile.belongsTo(Employee, {
+  foreignKey: 'createdBy',
+  as: 'creator'
+});
+
+// Retention associations
+RetentionPolicy.belongsTo(Employee, {
+  foreignKey: 'updatedBy',
+  as: 'updater'
+});
+
+RetentionArchive.belongsTo(Employee, {
+  foreignKey: 'restoredBy',
+  as: 'restorer'
+});
+
+// Punch correction request associations
+Employee.hasMany(PunchCorrectionRequest, {
+  foreignKey: 'employeeId',
+  as: 'correctionRequests'
+});
+
+PunchCorrectionRequest.belongsTo(Employee, {
+  foreignKey: 'employeeId',
+  as: 'employee'
+});
+
+PunchCorrectionRequest.belongsTo(Employee, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+PunchCorrectionRequest.belongsTo(Record, {
+  foreignKey: 'recordId',
+  as: 'record'
+});
+
+PunchCorrectionRequest.belongsTo(Record, {
+  foreignKey: 'resultingRecordId',
+  as: 'resultingRecord'
+});
+
+Record.belongsTo(PunchCorrectionRequest, {
+  foreignKey: 'correctionRequestId',
+  as: 'correctionRequest',
+  constraints: false
+});
+
 Employee.hasMany(Schedule, {
   foreignKey: 'employeeId',
   as: 'schedules'
@@ -152,4 +448,4 @@ ScheduleBreak.belongsTo(Employee, {
 // Note: ScheduleBreak uses polymorphic associations via parentType/parentId
 // The actual relationships are handled in the service layer
 
-export { Employee, Record, Schedule, ScheduleTemplate, ScheduleTemplateDay, WeeklySchedule, DailyScheduleException, ScheduleBreak, Vacation };
+export { Employee, Record, Schedule, ScheduleTemplate, ScheduleTemplateDay, WeeklySchedule, DailyScheduleException, ScheduleBreak, Vacation, RecordRevision, PunchCorrectionRequest, WorkSite, EmployeeWorkSite, Notification, HourBankEntry, TimesheetAcknowledgement, TimesheetDispute, PayrollExportProfile, CostCenter, Project, SecurityEvent, AiChatLog, RetentionPolicy, RetentionArchive, KioskDevice, QrPunchToken, EmployeeBadge, RecordPhoto, LoginLockout, WorkModePolicy };
@@ -0,0 +1,97 @@
+import express from 'express';
+import { AdherenceService } from '../services/adherenceService.js';
+import { Employee, EmployeeWorkSite } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const parseGraceMinutes = (value) => {
+  if (value === undefined) return AdherenceService.defaultGraceMinutes;
+  const graceMinutes = parseInt(value);
+  return isNaN(graceMinutes) || graceMinutes < 0 ? null : graceMinutes;
+};
+
+// Adherence summary for all active employees (admin only)
+router.get('/summary', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate, employeeIds, workSiteId } = req.query;
+    const graceMinutes = parseGraceMinutes(req.query.graceMinutes);
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    if (graceMinutes === null) {
+      return res.status(400).json({ error: 'graceMinutes must be a positive number' });
+    }
+
+    let selectedIds = employeeIds ? employeeIds.split(',') : null;
+
+    if (workSiteId) {
+      const assignments = await EmployeeWorkSite.findAll({ where: { workSiteId } });
+      const siteEmployeeIds = assignments.map(a => a.employeeId);
+      selectedIds = selectedIds ? selectedIds.filter(id => siteEmployeeIds.includes(id)) : siteEmployeeIds;
+    }
+
+    const reports = await AdherenceService.getTeamAdherence(startDate, endDate, {
+      graceMinutes,
+      employeeIds: selectedIds
+    });
+
+    res.json({
+      data: {
+        dateRange: { startDate, endDate },
+        graceMinutes,
+        workSiteId: workSiteId || null,
+        employees: reports.map(({ employee, summary }) => ({ employee, summary }))
+      }
+    });
+  } catch (error) {
+    console.error('Get adherence summary error:', error);
+    res.status(500).json({ error: 'Server error getting adherence summary' });
+  }
+});
+
+// Planned-vs-actual report for an employee in a date range
+router.get('/employee/:employeeId', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.query;
+    const graceMinutes = parseGraceMinutes(req.query.graceMinutes);
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    if (graceMinutes === null) {
+      return res.status(400).json({ error: 'graceMinutes must be a positive number' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const report = await AdherenceService.getEmployeeAdherence(employeeId, startDate, endDate, { graceMinutes });
+
+    res.json({
+      data: {
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode
+        },
+        ...report
+      }
+    });
+  } catch (error) {
+    console.error('Get adherence report error:', error);
+    res.status(500).json({ error: 'Server error getting adherence report' });
+  }
+});
+
+export default router;
@@ -13,6 +13,7 @@ import { sequelize } from '../database/connection.js';
 import speakeasy from 'speakeasy';
 import QRCode from 'qrcode';
 import { Op } from 'sequelize';
+import { TimesheetService } from '../services/timesheetService.js';
 
 const router = express.Router();
 
@@ -294,10 +295,25 @@ router.get('/analytics', async (req, res) => {
       group: ['employeeId', 'employee.id']
     });
 
+    // Horas trabajadas por empleado (mismo cálculo que /api/timesheets)
+    let workedTimeByEmployee = [];
+    if (startDate && endDate) {
+      const employees = await Employee.findAll({
+        where: { isActive: true },
+        attributes: ['id', 'name', 'employeeCode']
+      });
+      workedTimeByEmployee = await TimesheetService.getTeamSummary(
+        TimesheetService.toDateKey(startDate),
+        TimesheetService.toDateKey(endDate),
+        employees
+      );
+    }
+
     res.json({
       recordsByType,
       dailyActivity,
-      recordsByEmployee
+      recordsByEmployee,
+      workedTimeByEmployee
     });
 
   } catch (error) {
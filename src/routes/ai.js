@@ -3,6 +3,7 @@ import multer from 'multer';
 import AIService from '../services/aiService.js';
 import enhancedAIService from '../services/enhancedAIService.js';
 import embeddingService from '../services/embeddingService.js';
+import { AiChatLog } from '../models/index.js';
 
 const router = express.Router();
 
@@ -98,6 +99,14 @@ router.post('/chat', async (req, res) => {
     
     // Usar el servicio mejorado de IA
     const response = await enhancedAIService.chat(message, userId);
+
+    // Se guarda la conversación; sujeta a la política de conservación ai_chat_logs
+    AiChatLog.create({
+      userId: userId ? String(userId).slice(0, 100) : null,
+      message,
+      response: response.response,
+      responseType: response.type
+    }).catch(error => console.error('AI chat log error:', error));
     
     res.json(response);
   } catch (error) {
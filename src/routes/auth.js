@@ -1,13 +1,45 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import speakeasy from 'speakeasy';
-import { Employee } from '../models/index.js';
+import { Employee, SecurityEvent } from '../models/index.js';
 import { authMiddleware } from '../middleware/authMiddleware.js';
+import { loginRateLimit } from '../middleware/securityMiddleware.js';
+import { loginLockoutGuard, sendLoginLockout } from '../middleware/loginLockoutMiddleware.js';
+import { LoginLockoutService } from '../services/loginLockoutService.js';
 
 const router = express.Router();
 
+const LOCKOUT_MESSAGES = {
+  locked: 'Too many failed attempts. This account is temporarily locked',
+  throttled: 'Too many failed attempts. Wait before trying again',
+  serverError: 'Server error during login'
+};
+
+const loginGuards = [loginRateLimit, loginLockoutGuard(LOCKOUT_MESSAGES)];
+
+// Records the failed attempt and answers 401, or 429 if this attempt locked the account
+const rejectLogin = async (req, res, { channel, employee, error }) => {
+  const { employeeCode } = req.body;
+  console.warn(`🚨 Failed ${channel} login for ${employeeCode} from IP: ${req.ip}`);
+  await SecurityEvent.log('login_failed', req, {
+    employeeCode: LoginLockoutService.normalizeCode(employeeCode),
+    employeeId: employee ? employee.id : null,
+    details: { channel }
+  });
+
+  const lockout = await LoginLockoutService.registerFailure(employeeCode, req, {
+    channel,
+    employeeId: employee ? employee.id : null
+  });
+  if (lockout.status === 'locked') {
+    return sendLoginLockout(res, lockout, LOCKOUT_MESSAGES);
+  }
+
+  return res.status(401).json({ error });
+};
+
 // Login with employee code and PIN
-router.post('/login', async (req, res) => {
+router.post('/login', loginGuards, async (req, res) => {
   try {
     const { employeeCode, pin } = req.body;
 
@@ -20,14 +52,16 @@ router.post('/login', async (req, res) => {
     });
 
     if (!employee) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, { channel: 'pin', error: 'Invalid credentials' });
     }
 
     const isValidPin = await employee.validatePin(pin);
     if (!isValidPin) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return rejectLogin(req, res, { channel: 'pin', employee, error: 'Invalid credentials' });
     }
 
+    await LoginLockoutService.registerSuccess(employeeCode);
+
     const token = jwt.sign(
       { 
         employeeId: employee.id,
@@ -54,7 +88,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Login with TOTP (Google Authenticator)
-router.post('/login/totp', async (req, res) => {
+router.post('/login/totp', loginGuards, async (req, res) => {
   try {
     const { employeeCode, totpCode } = req.body;
 
@@ -67,7 +101,7 @@ router.post('/login/totp', async (req, res) => {
     });
 
     if (!employee || !employee.totpSecret) {
-      return res.status(401).json({ error: 'Invalid credentials or TOTP not configured' });
+      return rejectLogin(req, res, { channel: 'totp', employee, error: 'Invalid credentials or TOTP not configured' });
     }
 
     const verified = speakeasy.totp.verify({
@@ -78,9 +112,11 @@ router.post('/login/totp', async (req, res) => {
     });
 
     if (!verified) {
-      return res.status(401).json({ error: 'Invalid TOTP code' });
+      return rejectLogin(req, res, { channel: 'totp', employee, error: 'Invalid TOTP code' });
     }
 
+    await LoginLockoutService.registerSuccess(employeeCode);
+
     const token = jwt.sign(
       { 
         employeeId: employee.id,
@@ -0,0 +1,175 @@
+import express from 'express';
+import { validate as isUuid } from 'uuid';
+import { Employee, EmployeeBadge } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const BADGE_INCLUDE = [
+  { model: Employee, as: 'employee', attributes: ['id', 'name', 'employeeCode'] },
+  { model: Employee, as: 'enroller', attributes: ['id', 'name'] },
+  { model: Employee, as: 'revoker', attributes: ['id', 'name'] }
+];
+
+const isValidEmployeeId = (employeeId) => typeof employeeId === 'string' && isUuid(employeeId);
+
+const findActiveEmployee = async (employeeId) => {
+  const employee = await Employee.findByPk(employeeId);
+  return employee && employee.isActive ? employee : null;
+};
+
+// Get badges (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId, status } = req.query;
+
+    const whereClause = {};
+    if (employeeId) whereClause.employeeId = employeeId;
+    if (status) whereClause.status = status;
+
+    const badges = await EmployeeBadge.findAll({
+      where: whereClause,
+      include: BADGE_INCLUDE,
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ data: badges });
+  } catch (error) {
+    console.error('Get badges error:', error);
+    res.status(500).json({ error: 'Server error fetching badges' });
+  }
+});
+
+// Badges of an employee (admin or the employee)
+router.get('/employee/:employeeId', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const badges = await EmployeeBadge.findAll({
+      where: { employeeId },
+      attributes: ['id', 'uid', 'label', 'status', 'lastUsedAt', 'created_at'],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ data: badges });
+  } catch (error) {
+    console.error('Get employee badges error:', error);
+    res.status(500).json({ error: 'Server error fetching employee badges' });
+  }
+});
+
+// Enrol a badge for an employee
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId, label } = req.body;
+    const uid = EmployeeBadge.normalizeUid(req.body.uid);
+
+    if (!uid) {
+      return res.status(400).json({ error: 'A valid badge UID (hexadecimal) is required' });
+    }
+
+    if (!isValidEmployeeId(employeeId)) {
+      return res.status(400).json({ error: 'A valid employeeId is required' });
+    }
+
+    if (!(await findActiveEmployee(employeeId))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const existing = await EmployeeBadge.findOne({ where: { uid } });
+    if (existing) {
+      return res.status(409).json({
+        error: 'This badge is already enrolled',
+        badge: { id: existing.id, employeeId: existing.employeeId, status: existing.status }
+      });
+    }
+
+    const badge = await EmployeeBadge.create({
+      employeeId,
+      uid,
+      label: label || null,
+      enrolledBy: req.employee.id
+    });
+
+    res.status(201).json({ data: badge });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'This badge is already enrolled' });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Enrol badge error:', error);
+    res.status(500).json({ error: 'Server error enrolling badge' });
+  }
+});
+
+// Revoke a badge (lost or returned card). Its punches keep referencing it
+router.post('/:id/revoke', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const badge = await EmployeeBadge.findByPk(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    if (badge.status === 'revoked') {
+      return res.status(409).json({ error: 'Badge is already revoked' });
+    }
+
+    await badge.update({
+      status: 'revoked',
+      revokedAt: new Date(),
+      revokedBy: req.employee.id,
+      revokeReason: reason || null
+    });
+
+    res.json({ data: badge });
+  } catch (error) {
+    console.error('Revoke badge error:', error);
+    res.status(500).json({ error: 'Server error revoking badge' });
+  }
+});
+
+// Reassign a badge to another employee; a revoked badge becomes active again
+router.post('/:id/reassign', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId, label } = req.body;
+
+    if (!isValidEmployeeId(employeeId)) {
+      return res.status(400).json({ error: 'A valid employeeId is required' });
+    }
+
+    const badge = await EmployeeBadge.findByPk(req.params.id);
+    if (!badge) {
+      return res.status(404).json({ error: 'Badge not found' });
+    }
+
+    if (!(await findActiveEmployee(employeeId))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    await badge.update({
+      employeeId,
+      ...(label !== undefined && { label }),
+      status: 'active',
+      enrolledBy: req.employee.id,
+      revokedAt: null,
+      revokedBy: null,
+      revokeReason: null,
+      lastUsedAt: null
+    });
+
+    res.json({ data: badge });
+  } catch (error) {
+    console.error('Reassign badge error:', error);
+    res.status(500).json({ error: 'Server error reassigning badge' });
+  }
+});
+
+export default router;
@@ -0,0 +1,222 @@
+import express from 'express';
+import { Record, PunchCorrectionRequest } from '../models/index.js';
+import { CorrectionRequestService } from '../services/correctionRequestService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Why an approval or rejection could not be applied
+const REVIEW_CONFLICTS = {
+  already_reviewed: 'Correction request has already been reviewed',
+  record_not_found: 'The record to correct no longer exists',
+  employee_not_found: 'The employee no longer exists or is inactive',
+  invalid_sequence: 'The corrected punch would break the sequence of punches',
+  invalid_transition: 'The proposed punch does not follow the previous punch',
+  conflicts_with_later_punch: 'The proposed punch conflicts with a later punch'
+};
+
+// List correction requests with filters (admin only, pending by default)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status = 'pending', employeeId, requestType, startDate, endDate, limit, offset } = req.query;
+
+    const result = await CorrectionRequestService.listRequests({
+      status: status === 'all' ? null : status,
+      employeeId,
+      requestType,
+      startDate,
+      endDate,
+      limit,
+      offset
+    });
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Get correction requests error:', error);
+    res.status(500).json({ error: 'Server error fetching correction requests' });
+  }
+});
+
+// Current employee's own requests
+router.get('/mine', authMiddleware, async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+
+    const result = await CorrectionRequestService.listRequests({
+      status,
+      employeeId: req.employee.id,
+      limit,
+      offset
+    });
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Get own correction requests error:', error);
+    res.status(500).json({ error: 'Server error fetching correction requests' });
+  }
+});
+
+// Get a single request (admin or owner)
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const correction = await PunchCorrectionRequest.findByPk(req.params.id, {
+      include: CorrectionRequestService.includes
+    });
+
+    if (!correction) {
+      return res.status(404).json({ error: 'Correction request not found' });
+    }
+
+    if (req.employee.role !== 'admin' && req.employee.id !== correction.employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ data: correction });
+  } catch (error) {
+    console.error('Get correction request error:', error);
+    res.status(500).json({ error: 'Server error fetching correction request' });
+  }
+});
+
+// Propose a missing punch or a corrected time for an existing punch
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { requestType, recordId, punchType, proposedTimestamp, reason } = req.body;
+    const employeeId = req.employee.id;
+
+    if (!['missing_punch', 'correction'].includes(requestType)) {
+      return res.status(400).json({ error: 'requestType must be missing_punch or correction' });
+    }
+
+    if (!proposedTimestamp || isNaN(new Date(proposedTimestamp).getTime())) {
+      return res.status(400).json({ error: 'A valid proposedTimestamp is required' });
+    }
+
+    if (new Date(proposedTimestamp) > new Date()) {
+      return res.status(400).json({ error: 'proposedTimestamp cannot be in the future' });
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length < 3) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    let type = punchType;
+
+    if (requestType === 'correction') {
+      if (!recordId) {
+        return res.status(400).json({ error: 'recordId is required for a correction' });
+      }
+
+      const record = await Record.findByPk(recordId);
+      if (!record || record.employeeId !== employeeId) {
+        return res.status(404).json({ error: 'Record not found' });
+      }
+
+      type = punchType || record.type;
+    } else if (recordId) {
+      return res.status(400).json({ error: 'recordId is only allowed for corrections' });
+    }
+
+    if (!['checkin', 'checkout', 'break_start', 'break_end'].includes(type)) {
+      return res.status(400).json({ error: 'punchType must be checkin, checkout, break_start or break_end' });
+    }
+
+    const duplicate = await PunchCorrectionRequest.findOne({
+      where: {
+        employeeId,
+        status: 'pending',
+        ...(recordId
+          ? { recordId }
+          : { punchType: type, proposedTimestamp: new Date(proposedTimestamp) })
+      }
+    });
+
+    if (duplicate) {
+      return res.status(409).json({ error: 'A pending request already exists for this punch' });
+    }
+
+    const correction = await PunchCorrectionRequest.create({
+      employeeId,
+      requestType,
+      recordId: recordId || null,
+      punchType: type,
+      proposedTimestamp: new Date(proposedTimestamp),
+      reason: reason.trim(),
+      status: 'pending'
+    });
+
+    res.status(201).json({ data: correction });
+  } catch (error) {
+    console.error('Create correction request error:', error);
+    res.status(500).json({ error: 'Server error creating correction request' });
+  }
+});
+
+// Approve or reject a request (admin only)
+router.put('/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reviewNotes } = req.body;
+
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved or rejected' });
+    }
+
+    if (reviewNotes !== undefined && reviewNotes !== null && typeof reviewNotes !== 'string') {
+      return res.status(400).json({ error: 'reviewNotes must be a string' });
+    }
+
+    const notes = reviewNotes ? reviewNotes.trim() || null : null;
+    const result = status === 'approved'
+      ? await CorrectionRequestService.approve(id, req.employee.id, notes)
+      : await CorrectionRequestService.reject(id, req.employee.id, notes);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'Correction request not found' });
+    }
+
+    if (!['approved', 'rejected'].includes(result.status)) {
+      return res.status(409).json({
+        error: REVIEW_CONFLICTS[result.status] || 'The correction cannot be applied',
+        reason: result.status
+      });
+    }
+
+    const updated = await PunchCorrectionRequest.findByPk(id, {
+      include: CorrectionRequestService.includes
+    });
+
+    res.json({ data: updated });
+  } catch (error) {
+    console.error('Update correction request status error:', error);
+    res.status(500).json({ error: 'Server error updating correction request' });
+  }
+});
+
+// Withdraw a pending request (owner only)
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const correction = await PunchCorrectionRequest.findByPk(req.params.id);
+
+    if (!correction) {
+      return res.status(404).json({ error: 'Correction request not found' });
+    }
+
+    if (req.employee.id !== correction.employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(409).json({ error: 'Only pending requests can be withdrawn' });
+    }
+
+    await correction.destroy();
+
+    res.json({ message: 'Correction request withdrawn successfully' });
+  } catch (error) {
+    console.error('Delete correction request error:', error);
+    res.status(500).json({ error: 'Server error deleting correction request' });
+  }
+});
+
+export default router;
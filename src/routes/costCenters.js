@@ -0,0 +1,119 @@
+import express from 'express';
+import { Project, CostCenter } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const COST_CENTER_FIELDS = ['code', 'name', 'description', 'isActive'];
+
+// Get cost centers (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const whereClause = {};
+    if (active !== undefined) whereClause.isActive = active === 'true';
+
+    const costCenters = await CostCenter.findAll({
+      where: whereClause,
+      include: [{ model: Project, as: 'projects', attributes: ['id', 'code', 'name', 'isActive'] }],
+      order: [['code', 'ASC']]
+    });
+
+    res.json({ data: costCenters });
+  } catch (error) {
+    console.error('Get cost centers error:', error);
+    res.status(500).json({ error: 'Server error fetching cost centers' });
+  }
+});
+
+// Create cost center
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, name } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Code and name are required' });
+    }
+
+    const existing = await CostCenter.findOne({ where: { code } });
+    if (existing) {
+      return res.status(409).json({ error: 'A cost center with this code already exists' });
+    }
+
+    const costCenterData = {};
+    COST_CENTER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) costCenterData[field] = req.body[field];
+    });
+
+    const costCenter = await CostCenter.create(costCenterData);
+
+    res.status(201).json({ data: costCenter });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Create cost center error:', error);
+    res.status(500).json({ error: 'Server error creating cost center' });
+  }
+});
+
+// Update cost center
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const costCenter = await CostCenter.findByPk(req.params.id);
+    if (!costCenter) {
+      return res.status(404).json({ error: 'Cost center not found' });
+    }
+
+    if (code && code !== costCenter.code) {
+      const existing = await CostCenter.findOne({ where: { code } });
+      if (existing) {
+        return res.status(409).json({ error: 'A cost center with this code already exists' });
+      }
+    }
+
+    const updateData = {};
+    COST_CENTER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await costCenter.update(updateData);
+
+    res.json({ data: costCenter });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Update cost center error:', error);
+    res.status(500).json({ error: 'Server error updating cost center' });
+  }
+});
+
+// Delete cost center (deactivates it if projects still use it)
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const costCenter = await CostCenter.findByPk(req.params.id);
+    if (!costCenter) {
+      return res.status(404).json({ error: 'Cost center not found' });
+    }
+
+    const projectCount = await Project.count({ where: { costCenterId: costCenter.id } });
+
+    if (projectCount > 0) {
+      await costCenter.update({ isActive: false });
+      return res.json({ message: 'Cost center has projects and was deactivated instead of deleted' });
+    }
+
+    await costCenter.destroy();
+
+    res.json({ message: 'Cost center deleted successfully' });
+  } catch (error) {
+    console.error('Delete cost center error:', error);
+    res.status(500).json({ error: 'Server error deleting cost center' });
+  }
+});
+
+export default router;
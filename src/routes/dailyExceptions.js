@@ -1,6 +1,6 @@
 import express from 'express';
 import { Op } from 'sequelize';
-import { Employee, DailyScheduleException } from '../models/index.js';
+import { Employee, Record, DailyScheduleException } from '../models/index.js';
 
 const router = express.Router();
 
@@ -115,6 +115,7 @@ router.post('/', async (req, res) => {
       breakStartTime,
       breakEndTime,
       isWorkingDay,
+      workMode,
       reason,
       notes,
       createdBy
@@ -146,6 +147,12 @@ router.post('/', async (req, res) => {
         error: `Invalid exception type. Valid types: ${validTypes.join(', ')}` 
       });
     }
+
+    if (workMode !== undefined && !Record.WORK_MODES.includes(workMode)) {
+      return res.status(400).json({ 
+        error: `Invalid work mode. Valid modes: ${Record.WORK_MODES.join(', ')}` 
+      });
+    }
     
     // Check if exception already exists for this date
     const existingException = await DailyScheduleException.findOne({
@@ -178,6 +185,7 @@ router.post('/', async (req, res) => {
       breakStartTime: (isWorkingDay && breakStartTime) ? breakStartTime : null,
       breakEndTime: (isWorkingDay && breakEndTime) ? breakEndTime : null,
       isWorkingDay: isWorkingDay !== undefined ? isWorkingDay : true,
+      workMode: workMode || 'on_site',
       reason,
       notes,
       createdBy
@@ -220,6 +228,7 @@ router.put('/:id', async (req, res) => {
       breakStartTime,
       breakEndTime,
       isWorkingDay,
+      workMode,
       reason,
       notes
     } = req.body;
@@ -239,6 +248,12 @@ router.put('/:id', async (req, res) => {
       }
     }
     
+    if (workMode !== undefined && !Record.WORK_MODES.includes(workMode)) {
+      return res.status(400).json({ 
+        error: `Invalid work mode. Valid modes: ${Record.WORK_MODES.join(', ')}` 
+      });
+    }
+    
     // Update exception
     await exception.update({
       exceptionType: exceptionType || exception.exceptionType,
@@ -247,6 +262,7 @@ router.put('/:id', async (req, res) => {
       breakStartTime: isWorkingDay !== false ? (breakStartTime !== undefined ? breakStartTime : exception.breakStartTime) : null,
       breakEndTime: isWorkingDay !== false ? (breakEndTime !== undefined ? breakEndTime : exception.breakEndTime) : null,
       isWorkingDay: isWorkingDay !== undefined ? isWorkingDay : exception.isWorkingDay,
+      workMode: workMode !== undefined ? workMode : exception.workMode,
       reason: reason !== undefined ? reason : exception.reason,
       notes: notes !== undefined ? notes : exception.notes
     });
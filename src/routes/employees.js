@@ -45,7 +45,7 @@ router.get('/:id', authMiddleware, async (req, res) => {
 // Create new employee (temporarily without auth for testing)
 router.post('/', async (req, res) => {
   try {
-    const { name, email, pin, role = 'employee' } = req.body;
+    const { name, email, pin, role = 'employee', weeklyContractedHours } = req.body;
 
     if (!name || !email || !pin) {
       return res.status(400).json({ error: 'Name, email, and PIN are required' });
@@ -55,6 +55,14 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'PIN must be between 4 and 8 digits' });
     }
 
+    let hours;
+    if (weeklyContractedHours !== undefined) {
+      hours = Number(weeklyContractedHours);
+      if (isNaN(hours) || hours < 0 || hours > 80) {
+        return res.status(400).json({ error: 'weeklyContractedHours must be between 0 and 80' });
+      }
+    }
+
     // Generate unique employee code
     const employeeCode = `EMP${Date.now().toString().slice(-6)}`;
 
@@ -74,7 +82,8 @@ router.post('/', async (req, res) => {
       pinHash: pin, // Will be hashed by the model hook
       role,
       totpSecret: totpSecret.base32,
-      qrCodeUrl
+      qrCodeUrl,
+      ...(hours !== undefined && { weeklyContractedHours: hours })
     });
 
     res.status(201).json({
@@ -96,7 +105,7 @@ router.post('/', async (req, res) => {
 router.put('/:id', authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, pin, role, isActive } = req.body;
+    const { name, email, pin, role, isActive, weeklyContractedHours } = req.body;
 
     // Employees can only update their own profile (limited fields)
     if (req.employee.role !== 'admin' && req.employee.id !== id) {
@@ -123,6 +132,13 @@ router.put('/:id', authMiddleware, async (req, res) => {
     if (req.employee.role === 'admin') {
       if (role !== undefined) updateData.role = role;
       if (isActive !== undefined) updateData.isActive = isActive;
+      if (weeklyContractedHours !== undefined) {
+        const hours = Number(weeklyContractedHours);
+        if (isNaN(hours) || hours < 0 || hours > 80) {
+          return res.status(400).json({ error: 'weeklyContractedHours must be between 0 and 80' });
+        }
+        updateData.weeklyContractedHours = hours;
+      }
     }
 
     await employee.update(updateData);
@@ -0,0 +1,213 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { Employee, HourBankEntry } from '../models/index.js';
+import { HourBankService } from '../services/hourBankService.js';
+import { OvertimeService } from '../services/overtimeService.js';
+import { TimesheetService } from '../services/timesheetService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const ENTRY_TYPES = ['time_off', 'payout', 'adjustment'];
+
+// Hour bank balance of every active employee (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const balances = await HourBankService.getTeamBalances();
+
+    res.json({ data: balances });
+  } catch (error) {
+    console.error('Get hour bank balances error:', error);
+    res.status(500).json({ error: 'Server error fetching hour bank balances' });
+  }
+});
+
+// Balance and ledger of an employee
+router.get('/employee/:employeeId', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate, type, limit = 100, offset = 0 } = req.query;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const whereClause = { employeeId };
+    if (type) whereClause.type = type;
+    if (startDate && endDate) {
+      whereClause.date = { [Op.between]: [startDate, endDate] };
+    }
+
+    const { rows, count } = await HourBankEntry.findAndCountAll({
+      where: whereClause,
+      include: [{ model: Employee, as: 'author', attributes: ['id', 'name'] }],
+      order: [['date', 'DESC'], ['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    const balanceMinutes = await HourBankService.getBalance(employeeId);
+
+    res.json({
+      data: {
+        employeeId,
+        weeklyContractedHours: parseFloat(employee.weeklyContractedHours),
+        balanceMinutes,
+        balanceHours: TimesheetService.toHours(balanceMinutes),
+        entries: rows,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get hour bank error:', error);
+    res.status(500).json({ error: 'Server error fetching hour bank' });
+  }
+});
+
+// Overtime report against the effective schedule and contracted hours
+router.get('/employee/:employeeId/overtime', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const report = await OvertimeService.getEmployeeOvertime(employeeId, startDate, endDate);
+
+    res.json({ data: report });
+  } catch (error) {
+    console.error('Get overtime error:', error);
+    res.status(500).json({ error: 'Server error calculating overtime' });
+  }
+});
+
+// Accrue the balance of the closed days in a range (admin only)
+router.post('/employee/:employeeId/accrue', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.body;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'startDate must be before endDate' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await HourBankService.accrue(employeeId, startDate, endDate, {
+      createdBy: req.employee.id
+    });
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Accrue hour bank error:', error);
+    res.status(500).json({ error: 'Server error accruing hour bank' });
+  }
+});
+
+// Compensate the balance with time off or payment, or adjust it (admin only)
+router.post('/employee/:employeeId/entries', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { type, minutes, hours, date, notes } = req.body;
+
+    if (!ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({ error: 'type must be time_off, payout or adjustment' });
+    }
+
+    const amount = minutes !== undefined ? parseInt(minutes) : Math.round(parseFloat(hours) * 60);
+    if (isNaN(amount) || amount === 0) {
+      return res.status(400).json({ error: 'A non-zero amount of minutes or hours is required' });
+    }
+
+    if (HourBankService.compensationTypes.includes(type) && amount < 0) {
+      return res.status(400).json({ error: 'Compensations must be positive amounts' });
+    }
+
+    if (type === 'adjustment' && !notes) {
+      return res.status(400).json({ error: 'Notes are required for manual adjustments' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (HourBankService.compensationTypes.includes(type)) {
+      const balance = await HourBankService.getBalance(employeeId);
+      if (amount > balance) {
+        return res.status(400).json({ error: 'Insufficient hour bank balance', balanceMinutes: balance });
+      }
+    }
+
+    const entry = await HourBankService.addEntry(employeeId, {
+      type,
+      minutes: amount,
+      date,
+      notes: notes || null,
+      createdBy: req.employee.id
+    });
+
+    const balanceMinutes = await HourBankService.getBalance(employeeId);
+
+    res.status(201).json({
+      data: {
+        entry,
+        balanceMinutes,
+        balanceHours: TimesheetService.toHours(balanceMinutes)
+      }
+    });
+  } catch (error) {
+    console.error('Create hour bank entry error:', error);
+    res.status(500).json({ error: 'Server error creating hour bank entry' });
+  }
+});
+
+// Remove a compensation or adjustment (admin only). Accruals are recalculated, not deleted.
+router.delete('/entries/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const entry = await HourBankEntry.findByPk(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Hour bank entry not found' });
+    }
+
+    if (entry.type === 'accrual') {
+      return res.status(409).json({ error: 'Accruals are updated by recalculating the period' });
+    }
+
+    await entry.destroy();
+
+    res.json({ message: 'Hour bank entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete hour bank entry error:', error);
+    res.status(500).json({ error: 'Server error deleting hour bank entry' });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
+import multer from 'multer';
 import { authMiddleware } from '../middleware/authMiddleware.js';
+import { kioskDeviceMiddleware } from '../middleware/kioskDeviceMiddleware.js';
+import { loginLockoutGuard, sendLoginLockout } from '../middleware/loginLockoutMiddleware.js';
 import { 
   kioskRateLimit, 
   kioskOriginOnly, 
@@ -10,13 +13,147 @@ import {
   deviceDetection,
   timingAttackProtection
 } from '../middleware/securityMiddleware.js';
-import { Employee, Record } from '../models/index.js';
+import { Employee, Record, Project, SecurityEvent, EmployeeBadge, RecordPhoto } from '../models/index.js';
+import { KioskSyncService } from '../services/kioskSyncService.js';
+import { KioskDeviceService } from '../services/kioskDeviceService.js';
+import { QrPunchTokenService } from '../services/qrPunchTokenService.js';
+import { PunchPhotoService } from '../services/punchPhotoService.js';
+import { PunchService } from '../services/punchService.js';
+import { LoginLockoutService } from '../services/loginLockoutService.js';
+import { TimesheetAcknowledgementService } from '../services/timesheetAcknowledgementService.js';
+import { DailySummaryService } from '../services/dailySummaryService.js';
 import jwt from 'jsonwebtoken';
 import speakeasy from 'speakeasy';
 import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
 
 const router = express.Router();
 
+// Configurar multer para la foto del fichaje: se queda en memoria hasta validarla y guardarla
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PunchPhotoService.maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (PunchPhotoService.allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten imágenes JPEG, PNG o WebP'));
+    }
+  }
+});
+
+// Acepta una foto en el campo "photo" (multipart/form-data) y comprueba su contenido.
+// Si es obligatoria se exige con missingPunchPhoto una vez se sabe el tipo de fichaje.
+const acceptPunchPhoto = (req, res, next) => {
+  photoUpload.single('photo')(req, res, (error) => {
+    if (error) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? res.status(413).json({ error: `La foto supera el tamaño máximo de ${Math.round(PunchPhotoService.maxBytes / 1024)} KB` })
+        : res.status(400).json({ error: error.message });
+    }
+
+    if (req.file && !PunchPhotoService.detectType(req.file.buffer)) {
+      return res.status(400).json({ error: 'El archivo no es una imagen válida' });
+    }
+
+    next();
+  });
+};
+
+// Las fotos solo se guardan con entradas y salidas, así que solo se exigen en ellas
+const PHOTO_PUNCH_TYPES = ['checkin', 'checkout'];
+const MISSING_PHOTO_ERROR = 'Se requiere una foto para fichar';
+
+const missingPunchPhoto = (req, type) =>
+  PunchPhotoService.required && !req.file && PHOTO_PUNCH_TYPES.includes(type);
+
+// Guarda la foto recibida con una entrada o salida nueva. Un fallo del almacén no anula el fichaje ya registrado.
+const storePunchPhoto = async (req, result) => {
+  if (!req.file || result.status !== 'created' || !PHOTO_PUNCH_TYPES.includes(result.record.type)) return null;
+
+  try {
+    const photo = await PunchPhotoService.attach(result.record, req.file.buffer, { kioskDeviceId: req.kioskDevice.id });
+    return { id: photo.id };
+  } catch (error) {
+    console.error('Kiosk punch photo error:', error);
+    return null;
+  }
+};
+
+const LOCKOUT_MESSAGES = {
+  locked: 'Demasiados intentos fallidos. Tu código está bloqueado temporalmente',
+  throttled: 'Demasiados intentos fallidos. Espera unos segundos antes de volver a intentarlo',
+  serverError: 'Error interno del servidor'
+};
+
+// Bloqueo por código de empleado; no se limita por IP porque toda la plantilla ficha desde la misma
+const kioskLockoutGuard = loginLockoutGuard(LOCKOUT_MESSAGES);
+
+// Cuenta el intento fallido para el bloqueo del código: 401 o 429 si este intento lo ha bloqueado
+const rejectKioskAuth = async (req, res, { channel, employee, error }) => {
+  const lockout = await LoginLockoutService.registerFailure(req.body.employeeCode, req, {
+    channel,
+    employeeId: employee ? employee.id : null
+  });
+  if (lockout.status === 'locked') {
+    return sendLoginLockout(res, lockout, LOCKOUT_MESSAGES);
+  }
+
+  return res.status(401).json({ error });
+};
+
+// Eventos de seguridad y mensajes de cada canal del kiosk que identifica al empleado con código y TOTP
+const KIOSK_AUTH_CHANNELS = {
+  kiosk: {
+    invalidCodeEvent: 'kiosk_invalid_employee_code',
+    invalidTotpEvent: 'kiosk_totp_failed',
+    invalidTotpError: 'Código de autenticación inválido'
+  },
+  kiosk_timesheet: {
+    invalidCodeEvent: 'kiosk_timesheet_auth_failed',
+    invalidTotpEvent: 'kiosk_timesheet_auth_failed',
+    invalidTotpError: 'Credenciales inválidas'
+  }
+};
+
+// Identifica al empleado con su código y TOTP en el kiosk (fichajes y revisión de la hoja de horas).
+// Devuelve null si ya se ha respondido con un error (y cuenta el intento para el bloqueo del código).
+const authenticateKioskEmployee = async (req, res, channel = 'kiosk') => {
+  const { employeeCode, totpCode } = req.body;
+  const config = KIOSK_AUTH_CHANNELS[channel];
+
+  const employee = await Employee.findOne({ 
+    where: { 
+      employeeCode,
+      isActive: true 
+    } 
+  });
+
+  if (!employee) {
+    console.warn(`🚨 Invalid employee code attempt (${channel}): ${employeeCode} from IP: ${req.ip}`);
+    await SecurityEvent.log(config.invalidCodeEvent, req, { employeeCode });
+    await rejectKioskAuth(req, res, { channel, error: 'Credenciales inválidas' });
+    return null;
+  }
+
+  const isValid = !!employee.totpSecret && speakeasy.totp.verify({
+    secret: employee.totpSecret,
+    encoding: 'base32',
+    token: totpCode,
+    window: 2
+  });
+
+  if (!isValid) {
+    console.warn(`🚨 Failed TOTP attempt (${channel}) for ${employeeCode} from IP: ${req.ip}`);
+    await SecurityEvent.log(config.invalidTotpEvent, req, { employeeCode, employeeId: employee.id });
+    await rejectKioskAuth(req, res, { channel, employee, error: config.invalidTotpError });
+    return null;
+  }
+
+  await LoginLockoutService.registerSuccess(employeeCode);
+  return employee;
+};
+
 // Test endpoint
 router.get('/test', (req, res) => {
   res.json({ message: 'Kiosk routes working!', timestamp: new Date() });
@@ -30,7 +167,7 @@ router.get('/test', (req, res) => {
 // router.use(timingAttackProtection);
 
 // POST /api/kiosk/auth - Autenticación simplificada para empleados (solo TOTP)
-router.post('/auth', async (req, res) => {
+router.post('/auth', kioskLockoutGuard, async (req, res) => {
   try {
     const { employeeCode, totpCode } = req.body;
 
@@ -38,31 +175,8 @@ router.post('/auth', async (req, res) => {
       return res.status(400).json({ error: 'Código de empleado y TOTP requeridos' });
     }
 
-    // Buscar empleado
-    const employee = await Employee.findOne({ 
-      where: { 
-        employeeCode,
-        isActive: true 
-      } 
-    });
-
-    if (!employee) {
-      console.warn(`🚨 Invalid employee code attempt: ${employeeCode} from IP: ${req.ip}`);
-      return res.status(401).json({ error: 'Credenciales inválidas' });
-    }
-
-    // Verificar TOTP
-    const isValid = speakeasy.totp.verify({
-      secret: employee.totpSecret,
-      encoding: 'base32',
-      token: totpCode,
-      window: 2
-    });
-
-    if (!isValid) {
-      console.warn(`🚨 Failed TOTP attempt for ${employeeCode} from IP: ${req.ip}`);
-      return res.status(401).json({ error: 'Código de autenticación inválido' });
-    }
+    const employee = await authenticateKioskEmployee(req, res);
+    if (!employee) return;
 
     // Verificar estado actual (si está fichado o no)
     const lastRecord = await Record.findOne({
@@ -70,7 +184,8 @@ router.post('/auth', async (req, res) => {
       order: [['timestamp', 'DESC']]
     });
 
-    const isCheckedIn = lastRecord && lastRecord.type === 'checkin';
+    const punchState = Record.getPunchState(lastRecord);
+    const isCheckedIn = punchState !== 'out';
 
     console.log(`✅ Successful kiosk auth: ${employeeCode} from ${req.ip}`);
 
@@ -80,7 +195,8 @@ router.post('/auth', async (req, res) => {
         id: employee.id,
         name: employee.name,
         employeeCode: employee.employeeCode,
-        isCheckedIn
+        isCheckedIn,
+        isOnBreak: punchState === 'on_break'
       },
       lastRecord: lastRecord ? {
         type: lastRecord.type,
@@ -94,10 +210,39 @@ router.post('/auth', async (req, res) => {
   }
 });
 
-// POST /api/kiosk/checkin - Registrar entrada (sin auth token)
-router.post('/checkin', async (req, res) => {
+// Registra un fichaje del kiosk a través del servicio de fichajes.
+// Devuelve null si ya se ha respondido con un error.
+const registerKioskPunch = async (req, res, punch, errors, options = {}) => {
+  const result = await PunchService.punch({
+    device: 'kiosk',
+    kioskDeviceId: req.kioskDevice ? req.kioskDevice.id : null,
+    ...punch,
+    idempotencyKey: PunchService.getIdempotencyKey(req)
+  }, options);
+
+  switch (result.status) {
+    case 'employee_not_found':
+      res.status(404).json({ error: 'Empleado no encontrado' });
+      return null;
+    case 'idempotency_conflict':
+      res.status(409).json({ error: 'La clave de idempotencia ya se usó para otro fichaje' });
+      return null;
+    case 'invalid_project':
+      res.status(400).json({ error: 'Proyecto no encontrado o inactivo' });
+      return null;
+    case 'invalid_transition':
+    case 'conflicts_with_later_punch':
+      res.status(400).json({ error: errors[result.state] || 'Secuencia de fichajes no válida' });
+      return null;
+    default:
+      return result;
+  }
+};
+
+// POST /api/kiosk/checkin - Registrar entrada (kiosco registrado, sin token de empleado)
+router.post('/checkin', kioskDeviceMiddleware, acceptPunchPhoto, async (req, res) => {
   try {
-    const { employeeId } = req.body;
+    const { employeeId, projectId } = req.body;
 
     if (!employeeId) {
       return res.status(400).json({ error: 'ID de empleado requerido' });
@@ -109,37 +254,39 @@ router.post('/checkin', async (req, res) => {
       return res.status(404).json({ error: 'Empleado no encontrado' });
     }
 
-    // Verificar si ya está fichado
-    const lastRecord = await Record.findOne({
-      where: { employeeId },
-      order: [['timestamp', 'DESC']]
-    });
-
-    if (lastRecord && lastRecord.type === 'checkin') {
-      return res.status(400).json({ 
-        error: 'Ya tienes una entrada registrada' 
-      });
+    if (missingPunchPhoto(req, 'checkin')) {
+      return res.status(400).json({ error: MISSING_PHOTO_ERROR });
     }
 
-    // Crear registro de entrada
-    const record = await Record.create({
+    // Crear registro de entrada (falla si ya está fichado)
+    const result = await registerKioskPunch(req, res, {
       employeeId,
       type: 'checkin',
-      timestamp: new Date(),
-      device: 'kiosk',
+      projectId: projectId || null,
       notes: 'Entrada desde kiosk'
+    }, {
+      working: 'Ya tienes una entrada registrada',
+      on_break: 'Ya tienes una entrada registrada'
     });
+    if (!result) return;
+
+    const { record } = result;
+
+    const photo = await storePunchPhoto(req, result);
 
     console.log(`📥 Kiosk Checkin: ${employee.employeeCode} at ${record.timestamp}`);
 
-    res.status(201).json({
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
       success: true,
+      duplicate: result.status === 'duplicate',
       message: 'Entrada registrada correctamente',
       record: {
         id: record.id,
         type: record.type,
-        timestamp: record.timestamp
-      }
+        timestamp: record.timestamp,
+        projectId: record.projectId
+      },
+      photo
     });
 
   } catch (error) {
@@ -148,8 +295,8 @@ router.post('/checkin', async (req, res) => {
   }
 });
 
-// POST /api/kiosk/checkout - Registrar salida (sin auth token)
-router.post('/checkout', async (req, res) => {
+// POST /api/kiosk/checkout - Registrar salida (kiosco registrado, sin token de empleado)
+router.post('/checkout', kioskDeviceMiddleware, acceptPunchPhoto, async (req, res) => {
   try {
     const { employeeId } = req.body;
 
@@ -163,36 +310,34 @@ router.post('/checkout', async (req, res) => {
       return res.status(404).json({ error: 'Empleado no encontrado' });
     }
 
-    // Verificar si tiene entrada sin salida
-    const lastRecord = await Record.findOne({
-      where: { employeeId },
-      order: [['timestamp', 'DESC']]
-    });
-
-    if (!lastRecord || lastRecord.type === 'checkout') {
-      return res.status(400).json({ 
-        error: 'No tienes una entrada registrada' 
-      });
+    if (missingPunchPhoto(req, 'checkout')) {
+      return res.status(400).json({ error: MISSING_PHOTO_ERROR });
     }
 
-    // Crear registro de salida
-    const record = await Record.create({
-      employeeId,
-      type: 'checkout',
-      timestamp: new Date(),
-      device: 'kiosk',
-      notes: 'Salida desde kiosk'
+    // Crear registro de salida (falla si no tiene entrada sin salida)
+    const result = await registerKioskPunch(req, res, { employeeId, type: 'checkout', notes: 'Salida desde kiosk' }, {
+      out: 'No tienes una entrada registrada',
+      on_break: 'Estás en pausa. Debes finalizar la pausa antes de fichar salida'
     });
+    if (!result) return;
+
+    const { record } = result;
+    const photo = await storePunchPhoto(req, result);
 
-    // Calcular tiempo trabajado
-    const workedTime = new Date(record.timestamp) - new Date(lastRecord.timestamp);
+    // Calcular tiempo trabajado desde la entrada de la sesión
+    const checkin = await Record.findOne({
+      where: { employeeId, type: 'checkin', timestamp: { [Op.lt]: record.timestamp } },
+      order: [['timestamp', 'DESC']]
+    });
+    const workedTime = checkin ? new Date(record.timestamp) - new Date(checkin.timestamp) : 0;
     const hours = Math.floor(workedTime / (1000 * 60 * 60));
     const minutes = Math.floor((workedTime % (1000 * 60 * 60)) / (1000 * 60));
 
     console.log(`📤 Kiosk Checkout: ${employee.employeeCode} at ${record.timestamp} (Worked: ${hours}h ${minutes}m)`);
 
-    res.status(201).json({
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
       success: true,
+      duplicate: result.status === 'duplicate',
       message: 'Salida registrada correctamente',
       record: {
         id: record.id,
@@ -203,7 +348,8 @@ router.post('/checkout', async (req, res) => {
         hours,
         minutes,
         total: `${hours}h ${minutes}m`
-      }
+      },
+      photo
     });
 
   } catch (error) {
@@ -212,6 +358,592 @@ router.post('/checkout', async (req, res) => {
   }
 });
 
+// POST /api/kiosk/break-start - Iniciar pausa (kiosco registrado, sin token de empleado)
+router.post('/break-start', kioskDeviceMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({ error: 'ID de empleado requerido' });
+    }
+
+    // Verificar empleado existe
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee || !employee.isActive) {
+      return res.status(404).json({ error: 'Empleado no encontrado' });
+    }
+
+    // Solo se puede iniciar una pausa estando dentro y sin otra pausa abierta
+    const result = await registerKioskPunch(req, res, { employeeId, type: 'break_start', notes: 'Inicio de pausa desde kiosk' }, {
+      out: 'No tienes una entrada registrada',
+      on_break: 'Ya tienes una pausa iniciada'
+    });
+    if (!result) return;
+
+    const { record } = result;
+
+    console.log(`☕ Kiosk Break start: ${employee.employeeCode} at ${record.timestamp}`);
+
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
+      success: true,
+      duplicate: result.status === 'duplicate',
+      message: 'Pausa iniciada correctamente',
+      record: {
+        id: record.id,
+        type: record.type,
+        timestamp: record.timestamp
+      }
+    });
+
+  } catch (error) {
+    console.error('Kiosk break start error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/break-end - Finalizar pausa (kiosco registrado, sin token de empleado)
+router.post('/break-end', kioskDeviceMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.body;
+
+    if (!employeeId) {
+      return res.status(400).json({ error: 'ID de empleado requerido' });
+    }
+
+    // Verificar empleado existe
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee || !employee.isActive) {
+      return res.status(404).json({ error: 'Empleado no encontrado' });
+    }
+
+    const result = await registerKioskPunch(req, res, { employeeId, type: 'break_end', notes: 'Fin de pausa desde kiosk' }, {
+      out: 'No tienes una pausa iniciada',
+      working: 'No tienes una pausa iniciada'
+    });
+    if (!result) return;
+
+    const { record } = result;
+
+    const breakStart = await Record.findOne({
+      where: { employeeId, type: 'break_start', timestamp: { [Op.lt]: record.timestamp } },
+      order: [['timestamp', 'DESC']]
+    });
+    const breakMinutes = breakStart ? Math.round((new Date(record.timestamp) - new Date(breakStart.timestamp)) / (1000 * 60)) : 0;
+
+    console.log(`▶️ Kiosk Break end: ${employee.employeeCode} at ${record.timestamp} (Break: ${breakMinutes}m)`);
+
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
+      success: true,
+      duplicate: result.status === 'duplicate',
+      message: 'Pausa finalizada correctamente',
+      record: {
+        id: record.id,
+        type: record.type,
+        timestamp: record.timestamp
+      },
+      breakMinutes
+    });
+
+  } catch (error) {
+    console.error('Kiosk break end error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// GET /api/kiosk/projects - Proyectos activos para elegir al fichar
+router.get('/projects', async (req, res) => {
+  try {
+    const projects = await Project.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'code', 'name'],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ success: true, projects });
+
+  } catch (error) {
+    console.error('Kiosk projects error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/switch-project - Cambiar de proyecto sin cerrar la jornada (kiosco registrado, sin token de empleado)
+router.post('/switch-project', kioskDeviceMiddleware, async (req, res) => {
+  try {
+    const { employeeId, projectId } = req.body;
+
+    if (!employeeId || !projectId) {
+      return res.status(400).json({ error: 'ID de empleado y proyecto requeridos' });
+    }
+
+    // Verificar empleado existe
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee || !employee.isActive) {
+      return res.status(404).json({ error: 'Empleado no encontrado' });
+    }
+
+    const result = await registerKioskPunch(req, res, {
+      employeeId,
+      type: 'project_switch',
+      projectId,
+      notes: 'Cambio de proyecto desde kiosk'
+    }, {
+      out: 'No tienes una entrada registrada',
+      on_break: 'Estás en pausa. Debes finalizar la pausa antes de cambiar de proyecto'
+    });
+    if (!result) return;
+
+    const { record } = result;
+
+    console.log(`🔀 Kiosk Project switch: ${employee.employeeCode} at ${record.timestamp}`);
+
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
+      success: true,
+      duplicate: result.status === 'duplicate',
+      message: 'Cambio de proyecto registrado correctamente',
+      record: {
+        id: record.id,
+        type: record.type,
+        timestamp: record.timestamp,
+        projectId: record.projectId
+      }
+    });
+
+  } catch (error) {
+    console.error('Kiosk project switch error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/sync - Sincronizar fichajes capturados sin conexión
+router.post('/sync', kioskDeviceMiddleware, async (req, res) => {
+  try {
+    const { punches } = req.body;
+    const deviceId = req.body.deviceId || req.kioskDevice.id;
+
+    if (!Array.isArray(punches) || punches.length === 0) {
+      return res.status(400).json({ error: 'Se requiere una lista de fichajes' });
+    }
+
+    if (punches.length > KioskSyncService.maxBatchSize) {
+      return res.status(400).json({ 
+        error: `Máximo ${KioskSyncService.maxBatchSize} fichajes por sincronización` 
+      });
+    }
+
+    const result = await KioskSyncService.syncPunches({ deviceId, kioskDeviceId: req.kioskDevice.id }, punches);
+
+    console.log(`🔄 Kiosk sync from ${deviceId}: ${result.accepted} accepted, ${result.duplicates} duplicates, ${result.conflicts} conflicts`);
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Kiosk sync error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Fichaje que corresponde a un escaneo (QR o tarjeta) según el estado del empleado:
+// entra, sale o vuelve de la pausa
+const SCAN_PUNCH_TYPES = {
+  out: 'checkin',
+  working: 'checkout',
+  on_break: 'break_end'
+};
+
+const SCAN_MESSAGES = {
+  checkin: 'Entrada registrada correctamente',
+  checkout: 'Salida registrada correctamente',
+  break_start: 'Pausa iniciada correctamente',
+  break_end: 'Pausa finalizada correctamente'
+};
+
+// Registra el fichaje de un empleado identificado por escaneo.
+// Devuelve null si ya se ha respondido con un error.
+// El proyecto solo se tiene en cuenta si el fichaje resulta ser una entrada.
+// Si el tipo se deduce del último fichaje y otro escaneo se registra antes (doble toque),
+// PunchService devuelve ese fichaje como duplicado.
+const registerScanPunch = async (req, res, employee, requestedType, { source, projectId = null, ...fields }, options = {}) => {
+  const lastRecord = await Record.findOne({
+    where: { employeeId: employee.id },
+    order: [['timestamp', 'DESC']],
+    transaction: options.transaction
+  });
+  const type = requestedType || SCAN_PUNCH_TYPES[Record.getPunchState(lastRecord)];
+
+  if (missingPunchPhoto(req, type)) {
+    res.status(400).json({ error: MISSING_PHOTO_ERROR });
+    return null;
+  }
+
+  return await registerKioskPunch(req, res, {
+    employeeId: employee.id,
+    type,
+    notes: `${Record.getTypeLabel(type)} ${source} desde kiosk`,
+    ...(type === 'checkin' && projectId && { projectId }),
+    ...(!requestedType && { expectedLastRecordId: lastRecord ? lastRecord.id : null }),
+    ...fields
+  }, {
+    out: 'No tienes una entrada registrada',
+    working: 'Ya tienes una entrada registrada',
+    on_break: 'Estás en pausa. Debes finalizar la pausa primero'
+  }, options);
+};
+
+const sendScanPunch = (res, employee, { status, record }, photo = null) => {
+  res.status(status === 'duplicate' ? 200 : 201).json({
+    success: true,
+    duplicate: status === 'duplicate',
+    message: SCAN_MESSAGES[record.type],
+    employee: {
+      id: employee.id,
+      name: employee.name,
+      employeeCode: employee.employeeCode
+    },
+    record: {
+      id: record.id,
+      type: record.type,
+      timestamp: record.timestamp
+    },
+    photo
+  });
+};
+
+const QR_ERRORS = {
+  invalid: { status: 401, error: 'Código QR no válido' },
+  employee_not_found: { status: 404, error: 'Empleado no encontrado' },
+  expired: { status: 401, error: 'El código QR ha caducado. Actualízalo en tu móvil' },
+  superseded: { status: 401, error: 'El código QR ya no es válido. Usa el código más reciente' },
+  replayed: { status: 409, error: 'El código QR ya se ha usado' }
+};
+
+// POST /api/kiosk/qr-punch - Fichar escaneando el QR del móvil del empleado
+router.post('/qr-punch', kioskDeviceMiddleware, acceptPunchPhoto, async (req, res) => {
+  try {
+    const { token, type } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Código QR requerido' });
+    }
+
+    if (type && !SCAN_MESSAGES[type]) {
+      return res.status(400).json({ error: 'Tipo de fichaje no válido' });
+    }
+
+    const verification = await QrPunchTokenService.verify(token);
+
+    if (verification.status !== 'valid') {
+      console.warn(`🚨 Rejected QR punch (${verification.status}) from IP: ${req.ip}`);
+      await SecurityEvent.log('kiosk_qr_rejected', req, {
+        employeeId: verification.employee ? verification.employee.id : null,
+        employeeCode: verification.employee ? verification.employee.employeeCode : null,
+        details: { reason: verification.status, kioskDeviceId: req.kioskDevice.id }
+      });
+      const { status, error } = QR_ERRORS[verification.status];
+      return res.status(status).json({ error });
+    }
+
+    const { employee, tokenRecord } = verification;
+
+    // El código se consume en la misma transacción que el fichaje: si el fichaje se rechaza, sigue valiendo
+    const transaction = await sequelize.transaction();
+    let result;
+    try {
+      // Dos kioscos que escanean el mismo código a la vez: solo uno lo consume
+      const consumed = await QrPunchTokenService.consume(tokenRecord, { kioskDeviceId: req.kioskDevice.id, transaction });
+      if (!consumed) {
+        await transaction.rollback();
+        const { status, error } = QR_ERRORS.replayed;
+        return res.status(status).json({ error });
+      }
+
+      result = await registerScanPunch(req, res, employee, type, { source: 'con código QR' }, { transaction });
+      if (!result) {
+        await transaction.rollback();
+        return;
+      }
+
+      // Un duplicado es el fichaje de otro escaneo: el código solo se enlaza al fichaje que ha creado
+      if (result.status === 'created') {
+        await tokenRecord.update({ recordId: result.record.id }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+
+    const { record } = result;
+    const photo = await storePunchPhoto(req, result);
+
+    console.log(`📱 Kiosk QR ${record.type}: ${employee.employeeCode} at ${record.timestamp}`);
+
+    sendScanPunch(res, employee, result, photo);
+
+  } catch (error) {
+    console.error('Kiosk QR punch error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/badge-punch - Fichar acercando la tarjeta NFC/RFID al lector del kiosco
+router.post('/badge-punch', kioskDeviceMiddleware, acceptPunchPhoto, async (req, res) => {
+  try {
+    const { type } = req.body;
+    const uid = EmployeeBadge.normalizeUid(req.body.uid);
+
+    if (!uid) {
+      return res.status(400).json({ error: 'Identificador de tarjeta requerido' });
+    }
+
+    if (type && !SCAN_MESSAGES[type]) {
+      return res.status(400).json({ error: 'Tipo de fichaje no válido' });
+    }
+
+    const badge = await EmployeeBadge.findOne({
+      where: { uid },
+      include: [{ model: Employee, as: 'employee' }]
+    });
+
+    if (!badge || badge.status !== 'active') {
+      console.warn(`🚨 ${badge ? 'Revoked' : 'Unknown'} badge ${uid} from IP: ${req.ip}`);
+      await SecurityEvent.log(badge ? 'kiosk_badge_revoked' : 'kiosk_badge_unknown', req, {
+        employeeId: badge ? badge.employeeId : null,
+        details: { uid, kioskDeviceId: req.kioskDevice.id }
+      });
+      return badge
+        ? res.status(403).json({ error: 'Tarjeta revocada' })
+        : res.status(404).json({ error: 'Tarjeta no reconocida' });
+    }
+
+    const { employee } = badge;
+    if (!employee || !employee.isActive) {
+      return res.status(404).json({ error: 'Empleado no encontrado' });
+    }
+
+    const result = await registerScanPunch(req, res, employee, type, { source: 'con tarjeta', badgeId: badge.id });
+    if (!result) return;
+
+    const { record } = result;
+    await badge.update({ lastUsedAt: record.timestamp });
+    const photo = await storePunchPhoto(req, result);
+
+    console.log(`🪪 Kiosk badge ${record.type}: ${employee.employeeCode} at ${record.timestamp}`);
+
+    sendScanPunch(res, employee, result, photo);
+
+  } catch (error) {
+    console.error('Kiosk badge punch error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/punch - Fichar en un solo paso: identifica al empleado con su código y TOTP,
+// registra la acción que le toca según su último fichaje y devuelve el resumen del día
+router.post('/punch', kioskDeviceMiddleware, acceptPunchPhoto, kioskLockoutGuard, async (req, res) => {
+  try {
+    const { employeeCode, totpCode, type, projectId } = req.body;
+
+    if (!employeeCode || !totpCode) {
+      return res.status(400).json({ error: 'Código de empleado y TOTP requeridos' });
+    }
+
+    if (type && !SCAN_MESSAGES[type]) {
+      return res.status(400).json({ error: 'Tipo de fichaje no válido' });
+    }
+
+    const employee = await authenticateKioskEmployee(req, res);
+    if (!employee) return;
+
+    const result = await registerScanPunch(req, res, employee, type, {
+      source: 'con código personal',
+      projectId: projectId || null
+    });
+    if (!result) return;
+
+    const { record } = result;
+    const photo = await storePunchPhoto(req, result);
+    const summary = await DailySummaryService.getEmployeeDay(employee.id);
+
+    console.log(`👆 Kiosk punch ${record.type}: ${employee.employeeCode} at ${record.timestamp}`);
+
+    res.status(result.status === 'duplicate' ? 200 : 201).json({
+      success: true,
+      duplicate: result.status === 'duplicate',
+      action: record.type,
+      message: SCAN_MESSAGES[record.type],
+      employee: {
+        id: employee.id,
+        name: employee.name,
+        employeeCode: employee.employeeCode
+      },
+      record: {
+        id: record.id,
+        type: record.type,
+        timestamp: record.timestamp,
+        projectId: record.projectId
+      },
+      photo,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Kiosk punch error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/records/:id/photo - Adjuntar después la foto de un fichaje (por ejemplo, uno sincronizado)
+router.post('/records/:id/photo', kioskDeviceMiddleware, acceptPunchPhoto, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Se requiere una foto' });
+    }
+
+    const record = await Record.findByPk(req.params.id);
+
+    // Solo el kiosco que registró el fichaje puede adjuntar su foto
+    if (!record || record.kioskDeviceId !== req.kioskDevice.id) {
+      return res.status(404).json({ error: 'Fichaje no encontrado' });
+    }
+
+    if (!['checkin', 'checkout'].includes(record.type)) {
+      return res.status(400).json({ error: 'Solo las entradas y salidas llevan foto' });
+    }
+
+    if (await RecordPhoto.findOne({ where: { recordId: record.id } })) {
+      return res.status(409).json({ error: 'El fichaje ya tiene una foto' });
+    }
+
+    const photo = await PunchPhotoService.attach(record, req.file.buffer, { kioskDeviceId: req.kioskDevice.id });
+
+    res.status(201).json({
+      success: true,
+      photo: { id: photo.id, recordId: record.id }
+    });
+
+  } catch (error) {
+    console.error('Kiosk record photo error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/heartbeat - Latido del kiosco registrado
+router.post('/heartbeat', kioskDeviceMiddleware, async (req, res) => {
+  try {
+    const { appVersion, pendingPunches } = req.body;
+
+    const device = await KioskDeviceService.heartbeat(req.kioskDevice, { appVersion, pendingPunches }, req.ip);
+
+    res.json({
+      success: true,
+      serverTime: new Date(),
+      device: {
+        id: device.id,
+        name: device.name,
+        location: device.location
+      }
+    });
+
+  } catch (error) {
+    console.error('Kiosk heartbeat error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Mes a revisar en el kiosk: el indicado o, por defecto, el mes anterior
+const getKioskReviewMonth = (body) => {
+  const previous = new Date();
+  previous.setDate(1);
+  previous.setMonth(previous.getMonth() - 1);
+  return {
+    year: parseInt(body.year) || previous.getFullYear(),
+    month: parseInt(body.month) || previous.getMonth() + 1
+  };
+};
+
+// POST /api/kiosk/timesheet - Resumen mensual para revisar y aceptar en el kiosk
+router.post('/timesheet', kioskLockoutGuard, async (req, res) => {
+  try {
+    const { employeeCode, totpCode } = req.body;
+    const { year, month } = getKioskReviewMonth(req.body);
+
+    if (!employeeCode || !totpCode) {
+      return res.status(400).json({ error: 'Código de empleado y TOTP requeridos' });
+    }
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'Mes no válido' });
+    }
+
+    const employee = await authenticateKioskEmployee(req, res, 'kiosk_timesheet');
+    if (!employee) return;
+
+    const review = await TimesheetAcknowledgementService.getMonthReview(employee.id, year, month);
+
+    res.json({
+      success: true,
+      ...review
+    });
+
+  } catch (error) {
+    console.error('Kiosk timesheet error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// POST /api/kiosk/timesheet/accept - Aceptar el resumen mensual desde el kiosk
+router.post('/timesheet/accept', kioskLockoutGuard, async (req, res) => {
+  try {
+    const { employeeCode, totpCode, contentHash } = req.body;
+    const { year, month } = getKioskReviewMonth(req.body);
+
+    if (!employeeCode || !totpCode) {
+      return res.status(400).json({ error: 'Código de empleado y TOTP requeridos' });
+    }
+
+    if (!contentHash) {
+      return res.status(400).json({ error: 'Se requiere la huella del resumen revisado' });
+    }
+
+    const employee = await authenticateKioskEmployee(req, res, 'kiosk_timesheet');
+    if (!employee) return;
+
+    const result = await TimesheetAcknowledgementService.accept(employee.id, year, month, {
+      method: 'kiosk',
+      contentHash
+    });
+
+    const errors = {
+      month_not_closed: [400, 'El mes todavía no ha terminado'],
+      content_changed: [409, 'El resumen ha cambiado desde que lo revisaste'],
+      already_accepted: [409, 'Ya aceptaste este mes'],
+      open_disputes: [409, 'Tienes reclamaciones pendientes en este mes']
+    };
+
+    if (errors[result.status]) {
+      const [status, error] = errors[result.status];
+      return res.status(status).json({ error });
+    }
+
+    console.log(`✍️ Kiosk timesheet accepted: ${employee.employeeCode} ${year}-${month}`);
+
+    res.json({
+      success: true,
+      message: 'Resumen mensual aceptado',
+      acknowledgement: result.acknowledgement
+    });
+
+  } catch (error) {
+    console.error('Kiosk timesheet accept error:', error);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
 // POST /api/kiosk/checkin - Registrar entrada
 router.post('/checkin',
   authMiddleware,
@@ -219,34 +951,29 @@ router.post('/checkin',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { notes } = req.body;
+      const { notes, projectId } = req.body;
       const employeeId = req.user.id;
 
-      // Verificar si ya está fichado
-      const lastRecord = await Record.findOne({
-        where: { employeeId },
-        order: [['timestamp', 'DESC']]
-      });
-
-      if (lastRecord && lastRecord.type === 'checkin') {
-        return res.status(400).json({ 
-          error: 'Ya tienes una entrada registrada. Debes fichar salida primero.' 
-        });
-      }
-
-      // Crear registro de entrada
-      const record = await Record.create({
+      // Crear registro de entrada (falla si ya está fichado)
+      const result = await registerKioskPunch(req, res, {
         employeeId,
         type: 'checkin',
-        timestamp: new Date(),
+        projectId: projectId || null,
         device: `${req.deviceInfo.isTablet ? 'Tablet' : req.deviceInfo.isMobile ? 'Mobile' : 'Desktop'} - ${req.ip}`,
         notes: notes || null
+      }, {
+        working: 'Ya tienes una entrada registrada. Debes fichar salida primero.',
+        on_break: 'Ya tienes una entrada registrada. Debes fichar salida primero.'
       });
+      if (!result) return;
+
+      const { record } = result;
 
       // Log de auditoría
       console.log(`📥 Checkin: ${req.user.employeeCode} at ${record.timestamp}`);
 
-      res.status(201).json({
+      res.status(result.status === 'duplicate' ? 200 : 201).json({
+        duplicate: result.status === 'duplicate',
         message: 'Entrada registrada correctamente',
         record: {
           id: record.id,
@@ -273,36 +1000,34 @@ router.post('/checkout',
       const { notes } = req.body;
       const employeeId = req.user.id;
 
-      // Verificar si tiene entrada sin salida
-      const lastRecord = await Record.findOne({
-        where: { employeeId },
-        order: [['timestamp', 'DESC']]
-      });
-
-      if (!lastRecord || lastRecord.type === 'checkout') {
-        return res.status(400).json({ 
-          error: 'No tienes una entrada registrada. Debes fichar entrada primero.' 
-        });
-      }
-
-      // Crear registro de salida
-      const record = await Record.create({
+      // Crear registro de salida (falla si no tiene entrada sin salida)
+      const result = await registerKioskPunch(req, res, {
         employeeId,
         type: 'checkout',
-        timestamp: new Date(),
         device: `${req.deviceInfo.isTablet ? 'Tablet' : req.deviceInfo.isMobile ? 'Mobile' : 'Desktop'} - ${req.ip}`,
         notes: notes || null
+      }, {
+        out: 'No tienes una entrada registrada. Debes fichar entrada primero.',
+        on_break: 'Estás en pausa. Debes finalizar la pausa antes de fichar salida.'
       });
+      if (!result) return;
+
+      const { record } = result;
 
-      // Calcular tiempo trabajado
-      const workedTime = new Date(record.timestamp) - new Date(lastRecord.timestamp);
+      // Calcular tiempo trabajado desde la entrada de la sesión
+      const checkin = await Record.findOne({
+        where: { employeeId, type: 'checkin', timestamp: { [Op.lt]: record.timestamp } },
+        order: [['timestamp', 'DESC']]
+      });
+      const workedTime = checkin ? new Date(record.timestamp) - new Date(checkin.timestamp) : 0;
       const hours = Math.floor(workedTime / (1000 * 60 * 60));
       const minutes = Math.floor((workedTime % (1000 * 60 * 60)) / (1000 * 60));
 
       // Log de auditoría
       console.log(`📤 Checkout: ${req.user.employeeCode} at ${record.timestamp} (Worked: ${hours}h ${minutes}m)`);
 
-      res.status(201).json({
+      res.status(result.status === 'duplicate' ? 200 : 201).json({
+        duplicate: result.status === 'duplicate',
         message: 'Salida registrada correctamente',
         record: {
           id: record.id,
@@ -334,10 +1059,11 @@ router.get('/status', authMiddleware, async (req, res) => {
       order: [['timestamp', 'DESC']]
     });
 
-    const isCheckedIn = lastRecord && lastRecord.type === 'checkin';
+    const punchState = Record.getPunchState(lastRecord);
 
     res.json({
-      isCheckedIn,
+      isCheckedIn: punchState !== 'out',
+      isOnBreak: punchState === 'on_break',
       lastRecord: lastRecord ? {
         id: lastRecord.id,
         type: lastRecord.type,
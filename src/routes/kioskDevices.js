@@ -0,0 +1,149 @@
+import express from 'express';
+import { Employee, KioskDevice, WorkSite } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { KioskDeviceService } from '../services/kioskDeviceService.js';
+
+const router = express.Router();
+
+const DEVICE_FIELDS = ['name', 'location', 'workSiteId'];
+
+const DEVICE_INCLUDE = [
+  { model: WorkSite, as: 'workSite', attributes: ['id', 'name'] },
+  { model: Employee, as: 'enroller', attributes: ['id', 'name'] },
+  { model: Employee, as: 'revoker', attributes: ['id', 'name'] }
+];
+
+// Get kiosk devices with their connection state (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status, online } = req.query;
+
+    const whereClause = {};
+    if (status) whereClause.status = status;
+
+    const devices = await KioskDevice.findAll({
+      where: whereClause,
+      include: DEVICE_INCLUDE,
+      order: [['name', 'ASC']]
+    });
+
+    const now = new Date();
+    let data = devices.map(device => KioskDeviceService.toAdminView(device, now));
+    if (online !== undefined) data = data.filter(device => device.isOnline === (online === 'true'));
+
+    res.json({
+      data,
+      offlineAfterMinutes: KioskDeviceService.offlineAfterMinutes
+    });
+  } catch (error) {
+    console.error('Get kiosk devices error:', error);
+    res.status(500).json({ error: 'Server error fetching kiosk devices' });
+  }
+});
+
+// Enrol a kiosk device. The credential is only returned in this response
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, workSiteId } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (workSiteId && !(await WorkSite.findByPk(workSiteId))) {
+      return res.status(400).json({ error: 'Work site not found' });
+    }
+
+    const deviceData = {};
+    DEVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) deviceData[field] = req.body[field];
+    });
+
+    const { device, credential } = await KioskDeviceService.enrol(deviceData, req.employee.id);
+
+    res.status(201).json({ data: KioskDeviceService.toAdminView(device), credential });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Enrol kiosk device error:', error);
+    res.status(500).json({ error: 'Server error enrolling kiosk device' });
+  }
+});
+
+// Update kiosk device details
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { workSiteId } = req.body;
+
+    const device = await KioskDevice.findByPk(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Kiosk device not found' });
+    }
+
+    if (workSiteId && !(await WorkSite.findByPk(workSiteId))) {
+      return res.status(400).json({ error: 'Work site not found' });
+    }
+
+    const updateData = {};
+    DEVICE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await device.update(updateData);
+
+    res.json({ data: KioskDeviceService.toAdminView(device) });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Update kiosk device error:', error);
+    res.status(500).json({ error: 'Server error updating kiosk device' });
+  }
+});
+
+// Issue a new credential; the previous one stops working
+router.post('/:id/rotate-credential', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const device = await KioskDevice.findByPk(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Kiosk device not found' });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(400).json({ error: 'Kiosk device has been revoked' });
+    }
+
+    const { credential } = await KioskDeviceService.rotateCredential(device);
+
+    res.json({ data: KioskDeviceService.toAdminView(device), credential });
+  } catch (error) {
+    console.error('Rotate kiosk credential error:', error);
+    res.status(500).json({ error: 'Server error rotating kiosk credential' });
+  }
+});
+
+// Revoke a kiosk device. Its punches are kept and still reference it
+router.post('/:id/revoke', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const device = await KioskDevice.findByPk(req.params.id);
+    if (!device) {
+      return res.status(404).json({ error: 'Kiosk device not found' });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(409).json({ error: 'Kiosk device is already revoked' });
+    }
+
+    await KioskDeviceService.revoke(device, { revokedBy: req.employee.id, reason: reason || null });
+
+    res.json({ data: KioskDeviceService.toAdminView(device) });
+  } catch (error) {
+    console.error('Revoke kiosk device error:', error);
+    res.status(500).json({ error: 'Server error revoking kiosk device' });
+  }
+});
+
+export default router;
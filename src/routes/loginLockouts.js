@@ -0,0 +1,64 @@
+import express from 'express';
+import { SecurityEvent } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { LoginLockoutService } from '../services/loginLockoutService.js';
+
+const router = express.Router();
+
+// Login security events of an account, newest first
+const ACCOUNT_EVENT_TYPES = [
+  'login_failed',
+  'account_locked',
+  'account_unlocked',
+  'kiosk_invalid_employee_code',
+  'kiosk_totp_failed',
+  'kiosk_timesheet_auth_failed'
+];
+
+// Employee codes currently locked or with recent failed attempts
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const lockouts = await LoginLockoutService.list({ lockedOnly: req.query.locked === 'true' });
+    res.json({ data: lockouts });
+  } catch (error) {
+    console.error('Get login lockouts error:', error);
+    res.status(500).json({ error: 'Server error fetching login lockouts' });
+  }
+});
+
+// Failed attempts, lockouts and unlocks of an employee code
+router.get('/:employeeCode/events', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const employeeCode = LoginLockoutService.normalizeCode(req.params.employeeCode);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const events = await SecurityEvent.findAll({
+      where: { employeeCode, type: ACCOUNT_EVENT_TYPES },
+      order: [['created_at', 'DESC']],
+      limit
+    });
+
+    res.json({ data: events });
+  } catch (error) {
+    console.error('Get login events error:', error);
+    res.status(500).json({ error: 'Server error fetching login events' });
+  }
+});
+
+// Unlock an employee code and clear its failed attempts
+router.post('/:employeeCode/unlock', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const result = await LoginLockoutService.unlock(req.params.employeeCode, req);
+
+    if (result.status === 'not_found') {
+      return res.status(404).json({ error: 'No failed attempts or lockout for this employee code' });
+    }
+
+    res.json({ data: result.lockout });
+  } catch (error) {
+    console.error('Unlock login error:', error);
+    res.status(500).json({ error: 'Server error unlocking employee code' });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import { Notification } from '../models/index.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Notifications for the authenticated employee
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { unread, type, limit = 50, offset = 0 } = req.query;
+
+    const whereClause = { employeeId: req.employee.id };
+    if (unread === 'true') whereClause.readAt = null;
+    if (type) whereClause.type = type;
+
+    const { rows, count } = await Notification.findAndCountAll({
+      where: whereClause,
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    const unreadCount = await Notification.count({
+      where: { employeeId: req.employee.id, readAt: null }
+    });
+
+    res.json({
+      data: {
+        notifications: rows,
+        unreadCount,
+        pagination: {
+          total: count,
+          limit: parseInt(limit),
+          offset: parseInt(offset)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error fetching notifications' });
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', authMiddleware, async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { employeeId: req.employee.id, readAt: null } }
+    );
+
+    res.json({ data: { updated } });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Server error updating notifications' });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const notification = await Notification.findByPk(req.params.id);
+
+    if (!notification || notification.employeeId !== req.employee.id) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({ data: notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Server error updating notification' });
+  }
+});
+
+export default router;
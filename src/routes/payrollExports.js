@@ -0,0 +1,188 @@
+import express from 'express';
+import { PayrollExportProfile } from '../models/index.js';
+import { PayrollExportService } from '../services/payrollExportService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['name', 'description', 'columns', 'delimiter', 'decimalSeparator', 'dateFormat', 'includeHeader', 'absenceCodes', 'isActive'];
+
+// Fields available for profile columns (admin only)
+router.get('/fields', authMiddleware, adminMiddleware, async (req, res) => {
+  res.json({ data: PayrollExportService.fields });
+});
+
+// Get export profiles (admin only)
+router.get('/profiles', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const whereClause = {};
+    if (active !== undefined) whereClause.isActive = active === 'true';
+
+    const profiles = await PayrollExportProfile.findAll({
+      where: whereClause,
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ data: profiles });
+  } catch (error) {
+    console.error('Get payroll export profiles error:', error);
+    res.status(500).json({ error: 'Server error fetching payroll export profiles' });
+  }
+});
+
+router.get('/profiles/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const profile = await PayrollExportProfile.findByPk(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Payroll export profile not found' });
+    }
+
+    res.json({ data: profile });
+  } catch (error) {
+    console.error('Get payroll export profile error:', error);
+    res.status(500).json({ error: 'Server error fetching payroll export profile' });
+  }
+});
+
+// Create export profile
+router.post('/profiles', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const errors = PayrollExportService.validateProfile(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const existing = await PayrollExportProfile.findOne({ where: { name: req.body.name.trim() } });
+    if (existing) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+
+    const profileData = { createdBy: req.employee.id };
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) profileData[field] = req.body[field];
+    });
+    profileData.name = profileData.name.trim();
+
+    const profile = await PayrollExportProfile.create(profileData);
+
+    res.status(201).json({ data: profile });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Create payroll export profile error:', error);
+    res.status(500).json({ error: 'Server error creating payroll export profile' });
+  }
+});
+
+// Update export profile
+router.put('/profiles/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const profile = await PayrollExportProfile.findByPk(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Payroll export profile not found' });
+    }
+
+    const errors = PayrollExportService.validateProfile(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join(', ') });
+    }
+
+    const updateData = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    if (updateData.name) {
+      updateData.name = updateData.name.trim();
+      const existing = await PayrollExportProfile.findOne({ where: { name: updateData.name } });
+      if (existing && existing.id !== profile.id) {
+        return res.status(409).json({ error: 'A profile with this name already exists' });
+      }
+    }
+
+    await profile.update(updateData);
+
+    res.json({ data: profile });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Update payroll export profile error:', error);
+    res.status(500).json({ error: 'Server error updating payroll export profile' });
+  }
+});
+
+// Deactivate export profile
+router.delete('/profiles/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const profile = await PayrollExportProfile.findByPk(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Payroll export profile not found' });
+    }
+
+    await profile.update({ isActive: false });
+
+    res.json({ message: 'Payroll export profile deactivated successfully' });
+  } catch (error) {
+    console.error('Delete payroll export profile error:', error);
+    res.status(500).json({ error: 'Server error deleting payroll export profile' });
+  }
+});
+
+// Monthly payroll export with a profile (CSV, or JSON to preview it)
+router.get('/profiles/:id/export', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+    const { employeeIds, format = 'csv' } = req.query;
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'month must be between 1 and 12' });
+    }
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const profile = await PayrollExportProfile.findByPk(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Payroll export profile not found' });
+    }
+
+    if (!profile.isActive) {
+      return res.status(400).json({ error: 'Payroll export profile is inactive' });
+    }
+
+    const result = await PayrollExportService.export(profile, {
+      year,
+      month,
+      employeeIds: employeeIds ? employeeIds.split(',').map(id => id.trim()).filter(Boolean) : null
+    });
+
+    if (format === 'json') {
+      return res.json({
+        data: {
+          profile: { id: profile.id, name: profile.name },
+          year,
+          month,
+          columns: profile.columns.map(c => c.header),
+          rows: result.rows
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.send(result.content);
+  } catch (error) {
+    console.error('Payroll export error:', error);
+    res.status(500).json({ error: 'Server error generating payroll export' });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { PresenceService } from '../services/presenceService.js';
+
+const router = express.Router();
+
+const HEARTBEAT_SECONDS = 25;
+
+// EventSource no permite cabeceras: el token del flujo puede llegar como ?token=
+const streamToken = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Current presence of every active employee (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const board = await PresenceService.getBoard();
+
+    res.json({ data: board });
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(500).json({ error: 'Server error fetching presence' });
+  }
+});
+
+// Live presence stream (Server-Sent Events): a snapshot first, then one event per change
+router.get('/stream', streamToken, authMiddleware, adminMiddleware, async (req, res) => {
+  let board;
+  try {
+    board = await PresenceService.getSnapshot();
+  } catch (error) {
+    console.error('Presence stream error:', error);
+    return res.status(500).json({ error: 'Server error opening presence stream' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write(`retry: ${PresenceService.refreshSeconds * 1000}\n\n`);
+  send('snapshot', board);
+
+  const unsubscribe = PresenceService.subscribe(change => send('presence', change));
+
+  // Comentario periódico para que los proxies no cierren la conexión
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,211 @@
+import express from 'express';
+import { Record, Project, CostCenter } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { ProjectTimeService } from '../services/projectTimeService.js';
+
+const router = express.Router();
+
+const PROJECT_FIELDS = ['code', 'name', 'description', 'costCenterId', 'isActive'];
+
+const getReportFilters = (query) => {
+  const { startDate, endDate, projectId, costCenterId, groupBy = 'month' } = query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '')) {
+    return { error: 'startDate and endDate (YYYY-MM-DD) are required' };
+  }
+  if (startDate > endDate) {
+    return { error: 'startDate must be before endDate' };
+  }
+  if (!ProjectTimeService.groupByOptions.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${ProjectTimeService.groupByOptions.join(', ')}` };
+  }
+
+  return { startDate, endDate, groupBy, projectId: projectId || null, costCenterId: costCenterId || null };
+};
+
+// Get projects (employees only see active ones)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { active, costCenterId } = req.query;
+
+    const whereClause = {};
+    if (req.employee.role !== 'admin') {
+      whereClause.isActive = true;
+    } else if (active !== undefined) {
+      whereClause.isActive = active === 'true';
+    }
+    if (costCenterId) whereClause.costCenterId = costCenterId;
+
+    const projects = await Project.findAll({
+      where: whereClause,
+      include: [{ model: CostCenter, as: 'costCenter', attributes: ['id', 'code', 'name'] }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ data: projects });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({ error: 'Server error fetching projects' });
+  }
+});
+
+// Hours per project, employee and period (admin only)
+router.get('/report', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filters = getReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { employeeIds } = req.query;
+    const report = await ProjectTimeService.getReport({
+      ...filters,
+      employeeIds: employeeIds ? employeeIds.split(',').map(id => id.trim()).filter(Boolean) : null
+    });
+
+    res.json({ data: report });
+  } catch (error) {
+    console.error('Get project report error:', error);
+    res.status(500).json({ error: 'Server error generating project report' });
+  }
+});
+
+// Hours per project for one employee (admin or the employee)
+router.get('/report/employee/:employeeId', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const filters = getReportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const report = await ProjectTimeService.getReport({ ...filters, employeeIds: [employeeId] });
+
+    res.json({ data: report });
+  } catch (error) {
+    console.error('Get employee project report error:', error);
+    res.status(500).json({ error: 'Server error generating project report' });
+  }
+});
+
+router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id, {
+      include: [{ model: CostCenter, as: 'costCenter', attributes: ['id', 'code', 'name'] }]
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json({ data: project });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ error: 'Server error fetching project' });
+  }
+});
+
+// Create project
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, name, costCenterId } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({ error: 'Code and name are required' });
+    }
+
+    if (costCenterId && !(await CostCenter.findByPk(costCenterId))) {
+      return res.status(400).json({ error: 'Cost center not found' });
+    }
+
+    const existing = await Project.findOne({ where: { code } });
+    if (existing) {
+      return res.status(409).json({ error: 'A project with this code already exists' });
+    }
+
+    const projectData = {};
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) projectData[field] = req.body[field];
+    });
+
+    const project = await Project.create(projectData);
+
+    res.status(201).json({ data: project });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Create project error:', error);
+    res.status(500).json({ error: 'Server error creating project' });
+  }
+});
+
+// Update project
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { code, costCenterId } = req.body;
+
+    const project = await Project.findByPk(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    if (costCenterId && !(await CostCenter.findByPk(costCenterId))) {
+      return res.status(400).json({ error: 'Cost center not found' });
+    }
+
+    if (code && code !== project.code) {
+      const existing = await Project.findOne({ where: { code } });
+      if (existing) {
+        return res.status(409).json({ error: 'A project with this code already exists' });
+      }
+    }
+
+    const updateData = {};
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await project.update(updateData);
+
+    res.json({ data: project });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Update project error:', error);
+    res.status(500).json({ error: 'Server error updating project' });
+  }
+});
+
+// Delete project (deactivates it if it already has punches)
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const project = await Project.findByPk(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const recordCount = await Record.count({ where: { projectId: project.id }, paranoid: false });
+
+    if (recordCount > 0) {
+      await project.update({ isActive: false });
+      return res.json({ message: 'Project has records and was deactivated instead of deleted' });
+    }
+
+    await project.destroy();
+
+    res.json({ message: 'Project deleted successfully' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ error: 'Server error deleting project' });
+  }
+});
+
+export default router;
@@ -1,80 +1,186 @@
 import express from 'express';
 import { Op } from 'sequelize';
 import sequelize from '../config/database.js';
-import { Record, Employee } from '../models/index.js';
+import { Record, Employee, WorkSite, Project, KioskDevice, EmployeeBadge, RecordPhoto } from '../models/index.js';
 import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { RecordAuditService } from '../services/recordAuditService.js';
+import { RecordChainService } from '../services/recordChainService.js';
+import { GeofenceService } from '../services/geofenceService.js';
+import { AutoCheckoutService } from '../services/autoCheckoutService.js';
+import { PunchService } from '../services/punchService.js';
+import { ComplianceExportService } from '../services/complianceExportService.js';
+import { QrPunchTokenService } from '../services/qrPunchTokenService.js';
+import { PunchPhotoService } from '../services/punchPhotoService.js';
+import { WorkModeService } from '../services/workModeService.js';
 
 const router = express.Router();
 
-// Check in
-router.post('/checkin', authMiddleware, async (req, res) => {
-  try {
-    const { device = 'web', location, notes } = req.body;
+// Mensajes de cada tipo de fichaje web; el error depende del estado actual del empleado
+const WEB_PUNCHES = {
+  checkin: {
+    success: 'Checked in successfully',
+    errors: {
+      working: 'You are already checked in. Please check out first.',
+      on_break: 'You are already checked in. Please check out first.'
+    },
+    serverError: 'Server error during check in',
+    logLabel: 'Check in',
+    geofence: true,
+    project: true
+  },
+  checkout: {
+    success: 'Checked out successfully',
+    errors: {
+      out: 'You must check in first before checking out.',
+      on_break: 'You are on a break. Please end your break before checking out.'
+    },
+    serverError: 'Server error during check out',
+    logLabel: 'Check out',
+    geofence: true
+  },
+  break_start: {
+    success: 'Break started successfully',
+    errors: {
+      out: 'You must check in first before starting a break.',
+      on_break: 'You are already on a break.'
+    },
+    serverError: 'Server error starting break',
+    logLabel: 'Break start',
+    geofence: false
+  },
+  break_end: {
+    success: 'Break ended successfully',
+    errors: {
+      out: 'You are not on a break.',
+      working: 'You are not on a break.'
+    },
+    serverError: 'Server error ending break',
+    logLabel: 'Break end',
+    geofence: false
+  },
+  project_switch: {
+    success: 'Project switched successfully',
+    errors: {
+      out: 'You must check in first before switching projects.',
+      on_break: 'You are on a break. Please end your break before switching projects.'
+    },
+    serverError: 'Server error switching project',
+    logLabel: 'Project switch',
+    geofence: false,
+    project: true
+  }
+};
 
-    // Check if employee already has an active checkin (no checkout)
-    const lastRecord = await Record.findOne({
-      where: { employeeId: req.employee.id },
-      order: [['timestamp', 'DESC']]
-    });
+const webPunchHandler = (type) => async (req, res) => {
+  const config = WEB_PUNCHES[type];
 
-    if (lastRecord && lastRecord.type === 'checkin') {
-      return res.status(400).json({ 
-        error: 'You are already checked in. Please check out first.' 
-      });
+  try {
+    const { device = 'web', location, notes, projectId, workMode: requestedMode } = req.body;
+    let geofence = null;
+    let modeCheck = null;
+
+    if (requestedMode !== undefined && !WorkModeService.isValid(requestedMode)) {
+      return res.status(400).json({ error: `workMode must be one of: ${Record.WORK_MODES.join(', ')}` });
     }
 
-    const record = await Record.create({
-      employeeId: req.employee.id,
-      type: 'checkin',
-      device,
-      location,
-      notes
-    });
+    // Only check-ins choose the work mode; the other punches keep the one of the session
+    const { workMode, scheduledMode } = await WorkModeService.resolvePunchMode(req.employee.id, type, requestedMode);
 
-    res.status(201).json({
-      record,
-      message: 'Checked in successfully'
-    });
-  } catch (error) {
-    console.error('Check in error:', error);
-    res.status(500).json({ error: 'Server error during check in' });
-  }
-});
+    if (config.geofence) {
+      const policy = await WorkModeService.getPolicy(workMode);
+      modeCheck = WorkModeService.evaluatePunch(policy, { location, workMode, scheduledMode });
 
-// Check out
-router.post('/checkout', authMiddleware, async (req, res) => {
-  try {
-    const { device = 'web', location, notes } = req.body;
+      if (modeCheck.status === 'location_required') {
+        return res.status(400).json({ error: `A valid location is required for ${workMode} punches`, workMode });
+      }
+    }
 
-    // Check if employee has an active checkin
-    const lastRecord = await Record.findOne({
-      where: { employeeId: req.employee.id },
-      order: [['timestamp', 'DESC']]
-    });
+    if (modeCheck && modeCheck.applyGeofence) {
+      geofence = await GeofenceService.validatePunchLocation(req.employee.id, location);
+
+      if (geofence.action === 'reject') {
+        return res.status(403).json({
+          error: 'Location is outside the assigned work site',
+          geofence: {
+            status: geofence.status,
+            distanceMeters: geofence.distanceMeters,
+            workSite: geofence.workSite ? geofence.workSite.name : null
+          }
+        });
+      }
+    }
 
-    if (!lastRecord || lastRecord.type === 'checkout') {
-      return res.status(400).json({ 
-        error: 'You must check in first before checking out.' 
-      });
+    const recordFields = {
+      workMode,
+      ...(geofence && GeofenceService.toRecordFields(geofence))
+    };
+
+    if (modeCheck && modeCheck.flagReason && !recordFields.isFlagged) {
+      recordFields.isFlagged = true;
+      recordFields.flagReason = modeCheck.flagReason;
     }
 
-    const record = await Record.create({
+    const result = await PunchService.punch({
       employeeId: req.employee.id,
-      type: 'checkout',
+      type,
       device,
       location,
-      notes
+      notes,
+      idempotencyKey: PunchService.getIdempotencyKey(req),
+      ...(config.project && { projectId: projectId || null }),
+      ...recordFields
     });
 
-    res.status(201).json({
-      record,
-      message: 'Checked out successfully'
-    });
+    switch (result.status) {
+      case 'duplicate':
+        return res.json({ record: result.record, message: config.success, duplicate: true });
+      case 'idempotency_conflict':
+        return res.status(409).json({ error: 'Idempotency key was already used for a different punch' });
+      case 'employee_not_found':
+        return res.status(404).json({ error: 'Employee not found' });
+      case 'invalid_project':
+        return res.status(400).json({ error: 'Project not found or inactive' });
+      case 'invalid_transition':
+      case 'conflicts_with_later_punch':
+        return res.status(400).json({ error: config.errors[result.state] || 'Invalid punch sequence' });
+    }
+
+    const response = {
+      record: result.record,
+      message: config.success
+    };
+
+    if (type === 'break_end') {
+      response.breakMinutes = Math.round((new Date(result.record.timestamp) - new Date(result.previous.timestamp)) / (1000 * 60));
+    }
+
+    if (geofence && geofence.message) {
+      response.warning = geofence.message;
+    } else if (modeCheck && modeCheck.flagReason) {
+      response.warning = `Today is scheduled as ${scheduledMode} work`;
+    }
+
+    res.status(201).json(response);
   } catch (error) {
-    console.error('Check out error:', error);
-    res.status(500).json({ error: 'Server error during check out' });
+    console.error(`${config.logLabel} error:`, error);
+    res.status(500).json({ error: config.serverError });
   }
-});
+};
+
+// Check in
+router.post('/checkin', authMiddleware, webPunchHandler('checkin'));
+
+// Check out
+router.post('/checkout', authMiddleware, webPunchHandler('checkout'));
+
+// Start a break
+router.post('/break/start', authMiddleware, webPunchHandler('break_start'));
+
+// End a break
+router.post('/break/end', authMiddleware, webPunchHandler('break_end'));
+
+// Switch to another project without ending the session
+router.post('/switch-project', authMiddleware, webPunchHandler('project_switch'));
 
 // Get records for authenticated employee
 router.get('/', authMiddleware, async (req, res) => {
@@ -116,6 +222,11 @@ router.get('/all', async (req, res) => {
       startDate, 
       endDate, 
       type, 
+      workSiteId,
+      projectId,
+      kioskDeviceId,
+      workMode,
+      flagged,
       limit = 100, 
       offset = 0 
     } = req.query;
@@ -124,6 +235,11 @@ router.get('/all', async (req, res) => {
 
     if (employeeId) whereClause.employeeId = employeeId;
     if (type) whereClause.type = type;
+    if (workSiteId) whereClause.workSiteId = workSiteId;
+    if (projectId) whereClause.projectId = projectId;
+    if (kioskDeviceId) whereClause.kioskDeviceId = kioskDeviceId;
+    if (workMode) whereClause.workMode = workMode;
+    if (flagged !== undefined) whereClause.isFlagged = flagged === 'true';
 
     if (startDate || endDate) {
       whereClause.timestamp = {};
@@ -133,11 +249,31 @@ router.get('/all', async (req, res) => {
 
     const records = await Record.findAndCountAll({
       where: whereClause,
-      include: [{
-        model: Employee,
-        as: 'employee',
-        attributes: ['id', 'name', 'employeeCode']
-      }],
+      include: [
+        {
+          model: Employee,
+          as: 'employee',
+          attributes: ['id', 'name', 'employeeCode']
+        },
+        {
+          model: WorkSite,
+          as: 'workSite',
+          attributes: ['id', 'name'],
+          required: false
+        },
+        {
+          model: KioskDevice,
+          as: 'kioskDevice',
+          attributes: ['id', 'name', 'location'],
+          required: false
+        },
+        {
+          model: EmployeeBadge,
+          as: 'badge',
+          attributes: ['id', 'uid', 'label'],
+          required: false
+        }
+      ],
       order: [['timestamp', 'DESC']],
       limit: parseInt(limit),
       offset: parseInt(offset)
@@ -208,6 +344,22 @@ router.get('/employee/:employeeId', async (req, res) => {
   }
 });
 
+// Short-lived QR code for punching at a kiosk from the employee's phone.
+// Each call replaces the previous code, so the phone screen refreshes it before it expires
+router.post('/qr-token', authMiddleware, async (req, res) => {
+  try {
+    const issued = await QrPunchTokenService.issue(req.employee);
+    if (!issued) {
+      return res.status(400).json({ error: 'Authenticator is not configured for this employee' });
+    }
+
+    res.status(201).json({ data: issued });
+  } catch (error) {
+    console.error('Issue QR token error:', error);
+    res.status(500).json({ error: 'Server error issuing QR code' });
+  }
+});
+
 // Get current status (checked in/out)
 router.get('/status', authMiddleware, async (req, res) => {
   try {
@@ -216,8 +368,12 @@ router.get('/status', authMiddleware, async (req, res) => {
       order: [['timestamp', 'DESC']]
     });
 
+    const punchState = Record.getPunchState(lastRecord);
+
     const status = {
-      isCheckedIn: lastRecord ? lastRecord.type === 'checkin' : false,
+      isCheckedIn: punchState !== 'out',
+      isOnBreak: punchState === 'on_break',
+      state: punchState,
       lastRecord: lastRecord || null
     };
 
@@ -231,10 +387,11 @@ router.get('/status', authMiddleware, async (req, res) => {
 // Get analytics (admin only)
 router.get('/analytics', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { startDate, endDate, employeeId } = req.query;
+    const { startDate, endDate, employeeId, workSiteId } = req.query;
 
     const whereClause = {};
     if (employeeId) whereClause.employeeId = employeeId;
+    if (workSiteId) whereClause.workSiteId = workSiteId;
 
     if (startDate || endDate) {
       whereClause.timestamp = {};
@@ -293,42 +450,272 @@ router.get('/analytics', authMiddleware, adminMiddleware, async (req, res) => {
   }
 });
 
-// Update record (admin only)
+// Verify the tamper-evident hash chain of records (admin only)
+router.get('/chain/verify', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.query;
+
+    const result = await RecordChainService.verifyAllChains(employeeId ? [employeeId] : null);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Verify record chain error:', error);
+    res.status(500).json({ error: 'Server error verifying record chain' });
+  }
+});
+
+// Run the forgotten-checkout job now (admin only)
+router.post('/auto-checkout/run', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { policy } = req.body;
+
+    if (policy && !['close', 'flag'].includes(policy)) {
+      return res.status(400).json({ error: 'policy must be close or flag' });
+    }
+
+    const result = await AutoCheckoutService.run(policy ? { policy } : {});
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Auto checkout run error:', error);
+    res.status(500).json({ error: 'Server error running auto checkout' });
+  }
+});
+
+// Validate the compliance export filters; returns an error message or null
+const getExportFilters = (query) => {
+  const { startDate, endDate, employeeIds, format = 'csv' } = query;
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '')) {
+    return { error: 'startDate and endDate (YYYY-MM-DD) are required' };
+  }
+  if (startDate > endDate) {
+    return { error: 'startDate must be before endDate' };
+  }
+  if (!['csv', 'xlsx'].includes(format)) {
+    return { error: 'format must be csv or xlsx' };
+  }
+
+  return {
+    startDate,
+    endDate,
+    format,
+    employeeIds: employeeIds ? employeeIds.split(',').map(id => id.trim()).filter(Boolean) : null
+  };
+};
+
+// Working-time register export for labour inspections (admin only)
+router.get('/compliance-export', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filters = getExportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { manifest, content, fileName } = await ComplianceExportService.export({
+      ...filters,
+      generatedBy: req.employee.employeeCode
+    });
+
+    res.set({
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Export-Record-Count': String(manifest.recordCount),
+      'X-Export-Data-Checksum': manifest.dataChecksum
+    });
+    if (manifest.fileChecksum) {
+      res.set('X-Export-File-Checksum', manifest.fileChecksum);
+    }
+    res.type(filters.format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.send(content);
+  } catch (error) {
+    console.error('Compliance export error:', error);
+    res.status(500).json({ error: 'Server error generating compliance export' });
+  }
+});
+
+// Manifest of a compliance export: counts, checksums and column layout (admin only)
+router.get('/compliance-export/manifest', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filters = getExportFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const { manifest } = await ComplianceExportService.export({
+      ...filters,
+      generatedBy: req.employee.employeeCode
+    });
+
+    res.json({ data: manifest });
+  } catch (error) {
+    console.error('Compliance export manifest error:', error);
+    res.status(500).json({ error: 'Server error generating compliance export manifest' });
+  }
+});
+
+// Get full history of a record, including deleted ones (admin or owner)
+router.get('/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const history = await RecordAuditService.getHistory(id);
+    if (!history) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    if (req.employee.role !== 'admin' && req.employee.id !== history.record.employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    console.error('Get record history error:', error);
+    res.status(500).json({ error: 'Server error fetching record history' });
+  }
+});
+
+// Record detail (admin only), with where it was punched from and its photo
+router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const record = await Record.findByPk(req.params.id, {
+      paranoid: false,
+      include: [
+        { model: Employee, as: 'employee', attributes: ['id', 'name', 'employeeCode'] },
+        { model: WorkSite, as: 'workSite', attributes: ['id', 'name'] },
+        { model: Project, as: 'project', attributes: ['id', 'code', 'name'] },
+        { model: KioskDevice, as: 'kioskDevice', attributes: ['id', 'name', 'location'] },
+        { model: EmployeeBadge, as: 'badge', attributes: ['id', 'uid', 'label'] },
+        { model: RecordPhoto, as: 'photo', attributes: ['id', 'mimeType', 'sizeBytes', 'created_at'] }
+      ]
+    });
+
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const data = record.toJSON();
+    if (data.photo) {
+      data.photo.url = `/api/records/${record.id}/photo`;
+    }
+
+    res.json({ data });
+  } catch (error) {
+    console.error('Get record error:', error);
+    res.status(500).json({ error: 'Server error fetching record' });
+  }
+});
+
+// Photo taken by the kiosk for this record (admin only)
+router.get('/:id/photo', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const photo = await RecordPhoto.findOne({ where: { recordId: req.params.id } });
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    const content = await PunchPhotoService.read(photo);
+    if (!content) {
+      return res.status(404).json({ error: 'Photo file is no longer available' });
+    }
+
+    res.set({
+      'Content-Type': photo.mimeType,
+      'Content-Length': content.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(content);
+  } catch (error) {
+    console.error('Get record photo error:', error);
+    res.status(500).json({ error: 'Server error fetching record photo' });
+  }
+});
+
+// Update record (admin only, reason required)
 router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
-    const { timestamp, notes, device } = req.body;
+    const { timestamp, notes, device, projectId, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to modify a record' });
+    }
+
+    const newTimestamp = timestamp ? new Date(timestamp) : null;
+    if (newTimestamp && isNaN(newTimestamp.getTime())) {
+      return res.status(400).json({ error: 'timestamp must be a valid date' });
+    }
 
     const record = await Record.findByPk(id);
     if (!record) {
       return res.status(404).json({ error: 'Record not found' });
     }
 
+    if (projectId !== undefined) {
+      if (!['checkin', 'project_switch'].includes(record.type)) {
+        return res.status(400).json({ error: 'Only check-ins and project switches have a project' });
+      }
+      if (projectId && !(await Project.findByPk(projectId))) {
+        return res.status(400).json({ error: 'Project not found' });
+      }
+    }
+
     const updateData = {};
-    if (timestamp) updateData.timestamp = new Date(timestamp);
+    if (newTimestamp) updateData.timestamp = newTimestamp;
     if (notes !== undefined) updateData.notes = notes;
     if (device) updateData.device = device;
+    if (projectId !== undefined) updateData.projectId = projectId || null;
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Moving a punch must leave a valid sequence around its old and new position
+      if (newTimestamp) {
+        const check = await PunchService.validateEdit(record, { timestamp: newTimestamp }, { transaction });
+        if (check.status !== 'valid') {
+          return { check };
+        }
+      }
+
+      return await RecordAuditService.updateRecord(record, updateData, {
+        changedBy: req.employee.id,
+        reason: reason.trim(),
+        transaction
+      });
+    });
+
+    if (result.check) {
+      return res.status(400).json({ error: 'The new time would break the punch sequence' });
+    }
 
-    await record.update(updateData);
-    res.json(record);
+    res.json({ ...record.toJSON(), revision: result.revision });
   } catch (error) {
     console.error('Update record error:', error);
     res.status(500).json({ error: 'Server error updating record' });
   }
 });
 
-// Delete record (admin only)
+// Delete record (admin only, reason required). The record is kept as a tombstone
 router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required to delete a record' });
+    }
 
     const record = await Record.findByPk(id);
     if (!record) {
       return res.status(404).json({ error: 'Record not found' });
     }
 
-    await record.destroy();
-    res.json({ message: 'Record deleted successfully' });
+    const { revision } = await RecordAuditService.deleteRecord(record, {
+      changedBy: req.employee.id,
+      reason: reason.trim()
+    });
+
+    res.json({ message: 'Record deleted successfully', revision });
   } catch (error) {
     console.error('Delete record error:', error);
     res.status(500).json({ error: 'Server error deleting record' });
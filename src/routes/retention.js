@@ -0,0 +1,153 @@
+import express from 'express';
+import { Employee, RetentionArchive } from '../models/index.js';
+import { RetentionService } from '../services/retentionService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const RESTORE_ERRORS = {
+  not_found: { status: 404, error: 'Archive not found' },
+  already_restored: { status: 409, error: 'Archive has already been restored' },
+  file_missing: { status: 409, error: 'Archive file is missing' },
+  checksum_mismatch: { status: 409, error: 'Archive file does not match its checksum' }
+};
+
+// Retention policy of every data type (admin only)
+router.get('/policies', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const policies = await RetentionService.getPolicies();
+
+    res.json({ data: policies });
+  } catch (error) {
+    console.error('Get retention policies error:', error);
+    res.status(500).json({ error: 'Server error fetching retention policies' });
+  }
+});
+
+// Update the retention policy of a data type
+router.put('/policies/:dataType', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { dataType } = req.params;
+    const { retentionDays, archiveBeforePurge, isEnabled } = req.body;
+
+    const config = RetentionService.dataTypes[dataType];
+    if (!config) {
+      return res.status(404).json({ error: 'Unknown data type' });
+    }
+
+    if (retentionDays !== undefined) {
+      if (!Number.isInteger(retentionDays) || retentionDays < config.minimumDays) {
+        return res.status(400).json({ error: `retentionDays must be an integer of at least ${config.minimumDays}` });
+      }
+    }
+
+    if (archiveBeforePurge === false && config.requiresArchive) {
+      return res.status(400).json({ error: 'This data type must be archived before it is purged' });
+    }
+
+    if (archiveBeforePurge === true && config.purgeOnly) {
+      return res.status(400).json({ error: 'This data type is deleted when it expires and cannot be archived' });
+    }
+
+    const policy = await RetentionService.updatePolicy(dataType, { retentionDays, archiveBeforePurge, isEnabled }, req.employee.id);
+
+    res.json({ data: policy });
+  } catch (error) {
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ error: 'Server error updating retention policy' });
+  }
+});
+
+// Rows that the next run would archive or purge
+router.get('/preview', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const preview = await RetentionService.preview();
+
+    res.json({ data: preview });
+  } catch (error) {
+    console.error('Retention preview error:', error);
+    res.status(500).json({ error: 'Server error previewing retention' });
+  }
+});
+
+// Run the retention job now (all data types or one)
+router.post('/run', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { dataType } = req.body;
+
+    if (dataType && !RetentionService.dataTypes[dataType]) {
+      return res.status(404).json({ error: 'Unknown data type' });
+    }
+
+    const result = dataType
+      ? await RetentionService.applyPolicy(dataType)
+      : await RetentionService.run();
+
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Retention run error:', error);
+    res.status(500).json({ error: 'Server error running retention' });
+  }
+});
+
+// Archive index
+router.get('/archives', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { dataType, status, limit = 100, offset = 0 } = req.query;
+
+    const whereClause = {};
+    if (dataType) whereClause.dataType = dataType;
+    if (status) whereClause.status = status;
+
+    const archives = await RetentionArchive.findAndCountAll({
+      where: whereClause,
+      include: [{ model: Employee, as: 'restorer', attributes: ['id', 'name'] }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      data: archives.rows,
+      total: archives.count,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Get retention archives error:', error);
+    res.status(500).json({ error: 'Server error fetching retention archives' });
+  }
+});
+
+// Restore an archive for an investigation
+router.post('/archives/:id/restore', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { reason, holdDays } = req.body;
+
+    if (!reason || reason.trim().length < 3) {
+      return res.status(400).json({ error: 'A reason is required to restore an archive' });
+    }
+
+    if (holdDays !== undefined && (!Number.isInteger(holdDays) || holdDays < 1)) {
+      return res.status(400).json({ error: 'holdDays must be a positive integer' });
+    }
+
+    const result = await RetentionService.restore(req.params.id, {
+      restoredBy: req.employee.id,
+      reason: reason.trim(),
+      ...(holdDays !== undefined && { holdDays })
+    });
+
+    if (RESTORE_ERRORS[result.status]) {
+      const { status, error } = RESTORE_ERRORS[result.status];
+      return res.status(status).json({ error });
+    }
+
+    res.json({ data: { archive: result.archive, rowCount: result.rowCount } });
+  } catch (error) {
+    console.error('Restore archive error:', error);
+    res.status(500).json({ error: 'Server error restoring archive' });
+  }
+});
+
+export default router;
@@ -1,9 +1,13 @@
 import express from 'express';
 import { Op } from 'sequelize';
-import { Employee, ScheduleTemplate, ScheduleTemplateDay } from '../models/index.js';
+import { Employee, Record, ScheduleTemplate, ScheduleTemplateDay } from '../models/index.js';
 
 const router = express.Router();
 
+// Template days with a work mode that does not exist
+const hasInvalidWorkMode = (templateDays) =>
+  templateDays.some(day => day.workMode !== undefined && !Record.WORK_MODES.includes(day.workMode));
+
 // Get all schedule templates
 router.get('/', async (req, res) => {
   try {
@@ -99,6 +103,12 @@ router.post('/', async (req, res) => {
         error: 'Name, createdBy, and templateDays are required' 
       });
     }
+
+    if (hasInvalidWorkMode(templateDays)) {
+      return res.status(400).json({ 
+        error: `Invalid work mode. Valid modes: ${Record.WORK_MODES.join(', ')}` 
+      });
+    }
     
     // Verify creator exists
     const creator = await Employee.findByPk(createdBy);
@@ -131,6 +141,7 @@ router.post('/', async (req, res) => {
           breakStartTime: day.breakStartTime || null,
           breakEndTime: day.breakEndTime || null,
           isWorkingDay: day.isWorkingDay,
+          workMode: day.workMode || 'on_site',
           notes: day.notes || null
         });
         createdDays.push(templateDay);
@@ -169,6 +180,12 @@ router.put('/:id', async (req, res) => {
     const { id } = req.params;
     const { name, description, templateDays } = req.body;
     
+    if (Array.isArray(templateDays) && hasInvalidWorkMode(templateDays)) {
+      return res.status(400).json({ 
+        error: `Invalid work mode. Valid modes: ${Record.WORK_MODES.join(', ')}` 
+      });
+    }
+    
     // Find template
     const template = await ScheduleTemplate.findByPk(id);
     if (!template) {
@@ -210,6 +227,7 @@ router.put('/:id', async (req, res) => {
             breakStartTime: day.breakStartTime || null,
             breakEndTime: day.breakEndTime || null,
             isWorkingDay: day.isWorkingDay,
+            workMode: day.workMode || 'on_site',
             notes: day.notes || null
           });
         }
@@ -0,0 +1,182 @@
+import express from 'express';
+import { Employee, TimesheetDispute, TimesheetAcknowledgement } from '../models/index.js';
+import { TimesheetAcknowledgementService } from '../services/timesheetAcknowledgementService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const RESPONSE_ERRORS = {
+  month_not_closed: { status: 400, error: 'The month can only be reviewed once it has ended' },
+  content_changed: { status: 409, error: 'The timesheet has changed since it was reviewed' },
+  already_accepted: { status: 409, error: 'The month has already been accepted' },
+  open_disputes: { status: 409, error: 'The month has open disputes' }
+};
+
+const parseMonth = (source) => {
+  const now = new Date();
+  return {
+    year: parseInt(source.year) || now.getFullYear(),
+    month: parseInt(source.month) || now.getMonth() + 1
+  };
+};
+
+// Acknowledgement status of every active employee for a month (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { year, month } = parseMonth(req.query);
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'month must be between 1 and 12' });
+    }
+
+    const status = await TimesheetAcknowledgementService.getMonthStatus(year, month);
+
+    res.json({ data: status });
+  } catch (error) {
+    console.error('Get timesheet acknowledgements error:', error);
+    res.status(500).json({ error: 'Server error fetching timesheet acknowledgements' });
+  }
+});
+
+// Disputes to resolve (admin only, open by default)
+router.get('/disputes', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status = 'open', employeeId } = req.query;
+
+    const whereClause = {};
+    if (status !== 'all') whereClause.status = status;
+    if (employeeId) whereClause.employeeId = employeeId;
+
+    const disputes = await TimesheetDispute.findAll({
+      where: whereClause,
+      include: [
+        { model: Employee, as: 'employee', attributes: ['id', 'name', 'employeeCode'] },
+        { model: Employee, as: 'resolver', attributes: ['id', 'name'] },
+        { model: TimesheetAcknowledgement, as: 'acknowledgement', attributes: ['id', 'year', 'month', 'status'] }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({ data: disputes });
+  } catch (error) {
+    console.error('Get timesheet disputes error:', error);
+    res.status(500).json({ error: 'Server error fetching timesheet disputes' });
+  }
+});
+
+// Resolve a dispute (admin only)
+router.put('/disputes/:id/resolve', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { resolutionNotes } = req.body;
+
+    if (!resolutionNotes || resolutionNotes.trim().length < 3) {
+      return res.status(400).json({ error: 'resolutionNotes are required' });
+    }
+
+    const dispute = await TimesheetDispute.findByPk(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(409).json({ error: 'Dispute has already been resolved' });
+    }
+
+    const resolved = await TimesheetAcknowledgementService.resolveDispute(dispute.id, req.employee.id, resolutionNotes.trim());
+
+    res.json({ data: resolved });
+  } catch (error) {
+    console.error('Resolve timesheet dispute error:', error);
+    res.status(500).json({ error: 'Server error resolving timesheet dispute' });
+  }
+});
+
+// Month summary for the current employee, with the hash to accept
+router.get('/mine', authMiddleware, async (req, res) => {
+  try {
+    const { year, month } = parseMonth(req.query);
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'month must be between 1 and 12' });
+    }
+
+    const review = await TimesheetAcknowledgementService.getMonthReview(req.employee.id, year, month);
+
+    res.json({ data: review });
+  } catch (error) {
+    console.error('Get timesheet review error:', error);
+    res.status(500).json({ error: 'Server error fetching timesheet review' });
+  }
+});
+
+// Accept a month from the portal
+router.post('/mine/accept', authMiddleware, async (req, res) => {
+  try {
+    const { year, month } = parseMonth(req.body);
+    const { contentHash } = req.body;
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'month must be between 1 and 12' });
+    }
+
+    if (!contentHash) {
+      return res.status(400).json({ error: 'contentHash of the reviewed timesheet is required' });
+    }
+
+    const result = await TimesheetAcknowledgementService.accept(req.employee.id, year, month, {
+      method: 'portal',
+      contentHash
+    });
+
+    if (RESPONSE_ERRORS[result.status]) {
+      const { status, error } = RESPONSE_ERRORS[result.status];
+      return res.status(status).json({ error, contentHash: result.contentHash });
+    }
+
+    res.json({ data: result.acknowledgement });
+  } catch (error) {
+    console.error('Accept timesheet error:', error);
+    res.status(500).json({ error: 'Server error accepting timesheet' });
+  }
+});
+
+// Dispute a day of a month
+router.post('/mine/disputes', authMiddleware, async (req, res) => {
+  try {
+    const { year, month } = parseMonth(req.body);
+    const { date, comment } = req.body;
+
+    if (month < 1 || month > 12) {
+      return res.status(400).json({ error: 'month must be between 1 and 12' });
+    }
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date (YYYY-MM-DD) is required' });
+    }
+
+    if (!comment || comment.trim().length < 3) {
+      return res.status(400).json({ error: 'A comment is required' });
+    }
+
+    const result = await TimesheetAcknowledgementService.dispute(req.employee.id, year, month, {
+      date,
+      comment: comment.trim()
+    });
+
+    if (result.status === 'invalid_date') {
+      return res.status(400).json({ error: 'date must be within the month' });
+    }
+
+    if (RESPONSE_ERRORS[result.status]) {
+      const { status, error } = RESPONSE_ERRORS[result.status];
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json({ data: result.dispute });
+  } catch (error) {
+    console.error('Create timesheet dispute error:', error);
+    res.status(500).json({ error: 'Server error creating timesheet dispute' });
+  }
+});
+
+export default router;
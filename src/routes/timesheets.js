@@ -0,0 +1,230 @@
+import express from 'express';
+import { TimesheetService } from '../services/timesheetService.js';
+import { BreakReconciliationService } from '../services/breakReconciliationService.js';
+import { TimesheetDocumentService } from '../services/timesheetDocumentService.js';
+import { Employee, WeeklySchedule, WorkSite } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Year and month from the query, defaulting to the current month; error is set when either is not valid
+const parseMonthQuery = (query) => {
+  const now = new Date();
+  const year = query.year === undefined ? now.getFullYear() : Number(query.year);
+  const month = query.month === undefined ? now.getMonth() + 1 : Number(query.month);
+
+  if (!Number.isInteger(year) || year < 1970 || year > 9999) {
+    return { error: 'year must be between 1970 and 9999' };
+  }
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    return { error: 'month must be between 1 and 12' };
+  }
+
+  return { year, month };
+};
+
+// Totals per employee for a date range (admin only)
+router.get('/summary', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { startDate, endDate, employeeId, workSiteId } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const whereClause = { isActive: true };
+    if (employeeId) whereClause.id = employeeId;
+
+    const employees = await Employee.findAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'employeeCode'],
+      include: workSiteId ? [{
+        model: WorkSite,
+        as: 'workSites',
+        where: { id: workSiteId },
+        attributes: [],
+        through: { attributes: [] }
+      }] : [],
+      order: [['name', 'ASC']]
+    });
+
+    const summary = await TimesheetService.getTeamSummary(startDate, endDate, employees);
+
+    res.json({
+      data: {
+        dateRange: { startDate, endDate },
+        workSiteId: workSiteId || null,
+        employees: summary
+      }
+    });
+  } catch (error) {
+    console.error('Get timesheet summary error:', error);
+    res.status(500).json({ error: 'Server error getting timesheet summary' });
+  }
+});
+
+// Daily timesheet for an employee in a date range
+router.get('/employee/:employeeId/daily', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const timesheet = await TimesheetService.getDailyTimesheet(employeeId, startDate, endDate);
+
+    res.json({ data: timesheet });
+  } catch (error) {
+    console.error('Get daily timesheet error:', error);
+    res.status(500).json({ error: 'Server error getting daily timesheet' });
+  }
+});
+
+// Weekly timesheet for an employee (ISO week, defaults to current week)
+router.get('/employee/:employeeId/weekly', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const currentWeek = WeeklySchedule.getCurrentWeek();
+    const year = parseInt(req.query.year) || currentWeek.year;
+    const weekNumber = parseInt(req.query.week) || currentWeek.weekNumber;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (weekNumber < 1 || weekNumber > 53) {
+      return res.status(400).json({ error: 'week must be between 1 and 53' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const timesheet = await TimesheetService.getWeeklyTimesheet(employeeId, year, weekNumber);
+
+    res.json({ data: timesheet });
+  } catch (error) {
+    console.error('Get weekly timesheet error:', error);
+    res.status(500).json({ error: 'Server error getting weekly timesheet' });
+  }
+});
+
+// Monthly timesheet for an employee (defaults to current month)
+router.get('/employee/:employeeId/monthly', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { year, month, error } = parseMonthQuery(req.query);
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const timesheet = await TimesheetService.getMonthlyTimesheet(employeeId, year, month);
+
+    res.json({ data: timesheet });
+  } catch (error) {
+    console.error('Get monthly timesheet error:', error);
+    res.status(500).json({ error: 'Server error getting monthly timesheet' });
+  }
+});
+
+// Monthly working hours document for an employee, as PDF (default) or printable HTML
+router.get('/employee/:employeeId/monthly/document', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { format = 'pdf' } = req.query;
+    const { year, month, error } = parseMonthQuery(req.query);
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!['pdf', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be pdf or html' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const document = await TimesheetDocumentService.buildMonthlyDocument(employeeId, year, month);
+
+    if (format === 'html') {
+      res.set('Content-Disposition', `inline; filename="${TimesheetDocumentService.getFileName(document, 'html')}"`);
+      return res.type('html').send(TimesheetDocumentService.renderHtml(document));
+    }
+
+    const pdf = await TimesheetDocumentService.renderPdf(document);
+
+    res.set('Content-Disposition', `attachment; filename="${TimesheetDocumentService.getFileName(document, 'pdf')}"`);
+    res.type('pdf').send(pdf);
+  } catch (error) {
+    console.error('Get monthly timesheet document error:', error);
+    res.status(500).json({ error: 'Server error generating monthly timesheet document' });
+  }
+});
+
+// Break punches reconciled against the effective schedule breaks
+router.get('/employee/:employeeId/breaks', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { startDate, endDate } = req.query;
+    const toleranceMinutes = req.query.toleranceMinutes !== undefined
+      ? parseInt(req.query.toleranceMinutes)
+      : BreakReconciliationService.defaultToleranceMinutes;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDate and endDate are required' });
+    }
+
+    if (isNaN(toleranceMinutes) || toleranceMinutes < 0) {
+      return res.status(400).json({ error: 'toleranceMinutes must be a positive number' });
+    }
+
+    const employee = await Employee.findByPk(employeeId);
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const report = await BreakReconciliationService.getEmployeeBreakReport(employeeId, startDate, endDate, {
+      toleranceMinutes
+    });
+
+    res.json({ data: report });
+  } catch (error) {
+    console.error('Get break report error:', error);
+    res.status(500).json({ error: 'Server error getting break report' });
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { Op } from 'sequelize';
 import { Employee, Vacation } from '../models/index.js';
+import { PresenceService } from '../services/presenceService.js';
+import { TimesheetService } from '../services/timesheetService.js';
 
 const router = express.Router();
 
@@ -193,6 +195,12 @@ router.put('/:id/status', async (req, res) => {
       // TODO: Set approvedBy to current admin user ID
       approvedBy: null
     });
+
+    // Una ausencia que cubre hoy cambia la presencia del empleado al momento
+    const today = TimesheetService.toDateKey(new Date());
+    if (vacation.startDate <= today && vacation.endDate >= today) {
+      PresenceService.publish(vacation.employeeId, 'vacation');
+    }
     
     const updatedVacation = await Vacation.findByPk(id, {
       include: [
@@ -0,0 +1,44 @@
+import express from 'express';
+import { WorkModeService } from '../services/workModeService.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+const POLICY_FIELDS = ['requireLocation', 'applyGeofence', 'flagIfNotScheduled'];
+
+// Punch policy of every work mode
+router.get('/policies', authMiddleware, async (req, res) => {
+  try {
+    const policies = await WorkModeService.getPolicies();
+
+    res.json({ data: policies });
+  } catch (error) {
+    console.error('Get work mode policies error:', error);
+    res.status(500).json({ error: 'Server error fetching work mode policies' });
+  }
+});
+
+// Update the punch policy of a work mode
+router.put('/policies/:workMode', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { workMode } = req.params;
+
+    if (!WorkModeService.isValid(workMode)) {
+      return res.status(404).json({ error: 'Unknown work mode' });
+    }
+
+    const invalidField = POLICY_FIELDS.find(field => req.body[field] !== undefined && typeof req.body[field] !== 'boolean');
+    if (invalidField) {
+      return res.status(400).json({ error: `${invalidField} must be a boolean` });
+    }
+
+    const policy = await WorkModeService.updatePolicy(workMode, req.body, req.employee.id);
+
+    res.json({ data: policy });
+  } catch (error) {
+    console.error('Update work mode policy error:', error);
+    res.status(500).json({ error: 'Server error updating work mode policy' });
+  }
+});
+
+export default router;
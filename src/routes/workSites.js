@@ -0,0 +1,272 @@
+import express from 'express';
+import { Op } from 'sequelize';
+import { Employee, Record, WorkSite, EmployeeWorkSite } from '../models/index.js';
+import { authMiddleware, adminMiddleware } from '../middleware/authMiddleware.js';
+import { GeofenceService } from '../services/geofenceService.js';
+
+const router = express.Router();
+
+const SITE_FIELDS = ['name', 'address', 'latitude', 'longitude', 'radiusMeters', 'timezone', 'geofencePolicy', 'isActive'];
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get all work sites (admin only)
+router.get('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const whereClause = {};
+    if (active !== undefined) whereClause.isActive = active === 'true';
+
+    const workSites = await WorkSite.findAll({
+      where: whereClause,
+      include: [{
+        model: Employee,
+        as: 'employees',
+        attributes: ['id', 'name', 'employeeCode'],
+        through: { attributes: ['isPrimary'] }
+      }],
+      order: [['name', 'ASC']]
+    });
+
+    res.json({ data: workSites });
+  } catch (error) {
+    console.error('Get work sites error:', error);
+    res.status(500).json({ error: 'Server error fetching work sites' });
+  }
+});
+
+// Work sites assigned to an employee (admin or the employee)
+router.get('/employee/:employeeId', authMiddleware, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    if (req.employee.role !== 'admin' && req.employee.id !== employeeId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const employee = await Employee.findByPk(employeeId, {
+      attributes: ['id', 'name', 'employeeCode'],
+      include: [{
+        model: WorkSite,
+        as: 'workSites',
+        through: { attributes: ['isPrimary'] }
+      }]
+    });
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ data: employee.workSites });
+  } catch (error) {
+    console.error('Get employee work sites error:', error);
+    res.status(500).json({ error: 'Server error fetching employee work sites' });
+  }
+});
+
+// Check a location against the current employee's sites without punching
+router.post('/validate-location', authMiddleware, async (req, res) => {
+  try {
+    const geofence = await GeofenceService.validatePunchLocation(req.employee.id, req.body.location);
+
+    res.json({
+      data: {
+        status: geofence.status,
+        action: geofence.action,
+        distanceMeters: geofence.distanceMeters,
+        workSite: geofence.workSite ? { id: geofence.workSite.id, name: geofence.workSite.name } : null,
+        message: geofence.message
+      }
+    });
+  } catch (error) {
+    console.error('Validate location error:', error);
+    res.status(500).json({ error: 'Server error validating location' });
+  }
+});
+
+// Get specific work site
+router.get('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const workSite = await WorkSite.findByPk(req.params.id, {
+      include: [{
+        model: Employee,
+        as: 'employees',
+        attributes: ['id', 'name', 'employeeCode'],
+        through: { attributes: ['isPrimary'] }
+      }]
+    });
+
+    if (!workSite) {
+      return res.status(404).json({ error: 'Work site not found' });
+    }
+
+    res.json({ data: workSite });
+  } catch (error) {
+    console.error('Get work site error:', error);
+    res.status(500).json({ error: 'Server error fetching work site' });
+  }
+});
+
+// Create work site
+router.post('/', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { name, latitude, longitude, timezone, geofencePolicy } = req.body;
+
+    if (!name || latitude === undefined || longitude === undefined) {
+      return res.status(400).json({ error: 'Name, latitude and longitude are required' });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    if (geofencePolicy && !['reject', 'flag', 'warn'].includes(geofencePolicy)) {
+      return res.status(400).json({ error: 'geofencePolicy must be reject, flag or warn' });
+    }
+
+    const siteData = {};
+    SITE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) siteData[field] = req.body[field];
+    });
+
+    const workSite = await WorkSite.create(siteData);
+
+    res.status(201).json({ data: workSite });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Create work site error:', error);
+    res.status(500).json({ error: 'Server error creating work site' });
+  }
+});
+
+// Update work site
+router.put('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { timezone, geofencePolicy } = req.body;
+
+    const workSite = await WorkSite.findByPk(req.params.id);
+    if (!workSite) {
+      return res.status(404).json({ error: 'Work site not found' });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    if (geofencePolicy && !['reject', 'flag', 'warn'].includes(geofencePolicy)) {
+      return res.status(400).json({ error: 'geofencePolicy must be reject, flag or warn' });
+    }
+
+    const updateData = {};
+    SITE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    await workSite.update(updateData);
+
+    res.json({ data: workSite });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: error.errors.map(e => e.message).join(', ') });
+    }
+    console.error('Update work site error:', error);
+    res.status(500).json({ error: 'Server error updating work site' });
+  }
+});
+
+// Delete work site (deactivates it if it already has punches)
+router.delete('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const workSite = await WorkSite.findByPk(req.params.id);
+    if (!workSite) {
+      return res.status(404).json({ error: 'Work site not found' });
+    }
+
+    const recordCount = await Record.count({ where: { workSiteId: workSite.id }, paranoid: false });
+
+    if (recordCount > 0) {
+      await workSite.update({ isActive: false });
+      return res.json({ message: 'Work site has records and was deactivated instead of deleted' });
+    }
+
+    await EmployeeWorkSite.destroy({ where: { workSiteId: workSite.id } });
+    await workSite.destroy();
+
+    res.json({ message: 'Work site deleted successfully' });
+  } catch (error) {
+    console.error('Delete work site error:', error);
+    res.status(500).json({ error: 'Server error deleting work site' });
+  }
+});
+
+// Assign employees to a work site
+router.post('/:id/employees', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { employeeIds, isPrimary = false } = req.body;
+
+    if (!Array.isArray(employeeIds) || employeeIds.length === 0) {
+      return res.status(400).json({ error: 'employeeIds must be a non-empty array' });
+    }
+
+    const workSite = await WorkSite.findByPk(req.params.id);
+    if (!workSite) {
+      return res.status(404).json({ error: 'Work site not found' });
+    }
+
+    const employees = await Employee.findAll({ where: { id: { [Op.in]: employeeIds } } });
+    if (employees.length !== employeeIds.length) {
+      return res.status(404).json({ error: 'One or more employees not found' });
+    }
+
+    for (const employee of employees) {
+      const [assignment] = await EmployeeWorkSite.findOrCreate({
+        where: { employeeId: employee.id, workSiteId: workSite.id },
+        defaults: { isPrimary }
+      });
+
+      if (assignment.isPrimary !== isPrimary) {
+        await assignment.update({ isPrimary });
+      }
+    }
+
+    res.status(201).json({
+      message: `${employees.length} employee(s) assigned to ${workSite.name}`
+    });
+  } catch (error) {
+    console.error('Assign work site employees error:', error);
+    res.status(500).json({ error: 'Server error assigning employees' });
+  }
+});
+
+// Remove an employee from a work site
+router.delete('/:id/employees/:employeeId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const deleted = await EmployeeWorkSite.destroy({
+      where: {
+        workSiteId: req.params.id,
+        employeeId: req.params.employeeId
+      }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    res.json({ message: 'Employee removed from work site' });
+  } catch (error) {
+    console.error('Remove work site employee error:', error);
+    res.status(500).json({ error: 'Server error removing employee' });
+  }
+});
+
+export default router;
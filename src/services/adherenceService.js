@@ -0,0 +1,190 @@
+// Servicio de cumplimiento de horario: compara el horario efectivo con los fichajes reales
+import { Op } from 'sequelize';
+import { Employee, Vacation } from '../models/index.js';
+import { WeeklyScheduleService } from './weeklyScheduleService.js';
+import { TimesheetService } from './timesheetService.js';
+
+const DEFAULT_GRACE_MINUTES = parseInt(process.env.ADHERENCE_GRACE_MINUTES || '15');
+
+export class AdherenceService {
+
+  static get defaultGraceMinutes() {
+    return DEFAULT_GRACE_MINUTES;
+  }
+
+  /**
+   * Convierte la hora de un horario (HH:MM o HH:MM:SS) en un instante del día indicado
+   */
+  static toScheduleDate(date, time) {
+    const [hours, minutes] = time.split(':');
+    const result = new Date(`${date}T00:00:00`);
+    result.setHours(parseInt(hours), parseInt(minutes), 0, 0);
+    return result;
+  }
+
+  static getSeverity(minutes) {
+    return minutes > 60 ? 'high' : minutes > 30 ? 'medium' : 'low';
+  }
+
+  /**
+   * Evalúa un día concreto: horario efectivo, sesiones trabajadas y vacaciones aprobadas
+   */
+  static evaluateDay(date, schedule, sessions, options = {}) {
+    const { graceMinutes = DEFAULT_GRACE_MINUTES, onVacation = false } = options;
+    const workedSessions = sessions.filter(s => s.start);
+    const workedMinutes = sessions.reduce((sum, s) => sum + s.workedMinutes, 0);
+    const isScheduled = !!(schedule.isWorkingDay && schedule.startTime && schedule.endTime);
+    const issues = [];
+
+    const day = {
+      date,
+      scheduleSource: schedule.source,
+      isScheduled,
+      scheduledStart: isScheduled ? schedule.startTime : null,
+      scheduledEnd: isScheduled ? schedule.endTime : null,
+      actualStart: workedSessions.length > 0 ? workedSessions[0].start : null,
+      actualEnd: null,
+      workedMinutes,
+      onVacation,
+      issues
+    };
+
+    const closedSessions = sessions.filter(s => s.end);
+    if (closedSessions.length > 0) {
+      day.actualEnd = closedSessions[closedSessions.length - 1].end;
+    }
+
+    if (sessions.some(s => s.status === 'missing_checkout')) {
+      issues.push({ type: 'missing_checkout', severity: 'medium', minutes: 0 });
+    }
+    if (sessions.some(s => s.status === 'missing_checkin')) {
+      issues.push({ type: 'missing_checkin', severity: 'medium', minutes: 0 });
+    }
+
+    if (!isScheduled) {
+      if (workedSessions.length > 0) {
+        issues.push({ type: 'unscheduled_work', severity: 'low', minutes: workedMinutes });
+      }
+      return day;
+    }
+
+    if (workedSessions.length === 0) {
+      if (!onVacation) {
+        issues.push({ type: 'absence', severity: 'high', minutes: 0 });
+      }
+      return day;
+    }
+
+    const scheduledStart = this.toScheduleDate(date, schedule.startTime);
+    const scheduledEnd = this.toScheduleDate(date, schedule.endTime);
+    // Turnos nocturnos: la salida prevista es al día siguiente
+    if (scheduledEnd <= scheduledStart) {
+      scheduledEnd.setDate(scheduledEnd.getDate() + 1);
+    }
+
+    const lateMinutes = Math.round((new Date(day.actualStart) - scheduledStart) / (1000 * 60));
+    if (lateMinutes > graceMinutes) {
+      issues.push({ type: 'late_arrival', severity: this.getSeverity(lateMinutes), minutes: lateMinutes });
+    }
+
+    if (day.actualEnd && !sessions.some(s => s.status === 'open')) {
+      const earlyMinutes = Math.round((scheduledEnd - new Date(day.actualEnd)) / (1000 * 60));
+      if (earlyMinutes > graceMinutes) {
+        issues.push({ type: 'early_departure', severity: this.getSeverity(earlyMinutes), minutes: earlyMinutes });
+      }
+    }
+
+    return day;
+  }
+
+  /**
+   * Informe de cumplimiento de un empleado para un rango de fechas
+   */
+  static async getEmployeeAdherence(employeeId, startDate, endDate, options = {}) {
+    const graceMinutes = options.graceMinutes ?? DEFAULT_GRACE_MINUTES;
+
+    const [schedules, sessions, vacations] = await Promise.all([
+      WeeklyScheduleService.getEffectiveScheduleForDateRange(employeeId, startDate, endDate),
+      TimesheetService.getSessions(employeeId, startDate, endDate),
+      Vacation.findAll({
+        where: {
+          employeeId,
+          status: 'approved',
+          startDate: { [Op.lte]: endDate },
+          endDate: { [Op.gte]: startDate }
+        }
+      })
+    ]);
+
+    const days = schedules.map(schedule => {
+      const onVacation = vacations.some(v => v.startDate <= schedule.date && v.endDate >= schedule.date);
+      const daySessions = sessions.filter(s => s.date === schedule.date);
+      return this.evaluateDay(schedule.date, schedule, daySessions, { graceMinutes, onVacation });
+    });
+
+    return {
+      employeeId,
+      period: { startDate, endDate },
+      graceMinutes,
+      days,
+      summary: this.summarize(days)
+    };
+  }
+
+  static summarize(days) {
+    const countIssues = (type) => days.filter(d => d.issues.some(i => i.type === type)).length;
+    const sumMinutes = (type) => days.reduce(
+      (sum, d) => sum + d.issues.filter(i => i.type === type).reduce((acc, i) => acc + i.minutes, 0),
+      0
+    );
+    const scheduledDays = days.filter(d => d.isScheduled && !d.onVacation).length;
+    const lateArrivals = countIssues('late_arrival');
+    const absences = countIssues('absence');
+
+    return {
+      scheduledDays,
+      workedDays: days.filter(d => d.workedMinutes > 0).length,
+      vacationDays: days.filter(d => d.onVacation).length,
+      lateArrivals,
+      lateMinutes: sumMinutes('late_arrival'),
+      earlyDepartures: countIssues('early_departure'),
+      earlyDepartureMinutes: sumMinutes('early_departure'),
+      absences,
+      unscheduledWorkDays: countIssues('unscheduled_work'),
+      unscheduledWorkMinutes: sumMinutes('unscheduled_work'),
+      missingPunchDays: days.filter(d => d.issues.some(i => i.type === 'missing_checkin' || i.type === 'missing_checkout')).length,
+      punctualityRate: scheduledDays > 0
+        ? Math.round(((scheduledDays - lateArrivals - absences) / scheduledDays) * 1000) / 10
+        : 100
+    };
+  }
+
+  /**
+   * Resumen de cumplimiento para varios empleados (vista de administración)
+   */
+  static async getTeamAdherence(startDate, endDate, options = {}) {
+    const whereClause = { isActive: true };
+    if (options.employeeIds) whereClause.id = { [Op.in]: options.employeeIds };
+
+    const employees = await Employee.findAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'employeeCode'],
+      order: [['name', 'ASC']]
+    });
+
+    const results = [];
+    for (const employee of employees) {
+      const report = await this.getEmployeeAdherence(employee.id, startDate, endDate, options);
+      results.push({
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode
+        },
+        ...report
+      });
+    }
+
+    return results;
+  }
+}
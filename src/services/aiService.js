@@ -1,6 +1,10 @@
 import OpenAI from 'openai';
-import { Employee, Record, Schedule, Vacation } from '../models/index.js';
+import { Employee, Record, Schedule, Vacation, WeeklySchedule } from '../models/index.js';
 import { Op } from 'sequelize';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+import { HourBankService } from './hourBankService.js';
+import { OvertimeService } from './overtimeService.js';
 
 // Initialize OpenAI client
 let openai = null;
@@ -41,7 +45,7 @@ class AIService {
         order: [['timestamp', 'DESC']]
       });
 
-      // Get employee schedules
+      // Get employees to analyze
       const employees = employeeId 
         ? [await Employee.findByPk(employeeId)]
         : await Employee.findAll();
@@ -53,20 +57,17 @@ class AIService {
         summary: {}
       };
 
+      const periodStart = TimesheetService.toDateKey(startDate);
+      const periodEnd = TimesheetService.toDateKey(new Date());
+
       for (const employee of employees) {
         if (!employee) continue;
 
-        const employeeRecords = records.filter(r => r.employeeId === employee.id);
-        const schedules = await Schedule.findAll({
-          where: { employeeId: employee.id }
-        });
+        // Compare effective schedule (weekly templates + daily exceptions) with actual punches
+        const adherence = await AdherenceService.getEmployeeAdherence(employee.id, periodStart, periodEnd);
 
         // Analyze patterns for this employee
-        const employeeAnalysis = await this.analyzeEmployeePatterns(
-          employee, 
-          employeeRecords, 
-          schedules
-        );
+        const employeeAnalysis = this.analyzeEmployeePatterns(employee, adherence);
 
         analysis.anomalies.push(...employeeAnalysis.anomalies);
         analysis.patterns.push(...employeeAnalysis.patterns);
@@ -89,111 +90,44 @@ class AIService {
     }
   }
 
-  // Analyze individual employee patterns
-  static async analyzeEmployeePatterns(employee, records, schedules) {
+  // Analyze individual employee patterns from an adherence report
+  static analyzeEmployeePatterns(employee, adherence) {
     const anomalies = [];
     const patterns = [];
     const recommendations = [];
 
-    // Group records by day
-    const recordsByDay = {};
-    records.forEach(record => {
-      const day = new Date(record.timestamp).toDateString();
-      if (!recordsByDay[day]) recordsByDay[day] = [];
-      recordsByDay[day].push(record);
-    });
-
-    // Analyze each day
-    Object.entries(recordsByDay).forEach(([day, dayRecords]) => {
-      const date = new Date(day);
-      const dayOfWeek = date.getDay();
-      
-      // Find expected schedule for this day
-      const expectedSchedule = schedules.find(s => s.dayOfWeek === dayOfWeek);
-      
-      if (expectedSchedule && expectedSchedule.isWorkingDay) {
-        const checkins = dayRecords.filter(r => r.type === 'checkin');
-        const checkouts = dayRecords.filter(r => r.type === 'checkout');
-
-        // Check for late arrivals
-        if (checkins.length > 0) {
-          const firstCheckin = new Date(checkins[0].timestamp);
-          const expectedStart = new Date(date);
-          const [hours, minutes] = expectedSchedule.startTime.split(':');
-          expectedStart.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-          const lateness = (firstCheckin - expectedStart) / (1000 * 60); // minutes
-
-          if (lateness > 15) {
-            anomalies.push({
-              type: 'late_arrival',
-              employee: employee.name,
-              employeeId: employee.id,
-              date: day,
-              severity: lateness > 60 ? 'high' : lateness > 30 ? 'medium' : 'low',
-              details: `Llegada ${Math.round(lateness)} minutos tarde`,
-              expectedTime: expectedSchedule.startTime,
-              actualTime: firstCheckin.toTimeString().substring(0, 5)
-            });
-          }
-        }
-
-        // Check for early departures
-        if (checkouts.length > 0) {
-          const lastCheckout = new Date(checkouts[checkouts.length - 1].timestamp);
-          const expectedEnd = new Date(date);
-          const [hours, minutes] = expectedSchedule.endTime.split(':');
-          expectedEnd.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-
-          const earlyLeave = (expectedEnd - lastCheckout) / (1000 * 60); // minutes
-
-          if (earlyLeave > 15) {
-            anomalies.push({
-              type: 'early_departure',
-              employee: employee.name,
-              employeeId: employee.id,
-              date: day,
-              severity: earlyLeave > 60 ? 'high' : earlyLeave > 30 ? 'medium' : 'low',
-              details: `Salida ${Math.round(earlyLeave)} minutos antes`,
-              expectedTime: expectedSchedule.endTime,
-              actualTime: lastCheckout.toTimeString().substring(0, 5)
-            });
-          }
-        }
-
-        // Check for missing records
-        if (checkins.length === 0) {
-          anomalies.push({
-            type: 'missing_checkin',
-            employee: employee.name,
-            employeeId: employee.id,
-            date: day,
-            severity: 'high',
-            details: 'No se registró entrada',
-            expectedTime: expectedSchedule.startTime,
-            actualTime: null
-          });
-        }
+    const anomalyDetails = {
+      late_arrival: (issue) => `Llegada ${issue.minutes} minutos tarde`,
+      early_departure: (issue) => `Salida ${issue.minutes} minutos antes`,
+      absence: () => 'No se registró entrada en un día laborable',
+      missing_checkin: () => 'Salida sin entrada registrada',
+      missing_checkout: () => 'No se registró salida',
+      unscheduled_work: (issue) => `Trabajó ${issue.minutes} minutos fuera de horario`
+    };
 
-        if (checkouts.length === 0 && checkins.length > 0) {
-          anomalies.push({
-            type: 'missing_checkout',
-            employee: employee.name,
-            employeeId: employee.id,
-            date: day,
-            severity: 'medium',
-            details: 'No se registró salida',
-            expectedTime: expectedSchedule.endTime,
-            actualTime: null
-          });
-        }
-      }
+    adherence.days.forEach(day => {
+      day.issues.forEach(issue => {
+        const isEndIssue = issue.type === 'early_departure' || issue.type === 'missing_checkout';
+        const actual = isEndIssue ? day.actualEnd : day.actualStart;
+
+        anomalies.push({
+          type: issue.type,
+          employee: employee.name,
+          employeeId: employee.id,
+          date: day.date,
+          severity: issue.severity,
+          minutes: issue.minutes,
+          details: anomalyDetails[issue.type](issue),
+          expectedTime: isEndIssue ? day.scheduledEnd : day.scheduledStart,
+          actualTime: actual ? new Date(actual).toTimeString().substring(0, 5) : null
+        });
+      });
     });
 
     // Generate patterns
     const avgLateness = anomalies
       .filter(a => a.type === 'late_arrival')
-      .reduce((sum, a) => sum + parseInt(a.details.match(/\d+/)[0]), 0) / 
+      .reduce((sum, a) => sum + a.minutes, 0) / 
       Math.max(1, anomalies.filter(a => a.type === 'late_arrival').length);
 
     if (avgLateness > 0) {
@@ -371,7 +305,9 @@ class AIService {
         ]);
 
         // Calculate detailed statistics
-        const workDays = Math.floor(allRecords.length / 2); // Simplified: assuming pairs of checkin/checkout
+        const now = new Date();
+        const monthTimesheet = await TimesheetService.getMonthlyTimesheet(employeeId, now.getFullYear(), now.getMonth() + 1);
+        const workDays = monthTimesheet.totals.daysWorked;
         const thisWeekRecords = allRecords.filter(r => {
           const recordDate = new Date(r.timestamp);
           const weekStart = new Date();
@@ -393,12 +329,13 @@ class AIService {
         const todayCheckouts = todayRecords.filter(r => r.type === 'checkout');
         const isCurrentlyCheckedIn = todayCheckins.length > todayCheckouts.length;
         
-        // Calculate late arrivals this month
-        const lateArrivals = thisMonthRecords.filter(r => {
-          if (r.type !== 'checkin') return false;
-          const time = new Date(r.timestamp);
-          return time.getHours() > 9 || (time.getHours() === 9 && time.getMinutes() > 15);
-        }).length;
+        // Calculate late arrivals this month against the effective schedule
+        const monthAdherence = await AdherenceService.getEmployeeAdherence(
+          employeeId,
+          TimesheetService.toDateKey(new Date(now.getFullYear(), now.getMonth(), 1)),
+          TimesheetService.toDateKey(now)
+        );
+        const lateArrivals = monthAdherence.summary.lateArrivals;
 
         context = `
 INFORMACIÓN DEL EMPLEADO:
@@ -408,7 +345,8 @@ INFORMACIÓN DEL EMPLEADO:
 
 REGISTROS DE FICHAJES:
 - Total registros: ${allRecords.length}
-- Días trabajados estimados: ${workDays}
+- Días trabajados este mes: ${workDays}
+- Horas trabajadas este mes: ${TimesheetService.formatMinutes(monthTimesheet.totals.workedMinutes)}
 - Registros esta semana: ${thisWeekRecords.length}
 - Registros este mes: ${thisMonthRecords.length}
 - Llegadas tarde este mes: ${lateArrivals}
@@ -424,7 +362,7 @@ VACACIONES:
 - Última solicitud: ${vacations.length > 0 ? new Date(vacations[0].startDate).toLocaleDateString('es-ES') + ' - ' + new Date(vacations[0].endDate).toLocaleDateString('es-ES') + ' (' + vacations[0].status + ')' : 'Sin solicitudes'}
 
 REGISTROS DE HOY:
-${todayRecords.length > 0 ? todayRecords.map(r => `- ${new Date(r.timestamp).toLocaleTimeString('es-ES')}: ${r.type === 'checkin' ? 'Entrada' : 'Salida'}`).join('\n') : '- Sin registros hoy'}
+${todayRecords.length > 0 ? todayRecords.map(r => `- ${new Date(r.timestamp).toLocaleTimeString('es-ES')}: ${Record.getTypeLabel(r.type)}`).join('\n') : '- Sin registros hoy'}
         `;
       } else {
         // Admin/supervisor context
@@ -639,6 +577,10 @@ Responde de forma directa y útil, usando los datos reales disponibles.`
       // Determine what type of insight is requested
       const lowerQuery = query.toLowerCase();
       
+      if (lowerQuery.includes('extra') || lowerQuery.includes('bolsa')) {
+        return await this.getHourBank(employeeId);
+      }
+      
       if (lowerQuery.includes('horas') && (lowerQuery.includes('semana') || lowerQuery.includes('semanal'))) {
         return await this.getWeeklyHours(employeeId);
       }
@@ -677,103 +619,95 @@ Responde de forma directa y útil, usando los datos reales disponibles.`
 
   // Get weekly hours worked
   static async getWeeklyHours(employeeId) {
-    const weekStart = new Date();
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    weekStart.setHours(0, 0, 0, 0);
-
-    const records = await Record.findAll({
-      where: {
-        employeeId,
-        timestamp: { [Op.gte]: weekStart }
-      },
-      order: [['timestamp', 'ASC']]
-    });
-
-    const checkins = records.filter(r => r.type === 'checkin');
-    const checkouts = records.filter(r => r.type === 'checkout');
-    const workDays = Math.min(checkins.length, checkouts.length);
-    const estimatedHours = workDays * 8; // Simplified calculation
+    const { year, weekNumber } = WeeklySchedule.getCurrentWeek();
+    const timesheet = await TimesheetService.getWeeklyTimesheet(employeeId, year, weekNumber);
+    const { totals } = timesheet;
+    const hasOpenSession = timesheet.days.some(d => d.hasOpenSession);
 
     return {
-      response: `Esta semana has trabajado aproximadamente ${estimatedHours} horas en ${workDays} días.
+      response: `Esta semana has trabajado ${TimesheetService.formatMinutes(totals.workedMinutes)} en ${totals.daysWorked} días.
       
       Detalles:
-      - Entradas registradas: ${checkins.length}
-      - Salidas registradas: ${checkouts.length}
-      - Días trabajados: ${workDays}
+      - Sesiones de trabajo: ${totals.sessionCount}
+      - Días trabajados: ${totals.daysWorked}
+      - Días con fichajes incompletos: ${totals.incompleteDays}
       
-      ${checkins.length > checkouts.length ? '⚠️ Tienes una entrada sin salida registrada.' : ''}`,
+      ${hasOpenSession ? '⚠️ Tienes una entrada sin salida registrada.' : ''}`,
       type: 'hours_summary',
-      data: { hours: estimatedHours, days: workDays }
+      data: { hours: totals.workedHours, days: totals.daysWorked }
     };
   }
 
   // Get monthly hours worked
   static async getMonthlyHours(employeeId) {
-    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-
-    const records = await Record.findAll({
-      where: {
-        employeeId,
-        timestamp: { [Op.gte]: monthStart }
-      },
-      order: [['timestamp', 'ASC']]
-    });
-
-    const checkins = records.filter(r => r.type === 'checkin');
-    const checkouts = records.filter(r => r.type === 'checkout');
-    const workDays = Math.min(checkins.length, checkouts.length);
-    const estimatedHours = workDays * 8;
+    const now = new Date();
+    const timesheet = await TimesheetService.getMonthlyTimesheet(employeeId, now.getFullYear(), now.getMonth() + 1);
+    const { totals } = timesheet;
 
     return {
-      response: `Este mes has trabajado aproximadamente ${estimatedHours} horas en ${workDays} días.
+      response: `Este mes has trabajado ${TimesheetService.formatMinutes(totals.workedMinutes)} en ${totals.daysWorked} días.
       
       Estadísticas del mes:
-      - Total de fichajes: ${records.length}
-      - Días trabajados: ${workDays}
-      - Promedio horas/día: ${workDays > 0 ? (estimatedHours / workDays).toFixed(1) : 0}h`,
+      - Sesiones de trabajo: ${totals.sessionCount}
+      - Días trabajados: ${totals.daysWorked}
+      - Promedio horas/día: ${totals.averageHoursPerDay}h`,
       type: 'monthly_summary',
-      data: { hours: estimatedHours, days: workDays }
+      data: { hours: totals.workedHours, days: totals.daysWorked }
     };
   }
 
-  // Get late arrivals analysis
-  static async getLateArrivals(employeeId) {
-    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+  // Get overtime this month and hour bank balance
+  static async getHourBank(employeeId) {
+    const now = new Date();
+    const monthStart = TimesheetService.toDateKey(new Date(now.getFullYear(), now.getMonth(), 1));
+    const [overtime, balanceMinutes] = await Promise.all([
+      OvertimeService.getEmployeeOvertime(employeeId, monthStart, TimesheetService.toDateKey(now)),
+      HourBankService.getBalance(employeeId)
+    ]);
+    const { summary } = overtime;
+    const balanceText = `${balanceMinutes < 0 ? '-' : ''}${TimesheetService.formatMinutes(Math.abs(balanceMinutes))}`;
 
-    const checkins = await Record.findAll({
-      where: {
-        employeeId,
-        type: 'checkin',
-        timestamp: { [Op.gte]: monthStart }
-      },
-      order: [['timestamp', 'DESC']]
-    });
+    return {
+      response: `Este mes llevas ${TimesheetService.formatMinutes(summary.overtimeMinutes)} de horas extra.
+      
+      Detalles:
+      - Horas trabajadas: ${TimesheetService.formatMinutes(summary.workedMinutes)}
+      - Horas previstas según tu horario: ${TimesheetService.formatMinutes(summary.expectedMinutes)}
+      - Jornada contratada: ${overtime.weeklyContractedHours}h semanales
+      - Saldo en la bolsa de horas: ${balanceText}`,
+      type: 'hour_bank',
+      data: { overtimeHours: summary.overtimeHours, balanceHours: TimesheetService.toHours(balanceMinutes) }
+    };
+  }
 
-    const lateArrivals = checkins.filter(r => {
-      const time = new Date(r.timestamp);
-      return time.getHours() > 9 || (time.getHours() === 9 && time.getMinutes() > 15);
-    });
+  // Get late arrivals analysis
+  static async getLateArrivals(employeeId) {
+    const now = new Date();
+    const monthStart = TimesheetService.toDateKey(new Date(now.getFullYear(), now.getMonth(), 1));
+    const adherence = await AdherenceService.getEmployeeAdherence(employeeId, monthStart, TimesheetService.toDateKey(now));
 
-    const punctualityScore = checkins.length > 0 ? 
-      Math.max(0, 100 - (lateArrivals.length / checkins.length * 100)).toFixed(1) : 100;
+    const lateArrivals = adherence.days
+      .filter(d => d.issues.some(i => i.type === 'late_arrival'))
+      .reverse();
+    const { summary } = adherence;
 
     return {
       response: `Análisis de puntualidad este mes:
       
       📊 Estadísticas:
-      - Total entradas: ${checkins.length}
-      - Llegadas tarde: ${lateArrivals.length}
-      - Puntuación de puntualidad: ${punctualityScore}%
+      - Días laborables: ${summary.scheduledDays}
+      - Llegadas tarde: ${summary.lateArrivals}
+      - Ausencias: ${summary.absences}
+      - Puntuación de puntualidad: ${summary.punctualityRate}%
       
       ${lateArrivals.length > 0 ? 
-        `⏰ Últimas llegadas tarde:\n${lateArrivals.slice(0, 3).map(r => 
-          `- ${new Date(r.timestamp).toLocaleDateString('es-ES')} a las ${new Date(r.timestamp).toLocaleTimeString('es-ES')}`
+        `⏰ Últimas llegadas tarde:\n${lateArrivals.slice(0, 3).map(d => 
+          `- ${new Date(d.actualStart).toLocaleDateString('es-ES')} a las ${new Date(d.actualStart).toLocaleTimeString('es-ES')} (entrada prevista ${d.scheduledStart})`
         ).join('\n')}` : 
         '🎉 ¡Excelente! No has llegado tarde este mes.'
       }`,
       type: 'punctuality_analysis',
-      data: { lateCount: lateArrivals.length, score: punctualityScore }
+      data: { lateCount: summary.lateArrivals, score: summary.punctualityRate }
     };
   }
 
@@ -836,13 +770,17 @@ Responde de forma directa y útil, usando los datos reales disponibles.`
 
     const checkins = todayRecords.filter(r => r.type === 'checkin');
     const checkouts = todayRecords.filter(r => r.type === 'checkout');
-    const isCheckedIn = checkins.length > checkouts.length;
+    const punchState = Record.getPunchState(todayRecords[todayRecords.length - 1]);
+    const isCheckedIn = punchState !== 'out';
 
     let statusMessage = '';
     if (todayRecords.length === 0) {
       statusMessage = 'No has fichado entrada hoy. 🚪';
+    } else if (punchState === 'on_break') {
+      const breakStart = todayRecords[todayRecords.length - 1];
+      statusMessage = `Estás en PAUSA desde las ${new Date(breakStart.timestamp).toLocaleTimeString('es-ES')} ☕`;
     } else if (isCheckedIn) {
-      const lastCheckin = checkins[checkins.length - 1];
+      const lastCheckin = checkins[checkins.length - 1] || todayRecords[0];
       statusMessage = `Estás fichado DENTRO desde las ${new Date(lastCheckin.timestamp).toLocaleTimeString('es-ES')} ✅`;
     } else {
       const lastCheckout = checkouts[checkouts.length - 1];
@@ -857,12 +795,12 @@ Responde de forma directa y útil, usando los datos reales disponibles.`
       📋 Registros de hoy:
       ${todayRecords.length > 0 ? 
         todayRecords.map(r => 
-          `- ${new Date(r.timestamp).toLocaleTimeString('es-ES')}: ${r.type === 'checkin' ? 'Entrada' : 'Salida'}`
+          `- ${new Date(r.timestamp).toLocaleTimeString('es-ES')}: ${Record.getTypeLabel(r.type)}`
         ).join('\n') : 
         '- Sin registros'
       }`,
       type: 'today_status',
-      data: { isCheckedIn, recordsCount: todayRecords.length }
+      data: { isCheckedIn, isOnBreak: punchState === 'on_break', recordsCount: todayRecords.length }
     };
   }
 
@@ -912,6 +850,7 @@ Responde de forma directa y útil, usando los datos reales disponibles.`
       
       💡 Puedes preguntarme sobre:
       - Horas trabajadas esta semana/mes
+      - Horas extra y saldo de la bolsa de horas
       - Tu puntualidad y llegadas tarde
       - Estado de fichaje de hoy
       - Horario de mañana
@@ -0,0 +1,276 @@
+// Servicio de salidas olvidadas: cierra o marca las sesiones que siguen abiertas tras el fin de jornada
+import sequelize from '../config/database.js';
+import { Employee, Record, Notification } from '../models/index.js';
+import { WeeklyScheduleService } from './weeklyScheduleService.js';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+import { NotificationService } from './notificationService.js';
+import { PunchService } from './punchService.js';
+import { RecordAuditService } from './recordAuditService.js';
+
+// close: crea una salida automática marcada; flag: solo marca la entrada para revisión
+const AUTO_CHECKOUT_POLICY = process.env.AUTO_CHECKOUT_POLICY || 'close';
+const TOLERANCE_MINUTES = parseInt(process.env.AUTO_CHECKOUT_TOLERANCE_MINUTES || '120');
+const INTERVAL_MINUTES = parseInt(process.env.AUTO_CHECKOUT_INTERVAL_MINUTES || '15');
+
+export class AutoCheckoutService {
+
+  static get policy() {
+    return AUTO_CHECKOUT_POLICY;
+  }
+
+  static get toleranceMinutes() {
+    return TOLERANCE_MINUTES;
+  }
+
+  /**
+   * Calcula a partir de cuándo una entrada sin salida se considera olvidada.
+   * Sin horario aplicable se usa la duración máxima de sesión del motor de hojas de horas.
+   */
+  static getDeadline(checkin, schedule, toleranceMinutes = TOLERANCE_MINUTES) {
+    const checkinTime = new Date(checkin.timestamp);
+    const date = TimesheetService.toDateKey(checkinTime);
+
+    if (schedule && schedule.isWorkingDay && schedule.endTime) {
+      const scheduledEnd = AdherenceService.toScheduleDate(date, schedule.endTime);
+      if (schedule.startTime && scheduledEnd <= AdherenceService.toScheduleDate(date, schedule.startTime)) {
+        scheduledEnd.setDate(scheduledEnd.getDate() + 1);
+      }
+
+      if (scheduledEnd > checkinTime) {
+        return {
+          scheduledEnd,
+          deadline: new Date(scheduledEnd.getTime() + toleranceMinutes * 60 * 1000)
+        };
+      }
+    }
+
+    return {
+      scheduledEnd: null,
+      deadline: new Date(checkinTime.getTime() + TimesheetService.maxSessionHours * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Devuelve la entrada de la sesión abierta del empleado, si la hay
+   */
+  static async findOpenSession(employeeId) {
+    const lastRecord = await Record.findOne({
+      where: { employeeId },
+      order: [['timestamp', 'DESC']]
+    });
+
+    if (Record.getPunchState(lastRecord) === 'out') {
+      return null;
+    }
+
+    const checkin = lastRecord.type === 'checkin'
+      ? lastRecord
+      : await Record.findOne({
+        where: { employeeId, type: 'checkin' },
+        order: [['timestamp', 'DESC']]
+      });
+
+    return checkin ? { lastRecord, checkin } : null;
+  }
+
+  /**
+   * Registra la salida automática a la hora prevista (o a la del último fichaje, si es posterior).
+   * Si el empleado sigue en pausa, primero se cierra la pausa. Devuelve el resultado de PunchService.
+   */
+  static async closeSession(employeeId, lastRecord, scheduledEnd, notes, transaction) {
+    const lastTime = new Date(lastRecord.timestamp);
+    const closeTime = scheduledEnd > lastTime ? scheduledEnd : lastTime;
+    const automatic = { device: 'system', notes, isFlagged: true, flagReason: 'auto_checkout' };
+    let checkoutTime = closeTime;
+
+    if (Record.getPunchState(lastRecord) === 'on_break') {
+      const breakEnd = await PunchService.punch({
+        employeeId,
+        type: 'break_end',
+        timestamp: closeTime,
+        ...automatic
+      }, { transaction });
+
+      if (breakEnd.status !== 'created') {
+        return breakEnd;
+      }
+
+      // Un segundo después, para que el orden por hora del fin de pausa y la salida no sea ambiguo
+      checkoutTime = new Date(closeTime.getTime() + 1000);
+    }
+
+    return await PunchService.punch({
+      employeeId,
+      type: 'checkout',
+      timestamp: checkoutTime,
+      ...automatic
+    }, { transaction });
+  }
+
+  /**
+   * Revisa la sesión abierta de un empleado y la cierra o la marca si ha pasado el límite
+   */
+  static async processEmployee(employee, options = {}) {
+    const {
+      now = new Date(),
+      policy = AUTO_CHECKOUT_POLICY,
+      toleranceMinutes = TOLERANCE_MINUTES
+    } = options;
+
+    const open = await this.findOpenSession(employee.id);
+    if (!open) {
+      return null;
+    }
+
+    const { checkin, lastRecord } = open;
+
+    // Cada entrada olvidada se trata una sola vez
+    const alreadyNotified = await Notification.findOne({
+      where: {
+        employeeId: employee.id,
+        type: 'forgotten_checkout',
+        data: { checkinId: checkin.id }
+      }
+    });
+    if (alreadyNotified) {
+      return null;
+    }
+
+    const workDate = TimesheetService.toDateKey(checkin.timestamp);
+    const schedule = await WeeklyScheduleService.getEffectiveScheduleForDate(employee.id, workDate);
+    const { scheduledEnd, deadline } = this.getDeadline(checkin, schedule, toleranceMinutes);
+
+    if (now <= deadline) {
+      return null;
+    }
+
+    // Sin hora de fin prevista no se puede inventar una salida: solo se marca
+    let action = policy === 'close' && scheduledEnd ? 'closed' : 'flagged';
+    const checkinTime = new Date(checkin.timestamp).toLocaleString('es-ES');
+
+    return await sequelize.transaction(async (transaction) => {
+      let checkout = null;
+
+      if (action === 'closed') {
+        const result = await this.closeSession(
+          employee.id,
+          lastRecord,
+          scheduledEnd,
+          `Salida automática: entrada del ${checkinTime} sin salida registrada`,
+          transaction
+        );
+
+        // El empleado ha fichado mientras tanto: no hay nada que cerrar
+        if (result.status === 'duplicate' || result.status === 'conflicts_with_later_punch') {
+          return null;
+        }
+
+        // Si no se puede cerrar, la sesión se marca para que no se quede abierta sin aviso
+        if (result.status === 'created') {
+          checkout = result.record;
+        } else {
+          action = 'flagged';
+        }
+      }
+
+      // La marca forma parte del hash: se cambia con revisión para que la cadena siga verificándose
+      if (action === 'flagged') {
+        await RecordAuditService.updateRecord(checkin, {
+          isFlagged: true,
+          flagReason: checkin.flagReason || 'forgotten_checkout'
+        }, {
+          changedBy: null,
+          reason: 'Salida no registrada: entrada marcada para revisión',
+          transaction
+        });
+      }
+
+      const data = {
+        checkinId: checkin.id,
+        checkoutId: checkout ? checkout.id : null,
+        workDate,
+        scheduledEnd,
+        action
+      };
+
+      await NotificationService.notify(employee.id, {
+        type: 'forgotten_checkout',
+        title: 'Salida no registrada',
+        message: action === 'closed'
+          ? `No registraste la salida de la entrada del ${checkinTime}. Se ha registrado una salida automática a la hora prevista; solicita una corrección si no es correcta.`
+          : `No registraste la salida de la entrada del ${checkinTime}. Solicita una corrección para completar tu jornada.`,
+        data
+      }, { transaction });
+
+      await NotificationService.notifyAdmins({
+        type: 'forgotten_checkout',
+        title: `Salida olvidada: ${employee.name}`,
+        message: action === 'closed'
+          ? `${employee.name} (${employee.employeeCode}) no registró la salida de la entrada del ${checkinTime}. Se ha creado una salida automática pendiente de revisión.`
+          : `${employee.name} (${employee.employeeCode}) no registró la salida de la entrada del ${checkinTime}. La entrada se ha marcado para revisión.`,
+        data: { ...data, employeeId: employee.id }
+      }, { transaction });
+
+      return {
+        employeeId: employee.id,
+        action,
+        checkinId: checkin.id,
+        checkoutId: checkout ? checkout.id : null,
+        scheduledEnd,
+        deadline
+      };
+    });
+  }
+
+  /**
+   * Recorre todos los empleados activos
+   */
+  static async run(options = {}) {
+    const employees = await Employee.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'name', 'employeeCode']
+    });
+
+    const results = [];
+    const errors = [];
+
+    for (const employee of employees) {
+      try {
+        const result = await this.processEmployee(employee, options);
+        if (result) results.push(result);
+      } catch (error) {
+        console.error(`Auto checkout error for ${employee.employeeCode}:`, error);
+        errors.push({ employeeId: employee.id, error: error.message });
+      }
+    }
+
+    return {
+      processedAt: new Date(),
+      employeesChecked: employees.length,
+      closed: results.filter(r => r.action === 'closed').length,
+      flagged: results.filter(r => r.action === 'flagged').length,
+      results,
+      errors
+    };
+  }
+
+  /**
+   * Ejecuta la revisión periódicamente mientras el servidor está en marcha
+   */
+  static startScheduler(intervalMinutes = INTERVAL_MINUTES) {
+    const timer = setInterval(async () => {
+      try {
+        const result = await this.run();
+        if (result.closed || result.flagged) {
+          console.log(`🕒 Auto checkout: ${result.closed} closed, ${result.flagged} flagged`);
+        }
+      } catch (error) {
+        console.error('Auto checkout job error:', error);
+      }
+    }, intervalMinutes * 60 * 1000);
+
+    timer.unref();
+    return timer;
+  }
+}
@@ -0,0 +1,195 @@
+// Servicio de conciliación de pausas: compara las pausas fichadas con las pausas efectivas del horario
+import { ScheduleBreakService } from './scheduleBreakService.js';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+
+const DEFAULT_TOLERANCE_MINUTES = parseInt(process.env.BREAK_TOLERANCE_MINUTES || '5');
+
+export class BreakReconciliationService {
+
+  static get defaultToleranceMinutes() {
+    return DEFAULT_TOLERANCE_MINUTES;
+  }
+
+  /**
+   * Ventana en la que se espera una pausa del horario, considerando su flexibilidad.
+   * En turnos nocturnos, las pausas anteriores a la hora de entrada caen al día siguiente.
+   */
+  static getBreakWindow(date, scheduledBreak, workStartTime = null) {
+    const start = AdherenceService.toScheduleDate(date, scheduledBreak.startTime);
+    const end = AdherenceService.toScheduleDate(date, scheduledBreak.endTime);
+
+    if (workStartTime && start < AdherenceService.toScheduleDate(date, workStartTime)) {
+      start.setDate(start.getDate() + 1);
+      end.setDate(end.getDate() + 1);
+    }
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+
+    const flexMs = (scheduledBreak.isFlexible ? scheduledBreak.flexibilityMinutes || 0 : 0) * 60 * 1000;
+
+    return {
+      start,
+      end,
+      earliestStart: new Date(start.getTime() - flexMs),
+      latestStart: new Date(start.getTime() + flexMs),
+      latestEnd: new Date(end.getTime() + flexMs),
+      durationMinutes: scheduledBreak.duration || Math.round((end - start) / (1000 * 60))
+    };
+  }
+
+  /**
+   * Concilia un día: qué pausas del horario se tomaron, se saltaron, empezaron tarde
+   * o se alargaron, y cuánto tiempo de pausa no retribuida se descuenta.
+   */
+  static reconcileDay(date, effective, sessions, options = {}) {
+    const { toleranceMinutes = DEFAULT_TOLERANCE_MINUTES } = options;
+    const toleranceMs = toleranceMinutes * 60 * 1000;
+    const scheduledBreaks = effective.isWorkingDay ? effective.breaks || [] : [];
+    const issues = [];
+
+    // Solo las pausas de sesiones cerradas descuentan tiempo retribuido
+    const actualBreaks = sessions.flatMap(session => session.breaks.map(b => ({
+      ...b,
+      countsTowardPay: session.status === 'complete'
+    }))).filter(b => b.status !== 'missing_break_start');
+
+    const matched = new Set();
+    let unpaidBreakMinutes = 0;
+
+    const breaks = scheduledBreaks.map(scheduledBreak => {
+      const window = this.getBreakWindow(date, scheduledBreak, effective.workStartTime);
+      const matchIndex = actualBreaks.findIndex((b, index) => !matched.has(index) &&
+        b.start >= new Date(window.earliestStart.getTime() - toleranceMs) &&
+        b.start <= window.latestEnd);
+
+      const result = {
+        breakId: scheduledBreak.id,
+        name: scheduledBreak.name,
+        isPaid: scheduledBreak.isPaid,
+        isRequired: scheduledBreak.isRequired,
+        scheduledStart: window.start,
+        scheduledEnd: window.end,
+        expectedMinutes: window.durationMinutes,
+        actual: null,
+        status: 'skipped',
+        late: false,
+        lateMinutes: 0,
+        overlong: false,
+        overMinutes: 0,
+        paidMinutes: 0,
+        unpaidMinutes: 0
+      };
+
+      if (matchIndex === -1) {
+        if (scheduledBreak.isRequired) {
+          issues.push({ type: 'required_break_skipped', breakId: scheduledBreak.id, minutes: window.durationMinutes });
+        }
+        return result;
+      }
+
+      matched.add(matchIndex);
+      const actual = actualBreaks[matchIndex];
+
+      result.actual = actual;
+      result.lateMinutes = Math.max(0, Math.round((actual.start - window.latestStart) / (1000 * 60)));
+      result.late = result.lateMinutes > toleranceMinutes;
+      result.overMinutes = Math.max(0, actual.minutes - window.durationMinutes);
+      result.overlong = result.overMinutes > toleranceMinutes;
+      result.status = result.late ? 'late' : result.overlong ? 'overlong' : 'taken';
+
+      // Una pausa retribuida solo cubre su duración prevista; el exceso no se paga
+      result.paidMinutes = scheduledBreak.isPaid ? Math.min(actual.minutes, window.durationMinutes) : 0;
+      result.unpaidMinutes = actual.minutes - result.paidMinutes;
+
+      if (actual.countsTowardPay) {
+        unpaidBreakMinutes += result.unpaidMinutes;
+      }
+      if (result.late) {
+        issues.push({ type: 'break_late', breakId: scheduledBreak.id, minutes: result.lateMinutes });
+      }
+      if (result.overlong) {
+        issues.push({ type: 'break_overlong', breakId: scheduledBreak.id, minutes: result.overMinutes });
+      }
+
+      return result;
+    });
+
+    // Las pausas fuera del horario no son retribuidas
+    const unscheduledBreaks = actualBreaks.filter((b, index) => !matched.has(index));
+    unscheduledBreaks.forEach(b => {
+      if (b.countsTowardPay) unpaidBreakMinutes += b.minutes;
+    });
+
+    if (actualBreaks.some(b => b.status === 'missing_break_end')) {
+      issues.push({ type: 'missing_break_end', breakId: null, minutes: 0 });
+    }
+
+    const workedMinutes = sessions.reduce((sum, s) => sum + s.workedMinutes, 0);
+    const breakMinutes = actualBreaks.reduce((sum, b) => sum + b.minutes, 0);
+    const paidMinutes = Math.max(0, workedMinutes - unpaidBreakMinutes);
+
+    return {
+      date,
+      scheduleSource: effective.source,
+      isWorkingDay: effective.isWorkingDay,
+      breaks,
+      unscheduledBreaks,
+      workedMinutes,
+      breakMinutes,
+      unpaidBreakMinutes,
+      paidMinutes,
+      paidHours: TimesheetService.toHours(paidMinutes),
+      issues
+    };
+  }
+
+  static summarize(days) {
+    const scheduled = days.flatMap(d => d.breaks);
+    const required = scheduled.filter(b => b.isRequired);
+    const workedMinutes = days.reduce((sum, d) => sum + d.workedMinutes, 0);
+    const unpaidBreakMinutes = days.reduce((sum, d) => sum + d.unpaidBreakMinutes, 0);
+    const paidMinutes = days.reduce((sum, d) => sum + d.paidMinutes, 0);
+
+    return {
+      scheduledBreaks: scheduled.length,
+      requiredBreaks: required.length,
+      requiredTaken: required.filter(b => b.status !== 'skipped').length,
+      skipped: scheduled.filter(b => b.status === 'skipped').length,
+      requiredSkipped: required.filter(b => b.status === 'skipped').length,
+      late: scheduled.filter(b => b.late).length,
+      overlong: scheduled.filter(b => b.overlong).length,
+      unscheduledBreaks: days.reduce((sum, d) => sum + d.unscheduledBreaks.length, 0),
+      workedMinutes,
+      workedHours: TimesheetService.toHours(workedMinutes),
+      breakMinutes: days.reduce((sum, d) => sum + d.breakMinutes, 0),
+      unpaidBreakMinutes,
+      paidMinutes,
+      paidHours: TimesheetService.toHours(paidMinutes)
+    };
+  }
+
+  /**
+   * Informe de pausas de un empleado para un rango de fechas
+   */
+  static async getEmployeeBreakReport(employeeId, startDate, endDate, options = {}) {
+    const { toleranceMinutes = DEFAULT_TOLERANCE_MINUTES } = options;
+    const sessions = await TimesheetService.getSessions(employeeId, startDate, endDate);
+    const timesheetDays = TimesheetService.summarizeDays(sessions, startDate, endDate);
+    const days = [];
+
+    for (const timesheetDay of timesheetDays) {
+      const effective = await ScheduleBreakService.getEffectiveBreaksForSchedule(employeeId, timesheetDay.date);
+      days.push(this.reconcileDay(timesheetDay.date, effective, timesheetDay.sessions, { toleranceMinutes }));
+    }
+
+    return {
+      employeeId,
+      period: { startDate, endDate },
+      toleranceMinutes,
+      days,
+      summary: this.summarize(days)
+    };
+  }
+}
@@ -0,0 +1,248 @@
+// Servicio de exportación del registro de jornada para la Inspección de Trabajo (CSV y XLSX)
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import ExcelJS from 'exceljs';
+import { Record, Employee, WorkSite, RecordRevision } from '../models/index.js';
+import { GeofenceService } from './geofenceService.js';
+import { TimesheetService } from './timesheetService.js';
+
+// Versión del formato: cambia solo si cambian las columnas
+// 2: añade work_mode al final
+const LAYOUT_VERSION = 2;
+
+// Columnas en orden fijo. Las fechas completas van en ISO 8601 UTC; local_date y local_time en hora del servidor.
+const COLUMNS = [
+  { key: 'employee_code', description: 'Código del empleado' },
+  { key: 'employee_name', description: 'Nombre del empleado' },
+  { key: 'record_id', description: 'Identificador del fichaje' },
+  { key: 'type', description: 'Tipo de fichaje (checkin, checkout, break_start, break_end, project_switch)' },
+  { key: 'type_label', description: 'Tipo de fichaje en texto' },
+  { key: 'timestamp_utc', description: 'Fecha y hora del fichaje (ISO 8601, UTC)' },
+  { key: 'local_date', description: 'Fecha local del fichaje (YYYY-MM-DD)' },
+  { key: 'local_time', description: 'Hora local del fichaje (HH:MM:SS)' },
+  { key: 'device', description: 'Origen del fichaje (web, kiosk, system...)' },
+  { key: 'device_id', description: 'Identificador del dispositivo que capturó el fichaje' },
+  { key: 'work_site', description: 'Centro de trabajo asociado' },
+  { key: 'latitude', description: 'Latitud enviada con el fichaje' },
+  { key: 'longitude', description: 'Longitud enviada con el fichaje' },
+  { key: 'geofence_status', description: 'Resultado de la geovalla (inside, outside, no_location, no_site)' },
+  { key: 'notes', description: 'Notas del fichaje' },
+  { key: 'is_flagged', description: 'Marcado para revisión (true/false)' },
+  { key: 'flag_reason', description: 'Motivo de la marca' },
+  { key: 'is_deleted', description: 'Fichaje eliminado y conservado como lápida (true/false)' },
+  { key: 'deleted_at_utc', description: 'Fecha de eliminación (ISO 8601, UTC)' },
+  { key: 'created_at_utc', description: 'Fecha de alta del fichaje (ISO 8601, UTC)' },
+  { key: 'last_modified_at_utc', description: 'Fecha de la última modificación (ISO 8601, UTC)' },
+  { key: 'last_modified_by', description: 'Código del empleado que hizo la última modificación' },
+  { key: 'last_modification_reason', description: 'Motivo de la última modificación' },
+  { key: 'revision_count', description: 'Número de modificaciones registradas' },
+  { key: 'sequence', description: 'Posición en la cadena de hashes del empleado' },
+  { key: 'hash', description: 'Hash SHA-256 del fichaje en la cadena' },
+  // Las columnas nuevas van al final para no desplazar las existentes
+  { key: 'work_mode', description: 'Modalidad de trabajo (on_site, remote, travelling)' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+const toIso = (date) => (date ? new Date(date).toISOString() : '');
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export class ComplianceExportService {
+
+  static get columns() {
+    return COLUMNS;
+  }
+
+  static get layoutVersion() {
+    return LAYOUT_VERSION;
+  }
+
+  /**
+   * Fichajes del rango (incluidas las lápidas) con su última modificación.
+   * El orden es estable: empleado, hora del fichaje e identificador.
+   */
+  static async getRows({ startDate, endDate, employeeIds = null }) {
+    const whereClause = {
+      timestamp: {
+        [Op.between]: [new Date(`${startDate}T00:00:00`), new Date(`${endDate}T23:59:59.999`)]
+      }
+    };
+    if (employeeIds && employeeIds.length > 0) {
+      whereClause.employeeId = { [Op.in]: employeeIds };
+    }
+
+    const records = await Record.findAll({
+      where: whereClause,
+      paranoid: false,
+      include: [
+        { model: Employee, as: 'employee', attributes: ['id', 'name', 'employeeCode'] },
+        { model: WorkSite, as: 'workSite', attributes: ['id', 'name'], required: false }
+      ],
+      order: [
+        [{ model: Employee, as: 'employee' }, 'employeeCode', 'ASC'],
+        ['timestamp', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    const revisions = records.length > 0
+      ? await RecordRevision.findAll({
+        where: { recordId: { [Op.in]: records.map(r => r.id) } },
+        include: [{ model: Employee, as: 'author', attributes: ['id', 'employeeCode'] }],
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      })
+      : [];
+
+    const revisionsByRecord = new Map();
+    revisions.forEach(revision => {
+      if (!revisionsByRecord.has(revision.recordId)) revisionsByRecord.set(revision.recordId, []);
+      revisionsByRecord.get(revision.recordId).push(revision);
+    });
+
+    return records.map(record => {
+      const recordRevisions = revisionsByRecord.get(record.id) || [];
+      const lastRevision = recordRevisions[recordRevisions.length - 1];
+      const coordinates = GeofenceService.parseLocation(record.location);
+      const timestamp = new Date(record.timestamp);
+
+      return {
+        employee_code: record.employee ? record.employee.employeeCode : '',
+        employee_name: record.employee ? record.employee.name : '',
+        record_id: record.id,
+        type: record.type,
+        type_label: Record.getTypeLabel(record.type),
+        timestamp_utc: toIso(timestamp),
+        local_date: TimesheetService.toDateKey(timestamp),
+        local_time: `${pad(timestamp.getHours())}:${pad(timestamp.getMinutes())}:${pad(timestamp.getSeconds())}`,
+        device: record.device || '',
+        device_id: record.deviceId || '',
+        work_site: record.workSite ? record.workSite.name : '',
+        work_mode: record.workMode || 'on_site',
+        latitude: coordinates ? coordinates.latitude : '',
+        longitude: coordinates ? coordinates.longitude : '',
+        geofence_status: record.geofenceStatus || '',
+        notes: record.notes || '',
+        is_flagged: record.isFlagged ? 'true' : 'false',
+        flag_reason: record.flagReason || '',
+        is_deleted: record.isSoftDeleted() ? 'true' : 'false',
+        deleted_at_utc: toIso(record.get('deleted_at')),
+        created_at_utc: toIso(record.get('created_at')),
+        last_modified_at_utc: lastRevision ? toIso(lastRevision.get('created_at')) : '',
+        last_modified_by: lastRevision && lastRevision.author ? lastRevision.author.employeeCode : '',
+        last_modification_reason: lastRevision ? lastRevision.reason : '',
+        revision_count: recordRevisions.length,
+        sequence: record.sequence ?? '',
+        hash: record.hash || ''
+      };
+    });
+  }
+
+  /**
+   * CSV (RFC 4180, UTF-8 con BOM, fin de línea CRLF)
+   */
+  static toCsv(rows) {
+    const lines = [COLUMNS.map(c => c.key).join(',')];
+    rows.forEach(row => {
+      lines.push(COLUMNS.map(c => escapeCsv(row[c.key])).join(','));
+    });
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Huella de los datos: SHA-256 del CSV. Es la misma para CSV y XLSX de la misma
+   * consulta y solo cambia si cambian los fichajes exportados.
+   */
+  static getDataChecksum(rows) {
+    return crypto.createHash('sha256').update(this.toCsv(rows), 'utf8').digest('hex');
+  }
+
+  static buildManifest(rows, { startDate, endDate, employeeIds = null, generatedBy = null }) {
+    return {
+      layoutVersion: LAYOUT_VERSION,
+      generatedAt: new Date().toISOString(),
+      generatedBy,
+      filters: {
+        startDate,
+        endDate,
+        employeeIds: employeeIds && employeeIds.length > 0 ? [...employeeIds].sort() : null
+      },
+      recordCount: rows.length,
+      employeeCount: new Set(rows.map(r => r.employee_code)).size,
+      deletedCount: rows.filter(r => r.is_deleted === 'true').length,
+      modifiedCount: rows.filter(r => r.revision_count > 0).length,
+      checksumAlgorithm: 'sha256',
+      dataChecksum: this.getDataChecksum(rows),
+      columns: COLUMNS.map(c => ({ name: c.key, description: c.description }))
+    };
+  }
+
+  /**
+   * Libro XLSX con la hoja de fichajes y una hoja con el manifiesto.
+   * El fichero no es reproducible byte a byte (el zip guarda la hora de escritura de cada
+   * entrada): su integridad se comprueba con dataChecksum, recalculado a partir de la hoja de fichajes.
+   * Por eso la hoja del manifiesto solo lleva lo que depende de la consulta, no quién ni cuándo la generó.
+   */
+  static async toXlsx(rows, manifest) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Registro Horario';
+    // Fechas fijas del libro para que dos exportaciones iguales tengan los mismos metadatos
+    workbook.created = new Date(`${manifest.filters.endDate}T00:00:00Z`);
+    workbook.modified = workbook.created;
+
+    const sheet = workbook.addWorksheet('Registro');
+    sheet.columns = COLUMNS.map(c => ({ header: c.key, key: c.key, width: Math.max(12, c.key.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+
+    const manifestSheet = workbook.addWorksheet('Manifiesto');
+    manifestSheet.columns = [
+      { header: 'campo', key: 'field', width: 24 },
+      { header: 'valor', key: 'value', width: 80 }
+    ];
+    manifestSheet.getRow(1).font = { bold: true };
+    [
+      ['layoutVersion', manifest.layoutVersion],
+      ['startDate', manifest.filters.startDate],
+      ['endDate', manifest.filters.endDate],
+      ['employeeIds', manifest.filters.employeeIds ? manifest.filters.employeeIds.join(',') : 'all'],
+      ['recordCount', manifest.recordCount],
+      ['employeeCount', manifest.employeeCount],
+      ['deletedCount', manifest.deletedCount],
+      ['modifiedCount', manifest.modifiedCount],
+      ['checksumAlgorithm', manifest.checksumAlgorithm],
+      ['dataChecksum', manifest.dataChecksum]
+    ].forEach(([field, value]) => manifestSheet.addRow({ field, value }));
+
+    manifestSheet.addRow({});
+    manifestSheet.addRow({ field: 'columna', value: 'descripción' }).font = { bold: true };
+    manifest.columns.forEach(c => manifestSheet.addRow({ field: c.name, value: c.description }));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  /**
+   * Genera la exportación completa en el formato pedido
+   */
+  static async export({ startDate, endDate, employeeIds = null, format = 'csv', generatedBy = null }) {
+    const rows = await this.getRows({ startDate, endDate, employeeIds });
+    const manifest = this.buildManifest(rows, { startDate, endDate, employeeIds, generatedBy });
+
+    const content = format === 'xlsx'
+      ? await this.toXlsx(rows, manifest)
+      : Buffer.from(this.toCsv(rows), 'utf8');
+
+    return {
+      manifest: {
+        ...manifest,
+        format,
+        // Solo el CSV es idéntico byte a byte entre exportaciones; el XLSX se verifica con dataChecksum
+        fileChecksum: format === 'csv' ? crypto.createHash('sha256').update(content).digest('hex') : null
+      },
+      content,
+      fileName: `registro-jornada-${startDate}-${endDate}.${format}`
+    };
+  }
+}
@@ -0,0 +1,174 @@
+// Servicio de solicitudes de corrección de fichajes (propuesta del empleado, revisión del admin)
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { Record, Employee, PunchCorrectionRequest } from '../models/index.js';
+import { RecordAuditService } from './recordAuditService.js';
+import { PunchService } from './punchService.js';
+
+export class CorrectionRequestService {
+
+  static get includes() {
+    return [
+      {
+        model: Employee,
+        as: 'employee',
+        attributes: ['id', 'name', 'employeeCode']
+      },
+      {
+        model: Employee,
+        as: 'reviewer',
+        attributes: ['id', 'name', 'employeeCode'],
+        required: false
+      },
+      {
+        model: Record,
+        as: 'record',
+        required: false,
+        paranoid: false
+      },
+      {
+        model: Record,
+        as: 'resultingRecord',
+        required: false,
+        paranoid: false
+      }
+    ];
+  }
+
+  /**
+   * Listado con filtros (estado, empleado, tipo y rango sobre la hora propuesta)
+   */
+  static async listRequests({ status, employeeId, requestType, startDate, endDate, limit = 50, offset = 0 } = {}) {
+    const whereClause = {};
+
+    if (status) whereClause.status = status;
+    if (employeeId) whereClause.employeeId = employeeId;
+    if (requestType) whereClause.requestType = requestType;
+
+    if (startDate || endDate) {
+      whereClause.proposedTimestamp = {};
+      if (startDate) whereClause.proposedTimestamp[Op.gte] = new Date(startDate);
+      if (endDate) whereClause.proposedTimestamp[Op.lte] = new Date(`${endDate}T23:59:59.999`);
+    }
+
+    const { rows, count } = await PunchCorrectionRequest.findAndCountAll({
+      where: whereClause,
+      include: this.includes,
+      order: [['created_at', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      distinct: true
+    });
+
+    return {
+      requests: rows,
+      pagination: {
+        total: count,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  /**
+   * Aprueba la solicitud creando o ajustando el fichaje en la misma transacción.
+   * Los fichajes que faltan pasan por PunchService y los ajustes se validan contra los
+   * fichajes vecinos, así que la corrección no puede dejar una secuencia imposible.
+   *
+   * Devuelve { status, correction } donde status es approved, not_found, already_reviewed,
+   * record_not_found, invalid_sequence o cualquier estado de rechazo de PunchService.punch.
+   */
+  static async approve(requestId, reviewerId, reviewNotes = null) {
+    return await sequelize.transaction(async (transaction) => {
+      const correction = await PunchCorrectionRequest.findByPk(requestId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!correction) {
+        return { status: 'not_found' };
+      }
+      if (correction.status !== 'pending') {
+        return { status: 'already_reviewed', correction };
+      }
+
+      const auditReason = `Solicitud de corrección ${correction.id}: ${correction.reason}`;
+      let record;
+
+      if (correction.requestType === 'correction') {
+        record = await Record.findByPk(correction.recordId, { transaction });
+        if (!record) {
+          return { status: 'record_not_found', correction };
+        }
+
+        const changes = {
+          type: correction.punchType,
+          timestamp: correction.proposedTimestamp
+        };
+
+        const check = await PunchService.validateEdit(record, changes, { transaction });
+        if (check.status !== 'valid') {
+          return { status: check.status, correction };
+        }
+
+        await RecordAuditService.updateRecord(record, {
+          ...changes,
+          correctionRequestId: correction.id
+        }, { changedBy: reviewerId, reason: auditReason, transaction });
+      } else {
+        const result = await PunchService.punch({
+          employeeId: correction.employeeId,
+          type: correction.punchType,
+          timestamp: correction.proposedTimestamp,
+          device: 'correction_request',
+          notes: auditReason,
+          correctionRequestId: correction.id
+        }, { transaction });
+
+        if (result.status !== 'created') {
+          return { status: result.status, correction };
+        }
+        record = result.record;
+      }
+
+      await correction.update({
+        status: 'approved',
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNotes,
+        resultingRecordId: record.id
+      }, { transaction });
+
+      return { status: 'approved', correction };
+    });
+  }
+
+  /**
+   * Rechaza la solicitud sin tocar los fichajes.
+   * Devuelve { status, correction } donde status es rejected, not_found o already_reviewed.
+   */
+  static async reject(requestId, reviewerId, reviewNotes = null) {
+    return await sequelize.transaction(async (transaction) => {
+      const correction = await PunchCorrectionRequest.findByPk(requestId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!correction) {
+        return { status: 'not_found' };
+      }
+      if (correction.status !== 'pending') {
+        return { status: 'already_reviewed', correction };
+      }
+
+      await correction.update({
+        status: 'rejected',
+        reviewedBy: reviewerId,
+        reviewedAt: new Date(),
+        reviewNotes
+      }, { transaction });
+
+      return { status: 'rejected', correction };
+    });
+  }
+}
@@ -0,0 +1,130 @@
+// Servicio de resumen del día de un empleado: horario efectivo, sesiones, tiempo trabajado
+// frente al previsto, pausas pendientes y próximas vacaciones aprobadas
+import { Op } from 'sequelize';
+import { Vacation } from '../models/index.js';
+import { WeeklyScheduleService } from './weeklyScheduleService.js';
+import { ScheduleBreakService } from './scheduleBreakService.js';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+import { BreakReconciliationService } from './breakReconciliationService.js';
+
+export class DailySummaryService {
+
+  /**
+   * Minutos de trabajo previstos por el horario, descontando las pausas no retribuidas.
+   * Si el horario no tiene pausas configuradas se usa su pausa simple (hora de inicio y fin), si la tiene.
+   */
+  static getPlannedMinutes(date, schedule, scheduledBreaks) {
+    if (!schedule.isWorkingDay || !schedule.startTime || !schedule.endTime) {
+      return 0;
+    }
+
+    const start = AdherenceService.toScheduleDate(date, schedule.startTime);
+    const end = AdherenceService.toScheduleDate(date, schedule.endTime);
+    // Turnos nocturnos: la salida prevista es al día siguiente
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+
+    let unpaidBreakMinutes = scheduledBreaks
+      .filter(b => !b.isPaid)
+      .reduce((sum, b) => sum + b.expectedMinutes, 0);
+
+    if (scheduledBreaks.length === 0 && schedule.breakStartTime && schedule.breakEndTime) {
+      const breakStart = AdherenceService.toScheduleDate(date, schedule.breakStartTime);
+      const breakEnd = AdherenceService.toScheduleDate(date, schedule.breakEndTime);
+      unpaidBreakMinutes = Math.max(0, Math.round((breakEnd - breakStart) / (1000 * 60)));
+    }
+
+    return Math.max(0, Math.round((end - start) / (1000 * 60)) - unpaidBreakMinutes);
+  }
+
+  /**
+   * Resumen del día de trabajo en curso. Si hay una sesión abierta que empezó ayer
+   * (turno nocturno), el día del resumen es el de esa sesión.
+   */
+  static async getEmployeeDay(employeeId, now = new Date()) {
+    const today = TimesheetService.toDateKey(now);
+    const yesterdayDate = new Date(now);
+    yesterdayDate.setDate(yesterdayDate.getDate() - 1);
+
+    const sessions = await TimesheetService.getSessions(employeeId, TimesheetService.toDateKey(yesterdayDate), today);
+    const openSession = sessions.find(s => s.status === 'open');
+    const date = openSession ? openSession.date : today;
+
+    // La sesión abierta cuenta hasta este momento
+    const daySessions = sessions
+      .filter(s => s.date === date)
+      .map(s => s.status === 'open'
+        ? { ...s, workedMinutes: Math.max(0, Math.round((now - s.start) / (1000 * 60))) }
+        : s);
+
+    const [schedule, effectiveBreaks, upcomingVacation] = await Promise.all([
+      WeeklyScheduleService.getEffectiveScheduleForDate(employeeId, date),
+      ScheduleBreakService.getEffectiveBreaksForSchedule(employeeId, date),
+      Vacation.findOne({
+        where: { employeeId, status: 'approved', endDate: { [Op.gte]: today } },
+        order: [['startDate', 'ASC']]
+      })
+    ]);
+
+    // Para conciliar las pausas, la sesión abierta se trata como cerrada en este momento
+    const reconciled = BreakReconciliationService.reconcileDay(
+      date,
+      effectiveBreaks,
+      daySessions.map(s => s.status === 'open' ? { ...s, end: now, status: 'complete' } : s)
+    );
+
+    const plannedMinutes = this.getPlannedMinutes(date, schedule, reconciled.breaks);
+    const workedMinutes = reconciled.paidMinutes;
+
+    return {
+      date,
+      schedule: {
+        source: schedule.source,
+        isWorkingDay: schedule.isWorkingDay,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        workMode: schedule.workMode,
+        notes: schedule.notes || null
+      },
+      sessions: daySessions.map(s => ({
+        start: s.start,
+        end: s.end,
+        status: s.status,
+        workMode: s.workMode,
+        workedMinutes: s.workedMinutes,
+        breakMinutes: s.breakMinutes
+      })),
+      time: {
+        workedMinutes,
+        plannedMinutes,
+        breakMinutes: reconciled.breakMinutes,
+        remainingMinutes: Math.max(0, plannedMinutes - workedMinutes),
+        balanceMinutes: workedMinutes - plannedMinutes,
+        worked: TimesheetService.formatMinutes(workedMinutes),
+        planned: TimesheetService.formatMinutes(plannedMinutes)
+      },
+      // Pausas del horario que aún no se han tomado y cuya ventana no ha terminado
+      remainingBreaks: reconciled.breaks
+        .filter(b => b.status === 'skipped' && b.scheduledEnd > now)
+        .map(b => ({
+          name: b.name,
+          scheduledStart: b.scheduledStart,
+          scheduledEnd: b.scheduledEnd,
+          expectedMinutes: b.expectedMinutes,
+          isPaid: b.isPaid,
+          isRequired: b.isRequired
+        })),
+      upcomingVacation: upcomingVacation ? {
+        id: upcomingVacation.id,
+        type: upcomingVacation.type,
+        typeLabel: Vacation.getTypeLabel(upcomingVacation.type),
+        startDate: upcomingVacation.startDate,
+        endDate: upcomingVacation.endDate,
+        days: upcomingVacation.getDurationInDays(),
+        inProgress: upcomingVacation.startDate <= today
+      } : null
+    };
+  }
+}
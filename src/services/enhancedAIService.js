@@ -1,8 +1,10 @@
 import OpenAI from 'openai';
 import embeddingService from './embeddingService.js';
 import sequelize from '../config/database.js';
-import { Employee, Record, Schedule, Vacation, WeeklySchedule, ScheduleTemplate } from '../models/index.js';
+import { Employee, Record, Vacation, ScheduleTemplate } from '../models/index.js';
 import { Op } from 'sequelize';
+import { AdherenceService } from './adherenceService.js';
+import { TimesheetService } from './timesheetService.js';
 
 class EnhancedAIService {
   constructor() {
@@ -104,54 +106,28 @@ class EnhancedAIService {
       }
 
       if (messageLower.includes('tarde') || messageLower.includes('retraso') || messageLower.includes('puntualidad')) {
-        // Obtener registros de la última semana
+        // Comparar la última semana con el horario efectivo de cada empleado
         const oneWeekAgo = new Date();
         oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
 
-        const records = await Record.findAll({
-          where: {
-            timestamp: { [Op.gte]: oneWeekAgo },
-            type: 'checkin'
-          },
-          include: [{
-            model: Employee,
-            as: 'employee',
-            attributes: ['id', 'name', 'employeeCode']
-          }],
-          order: [['timestamp', 'DESC']],
-          limit: 100
-        });
-
-        // Obtener horarios para comparar
-        const schedules = await Schedule.findAll({
-          attributes: ['employeeId', 'dayOfWeek', 'startTime']
-        });
-
-        const scheduleMap = {};
-        schedules.forEach(s => {
-          if (!scheduleMap[s.employeeId]) scheduleMap[s.employeeId] = {};
-          scheduleMap[s.employeeId][s.dayOfWeek] = s.startTime;
-        });
+        const reports = await AdherenceService.getTeamAdherence(
+          TimesheetService.toDateKey(oneWeekAgo),
+          TimesheetService.toDateKey(new Date())
+        );
 
         // Analizar retrasos
         const lateArrivals = [];
-        records.forEach(record => {
-          const dayOfWeek = new Date(record.timestamp).getDay();
-          const employeeSchedule = scheduleMap[record.employeeId];
-          
-          if (employeeSchedule && employeeSchedule[dayOfWeek]) {
-            const scheduledTime = employeeSchedule[dayOfWeek];
-            const actualTime = new Date(record.timestamp).toTimeString().slice(0, 5);
-            
-            if (actualTime > scheduledTime) {
+        reports.forEach(report => {
+          report.days
+            .filter(day => day.issues.some(i => i.type === 'late_arrival'))
+            .forEach(day => {
               lateArrivals.push({
-                employee: record.employee.name,
-                date: new Date(record.timestamp).toLocaleDateString('es-ES'),
-                scheduled: scheduledTime,
-                actual: actualTime
+                employee: report.employee.name,
+                date: new Date(day.actualStart).toLocaleDateString('es-ES'),
+                scheduled: day.scheduledStart.slice(0, 5),
+                actual: new Date(day.actualStart).toTimeString().slice(0, 5)
               });
-            }
-          }
+            });
         });
 
         if (lateArrivals.length > 0) {
@@ -0,0 +1,129 @@
+// Servicio de geovallas: valida la ubicación de un fichaje contra los centros asignados al empleado
+import { Employee, WorkSite } from '../models/index.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Orden de severidad de las políticas cuando no se puede decidir por un único centro
+const POLICY_SEVERITY = { warn: 0, flag: 1, reject: 2 };
+
+export class GeofenceService {
+
+  /**
+   * Distancia en metros entre dos coordenadas (fórmula de Haversine)
+   */
+  static distanceMeters(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  }
+
+  /**
+   * Extrae las coordenadas del JSON de ubicación ({ latitude, longitude } o { lat, lng })
+   */
+  static parseLocation(location) {
+    if (!location || typeof location !== 'object') return null;
+
+    const latitude = parseFloat(location.latitude ?? location.lat);
+    const longitude = parseFloat(location.longitude ?? location.lng ?? location.lon);
+
+    if (isNaN(latitude) || isNaN(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return null;
+    }
+
+    return { latitude, longitude };
+  }
+
+  /**
+   * Evalúa una ubicación contra una lista de centros.
+   * Devuelve el centro aplicable, el estado de la geovalla y la acción a tomar.
+   */
+  static evaluateLocation(location, workSites) {
+    const sites = workSites.filter(site => site.isActive !== false);
+
+    if (sites.length === 0) {
+      return { status: 'no_site', action: 'accept', workSite: null, distanceMeters: null };
+    }
+
+    const coordinates = this.parseLocation(location);
+
+    if (!coordinates) {
+      const strictest = sites.reduce((current, site) =>
+        POLICY_SEVERITY[site.geofencePolicy] > POLICY_SEVERITY[current.geofencePolicy] ? site : current);
+
+      return {
+        status: 'no_location',
+        action: strictest.geofencePolicy,
+        workSite: sites.length === 1 ? sites[0] : null,
+        distanceMeters: null
+      };
+    }
+
+    const distances = sites.map(site => ({
+      site,
+      distance: Math.round(this.distanceMeters(coordinates, {
+        latitude: parseFloat(site.latitude),
+        longitude: parseFloat(site.longitude)
+      }))
+    })).sort((a, b) => a.distance - b.distance);
+
+    const inside = distances.find(({ site, distance }) => distance <= site.radiusMeters);
+    if (inside) {
+      return { status: 'inside', action: 'accept', workSite: inside.site, distanceMeters: inside.distance };
+    }
+
+    const nearest = distances[0];
+    return {
+      status: 'outside',
+      action: nearest.site.geofencePolicy,
+      workSite: nearest.site,
+      distanceMeters: nearest.distance
+    };
+  }
+
+  /**
+   * Valida la ubicación de un fichaje contra los centros asignados al empleado
+   */
+  static async validatePunchLocation(employeeId, location) {
+    const employee = await Employee.findByPk(employeeId, {
+      include: [{
+        model: WorkSite,
+        as: 'workSites',
+        where: { isActive: true },
+        required: false,
+        through: { attributes: [] }
+      }]
+    });
+
+    const result = this.evaluateLocation(location, employee ? employee.workSites : []);
+
+    const messages = {
+      no_location: 'No se ha enviado una ubicación válida',
+      outside: result.workSite
+        ? `Fichaje a ${result.distanceMeters} m de ${result.workSite.name} (radio ${result.workSite.radiusMeters} m)`
+        : null
+    };
+
+    return {
+      ...result,
+      message: messages[result.status] || null
+    };
+  }
+
+  /**
+   * Campos del fichaje que reflejan el resultado de la geovalla
+   */
+  static toRecordFields(result) {
+    return {
+      workSiteId: result.workSite ? result.workSite.id : null,
+      geofenceStatus: result.status,
+      geofenceDistanceMeters: result.distanceMeters,
+      isFlagged: result.action === 'flag',
+      flagReason: result.action === 'flag' ? `geofence_${result.status}` : null
+    };
+  }
+}
@@ -0,0 +1,152 @@
+// Servicio de bolsa de horas: devenga el exceso o defecto diario y registra sus compensaciones
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { Employee, HourBankEntry } from '../models/index.js';
+import { OvertimeService } from './overtimeService.js';
+import { TimesheetService } from './timesheetService.js';
+
+// Movimientos que reducen el saldo y no pueden dejarlo en negativo
+const COMPENSATION_TYPES = ['time_off', 'payout'];
+
+export class HourBankService {
+
+  static get compensationTypes() {
+    return COMPENSATION_TYPES;
+  }
+
+  static async getBalance(employeeId, options = {}) {
+    const minutes = await HourBankEntry.sum('minutes', {
+      where: { employeeId },
+      transaction: options.transaction
+    });
+    return minutes || 0;
+  }
+
+  /**
+   * Devenga en la bolsa el saldo de cada día cerrado del rango.
+   * Recalcular es seguro: cada día tiene un único devengo que se actualiza
+   * (o se elimina si su saldo pasa a ser cero) tras una corrección de fichajes.
+   */
+  static async accrue(employeeId, startDate, endDate, options = {}) {
+    const { createdBy = null } = options;
+    const report = await OvertimeService.getEmployeeOvertime(employeeId, startDate, endDate, options);
+
+    return await sequelize.transaction(async (transaction) => {
+      await Employee.findByPk(employeeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const existing = await HourBankEntry.findAll({
+        where: { employeeId, type: 'accrual', date: { [Op.between]: [startDate, endDate] } },
+        transaction
+      });
+      const byDate = new Map(existing.map(entry => [entry.date, entry]));
+      const result = { created: 0, updated: 0, removed: 0, pendingDays: 0 };
+
+      for (const day of report.days) {
+        if (!day.isClosed) {
+          result.pendingDays++;
+          continue;
+        }
+
+        const entry = byDate.get(day.date);
+        const details = {
+          workedMinutes: day.workedMinutes,
+          expectedMinutes: day.expectedMinutes,
+          dailyOvertimeMinutes: day.dailyOvertimeMinutes,
+          scheduleSource: day.scheduleSource,
+          onVacation: day.onVacation
+        };
+
+        if (day.balanceMinutes === 0) {
+          if (entry) {
+            await entry.destroy({ transaction });
+            result.removed++;
+          }
+        } else if (entry) {
+          if (entry.minutes !== day.balanceMinutes) {
+            await entry.update({ minutes: day.balanceMinutes, details }, { transaction });
+            result.updated++;
+          }
+        } else {
+          await HourBankEntry.create({
+            employeeId,
+            type: 'accrual',
+            date: day.date,
+            minutes: day.balanceMinutes,
+            details,
+            createdBy
+          }, { transaction });
+          result.created++;
+        }
+      }
+
+      return {
+        employeeId,
+        period: { startDate, endDate },
+        ...result,
+        balanceMinutes: await this.getBalance(employeeId, { transaction })
+      };
+    });
+  }
+
+  /**
+   * Registra una compensación (descanso o pago) o un ajuste manual.
+   * Las compensaciones se guardan en negativo y no pueden superar el saldo.
+   */
+  static async addEntry(employeeId, { type, minutes, date, notes = null, createdBy = null }) {
+    return await sequelize.transaction(async (transaction) => {
+      await Employee.findByPk(employeeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const signedMinutes = COMPENSATION_TYPES.includes(type) ? -Math.abs(minutes) : minutes;
+
+      if (COMPENSATION_TYPES.includes(type)) {
+        const balance = await this.getBalance(employeeId, { transaction });
+        if (Math.abs(minutes) > balance) {
+          throw new Error('Insufficient hour bank balance');
+        }
+      }
+
+      return await HourBankEntry.create({
+        employeeId,
+        type,
+        date: date || TimesheetService.toDateKey(new Date()),
+        minutes: signedMinutes,
+        notes,
+        createdBy
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Saldo de cada empleado activo (vista de administración)
+   */
+  static async getTeamBalances() {
+    const [employees, totals] = await Promise.all([
+      Employee.findAll({
+        where: { isActive: true },
+        attributes: ['id', 'name', 'employeeCode', 'weeklyContractedHours'],
+        order: [['name', 'ASC']]
+      }),
+      HourBankEntry.findAll({
+        attributes: ['employeeId', [sequelize.fn('SUM', sequelize.col('minutes')), 'balance']],
+        group: ['employeeId'],
+        raw: true
+      })
+    ]);
+
+    const balances = new Map(totals.map(t => [t.employeeId, parseInt(t.balance)]));
+
+    return employees.map(employee => {
+      const balanceMinutes = balances.get(employee.id) || 0;
+      return {
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode,
+          weeklyContractedHours: parseFloat(employee.weeklyContractedHours)
+        },
+        balanceMinutes,
+        balanceHours: TimesheetService.toHours(balanceMinutes)
+      };
+    });
+  }
+}
@@ -0,0 +1,123 @@
+// Servicio de kioscos registrados: alta con credencial propia, revocación y latidos
+import crypto from 'crypto';
+import { KioskDevice } from '../models/index.js';
+
+// Un kiosco sin latido durante este tiempo se considera desconectado
+const OFFLINE_AFTER_MINUTES = parseInt(process.env.KIOSK_OFFLINE_AFTER_MINUTES || '5');
+
+export class KioskDeviceService {
+
+  static get offlineAfterMinutes() {
+    return OFFLINE_AFTER_MINUTES;
+  }
+
+  static hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Credencial del kiosco: "<id del dispositivo>.<secreto aleatorio>"
+   */
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  static parseCredential(credential) {
+    if (typeof credential !== 'string') return null;
+
+    const separator = credential.indexOf('.');
+    if (separator <= 0) return null;
+
+    return {
+      deviceId: credential.slice(0, separator),
+      secret: credential.slice(separator + 1)
+    };
+  }
+
+  /**
+   * Da de alta un kiosco. La credencial solo se devuelve aquí; después no se puede recuperar.
+   */
+  static async enrol({ name, location = null, workSiteId = null }, enrolledBy = null) {
+    const secret = this.generateSecret();
+
+    const device = await KioskDevice.create({
+      name,
+      location,
+      workSiteId,
+      credentialHash: this.hashSecret(secret),
+      credentialIssuedAt: new Date(),
+      enrolledBy
+    });
+
+    return { device, credential: `${device.id}.${secret}` };
+  }
+
+  /**
+   * Emite una credencial nueva; la anterior deja de ser válida
+   */
+  static async rotateCredential(device) {
+    const secret = this.generateSecret();
+
+    await device.update({
+      credentialHash: this.hashSecret(secret),
+      credentialIssuedAt: new Date()
+    });
+
+    return { device, credential: `${device.id}.${secret}` };
+  }
+
+  static async revoke(device, { revokedBy = null, reason = null } = {}) {
+    return await device.update({
+      status: 'revoked',
+      revokedAt: new Date(),
+      revokedBy,
+      revokeReason: reason
+    });
+  }
+
+  /**
+   * Kiosco activo al que pertenece la credencial, o null
+   */
+  static async authenticate(credential) {
+    const parsed = this.parseCredential(credential);
+    if (!parsed || !parsed.secret) return null;
+
+    // Un id que no es UUID no puede existir; se evita el error de tipo en la consulta
+    if (!/^[0-9a-f-]{36}$/i.test(parsed.deviceId)) return null;
+
+    const device = await KioskDevice.findByPk(parsed.deviceId);
+    if (!device || device.status !== 'active') return null;
+
+    const expected = Buffer.from(device.credentialHash, 'hex');
+    const received = Buffer.from(this.hashSecret(parsed.secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) return null;
+
+    return device;
+  }
+
+  /**
+   * Registra el latido de un kiosco con el estado que informa
+   */
+  static async heartbeat(device, { appVersion, pendingPunches } = {}, ip = null, now = new Date()) {
+    const updateData = { lastSeenAt: now, lastSeenIp: ip };
+    if (appVersion !== undefined) updateData.appVersion = appVersion ? String(appVersion).slice(0, 50) : null;
+    if (Number.isInteger(pendingPunches) && pendingPunches >= 0) updateData.pendingPunches = pendingPunches;
+
+    return await device.update(updateData);
+  }
+
+  static isOnline(device, now = new Date()) {
+    if (device.status !== 'active' || !device.lastSeenAt) return false;
+    return now - new Date(device.lastSeenAt) <= OFFLINE_AFTER_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Datos de un kiosco para el panel de administración, con su estado de conexión
+   */
+  static toAdminView(device, now = new Date()) {
+    return {
+      ...device.toJSON(),
+      isOnline: this.isOnline(device, now)
+    };
+  }
+}
@@ -0,0 +1,125 @@
+// Servicio de sincronización de fichajes capturados sin conexión en los kioscos
+import { validate as isUuid } from 'uuid';
+import { Record } from '../models/index.js';
+import { PunchService } from './punchService.js';
+
+// Margen para relojes de tablet adelantados y antigüedad máxima de un fichaje pendiente
+const MAX_CLOCK_SKEW_MINUTES = parseInt(process.env.KIOSK_SYNC_MAX_CLOCK_SKEW_MINUTES || '5');
+const MAX_AGE_HOURS = parseInt(process.env.KIOSK_SYNC_MAX_AGE_HOURS || '72');
+const MAX_BATCH_SIZE = 500;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+const PUNCH_TYPES = ['checkin', 'checkout', 'break_start', 'break_end', 'project_switch'];
+
+export class KioskSyncService {
+
+  static get maxBatchSize() {
+    return MAX_BATCH_SIZE;
+  }
+
+  /**
+   * Aplica un fichaje de la cola. Devuelve accepted, duplicate o conflict.
+   */
+  static async applyPunch({ deviceId, kioskDeviceId = null }, punch, now = new Date()) {
+    const { idempotencyKey, employeeId, type, clientTimestamp } = punch || {};
+    const base = { idempotencyKey: idempotencyKey || null, employeeId: employeeId || null, type: type || null };
+    const conflict = (reason, message) => ({ ...base, status: 'conflict', reason, message });
+
+    if (!idempotencyKey || !employeeId || !type || !clientTimestamp) {
+      return conflict('invalid_punch', 'idempotencyKey, employeeId, type and clientTimestamp are required');
+    }
+
+    if (typeof idempotencyKey !== 'string' || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+      return conflict('invalid_punch', `idempotencyKey must be a string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+    }
+
+    if (typeof employeeId !== 'string' || !isUuid(employeeId)) {
+      return conflict('invalid_punch', 'employeeId must be a valid UUID');
+    }
+
+    if (!PUNCH_TYPES.includes(type)) {
+      return conflict('invalid_punch', `Unknown punch type ${type}`);
+    }
+
+    const timestamp = new Date(clientTimestamp);
+    if (isNaN(timestamp.getTime())) {
+      return conflict('invalid_punch', 'clientTimestamp is not a valid date');
+    }
+
+    // Se comprueba antes que la antigüedad para que un reenvío de un fichaje ya sincronizado no acabe en too_old
+    const existing = await Record.findOne({ where: { idempotencyKey }, paranoid: false });
+    if (existing) {
+      if (existing.employeeId !== employeeId || existing.type !== type) {
+        return conflict('idempotency_conflict', 'idempotencyKey was already used for a different punch');
+      }
+      return { ...base, status: 'duplicate', recordId: existing.id };
+    }
+
+    if (timestamp - now > MAX_CLOCK_SKEW_MINUTES * 60 * 1000) {
+      return conflict('future_timestamp', 'clientTimestamp is in the future');
+    }
+
+    if (now - timestamp > MAX_AGE_HOURS * 60 * 60 * 1000) {
+      return conflict('too_old', `Punches older than ${MAX_AGE_HOURS} hours must be submitted as correction requests`);
+    }
+
+    const result = await PunchService.punch({
+      employeeId,
+      type,
+      timestamp,
+      clientTimestamp: timestamp,
+      device: 'kiosk',
+      deviceId,
+      kioskDeviceId,
+      idempotencyKey,
+      projectId: punch.projectId || null,
+      notes: `${Record.getTypeLabel(type)} sincronizada desde kiosk sin conexión`
+    });
+
+    switch (result.status) {
+      case 'created':
+        return { ...base, status: 'accepted', recordId: result.record.id, timestamp: result.record.timestamp };
+      case 'duplicate':
+        return { ...base, status: 'duplicate', recordId: result.record.id };
+      case 'employee_not_found':
+        return conflict('employee_not_found', 'Employee not found');
+      case 'idempotency_conflict':
+        return conflict('idempotency_conflict', 'idempotencyKey was already used for a different punch');
+      case 'invalid_project':
+        return conflict('invalid_project', 'Project not found or inactive');
+      case 'conflicts_with_later_punch':
+        return conflict('conflicts_with_later_punch',
+          `A later ${result.next.type} was already registered at ${result.next.timestamp.toISOString()}`);
+      default:
+        return conflict('invalid_transition', `Cannot register ${type} while ${result.state}`);
+    }
+  }
+
+  /**
+   * Aplica una cola de fichajes en orden cronológico; los que no tienen una fecha válida van al final.
+   * Los resultados se devuelven en el mismo orden en que se enviaron.
+   * source identifica el origen: deviceId del kiosco y kioskDeviceId del dispositivo registrado.
+   */
+  static async syncPunches(source, punches, now = new Date()) {
+    const ordered = punches
+      .map((punch, index) => {
+        const time = new Date(punch?.clientTimestamp).getTime();
+        return { punch, index, time: isNaN(time) ? Infinity : time };
+      })
+      .sort((a, b) => (a.time === b.time ? a.index - b.index : a.time - b.time));
+
+    const results = new Array(punches.length);
+    for (const { punch, index } of ordered) {
+      results[index] = { index, ...(await this.applyPunch(source, punch, now)) };
+    }
+
+    return {
+      deviceId: source.deviceId,
+      syncedAt: now,
+      accepted: results.filter(r => r.status === 'accepted').length,
+      duplicates: results.filter(r => r.status === 'duplicate').length,
+      conflicts: results.filter(r => r.status === 'conflict').length,
+      results
+    };
+  }
+}
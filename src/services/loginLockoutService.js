@@ -0,0 +1,223 @@
+// Servicio de bloqueo de cuentas por intentos fallidos: espera progresiva entre intentos
+// y bloqueo temporal por código de empleado, común a login, TOTP y kiosco
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { Employee, LoginLockout, SecurityEvent } from '../models/index.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_LOCKOUT_MAX_ATTEMPTS || '5');
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '1440');
+const DELAY_BASE_SECONDS = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS || '1');
+// Los fallos más antiguos que esto ya no cuentan para el bloqueo
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15');
+
+export class LoginLockoutService {
+
+  static get maxAttempts() {
+    return MAX_ATTEMPTS;
+  }
+
+  static normalizeCode(employeeCode) {
+    if (employeeCode === undefined || employeeCode === null) return null;
+    const normalized = String(employeeCode).trim().substring(0, 50);
+    return normalized || null;
+  }
+
+  /**
+   * Segundos que hay que esperar tras el fallo número n: 1, 2, 4, 8... con la configuración por defecto
+   */
+  static getDelaySeconds(failedAttempts) {
+    if (failedAttempts <= 0) return 0;
+    return Math.min(DELAY_BASE_SECONDS * 2 ** (failedAttempts - 1), LOCKOUT_MINUTES * 60);
+  }
+
+  /**
+   * Duración del bloqueo número n: se duplica con cada bloqueo seguido hasta el máximo
+   */
+  static getLockoutMinutes(lockoutCount) {
+    return Math.min(LOCKOUT_MINUTES * 2 ** (Math.max(lockoutCount, 1) - 1), MAX_LOCKOUT_MINUTES);
+  }
+
+  /**
+   * Estado de una entrada: locked (bloqueada), throttled (aún no ha pasado la espera tras el último fallo) u ok
+   */
+  static getState(lockout, now = new Date()) {
+    if (!lockout) {
+      return { status: 'ok' };
+    }
+
+    if (lockout.lockedUntil && new Date(lockout.lockedUntil) > now) {
+      return {
+        status: 'locked',
+        lockedUntil: lockout.lockedUntil,
+        retryAfterSeconds: Math.ceil((new Date(lockout.lockedUntil) - now) / 1000)
+      };
+    }
+
+    if (lockout.failedAttempts > 0 && lockout.lastFailedAt) {
+      const nextAttemptAt = new Date(lockout.lastFailedAt).getTime() + this.getDelaySeconds(lockout.failedAttempts) * 1000;
+      if (nextAttemptAt > now.getTime()) {
+        return {
+          status: 'throttled',
+          retryAfterSeconds: Math.ceil((nextAttemptAt - now.getTime()) / 1000)
+        };
+      }
+    }
+
+    return { status: 'ok' };
+  }
+
+  /**
+   * Comprueba si se puede intentar el login con este código antes de validar credenciales
+   */
+  static async check(employeeCode, now = new Date()) {
+    const code = this.normalizeCode(employeeCode);
+    if (!code) {
+      return { status: 'ok' };
+    }
+
+    const lockout = await LoginLockout.findOne({ where: { employeeCode: code } });
+
+    // Un bloqueo vencido se limpia y los fallos vuelven a contar desde cero, como en registerFailure
+    if (lockout && lockout.lockedUntil && new Date(lockout.lockedUntil) <= now) {
+      await LoginLockout.update(
+        { lockedUntil: null, failedAttempts: 0 },
+        { where: { id: lockout.id, lockedUntil: { [Op.lte]: now } } }
+      );
+      return { status: 'ok' };
+    }
+
+    return this.getState(lockout, now);
+  }
+
+  /**
+   * Anota un intento fallido. Al llegar al máximo de intentos bloquea el código
+   * y deja constancia del bloqueo en los eventos de seguridad.
+   * Devuelve el estado resultante (locked, throttled u ok).
+   */
+  static async registerFailure(employeeCode, req, { channel, employeeId = null } = {}, now = new Date()) {
+    const code = this.normalizeCode(employeeCode);
+    if (!code) {
+      return { status: 'ok' };
+    }
+
+    let lockedNow = false;
+    const lockout = await sequelize.transaction(async (transaction) => {
+      await LoginLockout.findOrCreate({
+        where: { employeeCode: code },
+        defaults: { employeeCode: code },
+        transaction
+      });
+
+      const current = await LoginLockout.findOne({
+        where: { employeeCode: code },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const lockActive = current.lockedUntil && new Date(current.lockedUntil) > now;
+      const lockExpired = current.lockedUntil && !lockActive;
+      const windowExpired = current.lastFailedAt &&
+        now - new Date(current.lastFailedAt) > FAILURE_WINDOW_MINUTES * 60 * 1000;
+
+      const failedAttempts = (lockExpired || (windowExpired && !current.lockedUntil) ? 0 : current.failedAttempts) + 1;
+      const changes = {
+        employeeId: employeeId || current.employeeId,
+        failedAttempts,
+        lastFailedAt: now,
+        lastFailedIp: req.ip || null,
+        lastChannel: channel || null,
+        lockedUntil: lockExpired ? null : current.lockedUntil
+      };
+
+      // Los intentos que llegan mientras ya está bloqueado no alargan el bloqueo
+      if (failedAttempts >= MAX_ATTEMPTS && !lockActive) {
+        lockedNow = true;
+        changes.lockoutCount = current.lockoutCount + 1;
+        changes.lockedUntil = new Date(now.getTime() + this.getLockoutMinutes(changes.lockoutCount) * 60 * 1000);
+      }
+
+      await current.update(changes, { transaction });
+      return current;
+    });
+
+    const state = this.getState(lockout, now);
+
+    if (lockedNow) {
+      console.warn(`🔒 Account locked: ${code} until ${lockout.lockedUntil.toISOString()} (${channel})`);
+      await SecurityEvent.log('account_locked', req, {
+        employeeCode: code,
+        employeeId: lockout.employeeId,
+        details: {
+          channel,
+          failedAttempts: lockout.failedAttempts,
+          lockoutCount: lockout.lockoutCount,
+          lockedUntil: lockout.lockedUntil
+        }
+      });
+    }
+
+    return state;
+  }
+
+  /**
+   * Un acceso correcto borra los fallos acumulados del código
+   */
+  static async registerSuccess(employeeCode) {
+    const code = this.normalizeCode(employeeCode);
+    if (!code) return;
+
+    await LoginLockout.destroy({ where: { employeeCode: code } });
+  }
+
+  /**
+   * Desbloqueo manual por un administrador. Devuelve { status, lockout }: unlocked o not_found.
+   */
+  static async unlock(employeeCode, req) {
+    const code = this.normalizeCode(employeeCode);
+    const lockout = code ? await LoginLockout.findOne({ where: { employeeCode: code } }) : null;
+    if (!lockout) {
+      return { status: 'not_found' };
+    }
+
+    await lockout.destroy();
+
+    await SecurityEvent.log('account_unlocked', req, {
+      employeeCode: code,
+      employeeId: lockout.employeeId,
+      details: {
+        unlockedBy: req.employee.id,
+        failedAttempts: lockout.failedAttempts,
+        lockoutCount: lockout.lockoutCount,
+        lockedUntil: lockout.lockedUntil
+      }
+    });
+
+    return { status: 'unlocked', lockout };
+  }
+
+  /**
+   * Códigos bloqueados o con fallos recientes, para el panel de administración
+   */
+  static async list({ lockedOnly = false } = {}, now = new Date()) {
+    const where = lockedOnly
+      ? { lockedUntil: { [Op.gt]: now } }
+      : {
+        [Op.or]: [
+          { lockedUntil: { [Op.gt]: now } },
+          { lastFailedAt: { [Op.gt]: new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000) } }
+        ]
+      };
+
+    const lockouts = await LoginLockout.findAll({
+      where,
+      include: [{ model: Employee, as: 'employee', attributes: ['id', 'name', 'employeeCode'] }],
+      order: [['last_failed_at', 'DESC']]
+    });
+
+    return lockouts.map(lockout => ({
+      ...lockout.toJSON(),
+      ...this.getState(lockout, now)
+    }));
+  }
+}
@@ -0,0 +1,35 @@
+// Servicio de notificaciones internas
+import { Employee, Notification } from '../models/index.js';
+
+export class NotificationService {
+
+  /**
+   * Crea una notificación para un empleado
+   */
+  static async notify(employeeId, { type, title, message, data = null }, options = {}) {
+    return await Notification.create({
+      employeeId,
+      type,
+      title,
+      message,
+      data
+    }, { transaction: options.transaction });
+  }
+
+  /**
+   * Envía la misma notificación a todos los administradores activos
+   */
+  static async notifyAdmins(notification, options = {}) {
+    const admins = await Employee.findAll({
+      where: { role: 'admin', isActive: true },
+      attributes: ['id'],
+      transaction: options.transaction
+    });
+
+    const notifications = [];
+    for (const admin of admins) {
+      notifications.push(await this.notify(admin.id, notification, options));
+    }
+    return notifications;
+  }
+}
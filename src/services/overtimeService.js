@@ -0,0 +1,168 @@
+// Servicio de horas extra: compara el tiempo retribuido con el horario efectivo y la jornada contratada
+import { Op } from 'sequelize';
+import { Employee, Vacation } from '../models/index.js';
+import { ScheduleBreakService } from './scheduleBreakService.js';
+import { BreakReconciliationService } from './breakReconciliationService.js';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+
+// Por encima de este tiempo diario las horas son extraordinarias aunque la semana no supere la jornada
+const DAILY_THRESHOLD_HOURS = parseInt(process.env.OVERTIME_DAILY_THRESHOLD_HOURS || '9');
+
+export class OvertimeService {
+
+  static get dailyThresholdHours() {
+    return DAILY_THRESHOLD_HOURS;
+  }
+
+  /**
+   * Minutos previstos de un día: duración del horario menos sus pausas no retribuidas
+   */
+  static getExpectedMinutes(date, effective) {
+    if (!effective.isWorkingDay || !effective.workStartTime || !effective.workEndTime) {
+      return 0;
+    }
+
+    const start = AdherenceService.toScheduleDate(date, effective.workStartTime);
+    const end = AdherenceService.toScheduleDate(date, effective.workEndTime);
+    if (end <= start) {
+      end.setDate(end.getDate() + 1);
+    }
+
+    const unpaidBreakMinutes = (effective.breaks || [])
+      .filter(b => !b.isPaid)
+      .reduce((sum, b) => sum + BreakReconciliationService.getBreakWindow(date, b, effective.workStartTime).durationMinutes, 0);
+
+    return Math.max(0, Math.round((end - start) / (1000 * 60)) - unpaidBreakMinutes);
+  }
+
+  /**
+   * Lunes (YYYY-MM-DD) de la semana de una fecha
+   */
+  static getWeekStart(date) {
+    const d = new Date(`${date}T00:00:00`);
+    d.setDate(d.getDate() - (d.getDay() + 6) % 7);
+    return TimesheetService.toDateKey(d);
+  }
+
+  /**
+   * Evalúa un día: saldo frente al horario y exceso sobre el umbral diario.
+   * Solo los días pasados sin sesiones abiertas ni incompletas se consideran cerrados.
+   */
+  static evaluateDay(timesheetDay, effective, options = {}) {
+    const {
+      onVacation = false,
+      dailyThresholdMinutes = DAILY_THRESHOLD_HOURS * 60,
+      today = TimesheetService.toDateKey(new Date())
+    } = options;
+
+    const { date } = timesheetDay;
+    const reconciled = BreakReconciliationService.reconcileDay(date, effective, timesheetDay.sessions);
+    const expectedMinutes = onVacation ? 0 : this.getExpectedMinutes(date, effective);
+    const workedMinutes = reconciled.paidMinutes;
+
+    return {
+      date,
+      weekStart: this.getWeekStart(date),
+      scheduleSource: effective.source,
+      scheduledStart: effective.isWorkingDay ? effective.workStartTime || null : null,
+      scheduledEnd: effective.isWorkingDay ? effective.workEndTime || null : null,
+      onVacation,
+      expectedMinutes,
+      workedMinutes,
+      unpaidBreakMinutes: reconciled.unpaidBreakMinutes,
+      balanceMinutes: workedMinutes - expectedMinutes,
+      dailyOvertimeMinutes: Math.max(0, workedMinutes - dailyThresholdMinutes),
+      isClosed: date < today && !timesheetDay.hasOpenSession && !timesheetDay.hasIncompleteSessions
+    };
+  }
+
+  /**
+   * Agrupa los días por semana. Las horas extra de la semana son el mayor de
+   * los excesos diarios acumulados y el exceso sobre la jornada contratada,
+   * para no contar dos veces las mismas horas.
+   */
+  static summarizeWeeks(days, weeklyContractedMinutes) {
+    const weeks = {};
+    days.forEach(day => {
+      if (!weeks[day.weekStart]) weeks[day.weekStart] = [];
+      weeks[day.weekStart].push(day);
+    });
+
+    return Object.entries(weeks).map(([weekStart, weekDays]) => {
+      const workedMinutes = weekDays.reduce((sum, d) => sum + d.workedMinutes, 0);
+      const dailyOvertimeMinutes = weekDays.reduce((sum, d) => sum + d.dailyOvertimeMinutes, 0);
+      const weeklyOvertimeMinutes = Math.max(0, workedMinutes - weeklyContractedMinutes);
+
+      return {
+        weekStart,
+        // El rango consultado no cubre la semana entera
+        partial: weekDays.length < 7,
+        workedMinutes,
+        expectedMinutes: weekDays.reduce((sum, d) => sum + d.expectedMinutes, 0),
+        balanceMinutes: weekDays.reduce((sum, d) => sum + d.balanceMinutes, 0),
+        dailyOvertimeMinutes,
+        weeklyOvertimeMinutes,
+        overtimeMinutes: Math.max(dailyOvertimeMinutes, weeklyOvertimeMinutes)
+      };
+    });
+  }
+
+  static summarize(days, weeks) {
+    const workedMinutes = days.reduce((sum, d) => sum + d.workedMinutes, 0);
+    const expectedMinutes = days.reduce((sum, d) => sum + d.expectedMinutes, 0);
+    const overtimeMinutes = weeks.reduce((sum, w) => sum + w.overtimeMinutes, 0);
+    const closedBalanceMinutes = days.filter(d => d.isClosed).reduce((sum, d) => sum + d.balanceMinutes, 0);
+
+    return {
+      workedMinutes,
+      workedHours: TimesheetService.toHours(workedMinutes),
+      expectedMinutes,
+      expectedHours: TimesheetService.toHours(expectedMinutes),
+      overtimeMinutes,
+      overtimeHours: TimesheetService.toHours(overtimeMinutes),
+      closedBalanceMinutes,
+      closedBalanceHours: TimesheetService.toHours(closedBalanceMinutes),
+      openDays: days.filter(d => !d.isClosed).length
+    };
+  }
+
+  /**
+   * Informe de horas extra de un empleado para un rango de fechas
+   */
+  static async getEmployeeOvertime(employeeId, startDate, endDate, options = {}) {
+    const employee = await Employee.findByPk(employeeId, { attributes: ['id', 'weeklyContractedHours'] });
+    const weeklyContractedHours = parseFloat(employee.weeklyContractedHours);
+
+    const [sessions, vacations] = await Promise.all([
+      TimesheetService.getSessions(employeeId, startDate, endDate),
+      Vacation.findAll({
+        where: {
+          employeeId,
+          status: 'approved',
+          startDate: { [Op.lte]: endDate },
+          endDate: { [Op.gte]: startDate }
+        }
+      })
+    ]);
+
+    const days = [];
+    for (const timesheetDay of TimesheetService.summarizeDays(sessions, startDate, endDate)) {
+      const effective = await ScheduleBreakService.getEffectiveBreaksForSchedule(employeeId, timesheetDay.date);
+      const onVacation = vacations.some(v => v.startDate <= timesheetDay.date && v.endDate >= timesheetDay.date);
+      days.push(this.evaluateDay(timesheetDay, effective, { ...options, onVacation }));
+    }
+
+    const weeks = this.summarizeWeeks(days, weeklyContractedHours * 60);
+
+    return {
+      employeeId,
+      period: { startDate, endDate },
+      weeklyContractedHours,
+      dailyThresholdHours: options.dailyThresholdMinutes ? options.dailyThresholdMinutes / 60 : DAILY_THRESHOLD_HOURS,
+      days,
+      weeks,
+      summary: this.summarize(days, weeks)
+    };
+  }
+}
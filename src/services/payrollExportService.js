@@ -0,0 +1,301 @@
+// Servicio de exportación a nómina: resumen mensual por empleado con el formato de cada perfil
+import { Op } from 'sequelize';
+import { Employee, Vacation } from '../models/index.js';
+import { OvertimeService } from './overtimeService.js';
+import { TimesheetService } from './timesheetService.js';
+
+// Franja nocturna (hora local). Si el inicio es posterior al final, la franja cruza la medianoche.
+const NIGHT_START_HOUR = parseInt(process.env.NIGHT_START_HOUR || '22');
+const NIGHT_END_HOUR = parseInt(process.env.NIGHT_END_HOUR || '6');
+
+// Campos disponibles para las columnas de un perfil
+const FIELDS = [
+  { key: 'employee_code', description: 'Código del empleado' },
+  { key: 'employee_name', description: 'Nombre del empleado' },
+  { key: 'employee_email', description: 'Email del empleado' },
+  { key: 'period_start', description: 'Primer día del mes (con el formato de fecha del perfil)' },
+  { key: 'period_end', description: 'Último día del mes (con el formato de fecha del perfil)' },
+  { key: 'year', description: 'Año' },
+  { key: 'month', description: 'Mes (1-12)' },
+  { key: 'worked_hours', description: 'Horas trabajadas retribuidas (descontadas las pausas no retribuidas)' },
+  { key: 'expected_hours', description: 'Horas previstas según el horario' },
+  { key: 'overtime_hours', description: 'Horas extraordinarias' },
+  { key: 'night_hours', description: 'Horas trabajadas en la franja nocturna, sin pausas' },
+  { key: 'unpaid_break_hours', description: 'Horas de pausas no retribuidas' },
+  { key: 'absence_days', description: 'Días naturales de ausencia aprobada; con absenceCode, solo los de ese código' },
+  { key: 'absence_summary', description: 'Días de ausencia por código (CODIGO:dias separados por |)' },
+  { key: 'constant', description: 'Valor fijo indicado en la columna (value)' }
+];
+
+const HOUR_FIELDS = {
+  worked_hours: 'workedMinutes',
+  expected_hours: 'expectedMinutes',
+  overtime_hours: 'overtimeMinutes',
+  night_hours: 'nightMinutes',
+  unpaid_break_hours: 'unpaidBreakMinutes'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class PayrollExportService {
+
+  static get fields() {
+    return FIELDS;
+  }
+
+  static get nightStartHour() {
+    return NIGHT_START_HOUR;
+  }
+
+  static get nightEndHour() {
+    return NIGHT_END_HOUR;
+  }
+
+  /**
+   * Milisegundos de un intervalo que caen dentro de la franja nocturna
+   */
+  static getNightOverlapMs(start, end) {
+    const crossesMidnight = NIGHT_END_HOUR <= NIGHT_START_HOUR;
+    const day = new Date(start);
+    day.setHours(0, 0, 0, 0);
+    // La franja que empezó el día anterior puede cubrir el inicio del intervalo
+    day.setDate(day.getDate() - 1);
+
+    let overlapMs = 0;
+    for (; day < end; day.setDate(day.getDate() + 1)) {
+      const nightStart = new Date(day);
+      nightStart.setHours(NIGHT_START_HOUR, 0, 0, 0);
+      const nightEnd = new Date(day);
+      if (crossesMidnight) nightEnd.setDate(nightEnd.getDate() + 1);
+      nightEnd.setHours(NIGHT_END_HOUR, 0, 0, 0);
+
+      overlapMs += Math.max(0, Math.min(end, nightEnd) - Math.max(start, nightStart));
+    }
+
+    return overlapMs;
+  }
+
+  /**
+   * Minutos nocturnos de las sesiones cerradas. Las pausas no cuentan como trabajo nocturno.
+   */
+  static getNightMinutes(sessions) {
+    const nightMs = sessions
+      .filter(session => session.status === 'complete')
+      .reduce((sum, session) => {
+        const breakMs = session.breaks
+          .filter(b => b.start && b.end)
+          .reduce((total, b) => total + this.getNightOverlapMs(b.start, b.end), 0);
+
+        return sum + Math.max(0, this.getNightOverlapMs(session.start, session.end) - breakMs);
+      }, 0);
+
+    return Math.round(nightMs / (1000 * 60));
+  }
+
+  /**
+   * Días naturales de ausencia aprobada dentro del rango, por tipo de ausencia
+   */
+  static getAbsenceDays(vacations, startDate, endDate) {
+    const days = {};
+    vacations.forEach(vacation => {
+      const from = vacation.startDate > startDate ? vacation.startDate : startDate;
+      const to = vacation.endDate < endDate ? vacation.endDate : endDate;
+      if (from > to) return;
+
+      const count = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS) + 1;
+      days[vacation.type] = (days[vacation.type] || 0) + count;
+    });
+    return days;
+  }
+
+  /**
+   * Resumen mensual de un empleado con los datos que necesita la nómina
+   */
+  static async getEmployeePeriod(employee, year, month) {
+    const startDate = `${year}-${String(month).padStart(2, '0')}-01`;
+    const endDate = TimesheetService.toDateKey(new Date(year, month, 0));
+
+    const [overtime, sessions, vacations] = await Promise.all([
+      OvertimeService.getEmployeeOvertime(employee.id, startDate, endDate),
+      TimesheetService.getSessions(employee.id, startDate, endDate),
+      Vacation.findAll({
+        where: {
+          employeeId: employee.id,
+          status: 'approved',
+          startDate: { [Op.lte]: endDate },
+          endDate: { [Op.gte]: startDate }
+        }
+      })
+    ]);
+
+    return {
+      employee,
+      year,
+      month,
+      startDate,
+      endDate,
+      workedMinutes: overtime.summary.workedMinutes,
+      expectedMinutes: overtime.summary.expectedMinutes,
+      overtimeMinutes: overtime.summary.overtimeMinutes,
+      nightMinutes: this.getNightMinutes(sessions),
+      unpaidBreakMinutes: overtime.days.reduce((sum, d) => sum + d.unpaidBreakMinutes, 0),
+      absences: this.getAbsenceDays(vacations, startDate, endDate)
+    };
+  }
+
+  static formatHours(minutes, decimalSeparator) {
+    return (minutes / 60).toFixed(2).replace('.', decimalSeparator);
+  }
+
+  /**
+   * Fecha YYYY-MM-DD con los tokens YYYY, MM y DD del perfil
+   */
+  static formatDate(dateKey, dateFormat) {
+    const [year, month, day] = dateKey.split('-');
+    return dateFormat.replace('YYYY', year).replace('MM', month).replace('DD', day);
+  }
+
+  /**
+   * Ausencias agrupadas por el código del proveedor. Los tipos sin código usan su propio nombre.
+   */
+  static getAbsencesByCode(absences, absenceCodes = {}) {
+    const byCode = {};
+    Object.entries(absences).forEach(([type, days]) => {
+      const code = absenceCodes[type] || type;
+      byCode[code] = (byCode[code] || 0) + days;
+    });
+    return byCode;
+  }
+
+  /**
+   * Valores de una fila con el formato del perfil, en el orden de sus columnas
+   */
+  static formatRow(period, profile) {
+    const absencesByCode = this.getAbsencesByCode(period.absences, profile.absenceCodes);
+
+    return profile.columns.map(column => {
+      if (HOUR_FIELDS[column.field]) {
+        return this.formatHours(period[HOUR_FIELDS[column.field]], profile.decimalSeparator);
+      }
+
+      switch (column.field) {
+        case 'employee_code': return period.employee.employeeCode;
+        case 'employee_name': return period.employee.name;
+        case 'employee_email': return period.employee.email || '';
+        case 'period_start': return this.formatDate(period.startDate, profile.dateFormat);
+        case 'period_end': return this.formatDate(period.endDate, profile.dateFormat);
+        case 'year': return String(period.year);
+        case 'month': return String(period.month);
+        case 'absence_days':
+          return String(column.absenceCode
+            ? absencesByCode[column.absenceCode] || 0
+            : Object.values(absencesByCode).reduce((sum, days) => sum + days, 0));
+        case 'absence_summary':
+          return Object.keys(absencesByCode).sort().map(code => `${code}:${absencesByCode[code]}`).join('|');
+        case 'constant': return column.value ?? '';
+        default: return '';
+      }
+    });
+  }
+
+  static escapeValue(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV con el separador del perfil y fin de línea CRLF
+   */
+  static toCsv(rows, profile) {
+    const lines = [];
+    if (profile.includeHeader) {
+      lines.push(profile.columns.map(c => this.escapeValue(c.header, profile.delimiter)).join(profile.delimiter));
+    }
+    rows.forEach(row => {
+      lines.push(row.map(value => this.escapeValue(value, profile.delimiter)).join(profile.delimiter));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Errores de validación de un perfil. Con partial solo se validan los campos presentes.
+   */
+  static validateProfile(data, { partial = false } = {}) {
+    const errors = [];
+    const fieldKeys = FIELDS.map(f => f.key);
+    const vacationTypes = Vacation.rawAttributes.type.values;
+
+    if (!partial || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) errors.push('name is required');
+    }
+
+    if (!partial || data.columns !== undefined) {
+      if (!Array.isArray(data.columns) || data.columns.length === 0) {
+        errors.push('columns must be a non-empty array');
+      } else {
+        data.columns.forEach((column, index) => {
+          if (!column || !column.header) errors.push(`columns[${index}].header is required`);
+          if (!column || !fieldKeys.includes(column.field)) {
+            errors.push(`columns[${index}].field must be one of: ${fieldKeys.join(', ')}`);
+          } else if (column.field === 'constant' && column.value === undefined) {
+            errors.push(`columns[${index}].value is required for constant columns`);
+          }
+        });
+      }
+    }
+
+    if (data.delimiter !== undefined && (!data.delimiter || /["\r\n]/.test(data.delimiter))) {
+      errors.push('delimiter cannot be empty or contain quotes or line breaks');
+    }
+
+    if (data.decimalSeparator !== undefined && !['.', ','].includes(data.decimalSeparator)) {
+      errors.push('decimalSeparator must be . or ,');
+    }
+
+    if (data.dateFormat !== undefined &&
+      !['YYYY', 'MM', 'DD'].every(token => String(data.dateFormat).includes(token))) {
+      errors.push('dateFormat must contain YYYY, MM and DD');
+    }
+
+    if (data.absenceCodes !== undefined) {
+      if (!data.absenceCodes || typeof data.absenceCodes !== 'object' || Array.isArray(data.absenceCodes)) {
+        errors.push('absenceCodes must be an object');
+      } else {
+        Object.keys(data.absenceCodes).forEach(type => {
+          if (!vacationTypes.includes(type)) {
+            errors.push(`absenceCodes has an unknown vacation type: ${type}`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Genera la exportación de un mes con un perfil. Por defecto incluye a los empleados activos.
+   */
+  static async export(profile, { year, month, employeeIds = null }) {
+    const whereClause = employeeIds && employeeIds.length > 0
+      ? { id: { [Op.in]: employeeIds } }
+      : { isActive: true };
+
+    const employees = await Employee.findAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'email', 'employeeCode'],
+      order: [['employeeCode', 'ASC']]
+    });
+
+    const rows = [];
+    for (const employee of employees) {
+      const period = await this.getEmployeePeriod(employee, year, month);
+      rows.push(this.formatRow(period, profile));
+    }
+
+    return {
+      rows,
+      content: this.toCsv(rows, profile),
+      fileName: `nomina-${year}-${String(month).padStart(2, '0')}.csv`
+    };
+  }
+}
@@ -0,0 +1,205 @@
+// Servicio de presencia: quién está dentro, en pausa, de vacaciones o ausente ahora mismo
+import { EventEmitter } from 'events';
+import { Op } from 'sequelize';
+import { Employee, Record, Vacation } from '../models/index.js';
+import { WeeklyScheduleService } from './weeklyScheduleService.js';
+import { TimesheetService } from './timesheetService.js';
+import { AdherenceService } from './adherenceService.js';
+
+const REFRESH_SECONDS = parseInt(process.env.PRESENCE_REFRESH_SECONDS || '60');
+
+export const PRESENCE_STATUSES = ['in', 'on_break', 'on_vacation', 'absent', 'out'];
+
+// Los cambios se reparten en memoria a las conexiones SSE abiertas de este proceso
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Último estado enviado de cada empleado, para publicar solo los cambios
+const lastStatuses = new Map();
+
+export class PresenceService {
+
+  static get refreshSeconds() {
+    return REFRESH_SECONDS;
+  }
+
+  /**
+   * Estado de presencia a partir del último fichaje, las vacaciones aprobadas y el horario del día.
+   * Un fichaje abierto manda sobre las vacaciones; "absent" es no haber fichado hoy
+   * dentro del horario previsto.
+   */
+  static getStatus({ lastRecord, vacation, schedule, now = new Date() }) {
+    const punchState = Record.getPunchState(lastRecord);
+
+    if (punchState === 'working') {
+      return { status: 'in', since: lastRecord.timestamp };
+    }
+    if (punchState === 'on_break') {
+      return { status: 'on_break', since: lastRecord.timestamp };
+    }
+    if (vacation) {
+      return { status: 'on_vacation', since: vacation.startDate };
+    }
+
+    if (schedule && schedule.isWorkingDay && schedule.startTime && schedule.endTime) {
+      const date = TimesheetService.toDateKey(now);
+      const scheduledStart = AdherenceService.toScheduleDate(date, schedule.startTime);
+      const scheduledEnd = AdherenceService.toScheduleDate(date, schedule.endTime);
+      if (scheduledEnd <= scheduledStart) {
+        scheduledEnd.setDate(scheduledEnd.getDate() + 1);
+      }
+
+      const punchedToday = lastRecord && TimesheetService.toDateKey(lastRecord.timestamp) === date;
+      if (!punchedToday && now >= scheduledStart && now < scheduledEnd) {
+        return { status: 'absent', since: scheduledStart };
+      }
+    }
+
+    return { status: 'out', since: lastRecord ? lastRecord.timestamp : null };
+  }
+
+  /**
+   * Presencia actual de un empleado
+   */
+  static async getEmployeePresence(employee, now = new Date()) {
+    const date = TimesheetService.toDateKey(now);
+
+    const [lastRecord, vacation, schedule] = await Promise.all([
+      Record.findOne({
+        where: { employeeId: employee.id, timestamp: { [Op.lte]: now } },
+        order: [['timestamp', 'DESC']]
+      }),
+      Vacation.findOne({
+        where: {
+          employeeId: employee.id,
+          status: 'approved',
+          startDate: { [Op.lte]: date },
+          endDate: { [Op.gte]: date }
+        }
+      }),
+      WeeklyScheduleService.getEffectiveScheduleForDate(employee.id, date)
+    ]);
+
+    const { status, since } = this.getStatus({ lastRecord, vacation, schedule, now });
+
+    return {
+      employeeId: employee.id,
+      name: employee.name,
+      employeeCode: employee.employeeCode,
+      status,
+      since,
+      lastRecord: lastRecord
+        ? { id: lastRecord.id, type: lastRecord.type, timestamp: lastRecord.timestamp, projectId: lastRecord.projectId }
+        : null,
+      vacationType: vacation ? vacation.type : null,
+      scheduledStart: schedule && schedule.isWorkingDay ? schedule.startTime : null,
+      scheduledEnd: schedule && schedule.isWorkingDay ? schedule.endTime : null
+    };
+  }
+
+  /**
+   * Tablero de presencia de todos los empleados activos
+   */
+  static async getBoard(now = new Date()) {
+    const employees = await Employee.findAll({
+      where: { isActive: true },
+      attributes: ['id', 'name', 'employeeCode'],
+      order: [['name', 'ASC']]
+    });
+
+    const board = [];
+    for (const employee of employees) {
+      board.push(await this.getEmployeePresence(employee, now));
+    }
+
+    const summary = Object.fromEntries(PRESENCE_STATUSES.map(status => [status, 0]));
+    board.forEach(entry => summary[entry.status]++);
+
+    return { generatedAt: now, summary, employees: board };
+  }
+
+  /**
+   * Tablero inicial de una conexión nueva. Los empleados que aún no se seguían quedan
+   * registrados para que el refresco periódico solo envíe cambios posteriores.
+   */
+  static async getSnapshot(now = new Date()) {
+    const board = await this.getBoard(now);
+    board.employees.forEach(presence => {
+      if (!lastStatuses.has(presence.employeeId)) {
+        lastStatuses.set(presence.employeeId, presence.status);
+      }
+    });
+    return board;
+  }
+
+  /**
+   * Suscribe una conexión a los cambios de presencia. Devuelve la función para darse de baja.
+   */
+  static subscribe(listener) {
+    emitter.on('presence', listener);
+    return () => emitter.off('presence', listener);
+  }
+
+  static get subscriberCount() {
+    return emitter.listenerCount('presence');
+  }
+
+  /**
+   * Recalcula la presencia de un empleado y la envía a los suscriptores.
+   * Nunca lanza: la presencia en vivo no debe hacer fallar un fichaje.
+   */
+  static async publish(employeeId, reason) {
+    if (this.subscriberCount === 0) {
+      return;
+    }
+
+    try {
+      const employee = await Employee.findByPk(employeeId, { attributes: ['id', 'name', 'employeeCode', 'isActive'] });
+      if (!employee) {
+        return;
+      }
+
+      const presence = await this.getEmployeePresence(employee);
+      lastStatuses.set(employee.id, presence.status);
+      emitter.emit('presence', { reason, presence });
+    } catch (error) {
+      console.error('Presence publish error:', error);
+    }
+  }
+
+  /**
+   * Revisa el tablero completo y publica los cambios debidos al paso del tiempo:
+   * vacaciones que empiezan o terminan y horarios que empiezan sin fichaje
+   */
+  static async refresh(now = new Date()) {
+    const board = await this.getBoard(now);
+    const changes = board.employees.filter(presence => lastStatuses.get(presence.employeeId) !== presence.status);
+
+    lastStatuses.clear();
+    board.employees.forEach(presence => lastStatuses.set(presence.employeeId, presence.status));
+
+    changes.forEach(presence => emitter.emit('presence', { reason: 'refresh', presence }));
+    return changes;
+  }
+
+  /**
+   * Refresca el tablero periódicamente solo mientras haya conexiones abiertas
+   */
+  static startScheduler(intervalSeconds = REFRESH_SECONDS) {
+    const timer = setInterval(async () => {
+      if (this.subscriberCount === 0) {
+        lastStatuses.clear();
+        return;
+      }
+
+      try {
+        await this.refresh();
+      } catch (error) {
+        console.error('Presence refresh error:', error);
+      }
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+    return timer;
+  }
+}
@@ -0,0 +1,180 @@
+// Servicio de imputación de horas: reparte las sesiones de trabajo entre proyectos y centros de coste
+import { Op } from 'sequelize';
+import { Record, Employee, Project, CostCenter } from '../models/index.js';
+import { TimesheetService } from './timesheetService.js';
+import { OvertimeService } from './overtimeService.js';
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+export class ProjectTimeService {
+
+  static get groupByOptions() {
+    return GROUP_BY;
+  }
+
+  /**
+   * Tramos de una sesión cerrada: desde la entrada o cada cambio de proyecto hasta el
+   * siguiente cambio o la salida. El tiempo en pausa no se imputa a ningún proyecto.
+   */
+  static getSessionSegments(session, checkin, switches) {
+    const boundaries = [{ at: session.start, projectId: checkin ? checkin.projectId || null : null }];
+
+    switches
+      .map(s => ({ at: new Date(s.timestamp), projectId: s.projectId || null }))
+      .filter(s => s.at > session.start && s.at < session.end)
+      .sort((a, b) => a.at - b.at)
+      .forEach(s => boundaries.push(s));
+
+    return boundaries.map((boundary, index) => {
+      const start = boundary.at;
+      const end = index + 1 < boundaries.length ? boundaries[index + 1].at : session.end;
+      const breakMs = session.breaks
+        .filter(b => b.start && b.end)
+        .reduce((sum, b) => sum + Math.max(0, Math.min(end, b.end) - Math.max(start, b.start)), 0);
+
+      return {
+        date: session.date,
+        employeeId: session.employeeId,
+        projectId: boundary.projectId,
+        start,
+        end,
+        minutes: Math.max(0, Math.round((end - start - breakMs) / (1000 * 60)))
+      };
+    }).filter(segment => segment.minutes > 0);
+  }
+
+  /**
+   * Tramos de proyecto de los fichajes de un empleado. Solo cuentan las sesiones cerradas.
+   */
+  static getSegments(records) {
+    const switches = records.filter(r => r.type === 'project_switch');
+
+    return TimesheetService.buildSessions(records)
+      .filter(session => session.status === 'complete')
+      .flatMap(session => this.getSessionSegments(
+        session,
+        records.find(r => r.id === session.checkinId),
+        switches
+      ));
+  }
+
+  static getPeriodKey(date, groupBy) {
+    if (groupBy === 'day') return date;
+    if (groupBy === 'week') return OvertimeService.getWeekStart(date);
+    return date.slice(0, 7);
+  }
+
+  /**
+   * Horas por proyecto, empleado y periodo (día, semana o mes) para un rango de fechas.
+   * Las sesiones se asignan al día de su entrada, como en las hojas de horas.
+   */
+  static async getReport({ startDate, endDate, employeeIds = null, projectId = null, costCenterId = null, groupBy = 'month' }) {
+    const bufferMs = TimesheetService.maxSessionHours * 60 * 60 * 1000;
+    const whereClause = {
+      type: { [Op.in]: ['checkin', 'checkout', 'break_start', 'break_end', 'project_switch'] },
+      timestamp: {
+        [Op.between]: [
+          new Date(new Date(`${startDate}T00:00:00`).getTime() - bufferMs),
+          new Date(new Date(`${endDate}T23:59:59.999`).getTime() + bufferMs)
+        ]
+      }
+    };
+    if (employeeIds && employeeIds.length > 0) {
+      whereClause.employeeId = { [Op.in]: employeeIds };
+    }
+
+    const records = await Record.findAll({
+      where: whereClause,
+      order: [['timestamp', 'ASC']]
+    });
+
+    const recordsByEmployee = new Map();
+    records.forEach(record => {
+      if (!recordsByEmployee.has(record.employeeId)) recordsByEmployee.set(record.employeeId, []);
+      recordsByEmployee.get(record.employeeId).push(record);
+    });
+
+    const [employees, projects] = await Promise.all([
+      Employee.findAll({
+        where: { id: { [Op.in]: [...recordsByEmployee.keys()] } },
+        attributes: ['id', 'name', 'employeeCode']
+      }),
+      Project.findAll({
+        include: [{ model: CostCenter, as: 'costCenter', attributes: ['id', 'code', 'name'] }]
+      })
+    ]);
+    const employeesById = new Map(employees.map(e => [e.id, e]));
+    const projectsById = new Map(projects.map(p => [p.id, p]));
+
+    const rowsByKey = new Map();
+    for (const employeeRecords of recordsByEmployee.values()) {
+      this.getSegments(employeeRecords)
+        .filter(segment => segment.date >= startDate && segment.date <= endDate)
+        .forEach(segment => {
+          const project = projectsById.get(segment.projectId) || null;
+          if (projectId && segment.projectId !== projectId) return;
+          if (costCenterId && (!project || project.costCenterId !== costCenterId)) return;
+
+          const period = this.getPeriodKey(segment.date, groupBy);
+          const key = `${period}|${segment.employeeId}|${segment.projectId}`;
+          if (!rowsByKey.has(key)) {
+            const employee = employeesById.get(segment.employeeId);
+            rowsByKey.set(key, {
+              period,
+              employeeId: segment.employeeId,
+              employeeCode: employee ? employee.employeeCode : null,
+              employeeName: employee ? employee.name : null,
+              projectId: segment.projectId,
+              projectCode: project ? project.code : null,
+              projectName: project ? project.name : null,
+              costCenterId: project ? project.costCenterId : null,
+              costCenterCode: project && project.costCenter ? project.costCenter.code : null,
+              minutes: 0
+            });
+          }
+          rowsByKey.get(key).minutes += segment.minutes;
+        });
+    }
+
+    const rows = [...rowsByKey.values()]
+      .sort((a, b) => a.period.localeCompare(b.period) ||
+        String(a.employeeCode).localeCompare(String(b.employeeCode)) ||
+        String(a.projectCode).localeCompare(String(b.projectCode)))
+      .map(row => ({ ...row, hours: TimesheetService.toHours(row.minutes) }));
+
+    const totalize = (keyOf, describe) => {
+      const totals = new Map();
+      rows.forEach(row => {
+        const key = keyOf(row);
+        if (!totals.has(key)) totals.set(key, { ...describe(row), minutes: 0 });
+        totals.get(key).minutes += row.minutes;
+      });
+      return [...totals.values()].map(total => ({ ...total, hours: TimesheetService.toHours(total.minutes) }));
+    };
+
+    const totalMinutes = rows.reduce((sum, row) => sum + row.minutes, 0);
+
+    return {
+      period: { startDate, endDate },
+      groupBy,
+      rows,
+      byProject: totalize(row => row.projectId, row => ({
+        projectId: row.projectId,
+        projectCode: row.projectCode,
+        projectName: row.projectName,
+        costCenterCode: row.costCenterCode
+      })),
+      byEmployee: totalize(row => row.employeeId, row => ({
+        employeeId: row.employeeId,
+        employeeCode: row.employeeCode,
+        employeeName: row.employeeName
+      })),
+      byCostCenter: totalize(row => row.costCenterId, row => ({
+        costCenterId: row.costCenterId,
+        costCenterCode: row.costCenterCode
+      })),
+      totalMinutes,
+      totalHours: TimesheetService.toHours(totalMinutes)
+    };
+  }
+}
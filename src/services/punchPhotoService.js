@@ -0,0 +1,133 @@
+// Servicio de fotos de fichajes: valida la imagen, la guarda en el almacén configurado y la enlaza al fichaje
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { RecordPhoto } from '../models/index.js';
+
+const PHOTO_DIR = process.env.PUNCH_PHOTO_DIR || path.resolve('uploads', 'punch-photos');
+const MAX_BYTES = parseInt(process.env.PUNCH_PHOTO_MAX_BYTES || String(2 * 1024 * 1024));
+const RETENTION_DAYS = parseInt(process.env.PUNCH_PHOTO_RETENTION_DAYS || '30');
+const PHOTO_REQUIRED = process.env.PUNCH_PHOTO_REQUIRED === 'true';
+
+// Tipos admitidos y su firma al inicio del fichero; no se confía en el tipo que declara el cliente
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': { extension: 'png', matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+};
+
+// Almacén en disco local. Cualquier otro almacén debe ofrecer save, read y remove con la misma firma.
+const localStore = {
+  async save(key, buffer) {
+    const filePath = path.join(PHOTO_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, buffer);
+    await fs.rename(`${filePath}.tmp`, filePath);
+  },
+  async read(key) {
+    try {
+      return await fs.readFile(path.join(PHOTO_DIR, key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+  async remove(key) {
+    await fs.unlink(path.join(PHOTO_DIR, key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+};
+
+let store = localStore;
+
+export class PunchPhotoService {
+
+  static get maxBytes() {
+    return MAX_BYTES;
+  }
+
+  static get retentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  static get required() {
+    return PHOTO_REQUIRED;
+  }
+
+  static get allowedTypes() {
+    return Object.keys(IMAGE_TYPES);
+  }
+
+  static get store() {
+    return store;
+  }
+
+  /**
+   * Sustituye el almacén de fotos (por ejemplo, uno de objetos en la nube)
+   */
+  static setStore(customStore) {
+    if (!customStore || ['save', 'read', 'remove'].some(method => typeof customStore[method] !== 'function')) {
+      throw new Error('A photo store must implement save, read and remove');
+    }
+    store = customStore;
+  }
+
+  /**
+   * Tipo real de la imagen según su contenido, o null si no es un tipo admitido
+   */
+  static detectType(buffer) {
+    return Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type].matches(buffer)) || null;
+  }
+
+  /**
+   * Guarda la foto y la enlaza al fichaje. Si falla el enlace, la imagen se elimina del almacén.
+   */
+  static async attach(record, buffer, { kioskDeviceId = null } = {}) {
+    const mimeType = this.detectType(buffer);
+    if (!mimeType) {
+      throw new Error('Unsupported image type');
+    }
+
+    const createdAt = new Date(record.timestamp);
+    const month = String(createdAt.getMonth() + 1).padStart(2, '0');
+    const storageKey = `${createdAt.getFullYear()}/${month}/${record.id}.${IMAGE_TYPES[mimeType].extension}`;
+
+    await store.save(storageKey, buffer);
+
+    try {
+      return await RecordPhoto.create({
+        recordId: record.id,
+        employeeId: record.employeeId,
+        kioskDeviceId,
+        storageKey,
+        mimeType,
+        sizeBytes: buffer.length,
+        checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+      });
+    } catch (error) {
+      await store.remove(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Contenido de la foto, o null si ya no está en el almacén
+   */
+  static async read(photo) {
+    return await store.read(photo.storageKey);
+  }
+
+  /**
+   * Elimina del almacén las imágenes de las fotos indicadas
+   */
+  static async removeFiles(photos) {
+    for (const photo of photos) {
+      try {
+        await store.remove(photo.storageKey);
+      } catch (error) {
+        console.error(`Punch photo removal error for ${photo.storageKey}:`, error);
+      }
+    }
+  }
+}
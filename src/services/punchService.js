@@ -0,0 +1,217 @@
+// Servicio de fichajes: punto único para registrar entradas, salidas y pausas
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import { Employee, Record, Project } from '../models/index.js';
+import { PresenceService } from './presenceService.js';
+
+export class PunchService {
+
+  /**
+   * Registra un fichaje serializando por empleado (bloqueo de su fila) y validando
+   * la transición con el fichaje anterior y el siguiente a su hora.
+   *
+   * Los fichajes cuyo tipo se decide a partir del último fichaje (escaneos del kiosco) indican
+   * en expectedLastRecordId el fichaje que vieron (null si no había ninguno). Si al bloquear al
+   * empleado su último fichaje es otro, es el mismo gesto repetido y se devuelve ese fichaje como duplicate.
+   *
+   * Devuelve { status, record, previous, state } donde status es:
+   * created, duplicate, idempotency_conflict, employee_not_found, invalid_project,
+   * invalid_transition o conflicts_with_later_punch.
+   */
+  static async punch(punch, options = {}) {
+    const run = async (transaction) => {
+      const {
+        employeeId,
+        type,
+        timestamp = new Date(),
+        idempotencyKey = null,
+        expectedLastRecordId,
+        ...fields
+      } = punch;
+
+      const employee = await Employee.findByPk(employeeId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!employee || !employee.isActive) {
+        return { status: 'employee_not_found', record: null };
+      }
+
+      if (idempotencyKey) {
+        const existing = await Record.findOne({
+          where: { idempotencyKey },
+          paranoid: false,
+          transaction
+        });
+
+        if (existing) {
+          const sameRequest = existing.employeeId === employeeId && existing.type === type;
+          return { status: sameRequest ? 'duplicate' : 'idempotency_conflict', record: existing };
+        }
+      }
+
+      if (expectedLastRecordId !== undefined) {
+        const latest = await Record.findOne({
+          where: { employeeId },
+          order: [['timestamp', 'DESC']],
+          transaction
+        });
+
+        if (latest && latest.id !== expectedLastRecordId) {
+          return {
+            status: 'duplicate',
+            record: latest,
+            state: Record.getPunchState(latest),
+            employee
+          };
+        }
+      }
+
+      // Un cambio de proyecto siempre indica el proyecto de destino
+      if (fields.projectId || type === 'project_switch') {
+        const project = fields.projectId
+          ? await Project.findByPk(fields.projectId, { transaction })
+          : null;
+
+        if (!project || !project.isActive) {
+          return { status: 'invalid_project', record: null };
+        }
+      }
+
+      const previous = await Record.findOne({
+        where: { employeeId, timestamp: { [Op.lte]: timestamp } },
+        order: [['timestamp', 'DESC']],
+        transaction
+      });
+
+      if (!Record.canTransition(previous, type)) {
+        return {
+          status: 'invalid_transition',
+          record: null,
+          previous,
+          state: Record.getPunchState(previous)
+        };
+      }
+
+      const next = await Record.findOne({
+        where: { employeeId, timestamp: { [Op.gt]: timestamp } },
+        order: [['timestamp', 'ASC']],
+        transaction
+      });
+
+      if (next && !Record.canTransition({ type }, next.type)) {
+        return {
+          status: 'conflicts_with_later_punch',
+          record: null,
+          previous,
+          next,
+          state: Record.getPunchState(previous)
+        };
+      }
+
+      // Las salidas, pausas y cambios de proyecto siguen en la modalidad de su entrada
+      const inheritedMode = type !== 'checkin' && !fields.workMode && previous ? { workMode: previous.workMode } : {};
+
+      const record = await Record.create({
+        ...inheritedMode,
+        ...fields,
+        employeeId,
+        type,
+        timestamp,
+        idempotencyKey
+      }, { transaction });
+
+      transaction.afterCommit(() => PresenceService.publish(employeeId, 'punch'));
+
+      return {
+        status: 'created',
+        record,
+        previous,
+        state: Record.getPunchState(record),
+        employee
+      };
+    };
+
+    if (options.transaction) {
+      return await run(options.transaction);
+    }
+
+    try {
+      return await sequelize.transaction(run);
+    } catch (error) {
+      // Dos envíos con la misma clave para empleados distintos
+      if (error.name === 'SequelizeUniqueConstraintError' && punch.idempotencyKey) {
+        const existing = await Record.findOne({ where: { idempotencyKey: punch.idempotencyKey }, paranoid: false });
+        return { status: 'idempotency_conflict', record: existing };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Comprueba que cambiar el tipo o la hora de un fichaje deja una secuencia válida, tanto
+   * en el hueco que deja como en su nueva posición. Bloquea al empleado hasta el final de la
+   * transacción, como punch(), para que nadie fiche mientras tanto.
+   *
+   * Devuelve { status, previous, next } donde status es valid, employee_not_found o
+   * invalid_sequence (previous y next son los fichajes entre los que se rompe la secuencia).
+   */
+  static async validateEdit(record, { type = record.type, timestamp = record.timestamp }, { transaction }) {
+    const employee = await Employee.findByPk(record.employeeId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!employee) {
+      return { status: 'employee_not_found' };
+    }
+
+    const newTime = new Date(timestamp);
+    const oldTime = new Date(record.timestamp);
+    const from = newTime < oldTime ? newTime : oldTime;
+    const to = newTime < oldTime ? oldTime : newTime;
+    const others = { employeeId: record.employeeId, id: { [Op.ne]: record.id } };
+
+    const previous = await Record.findOne({
+      where: { ...others, timestamp: { [Op.lt]: from } },
+      order: [['timestamp', 'DESC']],
+      transaction
+    });
+
+    const between = await Record.findAll({
+      where: { ...others, timestamp: { [Op.between]: [from, to] } },
+      order: [['timestamp', 'ASC']],
+      transaction
+    });
+
+    const next = await Record.findOne({
+      where: { ...others, timestamp: { [Op.gt]: to } },
+      order: [['timestamp', 'ASC']],
+      transaction
+    });
+
+    const edited = { id: record.id, type, timestamp: newTime };
+    const sequence = [...between, edited]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (next) sequence.push(next);
+
+    let last = previous;
+    for (const punch of sequence) {
+      if (!Record.canTransition(last, punch.type)) {
+        return { status: 'invalid_sequence', previous: last, next: punch };
+      }
+      last = punch;
+    }
+
+    return { status: 'valid' };
+  }
+
+  /**
+   * Clave de idempotencia enviada en la cabecera Idempotency-Key o en el cuerpo
+   */
+  static getIdempotencyKey(req) {
+    const key = req.get('Idempotency-Key') || req.body.idempotencyKey;
+    return key ? String(key).slice(0, 100) : null;
+  }
+}
@@ -0,0 +1,143 @@
+// Servicio de tokens QR para fichar en el kiosco: firmados con el secreto TOTP del empleado,
+// de corta duración, de un solo uso y sustituidos por cada token nuevo
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { Op } from 'sequelize';
+import { Employee, QrPunchToken } from '../models/index.js';
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.QR_PUNCH_TOKEN_TTL_SECONDS || '30');
+const TOKEN_VERSION = 'qr1';
+
+// Los tokens caducados se conservan un día para poder revisar los intentos de reutilización
+const CLEANUP_AFTER_HOURS = 24;
+
+export class QrPunchTokenService {
+
+  static get ttlSeconds() {
+    return TOKEN_TTL_SECONDS;
+  }
+
+  /**
+   * Clave de firma derivada del secreto TOTP, distinta de la que genera los códigos
+   */
+  static getSigningKey(employee) {
+    return crypto.createHmac('sha256', employee.totpSecret).update('qr-punch-token').digest();
+  }
+
+  static sign(employee, payload) {
+    return crypto.createHmac('sha256', this.getSigningKey(employee)).update(payload).digest('base64url');
+  }
+
+  /**
+   * Formato: qr1.<employeeId>.<caducidad en segundos>.<nonce>.<firma>
+   */
+  static buildToken(employee, nonce, expiresAt) {
+    const payload = [TOKEN_VERSION, employee.id, Math.floor(expiresAt.getTime() / 1000), nonce].join('.');
+    return `${payload}.${this.sign(employee, payload)}`;
+  }
+
+  static parseToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.trim().split('.');
+    if (parts.length !== 5 || parts[0] !== TOKEN_VERSION) return null;
+
+    const [, employeeId, expiresAtSeconds, nonce, signature] = parts;
+    if (!/^[0-9a-f-]{36}$/i.test(employeeId) || !/^\d+$/.test(expiresAtSeconds) || !nonce || !signature) {
+      return null;
+    }
+
+    return {
+      employeeId,
+      expiresAt: new Date(parseInt(expiresAtSeconds) * 1000),
+      nonce,
+      signature,
+      payload: parts.slice(0, 4).join('.')
+    };
+  }
+
+  /**
+   * Emite un token nuevo para la pantalla del móvil. Los anteriores sin usar dejan de valer.
+   * Devuelve null si el empleado no tiene secreto TOTP configurado.
+   */
+  static async issue(employee, now = new Date()) {
+    if (!employee.totpSecret) {
+      return null;
+    }
+
+    const nonce = crypto.randomBytes(12).toString('base64url');
+    // La caducidad viaja en segundos dentro del token
+    const expiresAt = new Date(Math.floor(now.getTime() / 1000) * 1000 + TOKEN_TTL_SECONDS * 1000);
+
+    await QrPunchToken.update(
+      { supersededAt: now },
+      { where: { employeeId: employee.id, usedAt: null, supersededAt: null, expiresAt: { [Op.gt]: now } } }
+    );
+
+    await QrPunchToken.destroy({
+      where: {
+        employeeId: employee.id,
+        expiresAt: { [Op.lt]: new Date(now.getTime() - CLEANUP_AFTER_HOURS * 60 * 60 * 1000) }
+      }
+    });
+
+    await QrPunchToken.create({ employeeId: employee.id, nonce, expiresAt });
+
+    const token = this.buildToken(employee, nonce, expiresAt);
+    const qrCode = await QRCode.toDataURL(token);
+
+    return { token, expiresAt, ttlSeconds: TOKEN_TTL_SECONDS, qrCode };
+  }
+
+  /**
+   * Comprueba un token escaneado sin consumirlo.
+   * Devuelve { status, employee, tokenRecord } donde status es:
+   * valid, invalid, employee_not_found, expired, superseded o replayed.
+   */
+  static async verify(token, now = new Date()) {
+    const parsed = this.parseToken(token);
+    if (!parsed) {
+      return { status: 'invalid' };
+    }
+
+    const employee = await Employee.findByPk(parsed.employeeId);
+    if (!employee || !employee.isActive || !employee.totpSecret) {
+      return { status: 'employee_not_found' };
+    }
+
+    const expected = Buffer.from(this.sign(employee, parsed.payload));
+    const received = Buffer.from(parsed.signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { status: 'invalid', employee };
+    }
+
+    if (parsed.expiresAt <= now) {
+      return { status: 'expired', employee };
+    }
+
+    const tokenRecord = await QrPunchToken.findOne({ where: { nonce: parsed.nonce, employeeId: employee.id } });
+    if (!tokenRecord) {
+      return { status: 'invalid', employee };
+    }
+    if (tokenRecord.usedAt) {
+      return { status: 'replayed', employee, tokenRecord };
+    }
+    if (tokenRecord.supersededAt) {
+      return { status: 'superseded', employee, tokenRecord };
+    }
+
+    return { status: 'valid', employee, tokenRecord };
+  }
+
+  /**
+   * Marca el token como usado. Devuelve false si otro kiosco lo ha usado antes.
+   * Con transaction, el token vuelve a estar disponible si la transacción se deshace.
+   */
+  static async consume(tokenRecord, { kioskDeviceId = null, transaction } = {}, now = new Date()) {
+    const [updated] = await QrPunchToken.update(
+      { usedAt: now, kioskDeviceId },
+      { where: { id: tokenRecord.id, usedAt: null, supersededAt: null }, transaction }
+    );
+    return updated === 1;
+  }
+}
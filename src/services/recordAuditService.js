@@ -0,0 +1,101 @@
+// Servicio de auditoría de fichajes: toda modificación o borrado deja una revisión inmutable
+import sequelize from '../config/database.js';
+import { Record, RecordRevision, Employee } from '../models/index.js';
+import { PresenceService } from './presenceService.js';
+
+export class RecordAuditService {
+
+  /**
+   * Modifica un fichaje guardando los valores anteriores y posteriores
+   */
+  static async updateRecord(record, changes, { changedBy, reason, transaction = null }) {
+    const run = async (t) => {
+      const before = RecordRevision.snapshot(record);
+
+      record.set(changes);
+      const changedFields = (record.changed() || [])
+        .filter(field => RecordRevision.TRACKED_FIELDS.includes(field));
+
+      if (changedFields.length === 0) {
+        await record.save({ transaction: t });
+        return { record, revision: null };
+      }
+
+      await record.save({ transaction: t });
+      t.afterCommit(() => PresenceService.publish(record.employeeId, 'record_updated'));
+
+      const revision = await RecordRevision.create({
+        recordId: record.id,
+        action: 'update',
+        before,
+        after: RecordRevision.snapshot(record),
+        changedFields,
+        changedBy,
+        reason
+      }, { transaction: t });
+
+      return { record, revision };
+    };
+
+    return transaction ? await run(transaction) : await sequelize.transaction(run);
+  }
+
+  /**
+   * Elimina un fichaje dejando una lápida (borrado lógico) y su revisión
+   */
+  static async deleteRecord(record, { changedBy, reason }) {
+    return await sequelize.transaction(async (transaction) => {
+      const revision = await RecordRevision.create({
+        recordId: record.id,
+        action: 'delete',
+        before: RecordRevision.snapshot(record),
+        after: null,
+        changedFields: [],
+        changedBy,
+        reason
+      }, { transaction });
+
+      await record.destroy({ transaction });
+      transaction.afterCommit(() => PresenceService.publish(record.employeeId, 'record_deleted'));
+
+      return { record, revision };
+    });
+  }
+
+  /**
+   * Linaje completo de un fichaje, incluidos los eliminados
+   */
+  static async getHistory(recordId) {
+    const record = await Record.findByPk(recordId, {
+      paranoid: false,
+      include: [{
+        model: Employee,
+        as: 'employee',
+        attributes: ['id', 'name', 'employeeCode']
+      }]
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    const revisions = await RecordRevision.findAll({
+      where: { recordId },
+      include: [{
+        model: Employee,
+        as: 'author',
+        attributes: ['id', 'name', 'employeeCode']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+
+    return {
+      record,
+      isDeleted: record.isSoftDeleted(),
+      deletedAt: record.get('deleted_at'),
+      original: revisions.length > 0 ? revisions[0].before : RecordRevision.snapshot(record),
+      createdAt: record.get('created_at'),
+      revisions
+    };
+  }
+}
@@ -0,0 +1,156 @@
+// Servicio de verificación de la cadena de hashes de los fichajes
+import { Op } from 'sequelize';
+import { Record, RecordRevision, Employee, RetentionArchive } from '../models/index.js';
+
+export class RecordChainService {
+
+  /**
+   * Últimos eslabones archivados de la cadena de un empleado: sequence -> hash.
+   * Los archivos restaurados no cuentan porque sus fichajes vuelven a estar en la tabla.
+   */
+  static async getArchivedAnchors(employeeId) {
+    const archives = await RetentionArchive.findAll({
+      where: { dataType: 'records', status: 'archived' },
+      attributes: ['chainAnchors']
+    });
+
+    const anchors = new Map();
+    archives.forEach(archive => {
+      const anchor = archive.chainAnchors && archive.chainAnchors[employeeId];
+      if (anchor) anchors.set(anchor.sequence, anchor.hash);
+    });
+    return anchors;
+  }
+
+  /**
+   * Recorre la cadena de un empleado y devuelve cada rotura encontrada.
+   * Cada fichaje se comprueba con los campos de la versión de hash con la que se selló.
+   * Los cambios hechos a través del historial de auditoría se validan contra
+   * los valores originales guardados en la primera revisión del fichaje.
+   * Un hueco solo es válido si termina en el último eslabón de un archivo de conservación.
+   */
+  static async verifyEmployeeChain(employeeId) {
+    const records = await Record.findAll({
+      where: {
+        employeeId,
+        sequence: { [Op.ne]: null }
+      },
+      order: [['sequence', 'ASC']],
+      paranoid: false
+    });
+
+    const unsealedRecords = await Record.count({
+      where: {
+        employeeId,
+        sequence: null
+      },
+      paranoid: false
+    });
+
+    const revisions = await RecordRevision.findAll({
+      where: { recordId: { [Op.in]: records.map(r => r.id) } },
+      order: [['created_at', 'ASC']]
+    });
+
+    const originals = {};
+    revisions.forEach(revision => {
+      if (!originals[revision.recordId]) {
+        originals[revision.recordId] = revision.before;
+      }
+    });
+
+    const anchors = await this.getArchivedAnchors(employeeId);
+
+    const breaks = [];
+    let expectedSequence = 1;
+    let expectedPreviousHash = null;
+
+    for (const record of records) {
+      const location = {
+        recordId: record.id,
+        sequence: record.sequence,
+        timestamp: record.timestamp
+      };
+
+      if (record.sequence > expectedSequence && anchors.has(record.sequence - 1)) {
+        expectedSequence = record.sequence;
+        expectedPreviousHash = anchors.get(record.sequence - 1);
+      }
+
+      if (record.sequence !== expectedSequence) {
+        breaks.push({
+          ...location,
+          type: 'sequence_gap',
+          message: `Expected sequence ${expectedSequence}, found ${record.sequence}`
+        });
+      }
+
+      if (record.previousHash !== expectedPreviousHash) {
+        breaks.push({
+          ...location,
+          type: 'previous_hash_mismatch',
+          message: 'Record is not linked to the previous record in the chain'
+        });
+      }
+
+      const fields = {
+        ...record.get(),
+        ...(originals[record.id] || {})
+      };
+
+      if (Record.computeChainHash(fields) !== record.hash) {
+        breaks.push({
+          ...location,
+          type: 'hash_mismatch',
+          message: 'Record content does not match its hash'
+        });
+      }
+
+      expectedSequence = record.sequence + 1;
+      expectedPreviousHash = record.hash;
+    }
+
+    return {
+      employeeId,
+      valid: breaks.length === 0,
+      checkedRecords: records.length,
+      unsealedRecords,
+      lastSequence: records.length > 0 ? records[records.length - 1].sequence : 0,
+      lastHash: expectedPreviousHash,
+      breaks
+    };
+  }
+
+  /**
+   * Verifica las cadenas de todos los empleados (o de los indicados)
+   */
+  static async verifyAllChains(employeeIds = null) {
+    const whereClause = employeeIds ? { id: { [Op.in]: employeeIds } } : {};
+    const employees = await Employee.findAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'employeeCode'],
+      order: [['employeeCode', 'ASC']]
+    });
+
+    const results = [];
+    for (const employee of employees) {
+      const result = await this.verifyEmployeeChain(employee.id);
+      results.push({
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode
+        },
+        ...result
+      });
+    }
+
+    return {
+      valid: results.every(r => r.valid),
+      verifiedAt: new Date(),
+      employeesChecked: results.length,
+      brokenChains: results.filter(r => !r.valid).length,
+      results
+    };
+  }
+}
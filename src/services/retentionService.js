@@ -0,0 +1,475 @@
+// Servicio de conservación de datos: archiva y purga lo que supera su plazo y restaura un archivo si hace falta
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { Op } from 'sequelize';
+import sequelize from '../config/database.js';
+import {
+  Record,
+  RecordRevision,
+  PunchCorrectionRequest,
+  Vacation,
+  AiChatLog,
+  SecurityEvent,
+  RetentionPolicy,
+  RetentionArchive,
+  RecordPhoto
+} from '../models/index.js';
+import { TimesheetService } from './timesheetService.js';
+import { PunchPhotoService } from './punchPhotoService.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || path.resolve('archives');
+const BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '5000');
+const INTERVAL_HOURS = parseInt(process.env.RETENTION_INTERVAL_HOURS || '24');
+const RESTORE_HOLD_DAYS = parseInt(process.env.RETENTION_RESTORE_HOLD_DAYS || '30');
+const ARCHIVE_FORMAT_VERSION = 1;
+
+// El registro de jornada se conserva cuatro años (art. 34.9 del Estatuto de los Trabajadores)
+const FOUR_YEARS_DAYS = 4 * 365 + 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tipos de dato con plazo de conservación. minimumDays es el plazo más corto que se puede configurar.
+const DATA_TYPES = {
+  records: {
+    label: 'Fichajes',
+    model: Record,
+    dateField: 'timestamp',
+    defaultDays: FOUR_YEARS_DAYS,
+    minimumDays: FOUR_YEARS_DAYS,
+    paranoid: true,
+    // Sin archivo no se podría verificar la cadena de hashes de lo que se conserva
+    requiresArchive: true,
+    // Se archiva por empleado en orden de la cadena de hashes
+    order: [['employeeId', 'ASC'], ['sequence', 'ASC'], ['id', 'ASC']]
+  },
+  vacations: {
+    label: 'Vacaciones y ausencias',
+    model: Vacation,
+    dateField: 'endDate',
+    dateOnly: true,
+    defaultDays: FOUR_YEARS_DAYS,
+    minimumDays: 365
+  },
+  ai_chat_logs: {
+    label: 'Conversaciones con el asistente de IA',
+    model: AiChatLog,
+    dateField: 'created_at',
+    defaultDays: 90,
+    minimumDays: 1
+  },
+  security_events: {
+    label: 'Eventos de seguridad',
+    model: SecurityEvent,
+    dateField: 'created_at',
+    defaultDays: 365,
+    minimumDays: 30
+  },
+  record_photos: {
+    label: 'Fotos de fichajes',
+    model: RecordPhoto,
+    dateField: 'created_at',
+    defaultDays: PunchPhotoService.retentionDays,
+    minimumDays: 1,
+    // Las imágenes no se copian a los archivos: al caducar se eliminan
+    purgeOnly: true
+  }
+};
+
+export class RetentionService {
+
+  static get dataTypes() {
+    return DATA_TYPES;
+  }
+
+  static get archiveDir() {
+    return ARCHIVE_DIR;
+  }
+
+  /**
+   * Políticas de todos los tipos de dato. Los que no tienen fila usan el plazo por defecto.
+   */
+  static async getPolicies() {
+    const saved = await RetentionPolicy.findAll();
+    const savedByType = new Map(saved.map(p => [p.dataType, p]));
+
+    return Object.entries(DATA_TYPES).map(([dataType, config]) => {
+      const policy = savedByType.get(dataType);
+      return {
+        dataType,
+        label: config.label,
+        retentionDays: policy ? policy.retentionDays : config.defaultDays,
+        minimumDays: config.minimumDays,
+        requiresArchive: !!config.requiresArchive,
+        purgeOnly: !!config.purgeOnly,
+        archiveBeforePurge: config.purgeOnly ? false : (policy ? policy.archiveBeforePurge : true),
+        isEnabled: policy ? policy.isEnabled : true,
+        lastRunAt: policy ? policy.lastRunAt : null
+      };
+    });
+  }
+
+  static async getPolicy(dataType) {
+    const policies = await this.getPolicies();
+    return policies.find(p => p.dataType === dataType) || null;
+  }
+
+  static async updatePolicy(dataType, { retentionDays, archiveBeforePurge, isEnabled }, updatedBy = null) {
+    const current = await this.getPolicy(dataType);
+    const [policy] = await RetentionPolicy.findOrCreate({
+      where: { dataType },
+      defaults: { dataType, retentionDays: current.retentionDays }
+    });
+
+    const updateData = { updatedBy };
+    if (retentionDays !== undefined) updateData.retentionDays = retentionDays;
+    if (archiveBeforePurge !== undefined) updateData.archiveBeforePurge = archiveBeforePurge;
+    if (isEnabled !== undefined) updateData.isEnabled = isEnabled;
+
+    await policy.update(updateData);
+    return this.getPolicy(dataType);
+  }
+
+  static getCutoff(retentionDays, now = new Date()) {
+    return new Date(now.getTime() - retentionDays * DAY_MS);
+  }
+
+  /**
+   * Filtro de las filas caducadas, sin las que están retenidas por una restauración
+   */
+  static async getExpiredWhere(dataType, cutoff, now = new Date()) {
+    const config = DATA_TYPES[dataType];
+    const toValue = (date) => (config.dateOnly ? TimesheetService.toDateKey(date) : date);
+
+    const holds = await RetentionArchive.findAll({
+      where: { dataType, status: 'restored', holdUntil: { [Op.gt]: now } },
+      attributes: ['oldestAt', 'newestAt']
+    });
+
+    const conditions = [
+      { [config.dateField]: { [Op.lt]: toValue(cutoff) } },
+      ...holds.map(hold => ({
+        [config.dateField]: { [Op.notBetween]: [toValue(hold.oldestAt), toValue(hold.newestAt)] }
+      }))
+    ];
+
+    // Solo el tramo inicial de cada cadena: hasta el primer fichaje que se conserva, y nunca el último
+    if (dataType === 'records') {
+      const escapedCutoff = sequelize.escape(cutoff);
+      conditions.push(sequelize.literal(`("Record"."sequence" IS NULL OR "Record"."sequence" < (
+        SELECT MIN(kept.sequence) FROM records kept
+        WHERE kept.employee_id = "Record"."employee_id" AND kept.sequence IS NOT NULL
+          AND (kept.timestamp >= ${escapedCutoff}
+            OR kept.sequence = (SELECT MAX(head.sequence) FROM records head WHERE head.employee_id = kept.employee_id))
+      ))`));
+    }
+
+    return { [Op.and]: conditions };
+  }
+
+  /**
+   * Filas caducadas de cada tipo de dato, sin modificar nada
+   */
+  static async preview(now = new Date()) {
+    const policies = await this.getPolicies();
+    const result = [];
+
+    for (const policy of policies) {
+      const config = DATA_TYPES[policy.dataType];
+      const cutoff = this.getCutoff(policy.retentionDays, now);
+      const expiredRows = await config.model.count({
+        where: await this.getExpiredWhere(policy.dataType, cutoff, now),
+        ...(config.paranoid && { paranoid: false })
+      });
+
+      result.push({ ...policy, cutoff, expiredRows });
+    }
+
+    return result;
+  }
+
+  /**
+   * Datos relacionados que se guardan con cada fichaje: revisiones y solicitudes de corrección
+   */
+  static async getRecordDependents(recordIds, transaction = null) {
+    const [revisions, correctionRequests] = await Promise.all([
+      RecordRevision.findAll({ where: { recordId: { [Op.in]: recordIds } }, transaction }),
+      PunchCorrectionRequest.findAll({
+        where: {
+          [Op.or]: [
+            { recordId: { [Op.in]: recordIds } },
+            { resultingRecordId: { [Op.in]: recordIds } }
+          ]
+        },
+        transaction
+      })
+    ]);
+
+    return recordIds.reduce((acc, id) => {
+      acc[id] = {
+        revisions: revisions.filter(r => r.recordId === id).map(r => r.get({ plain: true })),
+        correctionRequests: correctionRequests
+          .filter(c => c.recordId === id || c.resultingRecordId === id)
+          .map(c => c.get({ plain: true }))
+      };
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Borra definitivamente las filas de un lote. Las revisiones de los fichajes se borran con ellos
+   * y las solicitudes de corrección se conservan sin el enlace al fichaje.
+   */
+  static async deleteRows(dataType, ids, transaction) {
+    const config = DATA_TYPES[dataType];
+
+    // Las imágenes de las fotos se borran del almacén cuando se confirma el borrado de sus filas
+    const photoWhere = dataType === 'records' ? { recordId: { [Op.in]: ids } }
+      : dataType === 'record_photos' ? { id: { [Op.in]: ids } }
+        : null;
+    if (photoWhere) {
+      const photos = await RecordPhoto.findAll({ where: photoWhere, attributes: ['id', 'storageKey'], transaction });
+      transaction.afterCommit(() => PunchPhotoService.removeFiles(photos));
+    }
+
+    if (dataType === 'records') {
+      await RecordPhoto.destroy({ where: { recordId: { [Op.in]: ids } }, transaction });
+      await RecordRevision.destroy({ where: { recordId: { [Op.in]: ids } }, hooks: false, transaction });
+      await PunchCorrectionRequest.update({ recordId: null }, { where: { recordId: { [Op.in]: ids } }, transaction });
+      await PunchCorrectionRequest.update({ resultingRecordId: null }, { where: { resultingRecordId: { [Op.in]: ids } }, transaction });
+    }
+
+    return config.model.destroy({
+      where: { id: { [Op.in]: ids } },
+      ...(config.paranoid && { force: true }),
+      transaction
+    });
+  }
+
+  /**
+   * Archiva (o solo purga) un lote de filas caducadas. Devuelve null si no queda nada.
+   */
+  static async processBatch(dataType, policy, { now = new Date() } = {}) {
+    const config = DATA_TYPES[dataType];
+    const cutoff = this.getCutoff(policy.retentionDays, now);
+
+    const rows = await config.model.findAll({
+      where: await this.getExpiredWhere(dataType, cutoff, now),
+      order: config.order || [[config.dateField, 'ASC'], ['id', 'ASC']],
+      limit: BATCH_SIZE,
+      ...(config.paranoid && { paranoid: false })
+    });
+
+    if (rows.length === 0) return null;
+
+    const ids = rows.map(r => r.id);
+
+    if (!policy.archiveBeforePurge) {
+      const purged = await sequelize.transaction(t => this.deleteRows(dataType, ids, t));
+      return { archive: null, purgedRows: purged };
+    }
+
+    const dependents = dataType === 'records' ? await this.getRecordDependents(ids) : {};
+    const plainRows = rows.map(row => ({ ...row.get({ plain: true }), ...dependents[row.id] }));
+    const dates = rows.map(row => new Date(row.get(config.dateField))).sort((a, b) => a - b);
+
+    const chainAnchors = dataType === 'records'
+      ? rows.reduce((acc, row) => {
+        if (row.sequence && (!acc[row.employeeId] || acc[row.employeeId].sequence < row.sequence)) {
+          acc[row.employeeId] = { sequence: row.sequence, hash: row.hash };
+        }
+        return acc;
+      }, {})
+      : null;
+
+    const header = {
+      format: ARCHIVE_FORMAT_VERSION,
+      dataType,
+      cutoff: cutoff.toISOString(),
+      createdAt: now.toISOString(),
+      rowCount: rows.length
+    };
+    const lines = [JSON.stringify(header), ...plainRows.map(row => JSON.stringify(row))];
+    const content = await gzip(Buffer.from(`${lines.join('\n')}\n`, 'utf8'));
+
+    const fileName = `${dataType}-${now.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.jsonl.gz`;
+    const filePath = path.join(ARCHIVE_DIR, fileName);
+    await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, content);
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    try {
+      const archive = await sequelize.transaction(async (t) => {
+        const created = await RetentionArchive.create({
+          dataType,
+          fileName,
+          rowCount: rows.length,
+          sizeBytes: content.length,
+          checksum: crypto.createHash('sha256').update(content).digest('hex'),
+          cutoffDate: cutoff,
+          oldestAt: dates[0],
+          newestAt: dates[dates.length - 1],
+          employeeIds: [...new Set(rows.map(r => r.employeeId).filter(Boolean))].sort(),
+          chainAnchors
+        }, { transaction: t });
+
+        await this.deleteRows(dataType, ids, t);
+        return created;
+      });
+
+      return { archive, purgedRows: rows.length };
+    } catch (error) {
+      // Sin índice el fichero no sirve: se elimina para no dejar archivos huérfanos
+      await fs.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Aplica la política de un tipo de dato hasta que no quedan filas caducadas
+   */
+  static async applyPolicy(dataType, options = {}) {
+    const policy = await this.getPolicy(dataType);
+    const archives = [];
+    let purgedRows = 0;
+
+    let batch = await this.processBatch(dataType, policy, options);
+    while (batch) {
+      if (batch.archive) archives.push(batch.archive);
+      purgedRows += batch.purgedRows;
+      batch = await this.processBatch(dataType, policy, options);
+    }
+
+    const [saved] = await RetentionPolicy.findOrCreate({
+      where: { dataType },
+      defaults: { dataType, retentionDays: policy.retentionDays }
+    });
+    await saved.update({ lastRunAt: new Date() });
+
+    return { dataType, archives, purgedRows };
+  }
+
+  /**
+   * Aplica todas las políticas activas
+   */
+  static async run(options = {}) {
+    const policies = await this.getPolicies();
+    const results = [];
+    const errors = [];
+
+    for (const policy of policies.filter(p => p.isEnabled)) {
+      try {
+        results.push(await this.applyPolicy(policy.dataType, options));
+      } catch (error) {
+        console.error(`Retention error for ${policy.dataType}:`, error);
+        errors.push({ dataType: policy.dataType, error: error.message });
+      }
+    }
+
+    return {
+      processedAt: new Date(),
+      archivesCreated: results.reduce((sum, r) => sum + r.archives.length, 0),
+      purgedRows: results.reduce((sum, r) => sum + r.purgedRows, 0),
+      results,
+      errors
+    };
+  }
+
+  /**
+   * Lee un archivo comprobando que el fichero no ha cambiado desde que se generó
+   */
+  static async readArchive(archive) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(ARCHIVE_DIR, archive.fileName));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { status: 'file_missing' };
+      throw error;
+    }
+
+    if (crypto.createHash('sha256').update(content).digest('hex') !== archive.checksum) {
+      return { status: 'checksum_mismatch' };
+    }
+
+    const [header, ...rows] = (await gunzip(content)).toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    return { status: 'ok', header, rows };
+  }
+
+  /**
+   * Devuelve las filas de un archivo a la base de datos para una investigación.
+   * Quedan retenidas holdDays días antes de que el proceso de conservación las vuelva a archivar.
+   */
+  static async restore(archiveId, { restoredBy = null, reason = null, holdDays = RESTORE_HOLD_DAYS } = {}) {
+    const archive = await RetentionArchive.findByPk(archiveId);
+    if (!archive) return { status: 'not_found' };
+    if (archive.status === 'restored') return { status: 'already_restored', archive };
+
+    const content = await this.readArchive(archive);
+    if (content.status !== 'ok') return { status: content.status, archive };
+
+    const config = DATA_TYPES[archive.dataType];
+
+    await sequelize.transaction(async (t) => {
+      const mainRows = content.rows.map(({ revisions, correctionRequests, ...row }) => row);
+      await config.model.bulkCreate(mainRows, {
+        hooks: false,
+        validate: false,
+        silent: true,
+        ignoreDuplicates: true,
+        transaction: t
+      });
+
+      if (archive.dataType === 'records') {
+        const revisions = content.rows.flatMap(row => row.revisions || []);
+        if (revisions.length > 0) {
+          await RecordRevision.bulkCreate(revisions, { hooks: false, validate: false, ignoreDuplicates: true, transaction: t });
+        }
+
+        // Vuelve a enlazar las solicitudes de corrección que siguen existiendo
+        for (const row of content.rows) {
+          for (const request of row.correctionRequests || []) {
+            if (request.recordId === row.id) {
+              await PunchCorrectionRequest.update({ recordId: row.id }, { where: { id: request.id, recordId: null }, transaction: t });
+            }
+            if (request.resultingRecordId === row.id) {
+              await PunchCorrectionRequest.update({ resultingRecordId: row.id }, { where: { id: request.id, resultingRecordId: null }, transaction: t });
+            }
+          }
+        }
+      }
+
+      await archive.update({
+        status: 'restored',
+        restoredAt: new Date(),
+        restoredBy,
+        restoreReason: reason,
+        holdUntil: new Date(Date.now() + holdDays * DAY_MS)
+      }, { transaction: t });
+    });
+
+    return { status: 'restored', archive, rowCount: content.rows.length };
+  }
+
+  /**
+   * Ejecuta el proceso de conservación periódicamente mientras el servidor está en marcha
+   */
+  static startScheduler(intervalHours = INTERVAL_HOURS) {
+    const timer = setInterval(async () => {
+      try {
+        const result = await this.run();
+        if (result.purgedRows > 0) {
+          console.log(`🗄️ Retention: ${result.purgedRows} rows purged, ${result.archivesCreated} archives created`);
+        }
+      } catch (error) {
+        console.error('Retention job error:', error);
+      }
+    }, intervalHours * 60 * 60 * 1000);
+
+    timer.unref();
+    return timer;
+  }
+}
@@ -0,0 +1,253 @@
+// Servicio de conformidad mensual: aceptación y reclamación del resumen de jornada por el empleado
+import crypto from 'crypto';
+import sequelize from '../config/database.js';
+import { Employee, TimesheetAcknowledgement, TimesheetDispute } from '../models/index.js';
+import { TimesheetDocumentService } from './timesheetDocumentService.js';
+import { TimesheetService } from './timesheetService.js';
+import { NotificationService } from './notificationService.js';
+
+export class TimesheetAcknowledgementService {
+
+  /**
+   * Huella SHA-256 del contenido revisado: fichajes, horas de cada día y totales.
+   * No incluye la fecha de generación, así que solo cambia si cambian los datos.
+   */
+  static getContentHash(document) {
+    const content = {
+      employeeId: document.employee.id,
+      year: document.year,
+      month: document.month,
+      days: document.days.map(day => ({
+        date: day.date,
+        punches: day.punches.map(p => ({ id: p.id, type: p.type, timestamp: new Date(p.timestamp).toISOString() })),
+        scheduledStart: day.scheduledStart,
+        scheduledEnd: day.scheduledEnd,
+        expectedMinutes: day.expectedMinutes,
+        workedMinutes: day.workedMinutes,
+        breakMinutes: day.breakMinutes,
+        absence: day.absence ? day.absence.type : null
+      })),
+      totals: document.totals
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * Un mes solo se puede revisar cuando ha terminado
+   */
+  static isMonthClosed(year, month, now = new Date()) {
+    return TimesheetService.toDateKey(new Date(year, month, 0)) < TimesheetService.toDateKey(now);
+  }
+
+  /**
+   * Resumen del mes tal y como lo ve el empleado, con su huella y su respuesta actual
+   */
+  static async getMonthReview(employeeId, year, month) {
+    const document = await TimesheetDocumentService.buildMonthlyDocument(employeeId, year, month);
+    const contentHash = this.getContentHash(document);
+
+    const acknowledgement = await TimesheetAcknowledgement.findOne({
+      where: { employeeId, year, month },
+      include: [{ model: TimesheetDispute, as: 'disputes' }],
+      order: [[{ model: TimesheetDispute, as: 'disputes' }, 'date', 'ASC']]
+    });
+
+    return {
+      document,
+      contentHash,
+      status: acknowledgement ? acknowledgement.status : 'pending',
+      acknowledgement,
+      // Los datos han cambiado desde que se aceptaron (p. ej. por una corrección aprobada)
+      contentChanged: !!(acknowledgement && acknowledgement.contentHash && acknowledgement.contentHash !== contentHash),
+      canRespond: this.isMonthClosed(year, month)
+    };
+  }
+
+  /**
+   * Acepta el mes. Si se envía la huella revisada debe coincidir con el contenido actual.
+   * Devuelve { status, acknowledgement } donde status es accepted, month_not_closed,
+   * already_accepted, open_disputes o content_changed.
+   */
+  static async accept(employeeId, year, month, { method, contentHash = null }) {
+    if (!this.isMonthClosed(year, month)) {
+      return { status: 'month_not_closed' };
+    }
+
+    const document = await TimesheetDocumentService.buildMonthlyDocument(employeeId, year, month);
+    const currentHash = this.getContentHash(document);
+
+    if (contentHash && contentHash !== currentHash) {
+      return { status: 'content_changed', contentHash: currentHash };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      await Employee.findByPk(employeeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const [acknowledgement] = await TimesheetAcknowledgement.findOrCreate({
+        where: { employeeId, year, month },
+        defaults: { status: 'accepted' },
+        transaction
+      });
+
+      if (acknowledgement.status === 'accepted' && acknowledgement.acceptedAt) {
+        return { status: 'already_accepted', acknowledgement };
+      }
+
+      if (acknowledgement.status === 'disputed') {
+        return { status: 'open_disputes', acknowledgement };
+      }
+
+      await acknowledgement.update({
+        status: 'accepted',
+        method,
+        contentHash: currentHash,
+        acceptedAt: new Date()
+      }, { transaction });
+
+      return { status: 'accepted', acknowledgement };
+    });
+  }
+
+  /**
+   * Reclama un día del mes. Devuelve { status, dispute } donde status es
+   * created, month_not_closed, already_accepted o invalid_date.
+   */
+  static async dispute(employeeId, year, month, { date, comment }) {
+    if (!this.isMonthClosed(year, month)) {
+      return { status: 'month_not_closed' };
+    }
+
+    const startDate = TimesheetService.toDateKey(new Date(year, month - 1, 1));
+    const endDate = TimesheetService.toDateKey(new Date(year, month, 0));
+    if (date < startDate || date > endDate) {
+      return { status: 'invalid_date' };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const employee = await Employee.findByPk(employeeId, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const [acknowledgement] = await TimesheetAcknowledgement.findOrCreate({
+        where: { employeeId, year, month },
+        defaults: { status: 'disputed' },
+        transaction
+      });
+
+      if (acknowledgement.status === 'accepted' && acknowledgement.acceptedAt) {
+        return { status: 'already_accepted' };
+      }
+
+      await acknowledgement.update({ status: 'disputed' }, { transaction });
+
+      const dispute = await TimesheetDispute.create({
+        acknowledgementId: acknowledgement.id,
+        employeeId,
+        date,
+        comment
+      }, { transaction });
+
+      await NotificationService.notifyAdmins({
+        type: 'timesheet_dispute',
+        title: `Reclamación de jornada: ${employee.name}`,
+        message: `${employee.name} (${employee.employeeCode}) ha reclamado el día ${TimesheetDocumentService.formatDate(date)}: ${comment}`,
+        data: { disputeId: dispute.id, employeeId, year, month, date }
+      }, { transaction });
+
+      return { status: 'created', dispute };
+    });
+  }
+
+  /**
+   * Resuelve una reclamación. Cuando no quedan reclamaciones abiertas el mes
+   * vuelve a quedar pendiente de aceptación por el empleado.
+   */
+  static async resolveDispute(disputeId, resolverId, resolutionNotes) {
+    return await sequelize.transaction(async (transaction) => {
+      const dispute = await TimesheetDispute.findByPk(disputeId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (dispute.status !== 'open') {
+        throw new Error('Dispute has already been resolved');
+      }
+
+      await dispute.update({
+        status: 'resolved',
+        resolvedBy: resolverId,
+        resolvedAt: new Date(),
+        resolutionNotes
+      }, { transaction });
+
+      const openDisputes = await TimesheetDispute.count({
+        where: { acknowledgementId: dispute.acknowledgementId, status: 'open' },
+        transaction
+      });
+
+      const acknowledgement = await TimesheetAcknowledgement.findByPk(dispute.acknowledgementId, { transaction });
+      if (openDisputes === 0) {
+        await acknowledgement.update({ status: 'resolved' }, { transaction });
+      }
+
+      await NotificationService.notify(dispute.employeeId, {
+        type: 'timesheet_dispute_resolved',
+        title: 'Reclamación de jornada resuelta',
+        message: `Se ha resuelto tu reclamación del día ${TimesheetDocumentService.formatDate(dispute.date)}: ${resolutionNotes}`,
+        data: { disputeId: dispute.id, year: acknowledgement.year, month: acknowledgement.month, date: dispute.date }
+      }, { transaction });
+
+      return dispute;
+    });
+  }
+
+  /**
+   * Estado de cada empleado activo para un mes (vista de administración)
+   */
+  static async getMonthStatus(year, month) {
+    const [employees, acknowledgements] = await Promise.all([
+      Employee.findAll({
+        where: { isActive: true },
+        attributes: ['id', 'name', 'employeeCode'],
+        order: [['name', 'ASC']]
+      }),
+      TimesheetAcknowledgement.findAll({
+        where: { year, month },
+        include: [{ model: TimesheetDispute, as: 'disputes', attributes: ['id', 'status'] }]
+      })
+    ]);
+
+    const byEmployee = new Map(acknowledgements.map(a => [a.employeeId, a]));
+
+    const rows = employees.map(employee => {
+      const acknowledgement = byEmployee.get(employee.id);
+      const status = acknowledgement ? acknowledgement.status : 'pending';
+
+      return {
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode
+        },
+        status,
+        statusLabel: TimesheetAcknowledgement.getStatusLabel(status),
+        method: acknowledgement ? acknowledgement.method : null,
+        acceptedAt: acknowledgement ? acknowledgement.acceptedAt : null,
+        contentHash: acknowledgement ? acknowledgement.contentHash : null,
+        openDisputes: acknowledgement ? acknowledgement.disputes.filter(d => d.status === 'open').length : 0
+      };
+    });
+
+    return {
+      year,
+      month,
+      summary: {
+        employees: rows.length,
+        accepted: rows.filter(r => r.status === 'accepted').length,
+        disputed: rows.filter(r => r.status === 'disputed').length,
+        // Sin respuesta, o con reclamaciones resueltas pendientes de aceptar
+        pending: rows.filter(r => r.status === 'pending' || r.status === 'resolved').length
+      },
+      employees: rows
+    };
+  }
+}
@@ -0,0 +1,326 @@
+// Servicio del resumen mensual de registro de jornada que se entrega a cada empleado (PDF y HTML)
+import { Op } from 'sequelize';
+import PDFDocument from 'pdfkit';
+import { Employee, Record, Vacation, DailyScheduleException } from '../models/index.js';
+import { TimesheetService } from './timesheetService.js';
+import { OvertimeService } from './overtimeService.js';
+
+const MONTH_NAMES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+  'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+const DAY_NAMES = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export class TimesheetDocumentService {
+
+  static formatTime(date) {
+    return new Date(date).toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+  }
+
+  static formatScheduleTime(time) {
+    return time ? time.slice(0, 5) : '';
+  }
+
+  static formatDate(date) {
+    const [year, month, day] = date.split('-');
+    return `${day}/${month}/${year}`;
+  }
+
+  /**
+   * Reúne los datos del mes: fichajes de cada día, horario previsto, horas
+   * trabajadas, pausas y ausencias (vacaciones aprobadas y excepciones no laborables).
+   */
+  static async buildMonthlyDocument(employeeId, year, month) {
+    const startDate = TimesheetService.toDateKey(new Date(year, month - 1, 1));
+    const endDate = TimesheetService.toDateKey(new Date(year, month, 0));
+
+    const [employee, timesheet, overtime, records, vacations, exceptions] = await Promise.all([
+      Employee.findByPk(employeeId),
+      TimesheetService.getMonthlyTimesheet(employeeId, year, month),
+      OvertimeService.getEmployeeOvertime(employeeId, startDate, endDate),
+      Record.findAll({
+        where: {
+          employeeId,
+          timestamp: {
+            [Op.between]: [new Date(`${startDate}T00:00:00`), new Date(`${endDate}T23:59:59.999`)]
+          }
+        },
+        order: [['timestamp', 'ASC']]
+      }),
+      Vacation.findAll({
+        where: {
+          employeeId,
+          status: 'approved',
+          startDate: { [Op.lte]: endDate },
+          endDate: { [Op.gte]: startDate }
+        }
+      }),
+      DailyScheduleException.findByDateRange(employeeId, startDate, endDate)
+    ]);
+
+    const exceptionLabels = Object.fromEntries(
+      DailyScheduleException.getExceptionTypes().map(t => [t.value, t.label])
+    );
+
+    const days = timesheet.days.map((timesheetDay, index) => {
+      const { date } = timesheetDay;
+      const overtimeDay = overtime.days[index];
+      const vacation = vacations.find(v => v.startDate <= date && v.endDate >= date);
+      const exception = exceptions.find(e => e.date === date && !e.isWorkingDay);
+
+      let absence = null;
+      if (vacation) {
+        absence = { source: 'vacation', type: vacation.type, label: Vacation.getTypeLabel(vacation.type) };
+      } else if (exception) {
+        absence = {
+          source: 'daily_exception',
+          type: exception.exceptionType,
+          label: exceptionLabels[exception.exceptionType] || exception.exceptionType,
+          reason: exception.reason
+        };
+      }
+
+      return {
+        date,
+        dayOfWeek: timesheetDay.dayOfWeek,
+        punches: records
+          .filter(r => TimesheetService.toDateKey(r.timestamp) === date)
+          .map(r => ({
+            id: r.id,
+            type: r.type,
+            label: Record.getTypeLabel(r.type),
+            timestamp: r.timestamp,
+            time: this.formatTime(r.timestamp)
+          })),
+        scheduledStart: overtimeDay.scheduledStart,
+        scheduledEnd: overtimeDay.scheduledEnd,
+        expectedMinutes: overtimeDay.expectedMinutes,
+        workedMinutes: overtimeDay.workedMinutes,
+        breakMinutes: timesheetDay.breakMinutes,
+        absence,
+        incomplete: timesheetDay.hasIncompleteSessions || timesheetDay.hasOpenSession
+      };
+    });
+
+    const sum = (field) => days.reduce((total, d) => total + d[field], 0);
+
+    return {
+      employee: {
+        id: employee.id,
+        name: employee.name,
+        employeeCode: employee.employeeCode,
+        weeklyContractedHours: parseFloat(employee.weeklyContractedHours)
+      },
+      year,
+      month,
+      period: { startDate, endDate },
+      days,
+      totals: {
+        expectedMinutes: sum('expectedMinutes'),
+        workedMinutes: sum('workedMinutes'),
+        breakMinutes: sum('breakMinutes'),
+        overtimeMinutes: overtime.summary.overtimeMinutes,
+        daysWorked: days.filter(d => d.workedMinutes > 0).length,
+        absenceDays: days.filter(d => d.absence).length,
+        incompleteDays: days.filter(d => d.incomplete).length
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  static getTitle(document) {
+    return `Registro de jornada - ${MONTH_NAMES[document.month - 1]} ${document.year}`;
+  }
+
+  static getFileName(document, extension) {
+    const month = String(document.month).padStart(2, '0');
+    return `registro-jornada-${document.employee.employeeCode}-${document.year}-${month}.${extension}`;
+  }
+
+  /**
+   * Filas de la tabla diaria ya formateadas, compartidas por el HTML y el PDF
+   */
+  static getRows(document) {
+    return document.days.map(day => ({
+      date: `${DAY_NAMES[day.dayOfWeek]} ${this.formatDate(day.date)}`,
+      punches: day.punches.map(p => `${p.label} ${p.time}`).join(', '),
+      schedule: day.scheduledStart
+        ? `${this.formatScheduleTime(day.scheduledStart)}-${this.formatScheduleTime(day.scheduledEnd)}`
+        : '',
+      expected: day.expectedMinutes ? TimesheetService.formatMinutes(day.expectedMinutes) : '',
+      worked: day.workedMinutes ? TimesheetService.formatMinutes(day.workedMinutes) : '',
+      breaks: day.breakMinutes ? TimesheetService.formatMinutes(day.breakMinutes) : '',
+      notes: [day.absence ? day.absence.label : null, day.incomplete ? 'Fichajes incompletos' : null]
+        .filter(Boolean)
+        .join('. ')
+    }));
+  }
+
+  static getTotalsRows(document) {
+    const { totals } = document;
+    return [
+      ['Horas previstas', TimesheetService.formatMinutes(totals.expectedMinutes)],
+      ['Horas trabajadas', TimesheetService.formatMinutes(totals.workedMinutes)],
+      ['Pausas', TimesheetService.formatMinutes(totals.breakMinutes)],
+      ['Horas extraordinarias', TimesheetService.formatMinutes(totals.overtimeMinutes)],
+      ['Días trabajados', String(totals.daysWorked)],
+      ['Días de ausencia', String(totals.absenceDays)],
+      ['Días con fichajes incompletos', String(totals.incompleteDays)]
+    ];
+  }
+
+  /**
+   * Versión HTML imprimible
+   */
+  static renderHtml(document) {
+    const { employee } = document;
+    const title = this.getTitle(document);
+
+    const rows = this.getRows(document).map(row => `
+        <tr>
+          <td>${escapeHtml(row.date)}</td>
+          <td>${escapeHtml(row.punches)}</td>
+          <td>${escapeHtml(row.schedule)}</td>
+          <td class="num">${escapeHtml(row.expected)}</td>
+          <td class="num">${escapeHtml(row.worked)}</td>
+          <td class="num">${escapeHtml(row.breaks)}</td>
+          <td>${escapeHtml(row.notes)}</td>
+        </tr>`).join('');
+
+    const totals = this.getTotalsRows(document).map(([label, value]) => `
+        <tr><th>${escapeHtml(label)}</th><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} - ${escapeHtml(employee.name)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+    h1 { font-size: 18px; margin-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; margin-top: 16px; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals { width: auto; }
+    .signatures { display: flex; justify-content: space-between; margin-top: 48px; }
+    .signatures div { width: 40%; border-top: 1px solid #222; padding-top: 4px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>
+    Empleado: <strong>${escapeHtml(employee.name)}</strong> (${escapeHtml(employee.employeeCode)})<br>
+    Periodo: ${escapeHtml(this.formatDate(document.period.startDate))} - ${escapeHtml(this.formatDate(document.period.endDate))}<br>
+    Jornada contratada: ${escapeHtml(employee.weeklyContractedHours)} h/semana
+  </p>
+  <table>
+    <thead>
+      <tr>
+        <th>Día</th>
+        <th>Fichajes</th>
+        <th>Horario</th>
+        <th>Previstas</th>
+        <th>Trabajadas</th>
+        <th>Pausas</th>
+        <th>Observaciones</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tbody>${totals}
+    </tbody>
+  </table>
+  <div class="signatures">
+    <div>Firma de la empresa</div>
+    <div>Firma del trabajador</div>
+  </div>
+  <p>Generado el ${escapeHtml(new Date(document.generatedAt).toLocaleString('es-ES'))}</p>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Versión PDF (A4 apaisado) generada en el servidor
+   */
+  static renderPdf(document) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      const { employee } = document;
+      const columns = [
+        { key: 'date', label: 'Día', width: 80 },
+        { key: 'punches', label: 'Fichajes', width: 280 },
+        { key: 'schedule', label: 'Horario', width: 70 },
+        { key: 'expected', label: 'Previstas', width: 60 },
+        { key: 'worked', label: 'Trabajadas', width: 60 },
+        { key: 'breaks', label: 'Pausas', width: 50 },
+        { key: 'notes', label: 'Observaciones', width: 170 }
+      ];
+      const left = pdf.page.margins.left;
+      const bottom = () => pdf.page.height - pdf.page.margins.bottom;
+
+      const drawRow = (cells, font) => {
+        pdf.font(font).fontSize(8);
+        const height = Math.max(...columns.map(c => pdf.heightOfString(cells[c.key] || ' ', { width: c.width - 6 }))) + 6;
+
+        if (pdf.y + height > bottom()) {
+          pdf.addPage();
+        }
+
+        const top = pdf.y;
+        let x = left;
+        columns.forEach(column => {
+          pdf.rect(x, top, column.width, height).stroke('#999999');
+          pdf.fillColor('#222222').text(cells[column.key] || '', x + 3, top + 3, { width: column.width - 6 });
+          x += column.width;
+        });
+        pdf.x = left;
+        pdf.y = top + height;
+      };
+
+      pdf.font('Helvetica-Bold').fontSize(14).text(this.getTitle(document));
+      pdf.moveDown(0.5);
+      pdf.font('Helvetica').fontSize(10)
+        .text(`Empleado: ${employee.name} (${employee.employeeCode})`)
+        .text(`Periodo: ${this.formatDate(document.period.startDate)} - ${this.formatDate(document.period.endDate)}`)
+        .text(`Jornada contratada: ${employee.weeklyContractedHours} h/semana`);
+      pdf.moveDown();
+
+      drawRow(Object.fromEntries(columns.map(c => [c.key, c.label])), 'Helvetica-Bold');
+      this.getRows(document).forEach(row => drawRow(row, 'Helvetica'));
+
+      pdf.moveDown();
+      if (pdf.y + 150 > bottom()) {
+        pdf.addPage();
+      }
+      pdf.font('Helvetica').fontSize(10);
+      this.getTotalsRows(document).forEach(([label, value]) => {
+        pdf.text(`${label}: ${value}`, left);
+      });
+
+      pdf.moveDown(3);
+      const signatureY = pdf.y;
+      pdf.moveTo(left, signatureY).lineTo(left + 250, signatureY).stroke('#222222');
+      pdf.moveTo(left + 420, signatureY).lineTo(left + 670, signatureY).stroke('#222222');
+      pdf.text('Firma de la empresa', left, signatureY + 4);
+      pdf.text('Firma del trabajador', left + 420, signatureY + 4);
+
+      pdf.fontSize(8).text(`Generado el ${new Date(document.generatedAt).toLocaleString('es-ES')}`, left, bottom() - 12);
+
+      pdf.end();
+    });
+  }
+}
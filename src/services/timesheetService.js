@@ -0,0 +1,336 @@
+// Servicio de hojas de horas: convierte los fichajes en sesiones de trabajo
+import { Op } from 'sequelize';
+import { Record, WeeklySchedule } from '../models/index.js';
+
+// Una entrada sin salida durante más de este tiempo se considera sin cerrar
+const MAX_SESSION_HOURS = parseInt(process.env.TIMESHEET_MAX_SESSION_HOURS || '16');
+
+export class TimesheetService {
+
+  static get maxSessionHours() {
+    return MAX_SESSION_HOURS;
+  }
+
+  /**
+   * Devuelve la fecha local (YYYY-MM-DD) de un instante
+   */
+  static toDateKey(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+
+  static toHours(minutes) {
+    return Math.round((minutes / 60) * 100) / 100;
+  }
+
+  static formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = Math.round(minutes % 60);
+    return `${hours}h ${mins}m`;
+  }
+
+  /**
+   * Empareja entradas y salidas en sesiones de trabajo.
+   * Cada sesión se asigna al día de su entrada, aunque termine pasada la medianoche.
+   * Las entradas sin salida y las salidas sin entrada se devuelven como sesiones incompletas.
+   */
+  static buildSessions(records, now = new Date()) {
+    const maxSessionMs = MAX_SESSION_HOURS * 60 * 60 * 1000;
+    const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const sessions = [];
+    let openCheckin = null;
+
+    const pushSession = (checkin, checkout, status) => {
+      const start = checkin ? new Date(checkin.timestamp) : null;
+      const end = checkout ? new Date(checkout.timestamp) : null;
+      const workedMinutes = status === 'complete' ? Math.round((end - start) / (1000 * 60)) : 0;
+
+      sessions.push({
+        date: this.toDateKey(start || end),
+        employeeId: (checkin || checkout).employeeId,
+        checkinId: checkin ? checkin.id : null,
+        checkoutId: checkout ? checkout.id : null,
+        start,
+        end,
+        status,
+        crossesMidnight: !!(start && end && this.toDateKey(start) !== this.toDateKey(end)),
+        workMode: (checkin || checkout).workMode || 'on_site',
+        workedMinutes,
+        breaks: [],
+        breakMinutes: 0
+      });
+    };
+
+    for (const record of sorted) {
+      if (record.type === 'checkin') {
+        if (openCheckin) {
+          pushSession(openCheckin, null, 'missing_checkout');
+        }
+        openCheckin = record;
+      } else if (record.type === 'checkout') {
+        if (!openCheckin) {
+          pushSession(null, record, 'missing_checkin');
+          continue;
+        }
+
+        if (new Date(record.timestamp) - new Date(openCheckin.timestamp) > maxSessionMs) {
+          pushSession(openCheckin, null, 'missing_checkout');
+          pushSession(null, record, 'missing_checkin');
+        } else {
+          pushSession(openCheckin, record, 'complete');
+        }
+        openCheckin = null;
+      }
+    }
+
+    if (openCheckin) {
+      const isStale = now - new Date(openCheckin.timestamp) > maxSessionMs;
+      pushSession(openCheckin, null, isStale ? 'missing_checkout' : 'open');
+    }
+
+    // Las pausas se asignan a la sesión que contiene su inicio
+    for (const breakPeriod of this.buildBreaks(sorted, now)) {
+      const session = sessions.find(s => s.start &&
+        breakPeriod.start >= s.start &&
+        breakPeriod.start <= (s.end || now));
+
+      if (session) {
+        session.breaks.push(breakPeriod);
+        session.breakMinutes += breakPeriod.minutes;
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Empareja los inicios y finales de pausa. Una pausa sin final se cierra con
+   * la salida siguiente (si la hay) y se marca como incompleta.
+   */
+  static buildBreaks(records, now = new Date()) {
+    const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const breaks = [];
+    let openBreak = null;
+
+    const pushBreak = (startRecord, endRecord, status, endTime = null) => {
+      const start = startRecord ? new Date(startRecord.timestamp) : null;
+      const end = endRecord ? new Date(endRecord.timestamp) : endTime;
+
+      breaks.push({
+        startId: startRecord ? startRecord.id : null,
+        endId: endRecord ? endRecord.id : null,
+        start: start || end,
+        end,
+        status,
+        minutes: start && end ? Math.round((end - start) / (1000 * 60)) : 0
+      });
+    };
+
+    for (const record of sorted) {
+      if (record.type === 'break_start') {
+        if (openBreak) {
+          pushBreak(openBreak, null, 'missing_break_end');
+        }
+        openBreak = record;
+      } else if (record.type === 'break_end') {
+        if (openBreak) {
+          pushBreak(openBreak, record, 'complete');
+          openBreak = null;
+        } else {
+          pushBreak(null, record, 'missing_break_start');
+        }
+      } else if (record.type === 'checkout' && openBreak) {
+        pushBreak(openBreak, null, 'missing_break_end', new Date(record.timestamp));
+        openBreak = null;
+      }
+    }
+
+    if (openBreak) {
+      pushBreak(openBreak, null, 'open', now);
+    }
+
+    return breaks;
+  }
+
+  /**
+   * Obtiene las sesiones de un empleado cuya fecha de trabajo está en el rango indicado
+   */
+  static async getSessions(employeeId, startDate, endDate) {
+    const bufferMs = MAX_SESSION_HOURS * 60 * 60 * 1000;
+    const rangeStart = new Date(`${startDate}T00:00:00`);
+    const rangeEnd = new Date(`${endDate}T23:59:59.999`);
+
+    const records = await Record.findAll({
+      where: {
+        employeeId,
+        type: { [Op.in]: ['checkin', 'checkout', 'break_start', 'break_end'] },
+        timestamp: {
+          [Op.between]: [new Date(rangeStart.getTime() - bufferMs), new Date(rangeEnd.getTime() + bufferMs)]
+        }
+      },
+      order: [['timestamp', 'ASC']]
+    });
+
+    return this.buildSessions(records)
+      .filter(session => session.date >= startDate && session.date <= endDate);
+  }
+
+  /**
+   * Minutos trabajados en cada modalidad (presencial, teletrabajo, desplazamiento)
+   */
+  static splitByWorkMode(sessions) {
+    return Object.fromEntries(Record.WORK_MODES.map(workMode => {
+      const workedMinutes = sessions
+        .filter(s => s.workMode === workMode)
+        .reduce((sum, s) => sum + s.workedMinutes, 0);
+      return [workMode, { workedMinutes, workedHours: this.toHours(workedMinutes) }];
+    }));
+  }
+
+  /**
+   * Agrupa sesiones por día, incluyendo los días sin fichajes del rango
+   */
+  static summarizeDays(sessions, startDate, endDate) {
+    const days = [];
+    const end = new Date(`${endDate}T00:00:00`);
+
+    for (let date = new Date(`${startDate}T00:00:00`); date <= end; date.setDate(date.getDate() + 1)) {
+      const dateKey = this.toDateKey(date);
+      const daySessions = sessions.filter(s => s.date === dateKey);
+      const workedMinutes = daySessions.reduce((sum, s) => sum + s.workedMinutes, 0);
+      const breakMinutes = daySessions.reduce((sum, s) => sum + s.breakMinutes, 0);
+
+      days.push({
+        date: dateKey,
+        dayOfWeek: date.getDay(),
+        sessions: daySessions,
+        sessionCount: daySessions.length,
+        workedMinutes,
+        workedHours: this.toHours(workedMinutes),
+        byWorkMode: this.splitByWorkMode(daySessions),
+        breakMinutes,
+        hasIncompleteSessions: daySessions.some(s => s.status === 'missing_checkout' || s.status === 'missing_checkin'),
+        hasOpenSession: daySessions.some(s => s.status === 'open')
+      });
+    }
+
+    return days;
+  }
+
+  static summarizeTotals(days) {
+    const workedMinutes = days.reduce((sum, d) => sum + d.workedMinutes, 0);
+    const daysWorked = days.filter(d => d.workedMinutes > 0).length;
+
+    return {
+      workedMinutes,
+      workedHours: this.toHours(workedMinutes),
+      daysWorked,
+      sessionCount: days.reduce((sum, d) => sum + d.sessionCount, 0),
+      incompleteDays: days.filter(d => d.hasIncompleteSessions).length,
+      averageHoursPerDay: daysWorked > 0 ? this.toHours(workedMinutes / daysWorked) : 0,
+      byWorkMode: this.splitByWorkMode(days.flatMap(d => d.sessions))
+    };
+  }
+
+  /**
+   * Totales diarios de un empleado para un rango de fechas
+   */
+  static async getDailyTimesheet(employeeId, startDate, endDate) {
+    const sessions = await this.getSessions(employeeId, startDate, endDate);
+    const days = this.summarizeDays(sessions, startDate, endDate);
+
+    return {
+      employeeId,
+      period: { startDate, endDate },
+      days,
+      totals: this.summarizeTotals(days)
+    };
+  }
+
+  /**
+   * Totales de una semana ISO
+   */
+  static async getWeeklyTimesheet(employeeId, year, weekNumber) {
+    const { startDate, endDate } = WeeklySchedule.getWeekDates(year, weekNumber);
+    const timesheet = await this.getDailyTimesheet(employeeId, startDate, endDate);
+
+    return {
+      ...timesheet,
+      year,
+      weekNumber
+    };
+  }
+
+  /**
+   * Totales de un mes con desglose por semanas
+   */
+  static async getMonthlyTimesheet(employeeId, year, month) {
+    const startDate = this.toDateKey(new Date(year, month - 1, 1));
+    const endDate = this.toDateKey(new Date(year, month, 0));
+    const timesheet = await this.getDailyTimesheet(employeeId, startDate, endDate);
+
+    return {
+      ...timesheet,
+      year,
+      month,
+      weeks: this.summarizeWeeks(timesheet.days)
+    };
+  }
+
+  /**
+   * Agrupa días consecutivos por semana ISO en orden de calendario. Los primeros días de enero
+   * pueden ser de la semana 52/53 del año anterior y los últimos de diciembre de la semana 1 del siguiente.
+   */
+  static summarizeWeeks(days) {
+    const weeks = [];
+
+    days.forEach(day => {
+      const date = new Date(`${day.date}T00:00:00`);
+      const weekNumber = WeeklySchedule.getWeekNumber(date);
+      // El año ISO es el del jueves de la semana
+      const thursday = new Date(date);
+      thursday.setDate(date.getDate() + 3 - (date.getDay() + 6) % 7);
+      const isoYear = thursday.getFullYear();
+
+      const current = weeks[weeks.length - 1];
+      if (current && current.weekNumber === weekNumber && current.isoYear === isoYear) {
+        current.days.push(day);
+      } else {
+        weeks.push({ isoYear, weekNumber, days: [day] });
+      }
+    });
+
+    return weeks.map(({ isoYear, weekNumber, days: weekDays }) => ({
+      isoYear,
+      weekNumber,
+      startDate: weekDays[0].date,
+      endDate: weekDays[weekDays.length - 1].date,
+      ...this.summarizeTotals(weekDays)
+    }));
+  }
+
+  /**
+   * Totales por empleado para un rango (vista de administración)
+   */
+  static async getTeamSummary(startDate, endDate, employees) {
+    const summary = [];
+
+    for (const employee of employees) {
+      const sessions = await this.getSessions(employee.id, startDate, endDate);
+      const days = this.summarizeDays(sessions, startDate, endDate);
+
+      summary.push({
+        employee: {
+          id: employee.id,
+          name: employee.name,
+          employeeCode: employee.employeeCode
+        },
+        ...this.summarizeTotals(days)
+      });
+    }
+
+    return summary;
+  }
+}
@@ -34,6 +34,7 @@ export class WeeklyScheduleService {
           endTime: dailyException.endTime,
           breakStartTime: dailyException.breakStartTime,
           breakEndTime: dailyException.breakEndTime,
+          workMode: dailyException.workMode,
           notes: dailyException.notes,
           reason: dailyException.reason
         };
@@ -72,6 +73,7 @@ export class WeeklyScheduleService {
           endTime: templateDay.endTime,
           breakStartTime: templateDay.breakStartTime,
           breakEndTime: templateDay.breakEndTime,
+          workMode: templateDay.workMode,
           notes: templateDay.notes,
           weekNotes: weeklySchedule.notes
         };
@@ -96,6 +98,8 @@ export class WeeklyScheduleService {
           endTime: regularSchedule.endTime,
           breakStartTime: regularSchedule.breakStartTime,
           breakEndTime: regularSchedule.breakEndTime,
+          // El horario regular no indica modalidad
+          workMode: null,
           notes: regularSchedule.notes
         };
       }
@@ -110,6 +114,7 @@ export class WeeklyScheduleService {
         endTime: null,
         breakStartTime: null,
         breakEndTime: null,
+        workMode: null,
         notes: 'No hay horario definido para esta fecha'
       };
       
@@ -0,0 +1,117 @@
+// Servicio de modalidades de trabajo (presencial, teletrabajo, desplazamiento):
+// modalidad de cada fichaje y política que se le aplica
+import { Record, WorkModePolicy } from '../models/index.js';
+import { WeeklyScheduleService } from './weeklyScheduleService.js';
+import { TimesheetService } from './timesheetService.js';
+import { GeofenceService } from './geofenceService.js';
+
+// Política por defecto de cada modalidad mientras no se configure otra
+const WORK_MODES = {
+  on_site: {
+    label: 'Presencial',
+    defaults: { requireLocation: false, applyGeofence: true, flagIfNotScheduled: false }
+  },
+  remote: {
+    label: 'Teletrabajo',
+    // La ubicación de casa no se compara con los centros de trabajo
+    defaults: { requireLocation: false, applyGeofence: false, flagIfNotScheduled: true }
+  },
+  travelling: {
+    label: 'Desplazamiento',
+    defaults: { requireLocation: true, applyGeofence: false, flagIfNotScheduled: false }
+  }
+};
+
+const POLICY_FIELDS = ['requireLocation', 'applyGeofence', 'flagIfNotScheduled'];
+
+export class WorkModeService {
+
+  static get workModes() {
+    return WORK_MODES;
+  }
+
+  static isValid(workMode) {
+    return Record.WORK_MODES.includes(workMode);
+  }
+
+  /**
+   * Políticas de todas las modalidades. Las que no tienen fila usan la política por defecto.
+   */
+  static async getPolicies() {
+    const saved = await WorkModePolicy.findAll();
+    const savedByMode = new Map(saved.map(p => [p.workMode, p]));
+
+    return Object.entries(WORK_MODES).map(([workMode, config]) => {
+      const policy = savedByMode.get(workMode);
+      return {
+        workMode,
+        label: config.label,
+        ...Object.fromEntries(POLICY_FIELDS.map(field => [field, policy ? policy[field] : config.defaults[field]])),
+        updatedAt: policy ? policy.updated_at : null
+      };
+    });
+  }
+
+  static async getPolicy(workMode) {
+    const policies = await this.getPolicies();
+    return policies.find(p => p.workMode === workMode) || null;
+  }
+
+  static async updatePolicy(workMode, changes, updatedBy = null) {
+    const [policy] = await WorkModePolicy.findOrCreate({
+      where: { workMode },
+      defaults: { workMode, ...WORK_MODES[workMode].defaults }
+    });
+
+    const updateData = { updatedBy };
+    POLICY_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) updateData[field] = changes[field];
+    });
+
+    await policy.update(updateData);
+    return this.getPolicy(workMode);
+  }
+
+  /**
+   * Modalidad prevista en el horario del día, o null si no hay horario de trabajo
+   */
+  static async getScheduledMode(employeeId, date) {
+    const schedule = await WeeklyScheduleService.getEffectiveScheduleForDate(employeeId, date);
+    return schedule.isWorkingDay && schedule.workMode ? schedule.workMode : null;
+  }
+
+  /**
+   * Modalidad de un fichaje web. La entrada usa la indicada o, si no, la prevista en el horario;
+   * el resto de fichajes heredan la de la sesión en curso.
+   */
+  static async resolvePunchMode(employeeId, type, requestedMode = null, now = new Date()) {
+    if (type !== 'checkin') {
+      const lastRecord = await Record.findOne({
+        where: { employeeId },
+        order: [['timestamp', 'DESC']]
+      });
+      return { workMode: lastRecord ? lastRecord.workMode : 'on_site', scheduledMode: null };
+    }
+
+    const scheduledMode = await this.getScheduledMode(employeeId, TimesheetService.toDateKey(now));
+    return { workMode: requestedMode || scheduledMode || 'on_site', scheduledMode };
+  }
+
+  /**
+   * Aplica la política de la modalidad a un fichaje con ubicación (entrada o salida).
+   * Devuelve { status, applyGeofence, flagReason } donde status es ok o location_required.
+   */
+  static evaluatePunch(policy, { location, workMode, scheduledMode }) {
+    if (policy.requireLocation && !GeofenceService.parseLocation(location)) {
+      return { status: 'location_required', applyGeofence: false, flagReason: null };
+    }
+
+    const notScheduled = policy.flagIfNotScheduled && scheduledMode !== null && scheduledMode !== workMode;
+
+    return {
+      status: 'ok',
+      applyGeofence: policy.applyGeofence,
+      flagReason: notScheduled ? 'work_mode_not_scheduled' : null
+    };
+  }
+}
@@ -0,0 +1,71 @@
+// Tests para el informe de cumplimiento (horario previsto vs fichajes reales)
+// Ejecutar con: npm test adherence.test.js
+
+import { describe, test, expect } from '@jest/globals';
+import { AdherenceService } from '../src/services/adherenceService.js';
+import { TimesheetService } from '../src/services/timesheetService.js';
+
+const punch = (id, type, timestamp) => ({
+  id,
+  employeeId: 'employee-1',
+  type,
+  timestamp: new Date(timestamp)
+});
+
+const officeDay = {
+  source: 'weekly_schedule',
+  isWorkingDay: true,
+  startTime: '09:00:00',
+  endTime: '17:00:00'
+};
+
+describe('AdherenceService.evaluateDay', () => {
+  test('should detect late arrival and early departure beyond grace minutes', () => {
+    const sessions = TimesheetService.buildSessions([
+      punch('1', 'checkin', '2024-03-04T09:40:00'),
+      punch('2', 'checkout', '2024-03-04T16:00:00')
+    ]);
+
+    const day = AdherenceService.evaluateDay('2024-03-04', officeDay, sessions, { graceMinutes: 15 });
+
+    expect(day.issues.map(i => i.type)).toEqual(['late_arrival', 'early_departure']);
+    expect(day.issues[0].minutes).toBe(40);
+    expect(day.issues[1].minutes).toBe(60);
+  });
+
+  test('should respect configurable grace minutes', () => {
+    const sessions = TimesheetService.buildSessions([
+      punch('1', 'checkin', '2024-03-04T09:10:00'),
+      punch('2', 'checkout', '2024-03-04T17:00:00')
+    ]);
+
+    expect(AdherenceService.evaluateDay('2024-03-04', officeDay, sessions, { graceMinutes: 15 }).issues).toHaveLength(0);
+    expect(AdherenceService.evaluateDay('2024-03-04', officeDay, sessions, { graceMinutes: 5 }).issues[0].type).toBe('late_arrival');
+  });
+
+  test('should report absence on scheduled days unless on vacation', () => {
+    expect(AdherenceService.evaluateDay('2024-03-04', officeDay, []).issues[0].type).toBe('absence');
+    expect(AdherenceService.evaluateDay('2024-03-04', officeDay, [], { onVacation: true }).issues).toHaveLength(0);
+  });
+
+  test('should report unscheduled work on non-working days', () => {
+    const sessions = TimesheetService.buildSessions([
+      punch('1', 'checkin', '2024-03-09T10:00:00'),
+      punch('2', 'checkout', '2024-03-09T12:00:00')
+    ]);
+
+    const day = AdherenceService.evaluateDay('2024-03-09', { source: 'daily_exception', isWorkingDay: false }, sessions);
+
+    expect(day.issues).toEqual([{ type: 'unscheduled_work', severity: 'low', minutes: 120 }]);
+  });
+
+  test('should handle night shifts ending the next day', () => {
+    const nightShift = { source: 'daily_exception', isWorkingDay: true, startTime: '22:00:00', endTime: '06:00:00' };
+    const sessions = TimesheetService.buildSessions([
+      punch('1', 'checkin', '2024-03-04T22:05:00'),
+      punch('2', 'checkout', '2024-03-05T06:00:00')
+    ]);
+
+    expect(AdherenceService.evaluateDay('2024-03-04', nightShift, sessions).issues).toHaveLength(0);
+  });
+});
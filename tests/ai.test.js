@@ -40,7 +40,7 @@ describe('AI Service Tests', () => {
 
   afterAll(async () => {
     // Cleanup
-    await Record.destroy({ where: { employeeId: testEmployee.id } });
+    await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
     await Vacation.destroy({ where: { employeeId: testEmployee.id } });
     if (testEmployee) await testEmployee.destroy();
   });
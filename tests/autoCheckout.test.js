@@ -0,0 +1,149 @@
+// Tests para el cierre automático de salidas olvidadas
+// Ejecutar con: npm test autoCheckout.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { Employee, Record, Notification, DailyScheduleException } from '../src/models/index.js';
+import { AutoCheckoutService } from '../src/services/autoCheckoutService.js';
+import { TimesheetService } from '../src/services/timesheetService.js';
+
+describe('Auto checkout', () => {
+  describe('AutoCheckoutService.getDeadline', () => {
+    test('should add the tolerance to the scheduled end', () => {
+      const { scheduledEnd, deadline } = AutoCheckoutService.getDeadline(
+        { timestamp: new Date('2024-03-04T09:00:00') },
+        { isWorkingDay: true, startTime: '09:00:00', endTime: '17:00:00' },
+        60
+      );
+
+      expect(scheduledEnd).toEqual(new Date('2024-03-04T17:00:00'));
+      expect(deadline).toEqual(new Date('2024-03-04T18:00:00'));
+    });
+
+    test('should end night shifts on the next day', () => {
+      const { scheduledEnd } = AutoCheckoutService.getDeadline(
+        { timestamp: new Date('2024-03-04T22:00:00') },
+        { isWorkingDay: true, startTime: '22:00:00', endTime: '06:00:00' },
+        60
+      );
+
+      expect(scheduledEnd).toEqual(new Date('2024-03-05T06:00:00'));
+    });
+
+    test('should fall back to the maximum session length without a schedule', () => {
+      const { scheduledEnd, deadline } = AutoCheckoutService.getDeadline(
+        { timestamp: new Date('2024-03-04T09:00:00') },
+        { isWorkingDay: false },
+        60
+      );
+
+      expect(scheduledEnd).toBeNull();
+      expect(deadline.getTime() - new Date('2024-03-04T09:00:00').getTime())
+        .toBe(TimesheetService.maxSessionHours * 60 * 60 * 1000);
+    });
+  });
+
+  describe('AutoCheckoutService.processEmployee', () => {
+    let testEmployee;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Auto Checkout',
+        email: 'autocheckout@test.com',
+        employeeCode: 'AUTO001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      await Record.create({
+        employeeId: testEmployee.id,
+        type: 'checkin',
+        timestamp: new Date('2024-03-04T09:00:00')
+      });
+    });
+
+    afterAll(async () => {
+      await Notification.destroy({ where: { type: 'forgotten_checkout' } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await testEmployee.destroy();
+    });
+
+    test('should flag a forgotten checkout once and notify the employee', async () => {
+      const result = await AutoCheckoutService.processEmployee(testEmployee, { policy: 'flag' });
+
+      expect(result.action).toBe('flagged');
+
+      const checkin = await Record.findByPk(result.checkinId);
+      expect(checkin.isFlagged).toBe(true);
+
+      const notifications = await Notification.findAll({ where: { employeeId: testEmployee.id } });
+      expect(notifications).toHaveLength(1);
+
+      const again = await AutoCheckoutService.processEmployee(testEmployee, { policy: 'flag' });
+      expect(again).toBeNull();
+    });
+  });
+
+  describe('AutoCheckoutService.processEmployee with an open break', () => {
+    let testEmployee;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Auto Checkout Break',
+        email: 'autocheckout.break@test.com',
+        employeeCode: 'AUTO002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      await DailyScheduleException.create({
+        employeeId: testEmployee.id,
+        date: '2024-03-05',
+        exceptionType: 'custom_hours',
+        startTime: '09:00',
+        endTime: '17:00',
+        isWorkingDay: true,
+        reason: 'Test auto checkout',
+        createdBy: testEmployee.id
+      });
+
+      await Record.create({
+        employeeId: testEmployee.id,
+        type: 'checkin',
+        timestamp: new Date('2024-03-05T09:00:00')
+      });
+
+      await Record.create({
+        employeeId: testEmployee.id,
+        type: 'break_start',
+        timestamp: new Date('2024-03-05T13:00:00')
+      });
+    });
+
+    afterAll(async () => {
+      await Notification.destroy({ where: { type: 'forgotten_checkout' } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await DailyScheduleException.destroy({ where: { employeeId: testEmployee.id } });
+      await testEmployee.destroy();
+    });
+
+    test('should end the break before closing the session', async () => {
+      const result = await AutoCheckoutService.processEmployee(testEmployee, { policy: 'close', toleranceMinutes: 60 });
+
+      expect(result.action).toBe('closed');
+
+      const records = await Record.findAll({
+        where: { employeeId: testEmployee.id },
+        order: [['timestamp', 'ASC']]
+      });
+
+      expect(records.map(r => r.type)).toEqual(['checkin', 'break_start', 'break_end', 'checkout']);
+      expect(records[2].timestamp).toEqual(new Date('2024-03-05T17:00:00'));
+      expect(records[2].flagReason).toBe('auto_checkout');
+      expect(records[3].id).toBe(result.checkoutId);
+      expect(records[3].flagReason).toBe('auto_checkout');
+
+      const again = await AutoCheckoutService.processEmployee(testEmployee, { policy: 'close', toleranceMinutes: 60 });
+      expect(again).toBeNull();
+    });
+  });
+});
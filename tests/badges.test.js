@@ -0,0 +1,149 @@
+// Tests para el fichaje con tarjeta NFC/RFID en el kiosk
+// Ejecutar con: npm test badges.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, KioskDevice, EmployeeBadge } from '../src/models/index.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
+
+import app from '../src/index.js';
+
+describe('Badges', () => {
+  describe('EmployeeBadge.normalizeUid', () => {
+    test('should accept reader formats and reject non-hexadecimal values', () => {
+      expect(EmployeeBadge.normalizeUid('04:a2:1b:7c')).toBe('04A21B7C');
+      expect(EmployeeBadge.normalizeUid('04 A2 1B 7C')).toBe('04A21B7C');
+      expect(EmployeeBadge.normalizeUid('not-a-uid')).toBeNull();
+    });
+  });
+
+  describe('Badge enrolment and kiosk punches', () => {
+    let adminEmployee;
+    let testEmployee;
+    let otherEmployee;
+    let adminToken;
+    let kioskDevice;
+    let kioskCredential;
+    let badgeId;
+
+    const tap = (uid) => request(app)
+      .post('/api/kiosk/badge-punch')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({ uid });
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Badges',
+        email: 'badges.admin@test.com',
+        employeeCode: 'BDG001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Badges',
+        email: 'badges@test.com',
+        employeeCode: 'BDG002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      otherEmployee = await Employee.create({
+        name: 'Test Other Employee Badges',
+        email: 'badges.other@test.com',
+        employeeCode: 'BDG003',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk badges' }));
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: [testEmployee.id, otherEmployee.id] }, force: true });
+      await EmployeeBadge.destroy({ where: { enrolledBy: adminEmployee.id } });
+      await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+      await otherEmployee.destroy();
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should enrol a badge and refuse the same UID twice', async () => {
+      const response = await request(app)
+        .post('/api/badges')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: testEmployee.id, uid: 'de:ad:be:ef:01', label: 'Tarjeta principal' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.uid).toBe('DEADBEEF01');
+      badgeId = response.body.data.id;
+
+      const duplicate = await request(app)
+        .post('/api/badges')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: otherEmployee.id, uid: 'DEADBEEF01' });
+
+      expect(duplicate.status).toBe(409);
+    });
+
+    test('should reject an employeeId that is not a valid id', async () => {
+      const enrol = await request(app)
+        .post('/api/badges')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: 'not-a-uuid', uid: 'DEADBEEF02' });
+
+      expect(enrol.status).toBe(400);
+
+      const reassign = await request(app)
+        .post(`/api/badges/${badgeId}/reassign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: 12345 });
+
+      expect(reassign.status).toBe(400);
+    });
+
+    test('should punch the badge owner in one call and note the badge', async () => {
+      const response = await tap('DE:AD:BE:EF:01');
+
+      expect(response.status).toBe(201);
+      expect(response.body.employee.id).toBe(testEmployee.id);
+      expect(response.body.record.type).toBe('checkin');
+
+      const record = await Record.findByPk(response.body.record.id);
+      expect(record.badgeId).toBe(badgeId);
+      expect(record.kioskDeviceId).toBe(kioskDevice.id);
+    });
+
+    test('should reject unknown and revoked badges', async () => {
+      expect((await tap('0011223344')).status).toBe(404);
+
+      await request(app)
+        .post(`/api/badges/${badgeId}/revoke`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Tarjeta perdida' });
+
+      expect((await tap('DEADBEEF01')).status).toBe(403);
+    });
+
+    test('should punch the new owner after reassigning the badge', async () => {
+      const reassign = await request(app)
+        .post(`/api/badges/${badgeId}/reassign`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ employeeId: otherEmployee.id });
+
+      expect(reassign.status).toBe(200);
+      expect(reassign.body.data.status).toBe('active');
+
+      const response = await tap('DEADBEEF01');
+      expect(response.status).toBe(201);
+      expect(response.body.employee.id).toBe(otherEmployee.id);
+    });
+  });
+});
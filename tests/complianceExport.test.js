@@ -0,0 +1,98 @@
+// Tests para la exportación del registro de jornada para la Inspección de Trabajo
+// Ejecutar con: npm test complianceExport.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record } from '../src/models/index.js';
+import { ComplianceExportService } from '../src/services/complianceExportService.js';
+
+import app from '../src/index.js';
+
+describe('Compliance export', () => {
+  describe('ComplianceExportService.toCsv', () => {
+    test('should keep the documented column order', () => {
+      const csv = ComplianceExportService.toCsv([]);
+      const header = csv.replace('\uFEFF', '').split('\r\n')[0];
+
+      expect(header.split(',')).toEqual(ComplianceExportService.columns.map(c => c.key));
+    });
+
+    test('should append the work mode column in layout version 2', () => {
+      const csv = ComplianceExportService.toCsv([]);
+      const columns = csv.replace('\uFEFF', '').split('\r\n')[0].split(',');
+
+      expect(ComplianceExportService.layoutVersion).toBe(2);
+      expect(columns.slice(0, 3)).toEqual(['employee_code', 'employee_name', 'record_id']);
+      expect(columns.slice(-3)).toEqual(['sequence', 'hash', 'work_mode']);
+    });
+
+    test('should quote values with separators, quotes or line breaks', () => {
+      const row = { notes: 'Salida, "tarde"\nrevisar' };
+      const csv = ComplianceExportService.toCsv([row]);
+
+      expect(csv).toContain('"Salida, ""tarde""\nrevisar"');
+    });
+  });
+
+  describe('GET /api/records/compliance-export', () => {
+    let adminEmployee;
+    let adminToken;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Export',
+        email: 'export-admin@test.com',
+        employeeCode: 'EXPADM001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      await Record.bulkCreate([
+        { employeeId: adminEmployee.id, type: 'checkin', timestamp: new Date('2024-03-04T09:00:00'), device: 'kiosk' },
+        { employeeId: adminEmployee.id, type: 'checkout', timestamp: new Date('2024-03-04T17:00:00'), device: 'kiosk' }
+      ]);
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: adminEmployee.id }, force: true });
+      await adminEmployee.destroy();
+    });
+
+    test('should produce the same checksum for CSV and XLSX of the same query', async () => {
+      const query = { startDate: '2024-03-01', endDate: '2024-03-31', employeeIds: adminEmployee.id };
+
+      const csv = await request(app)
+        .get('/api/records/compliance-export')
+        .query(query)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const manifest = await request(app)
+        .get('/api/records/compliance-export/manifest')
+        .query({ ...query, format: 'xlsx' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(csv.status).toBe(200);
+      expect(csv.headers['x-export-record-count']).toBe('2');
+      expect(manifest.body.data.recordCount).toBe(2);
+      expect(manifest.body.data.dataChecksum).toBe(csv.headers['x-export-data-checksum']);
+      // El XLSX no es reproducible byte a byte: solo el CSV lleva huella del fichero
+      expect(csv.headers['x-export-file-checksum']).toMatch(/^[0-9a-f]{64}$/);
+      expect(manifest.body.data.fileChecksum).toBeNull();
+    });
+
+    test('should require a date range', async () => {
+      const response = await request(app)
+        .get('/api/records/compliance-export')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
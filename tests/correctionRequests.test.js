@@ -0,0 +1,228 @@
+// Tests para las solicitudes de corrección de fichajes
+// Ejecutar con: npm test correctionRequests.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, RecordRevision, PunchCorrectionRequest } from '../src/models/index.js';
+
+import app from '../src/index.js';
+
+describe('Correction requests', () => {
+  let testEmployee;
+  let adminEmployee;
+  let employeeToken;
+  let adminToken;
+  let checkin;
+
+  beforeAll(async () => {
+    testEmployee = await Employee.create({
+      name: 'Test Employee Correction',
+      email: 'correction@test.com',
+      employeeCode: 'CORR001',
+      pinHash: '1234',
+      role: 'employee'
+    });
+
+    adminEmployee = await Employee.create({
+      name: 'Test Admin Correction',
+      email: 'correction-admin@test.com',
+      employeeCode: 'CORR002',
+      pinHash: '1234',
+      role: 'admin'
+    });
+
+    checkin = await Record.create({
+      employeeId: testEmployee.id,
+      type: 'checkin',
+      timestamp: new Date('2024-03-04T09:20:00')
+    });
+
+    employeeToken = jwt.sign(
+      { employeeId: testEmployee.id, role: testEmployee.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    adminToken = jwt.sign(
+      { employeeId: adminEmployee.id, role: adminEmployee.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  afterAll(async () => {
+    await PunchCorrectionRequest.destroy({ where: { employeeId: testEmployee.id } });
+    await RecordRevision.destroy({ where: { changedBy: adminEmployee.id }, hooks: false });
+    await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+    await adminEmployee.destroy();
+    await testEmployee.destroy();
+  });
+
+  test('should require a reason', async () => {
+    const response = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkout',
+        proposedTimestamp: '2024-03-04T17:00:00'
+      });
+
+    expect(response.status).toBe(400);
+
+    const notText = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkout',
+        proposedTimestamp: '2024-03-04T17:00:00',
+        reason: 12345
+      });
+
+    expect(notText.status).toBe(400);
+  });
+
+  test('should create the missing punch when approved', async () => {
+    const created = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkout',
+        proposedTimestamp: '2024-03-04T17:00:00',
+        reason: 'Olvidé fichar la salida'
+      });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data.status).toBe('pending');
+
+    const pending = await request(app)
+      .get('/api/correction-requests')
+      .query({ employeeId: testEmployee.id })
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(pending.status).toBe(200);
+    expect(pending.body.data.requests.map(r => r.id)).toContain(created.body.data.id);
+
+    const approved = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(approved.status).toBe(200);
+    expect(approved.body.data.status).toBe('approved');
+
+    const record = await Record.findByPk(approved.body.data.resultingRecordId);
+    expect(record.type).toBe('checkout');
+    expect(record.correctionRequestId).toBe(created.body.data.id);
+  });
+
+  test('should adjust an existing punch through the audit trail', async () => {
+    const created = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'correction',
+        recordId: checkin.id,
+        proposedTimestamp: '2024-03-04T09:00:00',
+        reason: 'El terminal no leyó la tarjeta'
+      });
+
+    expect(created.status).toBe(201);
+
+    const approved = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(approved.status).toBe(200);
+
+    await checkin.reload();
+    expect(checkin.timestamp.toISOString()).toBe(new Date('2024-03-04T09:00:00').toISOString());
+    expect(checkin.correctionRequestId).toBe(created.body.data.id);
+
+    const revisions = await RecordRevision.findAll({ where: { recordId: checkin.id } });
+    expect(revisions).toHaveLength(1);
+    expect(revisions[0].changedBy).toBe(adminEmployee.id);
+  });
+
+  test('should not let employees review requests', async () => {
+    const created = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkin',
+        proposedTimestamp: '2024-03-05T09:00:00',
+        reason: 'Olvidé fichar la entrada'
+      });
+
+    const response = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ status: 'approved' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should refuse to approve a punch that breaks the sequence', async () => {
+    const created = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkout',
+        proposedTimestamp: '2024-03-04T18:00:00',
+        reason: 'Salida duplicada'
+      });
+
+    const approved = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(approved.status).toBe(409);
+    expect(approved.body.reason).toBe('invalid_transition');
+
+    const correction = await PunchCorrectionRequest.findByPk(created.body.data.id);
+    expect(correction.status).toBe('pending');
+    expect(await Record.count({ where: { correctionRequestId: correction.id } })).toBe(0);
+  });
+
+  test('should not review a request twice', async () => {
+    const created = await request(app)
+      .post('/api/correction-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({
+        requestType: 'missing_punch',
+        punchType: 'checkin',
+        proposedTimestamp: '2024-03-06T09:00:00',
+        reason: 'Olvidé fichar la entrada'
+      });
+
+    const invalidNotes = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'rejected', reviewNotes: { text: 'No' } });
+
+    expect(invalidNotes.status).toBe(400);
+
+    const rejected = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'rejected' });
+
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.data.status).toBe('rejected');
+
+    const again = await request(app)
+      .put(`/api/correction-requests/${created.body.data.id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'approved' });
+
+    expect(again.status).toBe(409);
+    expect(again.body.reason).toBe('already_reviewed');
+  });
+});
@@ -0,0 +1,178 @@
+// Tests para el cálculo de horas extra y la bolsa de horas
+// Ejecutar con: npm test hourBank.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, HourBankEntry } from '../src/models/index.js';
+import { OvertimeService } from '../src/services/overtimeService.js';
+
+import app from '../src/index.js';
+
+const schedule = {
+  source: 'regular_schedule',
+  isWorkingDay: true,
+  workStartTime: '09:00:00',
+  workEndTime: '18:00:00',
+  breaks: [{
+    id: 'lunch',
+    name: 'Comida',
+    startTime: '14:00:00',
+    endTime: '15:00:00',
+    duration: 60,
+    isPaid: false,
+    isRequired: false,
+    isFlexible: false
+  }]
+};
+
+const workedDay = (date, start, end) => ({
+  date,
+  sessions: [{
+    status: 'complete',
+    start: new Date(`${date}T${start}`),
+    end: new Date(`${date}T${end}`),
+    workedMinutes: (new Date(`${date}T${end}`) - new Date(`${date}T${start}`)) / (1000 * 60),
+    breaks: [],
+    breakMinutes: 0
+  }],
+  hasOpenSession: false,
+  hasIncompleteSessions: false
+});
+
+describe('Hour bank', () => {
+  describe('OvertimeService', () => {
+    test('should not expect unpaid scheduled breaks to be worked', () => {
+      expect(OvertimeService.getExpectedMinutes('2024-03-04', schedule)).toBe(8 * 60);
+    });
+
+    test('should compute the daily balance and the excess over the daily threshold', () => {
+      const day = OvertimeService.evaluateDay(workedDay('2024-03-04', '08:00:00', '19:00:00'), schedule, {
+        dailyThresholdMinutes: 9 * 60
+      });
+
+      expect(day.expectedMinutes).toBe(8 * 60);
+      expect(day.balanceMinutes).toBe(3 * 60);
+      expect(day.dailyOvertimeMinutes).toBe(2 * 60);
+      expect(day.isClosed).toBe(true);
+    });
+
+    test('should not count the same hours twice with daily and weekly thresholds', () => {
+      const days = ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08'].map(date =>
+        OvertimeService.evaluateDay(workedDay(date, '08:00:00', '18:00:00'), { ...schedule, breaks: [] }, {
+          dailyThresholdMinutes: 9 * 60
+        })
+      );
+
+      const [week] = OvertimeService.summarizeWeeks(days, 40 * 60);
+
+      expect(week.dailyOvertimeMinutes).toBe(5 * 60);
+      expect(week.weeklyOvertimeMinutes).toBe(10 * 60);
+      expect(week.overtimeMinutes).toBe(10 * 60);
+    });
+  });
+
+  describe('POST /api/hour-bank/employee/:employeeId/entries', () => {
+    let testEmployee;
+    let adminEmployee;
+    let adminToken;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Hour Bank',
+        email: 'hourbank@test.com',
+        employeeCode: 'BANK001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Hour Bank',
+        email: 'hourbank-admin@test.com',
+        employeeCode: 'BANKADM001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await HourBankEntry.destroy({ where: { employeeId: testEmployee.id } });
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should not compensate more than the available balance', async () => {
+      const response = await request(app)
+        .post(`/api/hour-bank/employee/${testEmployee.id}/entries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'time_off', hours: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.balanceMinutes).toBe(0);
+    });
+
+    test('should subtract paid hours from the balance', async () => {
+      await request(app)
+        .post(`/api/hour-bank/employee/${testEmployee.id}/entries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'adjustment', hours: 5, notes: 'Saldo inicial' });
+
+      const response = await request(app)
+        .post(`/api/hour-bank/employee/${testEmployee.id}/entries`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'payout', hours: 2 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.entry.minutes).toBe(-120);
+      expect(response.body.data.balanceMinutes).toBe(180);
+    });
+  });
+
+  describe('Employee weekly contracted hours', () => {
+    let testEmployee;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Contracted Hours',
+        email: 'contracted-hours@test.com',
+        employeeCode: 'BANK002',
+        pinHash: '1234',
+        role: 'employee',
+        weeklyContractedHours: 30
+      });
+    });
+
+    afterAll(async () => {
+      await testEmployee.destroy();
+    });
+
+    test('should reject contracted hours out of range on create', async () => {
+      const response = await request(app)
+        .post('/api/employees')
+        .send({ name: 'Fuera de rango', email: 'out-of-range@test.com', pin: '1234', weeklyContractedHours: 120 });
+
+      expect(response.status).toBe(400);
+      expect(await Employee.count({ where: { email: 'out-of-range@test.com' } })).toBe(0);
+    });
+
+    test('should regenerate the TOTP secret without touching contracted hours', async () => {
+      const oldSecret = testEmployee.totpSecret;
+
+      const response = await request(app)
+        .post(`/api/employees/${testEmployee.id}/regenerate-totp`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totpSecret).not.toBe(oldSecret);
+
+      await testEmployee.reload();
+      expect(testEmployee.totpSecret).toBe(response.body.totpSecret);
+      expect(Number(testEmployee.weeklyContractedHours)).toBe(30);
+    });
+  });
+});
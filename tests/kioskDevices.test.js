@@ -0,0 +1,125 @@
+// Tests para el registro de kioscos y sus credenciales
+// Ejecutar con: npm test kioskDevices.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, KioskDevice } from '../src/models/index.js';
+
+import app from '../src/index.js';
+
+describe('Kiosk devices', () => {
+  let adminEmployee;
+  let testEmployee;
+  let adminToken;
+  let deviceId;
+  let credential;
+
+  beforeAll(async () => {
+    adminEmployee = await Employee.create({
+      name: 'Test Admin Kiosk Devices',
+      email: 'kioskdevices.admin@test.com',
+      employeeCode: 'KDV001',
+      pinHash: '1234',
+      role: 'admin'
+    });
+
+    testEmployee = await Employee.create({
+      name: 'Test Employee Kiosk Devices',
+      email: 'kioskdevices@test.com',
+      employeeCode: 'KDV002',
+      pinHash: '1234',
+      role: 'employee'
+    });
+
+    adminToken = jwt.sign(
+      { employeeId: adminEmployee.id, role: adminEmployee.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+  });
+
+  afterAll(async () => {
+    await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+    await KioskDevice.destroy({ where: { enrolledBy: adminEmployee.id } });
+    await testEmployee.destroy();
+    await adminEmployee.destroy();
+  });
+
+  test('should enrol a device and return its credential once', async () => {
+    const response = await request(app)
+      .post('/api/kiosk-devices')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Test kiosk entrance', location: 'Entrada principal' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.credential).toMatch(new RegExp(`^${response.body.data.id}\\.`));
+    expect(response.body.data).not.toHaveProperty('credentialHash');
+
+    deviceId = response.body.data.id;
+    credential = response.body.credential;
+  });
+
+  test('should reject kiosk punches without a device credential', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/checkin')
+      .send({ employeeId: testEmployee.id });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should reject a tampered credential', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/checkin')
+      .set('X-Kiosk-Device-Token', `${deviceId}.not-the-secret`)
+      .send({ employeeId: testEmployee.id });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should record which device a punch came from', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/checkin')
+      .set('X-Kiosk-Device-Token', credential)
+      .send({ employeeId: testEmployee.id });
+
+    expect(response.status).toBe(201);
+
+    const record = await Record.findByPk(response.body.record.id);
+    expect(record.kioskDeviceId).toBe(deviceId);
+  });
+
+  test('should show a device as online after a heartbeat', async () => {
+    const heartbeat = await request(app)
+      .post('/api/kiosk/heartbeat')
+      .set('X-Kiosk-Device-Token', credential)
+      .send({ appVersion: '2.1.0', pendingPunches: 0 });
+
+    expect(heartbeat.status).toBe(200);
+
+    const response = await request(app)
+      .get('/api/kiosk-devices')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const device = response.body.data.find(d => d.id === deviceId);
+    expect(device.isOnline).toBe(true);
+    expect(device.appVersion).toBe('2.1.0');
+  });
+
+  test('should stop accepting a revoked device', async () => {
+    const revoke = await request(app)
+      .post(`/api/kiosk-devices/${deviceId}/revoke`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Tablet perdida' });
+
+    expect(revoke.status).toBe(200);
+    expect(revoke.body.data.status).toBe('revoked');
+
+    const response = await request(app)
+      .post('/api/kiosk/checkout')
+      .set('X-Kiosk-Device-Token', credential)
+      .send({ employeeId: testEmployee.id });
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,149 @@
+// Tests para el fichaje en un solo paso del kiosk y el resumen del día
+// Ejecutar con: npm test kioskPunch.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import speakeasy from 'speakeasy';
+import { Employee, Record, KioskDevice, Vacation, LoginLockout } from '../src/models/index.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
+import { DailySummaryService } from '../src/services/dailySummaryService.js';
+import { TimesheetService } from '../src/services/timesheetService.js';
+import { PunchService } from '../src/services/punchService.js';
+
+import app from '../src/index.js';
+
+describe('Kiosk punch', () => {
+  describe('DailySummaryService.getPlannedMinutes', () => {
+    const officeDay = { isWorkingDay: true, startTime: '09:00', endTime: '17:00' };
+
+    test('should discount unpaid scheduled breaks only', () => {
+      const breaks = [
+        { isPaid: false, expectedMinutes: 60 },
+        { isPaid: true, expectedMinutes: 15 }
+      ];
+      expect(DailySummaryService.getPlannedMinutes('2024-03-04', officeDay, breaks)).toBe(420);
+    });
+
+    test('should use the simple break of the schedule when it has no configured breaks', () => {
+      const schedule = { ...officeDay, breakStartTime: '14:00', breakEndTime: '14:30' };
+      expect(DailySummaryService.getPlannedMinutes('2024-03-04', schedule, [])).toBe(450);
+    });
+
+    test('should handle night shifts and days off', () => {
+      const nightShift = { isWorkingDay: true, startTime: '22:00', endTime: '06:00' };
+      expect(DailySummaryService.getPlannedMinutes('2024-03-04', nightShift, [])).toBe(480);
+      expect(DailySummaryService.getPlannedMinutes('2024-03-04', { isWorkingDay: false }, [])).toBe(0);
+    });
+  });
+
+  describe('POST /api/kiosk/punch', () => {
+    let testEmployee;
+    let kioskDevice;
+    let kioskCredential;
+
+    const punch = (fields) => request(app)
+      .post('/api/kiosk/punch')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({ employeeCode: 'KPN001', ...fields });
+
+    const currentCode = () => speakeasy.totp({ secret: testEmployee.totpSecret, encoding: 'base32' });
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Kiosk Punch',
+        email: 'kioskpunch@test.com',
+        employeeCode: 'KPN001',
+        pinHash: '1234',
+        role: 'employee',
+        totpSecret: speakeasy.generateSecret().base32
+      });
+
+      const nextWeek = new Date();
+      nextWeek.setDate(nextWeek.getDate() + 7);
+      await Vacation.create({
+        employeeId: testEmployee.id,
+        startDate: TimesheetService.toDateKey(nextWeek),
+        endDate: TimesheetService.toDateKey(nextWeek),
+        type: 'vacation',
+        status: 'approved'
+      });
+
+      ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk punch' }));
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await Vacation.destroy({ where: { employeeId: testEmployee.id } });
+      await LoginLockout.destroy({ where: { employeeCode: 'KPN001' } });
+      await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+      await testEmployee.destroy();
+    });
+
+    test('should require a registered kiosk', async () => {
+      const response = await request(app)
+        .post('/api/kiosk/punch')
+        .send({ employeeCode: 'KPN001', totpCode: currentCode() });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject a wrong TOTP code without punching', async () => {
+      const response = await punch({ totpCode: '000000' });
+
+      expect(response.status).toBe(401);
+      expect(await Record.count({ where: { employeeId: testEmployee.id } })).toBe(0);
+
+      await LoginLockout.destroy({ where: { employeeCode: 'KPN001' } });
+    });
+
+    test('should check in and return the summary of the day', async () => {
+      const response = await punch({ totpCode: currentCode() });
+
+      expect(response.status).toBe(201);
+      expect(response.body.action).toBe('checkin');
+      expect(response.body.record.type).toBe('checkin');
+
+      const { summary } = response.body;
+      expect(summary.date).toBe(TimesheetService.toDateKey(new Date()));
+      expect(summary.sessions).toHaveLength(1);
+      expect(summary.sessions[0].status).toBe('open');
+      expect(summary.time).toHaveProperty('plannedMinutes');
+      expect(Array.isArray(summary.remainingBreaks)).toBe(true);
+      expect(summary.upcomingVacation.type).toBe('vacation');
+      expect(summary.upcomingVacation.inProgress).toBe(false);
+    });
+
+    test('should check out on the next punch', async () => {
+      const response = await punch({ totpCode: currentCode() });
+
+      expect(response.status).toBe(201);
+      expect(response.body.action).toBe('checkout');
+      expect(response.body.summary.sessions[0].status).toBe('complete');
+    });
+
+    test('should return the existing punch when another tap registered it first', async () => {
+      const latest = await Record.findOne({
+        where: { employeeId: testEmployee.id },
+        order: [['timestamp', 'DESC']]
+      });
+
+      // Segundo toque que leyó el estado antes de la salida: también pediría salir
+      const result = await PunchService.punch({
+        employeeId: testEmployee.id,
+        type: 'checkout',
+        device: 'kiosk',
+        expectedLastRecordId: 'stale-record-id'
+      });
+
+      expect(result.status).toBe('duplicate');
+      expect(result.record.id).toBe(latest.id);
+      expect(await Record.count({ where: { employeeId: testEmployee.id } })).toBe(2);
+    });
+
+    test('should reject an unknown action', async () => {
+      const response = await punch({ totpCode: currentCode(), type: 'lunch' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
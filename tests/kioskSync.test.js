@@ -0,0 +1,119 @@
+// Tests para la sincronización de fichajes offline del kiosk
+// Ejecutar con: npm test kioskSync.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import { Employee, Record, KioskDevice } from '../src/models/index.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
+
+import app from '../src/index.js';
+
+describe('POST /api/kiosk/sync', () => {
+  let testEmployee;
+  let kioskDevice;
+  let kioskCredential;
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  beforeAll(async () => {
+    testEmployee = await Employee.create({
+      name: 'Test Employee Sync',
+      email: 'kiosksync@test.com',
+      employeeCode: 'SYNC001',
+      pinHash: '1234',
+      role: 'employee'
+    });
+
+    ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk sync' }));
+  });
+
+  afterAll(async () => {
+    await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+    await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+    await testEmployee.destroy();
+  });
+
+  test('should apply queued punches in chronological order', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/sync')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        deviceId: 'tablet-01',
+        punches: [
+          { idempotencyKey: 'sync-test-2', employeeId: testEmployee.id, type: 'checkout', clientTimestamp: minutesAgo(60) },
+          { idempotencyKey: 'sync-test-1', employeeId: testEmployee.id, type: 'checkin', clientTimestamp: minutesAgo(240) }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.map(r => r.status)).toEqual(['accepted', 'accepted']);
+
+    const records = await Record.findAll({ where: { employeeId: testEmployee.id }, order: [['timestamp', 'ASC']] });
+    expect(records.map(r => r.type)).toEqual(['checkin', 'checkout']);
+    expect(records[0].deviceId).toBe('tablet-01');
+    expect(records[0].kioskDeviceId).toBe(kioskDevice.id);
+  });
+
+  test('should ignore punches that were already synced', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/sync')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        deviceId: 'tablet-01',
+        punches: [
+          { idempotencyKey: 'sync-test-1', employeeId: testEmployee.id, type: 'checkin', clientTimestamp: minutesAgo(240) }
+        ]
+      });
+
+    expect(response.body.results[0].status).toBe('duplicate');
+    expect(await Record.count({ where: { employeeId: testEmployee.id } })).toBe(2);
+  });
+
+  test('should report punches that break the punch sequence', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/sync')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        deviceId: 'tablet-01',
+        punches: [
+          { idempotencyKey: 'sync-test-3', employeeId: testEmployee.id, type: 'checkout', clientTimestamp: minutesAgo(30) }
+        ]
+      });
+
+    expect(response.body.results[0].status).toBe('conflict');
+    expect(response.body.results[0].reason).toBe('invalid_transition');
+  });
+
+  test('should report an idempotency key reused for a different punch', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/sync')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        deviceId: 'tablet-01',
+        punches: [
+          { idempotencyKey: 'sync-test-1', employeeId: testEmployee.id, type: 'break_start', clientTimestamp: minutesAgo(240) }
+        ]
+      });
+
+    expect(response.body.results[0].status).toBe('conflict');
+    expect(response.body.results[0].reason).toBe('idempotency_conflict');
+  });
+
+  test('should reject malformed punches without failing the rest of the batch', async () => {
+    const response = await request(app)
+      .post('/api/kiosk/sync')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        deviceId: 'tablet-01',
+        punches: [
+          { idempotencyKey: 'sync-test-4', employeeId: 'not-a-uuid', type: 'checkin', clientTimestamp: minutesAgo(25) },
+          { idempotencyKey: 'x'.repeat(101), employeeId: testEmployee.id, type: 'checkin', clientTimestamp: minutesAgo(25) },
+          { idempotencyKey: 'sync-test-5', employeeId: testEmployee.id, type: 'checkout', clientTimestamp: 'not-a-date' },
+          { idempotencyKey: 'sync-test-6', employeeId: testEmployee.id, type: 'checkin', clientTimestamp: minutesAgo(20) }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.map(r => r.reason || r.status))
+      .toEqual(['invalid_punch', 'invalid_punch', 'invalid_punch', 'accepted']);
+  });
+});
@@ -0,0 +1,174 @@
+// Tests para el bloqueo de cuentas por intentos fallidos de login
+// Ejecutar con: npm test loginLockout.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, LoginLockout, SecurityEvent } from '../src/models/index.js';
+import { LoginLockoutService } from '../src/services/loginLockoutService.js';
+
+import app from '../src/index.js';
+
+describe('Login lockout', () => {
+  describe('LoginLockoutService.getState', () => {
+    const now = new Date('2025-03-10T10:00:00Z');
+
+    test('should double the wait after each failure and the length of each lockout', () => {
+      expect(LoginLockoutService.getDelaySeconds(0)).toBe(0);
+      expect(LoginLockoutService.getDelaySeconds(1)).toBe(1);
+      expect(LoginLockoutService.getDelaySeconds(3)).toBe(4);
+      expect(LoginLockoutService.getLockoutMinutes(1)).toBe(15);
+      expect(LoginLockoutService.getLockoutMinutes(2)).toBe(30);
+    });
+
+    test('should throttle until the wait after the last failure has passed', () => {
+      const lockout = { failedAttempts: 3, lastFailedAt: new Date(now.getTime() - 2000), lockedUntil: null };
+      expect(LoginLockoutService.getState(lockout, now)).toEqual({ status: 'throttled', retryAfterSeconds: 2 });
+
+      lockout.lastFailedAt = new Date(now.getTime() - 5000);
+      expect(LoginLockoutService.getState(lockout, now)).toEqual({ status: 'ok' });
+    });
+
+    test('should report a lockout until it expires', () => {
+      const lockout = { failedAttempts: 5, lastFailedAt: now, lockedUntil: new Date(now.getTime() + 60000) };
+      expect(LoginLockoutService.getState(lockout, now)).toMatchObject({ status: 'locked', retryAfterSeconds: 60 });
+      expect(LoginLockoutService.getState(lockout, new Date(now.getTime() + 61000))).toEqual({ status: 'ok' });
+    });
+
+    test('should keep throttling after a lockout has expired', () => {
+      const lockout = { failedAttempts: 2, lastFailedAt: new Date(now.getTime() - 500), lockedUntil: new Date(now.getTime() - 1000) };
+      expect(LoginLockoutService.getState(lockout, now)).toEqual({ status: 'throttled', retryAfterSeconds: 2 });
+    });
+  });
+
+  describe('Login endpoints', () => {
+    let adminEmployee;
+    let testEmployee;
+    let adminToken;
+
+    // Fallos anotados en el pasado para llegar al bloqueo sin esperar entre intentos
+    const failInThePast = async (employeeCode, count) => {
+      for (let i = count; i > 0; i--) {
+        await LoginLockoutService.registerFailure(employeeCode, { ip: '127.0.0.1' }, { channel: 'pin' },
+          new Date(Date.now() - i * 60 * 1000));
+      }
+    };
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Lockout',
+        email: 'lockout.admin@test.com',
+        employeeCode: 'LCK001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Lockout',
+        email: 'lockout@test.com',
+        employeeCode: 'LCK002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await LoginLockout.destroy({ where: { employeeCode: ['LCK001', 'LCK002', 'LCK999'] } });
+      await SecurityEvent.destroy({ where: { employeeCode: ['LCK001', 'LCK002', 'LCK999'] } });
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should ask to wait after a wrong PIN', async () => {
+      const failed = await request(app)
+        .post('/api/auth/login')
+        .send({ employeeCode: 'LCK002', pin: '0000' });
+      expect(failed.status).toBe(401);
+
+      const retry = await request(app)
+        .post('/api/auth/login')
+        .send({ employeeCode: 'LCK002', pin: '1234' });
+      expect(retry.status).toBe(429);
+      expect(retry.headers['retry-after']).toBeDefined();
+    });
+
+    test('should lock the employee code even with the right PIN', async () => {
+      await LoginLockout.destroy({ where: { employeeCode: 'LCK002' } });
+      await failInThePast('LCK002', LoginLockoutService.maxAttempts);
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ employeeCode: 'LCK002', pin: '1234' });
+
+      expect(response.status).toBe(429);
+      expect(response.body.lockedUntil).toBeDefined();
+
+      const events = await SecurityEvent.findAll({ where: { employeeCode: 'LCK002', type: 'account_locked' } });
+      expect(events).toHaveLength(1);
+    });
+
+    test('should list the lockout and its events for admins', async () => {
+      const list = await request(app)
+        .get('/api/login-lockouts?locked=true')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(list.status).toBe(200);
+      const lockout = list.body.data.find(l => l.employeeCode === 'LCK002');
+      expect(lockout.status).toBe('locked');
+      expect(lockout.employee.id).toBe(testEmployee.id);
+
+      const events = await request(app)
+        .get('/api/login-lockouts/LCK002/events')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(events.status).toBe(200);
+      expect(events.body.data.map(e => e.type)).toContain('account_locked');
+    });
+
+    test('should let an admin unlock the employee code', async () => {
+      const unlock = await request(app)
+        .post('/api/login-lockouts/LCK002/unlock')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(unlock.status).toBe(200);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ employeeCode: 'LCK002', pin: '1234' });
+      expect(login.status).toBe(200);
+
+      const unlocked = await SecurityEvent.findOne({ where: { employeeCode: 'LCK002', type: 'account_unlocked' } });
+      expect(unlocked.details.unlockedBy).toBe(adminEmployee.id);
+    });
+
+    test('should reject unlocks from non-admins', async () => {
+      const employeeToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      const response = await request(app)
+        .post('/api/login-lockouts/LCK002/unlock')
+        .set('Authorization', `Bearer ${employeeToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should also track unknown employee codes on the kiosk', async () => {
+      const response = await request(app)
+        .post('/api/kiosk/auth')
+        .send({ employeeCode: 'LCK999', totpCode: '123456' });
+      expect(response.status).toBe(401);
+
+      const lockout = await LoginLockout.findOne({ where: { employeeCode: 'LCK999' } });
+      expect(lockout.failedAttempts).toBe(1);
+      expect(lockout.lastChannel).toBe('kiosk');
+    });
+  });
+});
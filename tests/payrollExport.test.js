@@ -0,0 +1,142 @@
+// Tests para la exportación a nómina con perfiles configurables
+// Ejecutar con: npm test payrollExport.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, Vacation, PayrollExportProfile } from '../src/models/index.js';
+import { PayrollExportService } from '../src/services/payrollExportService.js';
+
+import app from '../src/index.js';
+
+const profile = {
+  name: 'Test Payroll Profile',
+  columns: [
+    { header: 'CODIGO', field: 'employee_code' },
+    { header: 'HORAS', field: 'worked_hours' },
+    { header: 'VACACIONES', field: 'absence_days', absenceCode: 'V01' },
+    { header: 'PERIODO', field: 'period_start' },
+    { header: 'EMPRESA', field: 'constant', value: 'ACME; S.L.' }
+  ],
+  delimiter: ';',
+  decimalSeparator: ',',
+  dateFormat: 'DD/MM/YYYY',
+  includeHeader: true,
+  absenceCodes: { vacation: 'V01', personal: 'V01', sick_leave: 'IT' }
+};
+
+describe('Payroll export', () => {
+  describe('PayrollExportService.getNightMinutes', () => {
+    test('should count only the night window and leave breaks out', () => {
+      const sessions = [{
+        status: 'complete',
+        start: new Date('2024-03-04T20:00:00'),
+        end: new Date('2024-03-05T04:00:00'),
+        breaks: [{ start: new Date('2024-03-05T01:00:00'), end: new Date('2024-03-05T01:30:00') }]
+      }];
+
+      // 22:00-04:00 menos 30 minutos de pausa
+      expect(PayrollExportService.getNightMinutes(sessions)).toBe(330);
+    });
+
+    test('should ignore sessions that are not closed', () => {
+      const sessions = [{ status: 'open', start: new Date('2024-03-04T23:00:00'), end: null, breaks: [] }];
+
+      expect(PayrollExportService.getNightMinutes(sessions)).toBe(0);
+    });
+  });
+
+  describe('PayrollExportService.formatRow', () => {
+    test('should apply separators, date format and absence codes', () => {
+      const absences = PayrollExportService.getAbsenceDays([
+        { type: 'vacation', startDate: '2024-02-27', endDate: '2024-03-02' },
+        { type: 'personal', startDate: '2024-03-10', endDate: '2024-03-10' },
+        { type: 'sick_leave', startDate: '2024-03-30', endDate: '2024-04-05' }
+      ], '2024-03-01', '2024-03-31');
+
+      const row = PayrollExportService.formatRow({
+        employee: { employeeCode: 'E001', name: 'Test' },
+        year: 2024,
+        month: 3,
+        startDate: '2024-03-01',
+        endDate: '2024-03-31',
+        workedMinutes: 9630,
+        absences
+      }, profile);
+
+      expect(row).toEqual(['E001', '160,50', '3', '01/03/2024', 'ACME; S.L.']);
+      expect(PayrollExportService.toCsv([row], profile))
+        .toBe('CODIGO;HORAS;VACACIONES;PERIODO;EMPRESA\r\nE001;160,50;3;01/03/2024;"ACME; S.L."\r\n');
+    });
+  });
+
+  describe('GET /api/payroll-exports/profiles/:id/export', () => {
+    let adminEmployee;
+    let adminToken;
+    let profileId;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Payroll',
+        email: 'payroll-admin@test.com',
+        employeeCode: 'PAYADM001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      await Record.bulkCreate([
+        { employeeId: adminEmployee.id, type: 'checkin', timestamp: new Date('2024-03-04T09:00:00') },
+        { employeeId: adminEmployee.id, type: 'checkout', timestamp: new Date('2024-03-04T17:00:00') }
+      ]);
+
+      await Vacation.create({
+        employeeId: adminEmployee.id,
+        startDate: '2024-03-11',
+        endDate: '2024-03-12',
+        type: 'vacation',
+        status: 'approved'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await PayrollExportProfile.destroy({ where: { createdBy: adminEmployee.id } });
+      await Vacation.destroy({ where: { employeeId: adminEmployee.id } });
+      await Record.destroy({ where: { employeeId: adminEmployee.id }, force: true });
+      await adminEmployee.destroy();
+    });
+
+    test('should reject a profile with an unknown field', async () => {
+      const response = await request(app)
+        .post('/api/payroll-exports/profiles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...profile, columns: [{ header: 'X', field: 'salary' }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should export the month with the saved profile', async () => {
+      const created = await request(app)
+        .post('/api/payroll-exports/profiles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(profile);
+
+      expect(created.status).toBe(201);
+      profileId = created.body.data.id;
+
+      const response = await request(app)
+        .get(`/api/payroll-exports/profiles/${profileId}/export`)
+        .query({ year: 2024, month: 3, employeeIds: adminEmployee.id })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.text.split('\r\n')[1]).toBe('PAYADM001;8,00;2;01/03/2024;"ACME; S.L."');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// Tests para el tablero de presencia en vivo
+// Ejecutar con: npm test presence.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record } from '../src/models/index.js';
+import { PresenceService } from '../src/services/presenceService.js';
+
+import app from '../src/index.js';
+
+const schedule = { isWorkingDay: true, startTime: '09:00', endTime: '17:00' };
+
+describe('Presence', () => {
+  describe('PresenceService.getStatus', () => {
+    const now = new Date('2024-03-04T10:00:00');
+
+    test('should report an open session as in', () => {
+      const lastRecord = { type: 'checkin', timestamp: new Date('2024-03-04T08:55:00') };
+
+      expect(PresenceService.getStatus({ lastRecord, schedule, now }).status).toBe('in');
+    });
+
+    test('should report a break in progress', () => {
+      const lastRecord = { type: 'break_start', timestamp: new Date('2024-03-04T09:50:00') };
+
+      expect(PresenceService.getStatus({ lastRecord, schedule, now }).status).toBe('on_break');
+    });
+
+    test('should report an approved vacation covering today', () => {
+      const vacation = { startDate: '2024-03-01', type: 'vacation' };
+
+      expect(PresenceService.getStatus({ lastRecord: null, vacation, schedule, now }).status).toBe('on_vacation');
+    });
+
+    test('should report a scheduled employee without punches as absent', () => {
+      const lastRecord = { type: 'checkout', timestamp: new Date('2024-03-01T17:00:00') };
+
+      expect(PresenceService.getStatus({ lastRecord, schedule, now }).status).toBe('absent');
+    });
+
+    test('should report out before the scheduled start and after checking out', () => {
+      expect(PresenceService.getStatus({ lastRecord: null, schedule, now: new Date('2024-03-04T08:00:00') }).status).toBe('out');
+
+      const lastRecord = { type: 'checkout', timestamp: new Date('2024-03-04T09:30:00') };
+      expect(PresenceService.getStatus({ lastRecord, schedule, now }).status).toBe('out');
+    });
+  });
+
+  describe('GET /api/presence', () => {
+    let adminEmployee;
+    let testEmployee;
+    let adminToken;
+    let employeeToken;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Presence',
+        email: 'presence.admin@test.com',
+        employeeCode: 'PRS001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Presence',
+        email: 'presence@test.com',
+        employeeCode: 'PRS002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      employeeToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should be admin only', async () => {
+      const response = await request(app)
+        .get('/api/presence')
+        .set('Authorization', `Bearer ${employeeToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should show an employee as in after checking in', async () => {
+      await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({});
+
+      const response = await request(app)
+        .get('/api/presence')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      const entry = response.body.data.employees.find(e => e.employeeId === testEmployee.id);
+      expect(entry.status).toBe('in');
+      expect(response.body.data.summary.in).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should push the change to subscribers when a punch is recorded', async () => {
+      const events = [];
+      const unsubscribe = PresenceService.subscribe(event => events.push(event));
+
+      await request(app)
+        .post('/api/records/break/start')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({});
+
+      await new Promise(resolve => setTimeout(resolve, 200));
+      unsubscribe();
+
+      const event = events.find(e => e.presence.employeeId === testEmployee.id);
+      expect(event.reason).toBe('punch');
+      expect(event.presence.status).toBe('on_break');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// Tests para la imputación de horas a proyectos
+// Ejecutar con: npm test projects.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, Project, CostCenter } from '../src/models/index.js';
+import { ProjectTimeService } from '../src/services/projectTimeService.js';
+
+import app from '../src/index.js';
+
+const punch = (id, type, time, projectId = null) => ({
+  id,
+  employeeId: 'employee-1',
+  type,
+  timestamp: new Date(`2024-03-04T${time}`),
+  projectId
+});
+
+describe('Projects', () => {
+  describe('ProjectTimeService.getSegments', () => {
+    test('should split a session at each project switch and leave breaks out', () => {
+      const segments = ProjectTimeService.getSegments([
+        punch('1', 'checkin', '09:00:00', 'project-a'),
+        punch('2', 'break_start', '11:00:00'),
+        punch('3', 'break_end', '11:30:00'),
+        punch('4', 'project_switch', '12:00:00', 'project-b'),
+        punch('5', 'checkout', '17:00:00')
+      ]);
+
+      expect(segments.map(s => [s.projectId, s.minutes])).toEqual([
+        ['project-a', 150],
+        ['project-b', 300]
+      ]);
+    });
+
+    test('should not allocate open sessions', () => {
+      const segments = ProjectTimeService.getSegments([
+        punch('1', 'checkin', '09:00:00', 'project-a')
+      ]);
+
+      expect(segments).toEqual([]);
+    });
+  });
+
+  describe('POST /api/records/switch-project', () => {
+    let testEmployee;
+    let authToken;
+    let costCenter;
+    let projectA;
+    let projectB;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Projects',
+        email: 'projects@test.com',
+        employeeCode: 'PRJ001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      costCenter = await CostCenter.create({ code: 'TEST-CC', name: 'Test cost center' });
+      projectA = await Project.create({ code: 'TEST-A', name: 'Test project A', costCenterId: costCenter.id });
+      projectB = await Project.create({ code: 'TEST-B', name: 'Test project B', costCenterId: costCenter.id });
+
+      authToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await Project.destroy({ where: { costCenterId: costCenter.id } });
+      await costCenter.destroy();
+      await testEmployee.destroy();
+    });
+
+    test('should require an open session', async () => {
+      const response = await request(app)
+        .post('/api/records/switch-project')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ projectId: projectB.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an unknown project at check-in', async () => {
+      const response = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ projectId: costCenter.id });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should tag the check-in and switch projects mid-session', async () => {
+      const checkin = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ projectId: projectA.id });
+
+      expect(checkin.status).toBe(201);
+      expect(checkin.body.record.projectId).toBe(projectA.id);
+
+      const switched = await request(app)
+        .post('/api/records/switch-project')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ projectId: projectB.id });
+
+      expect(switched.status).toBe(201);
+      expect(switched.body.record.type).toBe('project_switch');
+
+      const checkout = await request(app)
+        .post('/api/records/checkout')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(checkout.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+// Tests para las fotos de los fichajes del kiosk
+// Ejecutar con: npm test punchPhotos.test.js
+
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import speakeasy from 'speakeasy';
+import { Employee, Record, KioskDevice, RecordPhoto, EmployeeBadge, LoginLockout } from '../src/models/index.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
+import { PunchPhotoService } from '../src/services/punchPhotoService.js';
+
+import app from '../src/index.js';
+
+// PNG de 1x1 píxel
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+describe('Punch photos', () => {
+  describe('PunchPhotoService.detectType', () => {
+    test('should detect images by content, not by declared type', () => {
+      expect(PunchPhotoService.detectType(PNG)).toBe('image/png');
+      expect(PunchPhotoService.detectType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]))).toBe('image/jpeg');
+      expect(PunchPhotoService.detectType(Buffer.from('not an image'))).toBeNull();
+    });
+  });
+
+  describe('Kiosk punches with a photo', () => {
+    let adminEmployee;
+    let testEmployee;
+    let adminToken;
+    let kioskDevice;
+    let kioskCredential;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Photos',
+        email: 'photos.admin@test.com',
+        employeeCode: 'PHO001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Photos',
+        email: 'photos@test.com',
+        employeeCode: 'PHO002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk photos' }));
+    });
+
+    afterAll(async () => {
+      const photos = await RecordPhoto.findAll({ where: { employeeId: testEmployee.id } });
+      await PunchPhotoService.removeFiles(photos);
+      await RecordPhoto.destroy({ where: { employeeId: testEmployee.id } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should reject a file that is not an image', async () => {
+      const response = await request(app)
+        .post('/api/kiosk/checkin')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .field('employeeId', testEmployee.id)
+        .attach('photo', Buffer.from('not an image'), { filename: 'photo.png', contentType: 'image/png' });
+
+      expect(response.status).toBe(400);
+      expect(await Record.count({ where: { employeeId: testEmployee.id } })).toBe(0);
+    });
+
+    test('should store the photo with the check-in and show it to admins', async () => {
+      const checkin = await request(app)
+        .post('/api/kiosk/checkin')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .field('employeeId', testEmployee.id)
+        .attach('photo', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+      expect(checkin.status).toBe(201);
+      expect(checkin.body.photo).toHaveProperty('id');
+
+      const detail = await request(app)
+        .get(`/api/records/${checkin.body.record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(detail.status).toBe(200);
+      expect(detail.body.data.photo.url).toBe(`/api/records/${checkin.body.record.id}/photo`);
+
+      const photo = await request(app)
+        .get(detail.body.data.photo.url)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(photo.status).toBe(200);
+      expect(photo.headers['content-type']).toBe('image/png');
+      expect(Buffer.compare(photo.body, PNG)).toBe(0);
+    });
+
+    test('should attach a photo to a checkout afterwards only once', async () => {
+      const checkout = await request(app)
+        .post('/api/kiosk/checkout')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .send({ employeeId: testEmployee.id });
+
+      const upload = () => request(app)
+        .post(`/api/kiosk/records/${checkout.body.record.id}/photo`)
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .attach('photo', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+      expect((await upload()).status).toBe(201);
+      expect((await upload()).status).toBe(409);
+    });
+  });
+
+  describe('Kiosk punches when a photo is required', () => {
+    let testEmployee;
+    let badge;
+    let kioskDevice;
+    let kioskCredential;
+
+    const punch = (fields) => request(app)
+      .post('/api/kiosk/punch')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({
+        employeeCode: 'PHO003',
+        totpCode: speakeasy.totp({ secret: testEmployee.totpSecret, encoding: 'base32' }),
+        ...fields
+      });
+
+    beforeAll(async () => {
+      jest.spyOn(PunchPhotoService, 'required', 'get').mockReturnValue(true);
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Required Photos',
+        email: 'photos.required@test.com',
+        employeeCode: 'PHO003',
+        pinHash: '1234',
+        role: 'employee',
+        totpSecret: speakeasy.generateSecret().base32
+      });
+
+      badge = await EmployeeBadge.create({ employeeId: testEmployee.id, uid: 'ABCD0003' });
+
+      ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk required photos' }));
+    });
+
+    afterAll(async () => {
+      jest.restoreAllMocks();
+      const photos = await RecordPhoto.findAll({ where: { employeeId: testEmployee.id } });
+      await PunchPhotoService.removeFiles(photos);
+      await RecordPhoto.destroy({ where: { employeeId: testEmployee.id } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await LoginLockout.destroy({ where: { employeeCode: 'PHO003' } });
+      await badge.destroy();
+      await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+      await testEmployee.destroy();
+    });
+
+    test('should require the photo on badge check-ins', async () => {
+      const withoutPhoto = await request(app)
+        .post('/api/kiosk/badge-punch')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .send({ uid: badge.uid });
+
+      expect(withoutPhoto.status).toBe(400);
+      expect(await Record.count({ where: { employeeId: testEmployee.id } })).toBe(0);
+
+      const withPhoto = await request(app)
+        .post('/api/kiosk/badge-punch')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .field('uid', badge.uid)
+        .attach('photo', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+      expect(withPhoto.status).toBe(201);
+      expect(withPhoto.body.record.type).toBe('checkin');
+      expect(withPhoto.body.photo).toHaveProperty('id');
+    });
+
+    test('should not require the photo on breaks, only on the check-out', async () => {
+      expect((await punch({ type: 'break_start' })).status).toBe(201);
+      expect((await punch({})).body.action).toBe('break_end');
+
+      const checkout = await punch({});
+      expect(checkout.status).toBe(400);
+      expect(checkout.body.error).toBe('Se requiere una foto para fichar');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// Tests para el fichaje con código QR en el kiosk
+// Ejecutar con: npm test qrPunch.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import speakeasy from 'speakeasy';
+import { Employee, Record, KioskDevice, QrPunchToken } from '../src/models/index.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
+import { QrPunchTokenService } from '../src/services/qrPunchTokenService.js';
+
+import app from '../src/index.js';
+
+describe('QR punches', () => {
+  describe('QrPunchTokenService', () => {
+    const employee = {
+      id: '8d3c4c1e-2f5a-4b7e-9c1d-0a2b3c4d5e6f',
+      totpSecret: speakeasy.generateSecret().base32
+    };
+
+    test('should sign tokens that parse back to their contents', () => {
+      const expiresAt = new Date('2024-03-04T10:00:30Z');
+      const token = QrPunchTokenService.buildToken(employee, 'nonce123', expiresAt);
+      const parsed = QrPunchTokenService.parseToken(token);
+
+      expect(parsed.employeeId).toBe(employee.id);
+      expect(parsed.expiresAt).toEqual(expiresAt);
+      expect(parsed.signature).toBe(QrPunchTokenService.sign(employee, parsed.payload));
+    });
+
+    test('should produce a different signature for another employee secret', () => {
+      const other = { ...employee, totpSecret: speakeasy.generateSecret().base32 };
+      const payload = `qr1.${employee.id}.1709546430.nonce123`;
+
+      expect(QrPunchTokenService.sign(other, payload)).not.toBe(QrPunchTokenService.sign(employee, payload));
+    });
+
+    test('should reject malformed tokens', () => {
+      expect(QrPunchTokenService.parseToken('not-a-token')).toBeNull();
+      expect(QrPunchTokenService.parseToken(`qr2.${employee.id}.1709546430.nonce.sig`)).toBeNull();
+    });
+  });
+
+  describe('POST /api/kiosk/qr-punch', () => {
+    let testEmployee;
+    let authToken;
+    let kioskDevice;
+    let kioskCredential;
+
+    const issueToken = async () => {
+      const response = await request(app)
+        .post('/api/records/qr-token')
+        .set('Authorization', `Bearer ${authToken}`);
+      return response.body.data.token;
+    };
+
+    const scan = (token, fields = {}) => request(app)
+      .post('/api/kiosk/qr-punch')
+      .set('X-Kiosk-Device-Token', kioskCredential)
+      .send({ token, ...fields });
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee QR',
+        email: 'qrpunch@test.com',
+        employeeCode: 'QR001',
+        pinHash: '1234',
+        role: 'employee',
+        totpSecret: speakeasy.generateSecret().base32
+      });
+
+      authToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk QR' }));
+    });
+
+    afterAll(async () => {
+      await QrPunchToken.destroy({ where: { employeeId: testEmployee.id } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await KioskDevice.destroy({ where: { id: kioskDevice.id } });
+      await testEmployee.destroy();
+    });
+
+    test('should issue a QR code image with the token', async () => {
+      const response = await request(app)
+        .post('/api/records/qr-token')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(response.body.data.ttlSeconds).toBe(QrPunchTokenService.ttlSeconds);
+    });
+
+    test('should clock the employee in and reject a replay of the same token', async () => {
+      const token = await issueToken();
+
+      const first = await scan(token);
+      expect(first.status).toBe(201);
+      expect(first.body.record.type).toBe('checkin');
+
+      const replay = await scan(token);
+      expect(replay.status).toBe(409);
+    });
+
+    test('should invalidate older tokens when a new one is issued', async () => {
+      const older = await issueToken();
+      const newer = await issueToken();
+
+      expect((await scan(older)).status).toBe(401);
+
+      const response = await scan(newer);
+      expect(response.status).toBe(201);
+      expect(response.body.record.type).toBe('checkout');
+    });
+
+    test('should keep the token valid when the punch is rejected', async () => {
+      const token = await issueToken();
+
+      const rejected = await scan(token, { type: 'break_start' });
+      expect(rejected.status).toBe(400);
+
+      const response = await scan(token);
+      expect(response.status).toBe(201);
+      expect(response.body.record.type).toBe('checkin');
+
+      const tokenRecord = await QrPunchToken.findOne({ where: { nonce: QrPunchTokenService.parseToken(token).nonce } });
+      expect(tokenRecord.recordId).toBe(response.body.record.id);
+    });
+
+    test('should reject a token with a forged signature', async () => {
+      const token = await issueToken();
+      const forged = `${token.slice(0, token.lastIndexOf('.'))}.forged`;
+
+      expect((await scan(forged)).status).toBe(401);
+    });
+  });
+});
@@ -1,10 +1,16 @@
 import request from 'supertest';
+import jwt from 'jsonwebtoken';
 import app from '../src/index.js';
-import { Employee, Record } from '../src/models/index.js';
+import { Employee, Record, RecordRevision, KioskDevice } from '../src/models/index.js';
+import { RecordChainService } from '../src/services/recordChainService.js';
+import { RecordAuditService } from '../src/services/recordAuditService.js';
+import { KioskDeviceService } from '../src/services/kioskDeviceService.js';
 
 describe('Records Tests', () => {
   let testEmployee;
   let authToken;
+  let kioskDevice;
+  let kioskCredential;
   
   beforeAll(async () => {
     // Create test employee
@@ -14,11 +20,14 @@ describe('Records Tests', () => {
       employeeCode: 'TESTREC001',
       isActive: true
     });
+
+    ({ device: kioskDevice, credential: kioskCredential } = await KioskDeviceService.enrol({ name: 'Test kiosk records' }));
   });
 
   afterAll(async () => {
     // Cleanup
-    await Record.destroy({ where: { employeeId: testEmployee.id } });
+    await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+    await KioskDevice.destroy({ where: { id: kioskDevice.id } });
     if (testEmployee) {
       await testEmployee.destroy();
     }
@@ -36,6 +45,7 @@ describe('Records Tests', () => {
 
       const response = await request(app)
         .post('/api/kiosk/checkin')
+        .set('X-Kiosk-Device-Token', kioskCredential)
         .send({
           employeeId: testEmployee.id,
           device: 'test'
@@ -51,6 +61,7 @@ describe('Records Tests', () => {
       // Try to checkin again
       const response = await request(app)
         .post('/api/kiosk/checkin')
+        .set('X-Kiosk-Device-Token', kioskCredential)
         .send({
           employeeId: testEmployee.id,
           device: 'test'
@@ -65,6 +76,7 @@ describe('Records Tests', () => {
     test('should create checkout record', async () => {
       const response = await request(app)
         .post('/api/kiosk/checkout')
+        .set('X-Kiosk-Device-Token', kioskCredential)
         .send({
           employeeId: testEmployee.id,
           device: 'test'
@@ -79,6 +91,7 @@ describe('Records Tests', () => {
       // Try to checkout again
       const response = await request(app)
         .post('/api/kiosk/checkout')
+        .set('X-Kiosk-Device-Token', kioskCredential)
         .send({
           employeeId: testEmployee.id,
           device: 'test'
@@ -89,6 +102,35 @@ describe('Records Tests', () => {
     });
   });
 
+  describe('Concurrent punches', () => {
+    test('should accept only one of two simultaneous checkins', async () => {
+      const responses = await Promise.all([1, 2].map(() =>
+        request(app)
+          .post('/api/kiosk/checkin')
+          .set('X-Kiosk-Device-Token', kioskCredential)
+          .send({ employeeId: testEmployee.id })
+      ));
+
+      expect(responses.map(r => r.status).sort()).toEqual([201, 400]);
+    });
+
+    test('should not duplicate a retried punch with the same idempotency key', async () => {
+      const send = () => request(app)
+        .post('/api/kiosk/checkout')
+        .set('X-Kiosk-Device-Token', kioskCredential)
+        .set('Idempotency-Key', 'records-test-checkout')
+        .send({ employeeId: testEmployee.id });
+
+      const first = await send();
+      const retry = await send();
+
+      expect(first.status).toBe(201);
+      expect(retry.status).toBe(200);
+      expect(retry.body.duplicate).toBe(true);
+      expect(retry.body.record.id).toBe(first.body.record.id);
+    });
+  });
+
   describe('GET /api/records/employee/:employeeId', () => {
     test('should get employee records', async () => {
       const response = await request(app)
@@ -106,4 +148,212 @@ describe('Records Tests', () => {
       expect(response.status).toBe(404);
     });
   });
+
+  describe('Record audit trail', () => {
+    let testAdmin;
+    let adminToken;
+    let record;
+
+    beforeAll(async () => {
+      testAdmin = await Employee.create({
+        name: 'Test Admin Records',
+        email: 'testrecordsadmin@example.com',
+        employeeCode: 'TESTRECADM',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: testAdmin.id, role: testAdmin.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      record = await Record.create({
+        employeeId: testEmployee.id,
+        type: 'checkin',
+        timestamp: new Date('2024-03-04T09:00:00'),
+        device: 'test'
+      });
+
+      await Record.create({
+        employeeId: testEmployee.id,
+        type: 'checkout',
+        timestamp: new Date('2024-03-04T17:00:00'),
+        device: 'test'
+      });
+    });
+
+    afterAll(async () => {
+      await RecordRevision.destroy({ where: { changedBy: testAdmin.id }, hooks: false });
+      await testAdmin.destroy();
+    });
+
+    test('should require a reason to update a record', async () => {
+      const response = await request(app)
+        .put(`/api/records/${record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timestamp: '2024-03-04T08:55:00' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject an invalid timestamp', async () => {
+      const response = await request(app)
+        .put(`/api/records/${record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timestamp: 'not-a-date', reason: 'Hora incorrecta' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject a time that breaks the punch sequence', async () => {
+      const response = await request(app)
+        .put(`/api/records/${record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timestamp: '2024-03-04T18:00:00', reason: 'Entrada tras la salida' });
+
+      expect(response.status).toBe(400);
+
+      await record.reload();
+      expect(record.timestamp.toISOString()).toBe(new Date('2024-03-04T09:00:00').toISOString());
+    });
+
+    test('should store before and after values on update', async () => {
+      const response = await request(app)
+        .put(`/api/records/${record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ timestamp: '2024-03-04T08:55:00', reason: 'Olvidó fichar al llegar' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.revision.changedFields).toEqual(['timestamp']);
+      expect(response.body.revision.before.timestamp).toBe(new Date('2024-03-04T09:00:00').toISOString());
+    });
+
+    test('should keep deleted records as tombstones with full history', async () => {
+      const deleteResponse = await request(app)
+        .delete(`/api/records/${record.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Fichaje duplicado' });
+
+      expect(deleteResponse.status).toBe(200);
+      expect(await Record.findByPk(record.id)).toBeNull();
+
+      const historyResponse = await request(app)
+        .get(`/api/records/${record.id}/history`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(historyResponse.status).toBe(200);
+      expect(historyResponse.body.isDeleted).toBe(true);
+      expect(historyResponse.body.revisions.map(r => r.action)).toEqual(['update', 'delete']);
+      expect(historyResponse.body.original.timestamp).toBe(new Date('2024-03-04T09:00:00').toISOString());
+    });
+  });
+
+  describe('Record hash chain', () => {
+    let chainEmployee;
+
+    beforeAll(async () => {
+      chainEmployee = await Employee.create({
+        name: 'Test Employee Chain',
+        email: 'testchain@example.com',
+        employeeCode: 'TESTCHAIN1',
+        pinHash: '1234'
+      });
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: chainEmployee.id }, force: true });
+      await chainEmployee.destroy();
+    });
+
+    test('should link each record to the previous one', async () => {
+      const first = await Record.create({ employeeId: chainEmployee.id, type: 'checkin', device: 'test' });
+      const second = await Record.create({ employeeId: chainEmployee.id, type: 'checkout', device: 'test' });
+
+      expect(first.sequence).toBe(1);
+      expect(first.previousHash).toBeNull();
+      expect(second.sequence).toBe(2);
+      expect(second.previousHash).toBe(first.hash);
+
+      const result = await RecordChainService.verifyEmployeeChain(chainEmployee.id);
+      expect(result.valid).toBe(true);
+      expect(result.checkedRecords).toBe(2);
+    });
+
+    test('should report where the chain was altered', async () => {
+      const [first] = await Record.findAll({
+        where: { employeeId: chainEmployee.id },
+        order: [['sequence', 'ASC']]
+      });
+
+      await Record.update(
+        { timestamp: new Date('2024-01-01T08:00:00') },
+        { where: { id: first.id }, hooks: false }
+      );
+
+      const result = await RecordChainService.verifyEmployeeChain(chainEmployee.id);
+      expect(result.valid).toBe(false);
+      expect(result.breaks[0]).toMatchObject({ recordId: first.id, sequence: 1, type: 'hash_mismatch' });
+    });
+  });
+
+  describe('Record hash chain versions', () => {
+    let chainEmployee;
+
+    beforeAll(async () => {
+      chainEmployee = await Employee.create({
+        name: 'Test Employee Chain Versions',
+        email: 'testchainversions@example.com',
+        employeeCode: 'TESTCHAIN2',
+        pinHash: '1234'
+      });
+    });
+
+    afterAll(async () => {
+      await RecordRevision.destroy({
+        where: { recordId: (await Record.findAll({ where: { employeeId: chainEmployee.id }, paranoid: false })).map(r => r.id) },
+        hooks: false
+      });
+      await Record.destroy({ where: { employeeId: chainEmployee.id }, force: true });
+      await chainEmployee.destroy();
+    });
+
+    test('should verify records sealed with the first version against its fields', async () => {
+      const record = await Record.create({ employeeId: chainEmployee.id, type: 'checkin', device: 'test' });
+      expect(record.hashVersion).toBe(Record.CHAIN_VERSION);
+
+      // Fichaje sellado antes de que existieran las versiones
+      await Record.update(
+        { hashVersion: null, hash: Record.computeChainHash({ ...record.get(), hashVersion: null }) },
+        { where: { id: record.id }, hooks: false }
+      );
+      await Record.create({ employeeId: chainEmployee.id, type: 'checkout', device: 'test' });
+
+      const result = await RecordChainService.verifyEmployeeChain(chainEmployee.id);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should keep the chain valid when a flag is changed through the audit log', async () => {
+      const record = await Record.create({ employeeId: chainEmployee.id, type: 'checkin', device: 'test', workMode: 'remote' });
+
+      await RecordAuditService.updateRecord(record, { isFlagged: true, flagReason: 'test_flag' }, {
+        changedBy: null,
+        reason: 'Test flag'
+      });
+
+      const result = await RecordChainService.verifyEmployeeChain(chainEmployee.id);
+      expect(result.valid).toBe(true);
+    });
+
+    test('should detect a changed work mode on a sealed record', async () => {
+      const record = await Record.create({ employeeId: chainEmployee.id, type: 'checkout', device: 'test', workMode: 'remote' });
+
+      await Record.update({ workMode: 'on_site' }, { where: { id: record.id }, hooks: false });
+
+      const result = await RecordChainService.verifyEmployeeChain(chainEmployee.id);
+      expect(result.valid).toBe(false);
+      expect(result.breaks[0]).toMatchObject({ recordId: record.id, type: 'hash_mismatch' });
+    });
+  });
 });
@@ -0,0 +1,93 @@
+// Tests para la conservación, archivado y purga de datos
+// Ejecutar con: npm test retention.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, RetentionPolicy } from '../src/models/index.js';
+import { RetentionService } from '../src/services/retentionService.js';
+
+import app from '../src/index.js';
+
+describe('Retention', () => {
+  describe('RetentionService.getCutoff', () => {
+    test('should subtract the retention period from now', () => {
+      const cutoff = RetentionService.getCutoff(90, new Date('2024-06-30T12:00:00Z'));
+
+      expect(cutoff.toISOString()).toBe('2024-04-01T12:00:00.000Z');
+    });
+  });
+
+  describe('Retention API', () => {
+    let adminEmployee;
+    let adminToken;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Retention',
+        email: 'retention.admin@test.com',
+        employeeCode: 'RET001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await RetentionPolicy.destroy({ where: { updatedBy: adminEmployee.id } });
+      await adminEmployee.destroy();
+    });
+
+    test('should list a policy for every data type', async () => {
+      const response = await request(app)
+        .get('/api/retention/policies')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(p => p.dataType)).toEqual(Object.keys(RetentionService.dataTypes));
+    });
+
+    test('should reject a retention period below the legal minimum', async () => {
+      const response = await request(app)
+        .put('/api/retention/policies/records')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ retentionDays: 30 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not allow purging records without archiving them', async () => {
+      const response = await request(app)
+        .put('/api/retention/policies/records')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ archiveBeforePurge: false });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should update the AI chat log policy', async () => {
+      const response = await request(app)
+        .put('/api/retention/policies/ai_chat_logs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ retentionDays: 30, archiveBeforePurge: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.retentionDays).toBe(30);
+      expect(response.body.data.archiveBeforePurge).toBe(false);
+    });
+
+    test('should require a reason to restore an archive', async () => {
+      const response = await request(app)
+        .post('/api/retention/archives/00000000-0000-0000-0000-000000000000/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+// Tests para la aceptación y reclamación del resumen mensual de jornada
+// Ejecutar con: npm test timesheetAcknowledgements.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, TimesheetAcknowledgement, TimesheetDispute } from '../src/models/index.js';
+import { TimesheetAcknowledgementService } from '../src/services/timesheetAcknowledgementService.js';
+
+import app from '../src/index.js';
+
+const buildDocument = (punchTime, generatedAt) => ({
+  employee: { id: 'employee-1' },
+  year: 2024,
+  month: 3,
+  days: [{
+    date: '2024-03-04',
+    punches: [{ id: 'record-1', type: 'checkin', timestamp: new Date(`2024-03-04T${punchTime}`) }],
+    scheduledStart: '09:00:00',
+    scheduledEnd: '17:00:00',
+    expectedMinutes: 480,
+    workedMinutes: 0,
+    breakMinutes: 0,
+    absence: null
+  }],
+  totals: { workedMinutes: 0 },
+  generatedAt
+});
+
+describe('Timesheet acknowledgements', () => {
+  describe('TimesheetAcknowledgementService.getContentHash', () => {
+    test('should not depend on when the document was generated', () => {
+      const first = TimesheetAcknowledgementService.getContentHash(buildDocument('09:00:00', new Date('2024-04-01')));
+      const second = TimesheetAcknowledgementService.getContentHash(buildDocument('09:00:00', new Date('2024-04-02')));
+
+      expect(first).toBe(second);
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should change when a punch changes', () => {
+      const original = TimesheetAcknowledgementService.getContentHash(buildDocument('09:00:00'));
+      const corrected = TimesheetAcknowledgementService.getContentHash(buildDocument('09:05:00'));
+
+      expect(original).not.toBe(corrected);
+    });
+  });
+
+  describe('POST /api/timesheet-acknowledgements/mine/accept', () => {
+    let testEmployee;
+    let authToken;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Acknowledgement',
+        email: 'acknowledgement@test.com',
+        employeeCode: 'ACK001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      await Record.bulkCreate([
+        { employeeId: testEmployee.id, type: 'checkin', timestamp: new Date('2024-03-04T09:00:00') },
+        { employeeId: testEmployee.id, type: 'checkout', timestamp: new Date('2024-03-04T17:00:00') }
+      ]);
+
+      authToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await TimesheetDispute.destroy({ where: { employeeId: testEmployee.id } });
+      await TimesheetAcknowledgement.destroy({ where: { employeeId: testEmployee.id } });
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await testEmployee.destroy();
+    });
+
+    test('should reject a hash that does not match the current content', async () => {
+      const response = await request(app)
+        .post('/api/timesheet-acknowledgements/mine/accept')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ year: 2024, month: 3, contentHash: 'f'.repeat(64) });
+
+      expect(response.status).toBe(409);
+      expect(response.body.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should store the accepted hash and method', async () => {
+      const review = await request(app)
+        .get('/api/timesheet-acknowledgements/mine')
+        .query({ year: 2024, month: 3 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(review.body.data.status).toBe('pending');
+
+      const response = await request(app)
+        .post('/api/timesheet-acknowledgements/mine/accept')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ year: 2024, month: 3, contentHash: review.body.data.contentHash });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('accepted');
+      expect(response.body.data.method).toBe('portal');
+      expect(response.body.data.contentHash).toBe(review.body.data.contentHash);
+    });
+
+    test('should not allow disputing an accepted month', async () => {
+      const response = await request(app)
+        .post('/api/timesheet-acknowledgements/mine/disputes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ year: 2024, month: 3, date: '2024-03-04', comment: 'Salí a las 18:00' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+// Tests para el motor de hojas de horas (emparejado de entradas y salidas)
+// Ejecutar con: npm test timesheets.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record } from '../src/models/index.js';
+import { TimesheetService } from '../src/services/timesheetService.js';
+import { BreakReconciliationService } from '../src/services/breakReconciliationService.js';
+
+import app from '../src/index.js';
+
+const punch = (id, type, timestamp) => ({
+  id,
+  employeeId: 'employee-1',
+  type,
+  timestamp: new Date(timestamp)
+});
+
+describe('Timesheets', () => {
+  describe('TimesheetService.buildSessions', () => {
+    test('should pair several sessions in the same day', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'checkout', '2024-03-04T13:00:00'),
+        punch('3', 'checkin', '2024-03-04T14:00:00'),
+        punch('4', 'checkout', '2024-03-04T18:30:00')
+      ]);
+
+      expect(sessions).toHaveLength(2);
+      expect(sessions.every(s => s.status === 'complete')).toBe(true);
+      expect(sessions.reduce((sum, s) => sum + s.workedMinutes, 0)).toBe(510);
+    });
+
+    test('should assign shifts crossing midnight to the checkin date', () => {
+      const [session] = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-05T22:00:00'),
+        punch('2', 'checkout', '2024-03-06T06:00:00')
+      ]);
+
+      expect(session.date).toBe('2024-03-05');
+      expect(session.crossesMidnight).toBe(true);
+      expect(session.workedMinutes).toBe(480);
+    });
+
+    test('should report unmatched punches without counting time', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-07T09:00:00'),
+        punch('2', 'checkin', '2024-03-08T09:00:00'),
+        punch('3', 'checkout', '2024-03-08T17:00:00'),
+        punch('4', 'checkout', '2024-03-08T18:00:00')
+      ]);
+
+      expect(sessions.map(s => s.status)).toEqual(['missing_checkout', 'complete', 'missing_checkin']);
+      expect(sessions[0].workedMinutes).toBe(0);
+      expect(sessions[2].workedMinutes).toBe(0);
+    });
+
+    test('should not pair a checkout that exceeds the maximum session length', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'checkout', '2024-03-06T17:00:00')
+      ]);
+
+      expect(sessions.map(s => s.status)).toEqual(['missing_checkout', 'missing_checkin']);
+    });
+
+    test('should keep a recent checkin as an open session', () => {
+      const now = new Date('2024-03-04T12:00:00');
+      const [session] = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00')
+      ], now);
+
+      expect(session.status).toBe('open');
+    });
+  });
+
+  describe('TimesheetService.summarizeDays', () => {
+    test('should include days without punches in the range', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'checkout', '2024-03-04T17:00:00')
+      ]);
+      const days = TimesheetService.summarizeDays(sessions, '2024-03-04', '2024-03-06');
+      const totals = TimesheetService.summarizeTotals(days);
+
+      expect(days).toHaveLength(3);
+      expect(days[0].workedHours).toBe(8);
+      expect(totals.daysWorked).toBe(1);
+      expect(totals.workedMinutes).toBe(480);
+    });
+  });
+
+  describe('TimesheetService.summarizeWeeks', () => {
+    test('should keep weeks in calendar order across the year boundary', () => {
+      const january = TimesheetService.summarizeWeeks(TimesheetService.summarizeDays([], '2021-01-01', '2021-01-31'));
+      expect(january.map(w => w.weekNumber)).toEqual([53, 1, 2, 3, 4]);
+      expect(january[0]).toMatchObject({ isoYear: 2020, startDate: '2021-01-01', endDate: '2021-01-03' });
+
+      const december = TimesheetService.summarizeWeeks(TimesheetService.summarizeDays([], '2024-12-01', '2024-12-31'));
+      expect(december.map(w => w.weekNumber)).toEqual([48, 49, 50, 51, 52, 1]);
+      expect(december[5]).toMatchObject({ isoYear: 2025, startDate: '2024-12-30', endDate: '2024-12-31' });
+    });
+  });
+
+  describe('BreakReconciliationService.reconcileDay', () => {
+    const effective = {
+      source: 'regular_schedule',
+      isWorkingDay: true,
+      workStartTime: '09:00',
+      breaks: [
+        { id: 'meal', name: 'Comida', startTime: '13:00', endTime: '14:00', isPaid: false, isRequired: true, isFlexible: true, flexibilityMinutes: 15 },
+        { id: 'rest', name: 'Café', startTime: '11:00', endTime: '11:15', isPaid: true, isRequired: true, isFlexible: false }
+      ]
+    };
+
+    test('should attach break punches to their session', () => {
+      const [session] = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'break_start', '2024-03-04T13:00:00'),
+        punch('3', 'break_end', '2024-03-04T14:00:00'),
+        punch('4', 'checkout', '2024-03-04T18:00:00')
+      ]);
+
+      expect(session.status).toBe('complete');
+      expect(session.breaks).toHaveLength(1);
+      expect(session.breakMinutes).toBe(60);
+    });
+
+    test('should report skipped, overlong and unscheduled breaks', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'break_start', '2024-03-04T13:20:00'),
+        punch('3', 'break_end', '2024-03-04T14:30:00'),
+        punch('4', 'break_start', '2024-03-04T16:00:00'),
+        punch('5', 'break_end', '2024-03-04T16:10:00'),
+        punch('6', 'checkout', '2024-03-04T18:00:00')
+      ]);
+      const day = BreakReconciliationService.reconcileDay('2024-03-04', effective, sessions);
+
+      expect(day.breaks.map(b => b.status)).toEqual(['overlong', 'skipped']);
+      expect(day.unscheduledBreaks).toHaveLength(1);
+      expect(day.issues.map(i => i.type)).toEqual(['break_overlong', 'required_break_skipped']);
+    });
+
+    test('should deduct unpaid break time from paid minutes', () => {
+      const sessions = TimesheetService.buildSessions([
+        punch('1', 'checkin', '2024-03-04T09:00:00'),
+        punch('2', 'break_start', '2024-03-04T11:00:00'),
+        punch('3', 'break_end', '2024-03-04T11:15:00'),
+        punch('4', 'break_start', '2024-03-04T13:00:00'),
+        punch('5', 'break_end', '2024-03-04T14:00:00'),
+        punch('6', 'checkout', '2024-03-04T18:00:00')
+      ]);
+      const day = BreakReconciliationService.reconcileDay('2024-03-04', effective, sessions);
+
+      expect(day.breaks.every(b => b.status === 'taken')).toBe(true);
+      expect(day.workedMinutes).toBe(540);
+      expect(day.unpaidBreakMinutes).toBe(60);
+      expect(day.paidMinutes).toBe(480);
+    });
+  });
+
+  describe('GET /api/timesheets/employee/:employeeId/daily', () => {
+    let testEmployee;
+    let otherEmployee;
+    let authToken;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Timesheet',
+        email: 'timesheet@test.com',
+        employeeCode: 'TIME001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      otherEmployee = await Employee.create({
+        name: 'Other Employee Timesheet',
+        email: 'timesheet-other@test.com',
+        employeeCode: 'TIME002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      await Record.bulkCreate([
+        { employeeId: testEmployee.id, type: 'checkin', timestamp: new Date('2024-03-04T09:00:00') },
+        { employeeId: testEmployee.id, type: 'checkout', timestamp: new Date('2024-03-04T17:00:00') }
+      ]);
+
+      authToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await otherEmployee.destroy();
+      await testEmployee.destroy();
+    });
+
+    test('should return daily totals for the employee', async () => {
+      const response = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/daily`)
+        .query({ startDate: '2024-03-04', endDate: '2024-03-05' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.days).toHaveLength(2);
+      expect(response.body.data.totals.workedHours).toBe(8);
+    });
+
+    test('should require a date range', async () => {
+      const response = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/daily`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should not expose other employees timesheets', async () => {
+      const response = await request(app)
+        .get(`/api/timesheets/employee/${otherEmployee.id}/daily`)
+        .query({ startDate: '2024-03-04', endDate: '2024-03-05' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject an invalid month or year', async () => {
+      const invalidMonth = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/monthly`)
+        .query({ year: 2024, month: 13 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(invalidMonth.status).toBe(400);
+
+      const invalidYear = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/monthly`)
+        .query({ year: 'abc', month: 3 })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(invalidYear.status).toBe(400);
+    });
+
+    test('should render the monthly document as printable HTML', async () => {
+      const response = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/monthly/document`)
+        .query({ year: 2024, month: 3, format: 'html' })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('Test Employee Timesheet');
+      expect(response.text).toContain('Entrada 09:00');
+    });
+
+    test('should render the monthly document as PDF', async () => {
+      const response = await request(app)
+        .get(`/api/timesheets/employee/${testEmployee.id}/monthly/document`)
+        .query({ year: 2024, month: 3 })
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/pdf/);
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+// Tests para las modalidades de trabajo (presencial, teletrabajo, desplazamiento)
+// Ejecutar con: npm test workModes.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, WorkModePolicy } from '../src/models/index.js';
+import { WorkModeService } from '../src/services/workModeService.js';
+import { TimesheetService } from '../src/services/timesheetService.js';
+
+import app from '../src/index.js';
+
+describe('Work modes', () => {
+  describe('WorkModeService.evaluatePunch', () => {
+    const travelling = { requireLocation: true, applyGeofence: false, flagIfNotScheduled: false };
+    const remote = { requireLocation: false, applyGeofence: false, flagIfNotScheduled: true };
+
+    test('should require a location when the policy asks for it', () => {
+      expect(WorkModeService.evaluatePunch(travelling, { location: null, workMode: 'travelling', scheduledMode: null }).status)
+        .toBe('location_required');
+      expect(WorkModeService.evaluatePunch(travelling, { location: { lat: 40.4, lng: -3.7 }, workMode: 'travelling', scheduledMode: null }))
+        .toEqual({ status: 'ok', applyGeofence: false, flagReason: null });
+    });
+
+    test('should flag a work mode that differs from the scheduled one', () => {
+      expect(WorkModeService.evaluatePunch(remote, { workMode: 'remote', scheduledMode: 'on_site' }).flagReason)
+        .toBe('work_mode_not_scheduled');
+      expect(WorkModeService.evaluatePunch(remote, { workMode: 'remote', scheduledMode: 'remote' }).flagReason).toBeNull();
+      expect(WorkModeService.evaluatePunch(remote, { workMode: 'remote', scheduledMode: null }).flagReason).toBeNull();
+    });
+  });
+
+  describe('TimesheetService.splitByWorkMode', () => {
+    test('should split worked time by the work mode of each session', () => {
+      const records = [
+        { id: '1', employeeId: 'e', type: 'checkin', workMode: 'on_site', timestamp: new Date('2024-03-04T09:00:00') },
+        { id: '2', employeeId: 'e', type: 'checkout', workMode: 'on_site', timestamp: new Date('2024-03-04T13:00:00') },
+        { id: '3', employeeId: 'e', type: 'checkin', workMode: 'remote', timestamp: new Date('2024-03-04T15:00:00') },
+        { id: '4', employeeId: 'e', type: 'checkout', workMode: 'remote', timestamp: new Date('2024-03-04T17:30:00') }
+      ];
+      const sessions = TimesheetService.buildSessions(records);
+      const [day] = TimesheetService.summarizeDays(sessions, '2024-03-04', '2024-03-04');
+
+      expect(day.byWorkMode.on_site.workedMinutes).toBe(240);
+      expect(day.byWorkMode.remote.workedMinutes).toBe(150);
+      expect(day.byWorkMode.travelling.workedMinutes).toBe(0);
+      expect(TimesheetService.summarizeTotals([day]).byWorkMode.remote.workedHours).toBe(2.5);
+    });
+  });
+
+  describe('Web punches', () => {
+    let adminEmployee;
+    let testEmployee;
+    let adminToken;
+    let employeeToken;
+
+    beforeAll(async () => {
+      adminEmployee = await Employee.create({
+        name: 'Test Admin Work Modes',
+        email: 'workmodes.admin@test.com',
+        employeeCode: 'WMD001',
+        pinHash: '1234',
+        role: 'admin'
+      });
+
+      testEmployee = await Employee.create({
+        name: 'Test Employee Work Modes',
+        email: 'workmodes@test.com',
+        employeeCode: 'WMD002',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      adminToken = jwt.sign(
+        { employeeId: adminEmployee.id, role: adminEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+
+      employeeToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await WorkModePolicy.destroy({ where: { updatedBy: adminEmployee.id } });
+      await testEmployee.destroy();
+      await adminEmployee.destroy();
+    });
+
+    test('should reject an unknown work mode', async () => {
+      const response = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ workMode: 'beach' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require a location when travelling', async () => {
+      const response = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ workMode: 'travelling' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.workMode).toBe('travelling');
+    });
+
+    test('should record a remote check-in and keep the mode on check-out', async () => {
+      const checkin = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ workMode: 'remote' });
+
+      expect(checkin.status).toBe(201);
+      expect(checkin.body.record.workMode).toBe('remote');
+
+      const checkout = await request(app)
+        .post('/api/records/checkout')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({});
+
+      expect(checkout.status).toBe(201);
+      expect(checkout.body.record.workMode).toBe('remote');
+    });
+
+    test('should let admins change a work mode policy', async () => {
+      const response = await request(app)
+        .put('/api/work-modes/policies/remote')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requireLocation: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.requireLocation).toBe(true);
+
+      const checkin = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ workMode: 'remote' });
+
+      expect(checkin.status).toBe(400);
+    });
+
+    test('should reject policy changes from non-admins and invalid values', async () => {
+      const forbidden = await request(app)
+        .put('/api/work-modes/policies/remote')
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ requireLocation: false });
+      expect(forbidden.status).toBe(403);
+
+      const invalid = await request(app)
+        .put('/api/work-modes/policies/remote')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ applyGeofence: 'yes' });
+      expect(invalid.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// Tests para centros de trabajo y validación de geovallas
+// Ejecutar con: npm test workSites.test.js
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Employee, Record, WorkSite, EmployeeWorkSite } from '../src/models/index.js';
+import { GeofenceService } from '../src/services/geofenceService.js';
+
+import app from '../src/index.js';
+
+const office = {
+  id: 'office',
+  name: 'Oficina Central',
+  latitude: '40.4168000',
+  longitude: '-3.7038000',
+  radiusMeters: 150,
+  geofencePolicy: 'flag',
+  isActive: true
+};
+
+describe('Work sites', () => {
+  describe('GeofenceService.evaluateLocation', () => {
+    test('should accept a location inside the fence', () => {
+      const result = GeofenceService.evaluateLocation({ latitude: 40.4170, longitude: -3.7040 }, [office]);
+
+      expect(result.status).toBe('inside');
+      expect(result.action).toBe('accept');
+      expect(result.distanceMeters).toBeLessThan(office.radiusMeters);
+    });
+
+    test('should apply the nearest site policy outside the fence', () => {
+      const result = GeofenceService.evaluateLocation({ lat: 40.4300, lng: -3.7000 }, [office]);
+
+      expect(result.status).toBe('outside');
+      expect(result.action).toBe('flag');
+      expect(result.workSite.id).toBe('office');
+    });
+
+    test('should not restrict employees without assigned sites', () => {
+      const result = GeofenceService.evaluateLocation(null, []);
+
+      expect(result.status).toBe('no_site');
+      expect(result.action).toBe('accept');
+    });
+  });
+
+  describe('POST /api/records/checkin', () => {
+    let testEmployee;
+    let workSite;
+    let authToken;
+
+    beforeAll(async () => {
+      testEmployee = await Employee.create({
+        name: 'Test Employee Site',
+        email: 'worksite@test.com',
+        employeeCode: 'SITE001',
+        pinHash: '1234',
+        role: 'employee'
+      });
+
+      workSite = await WorkSite.create({
+        name: 'Test Site',
+        latitude: office.latitude,
+        longitude: office.longitude,
+        radiusMeters: office.radiusMeters,
+        geofencePolicy: 'reject'
+      });
+
+      await EmployeeWorkSite.create({ employeeId: testEmployee.id, workSiteId: workSite.id });
+
+      authToken = jwt.sign(
+        { employeeId: testEmployee.id, role: testEmployee.role },
+        process.env.JWT_SECRET,
+        { expiresIn: '1h' }
+      );
+    });
+
+    afterAll(async () => {
+      await Record.destroy({ where: { employeeId: testEmployee.id }, force: true });
+      await EmployeeWorkSite.destroy({ where: { workSiteId: workSite.id } });
+      await workSite.destroy();
+      await testEmployee.destroy();
+    });
+
+    test('should reject a punch outside a rejecting site', async () => {
+      const response = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ location: { latitude: 40.4300, longitude: -3.7000 } });
+
+      expect(response.status).toBe(403);
+      expect(response.body.geofence.status).toBe('outside');
+    });
+
+    test('should record the site for a punch inside the fence', async () => {
+      const response = await request(app)
+        .post('/api/records/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ location: { latitude: 40.4170, longitude: -3.7040 } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.record.workSiteId).toBe(workSite.id);
+      expect(response.body.record.geofenceStatus).toBe('inside');
+    });
+  });
+});